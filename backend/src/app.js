@@ -52,8 +52,10 @@ const authRoutes = require('./routes/auth');
 const emailRoutes = require('./routes/emails');
 const emailAccountRoutes = require('./routes/emailAccounts');
 const syncRoutes = require('./routes/sync');
+const migrationRoutes = require('./routes/migrations');
 const analyticsRoutes = require('./routes/analytics');
 const searchRoutes = require('./routes/search');
+const threadRoutes = require('./routes/threads');
 
 // API routes
 app.get('/api', (req, res) => {
@@ -66,8 +68,10 @@ app.get('/api', (req, res) => {
       emails: '/api/emails',
       emailAccounts: '/api/email-accounts',
       sync: '/api/sync',
+      migrations: '/api/migrations',
       analytics: '/api/analytics',
-      search: '/api/search'
+      search: '/api/search',
+      threads: '/api/threads'
     }
   });
 });
@@ -77,8 +81,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/email-accounts', emailAccountRoutes);
 app.use('/api/sync', syncRoutes);
+app.use('/api/migrations', migrationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/threads', threadRoutes);
 
 // 404 handler
 app.use((req, res) => {
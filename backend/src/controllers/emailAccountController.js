@@ -1,8 +1,54 @@
+const fs = require('fs');
 const { validationResult } = require('express-validator');
 const EmailAccount = require('../models/EmailAccount');
+const SyncJob = require('../models/SyncJob');
+const FolderState = require('../models/FolderState');
 const imapService = require('../services/imapService');
+const realtimeSyncService = require('../services/realtimeSyncService');
+const mailboxService = require('../services/mailboxService');
+const oauthService = require('../services/oauthService');
+const discoveryService = require('../services/discoveryService');
+const healthService = require('../services/healthService');
+const pop3Service = require('../services/pop3Service');
+const importService = require('../services/importService');
+const syncQueueService = require('../services/syncQueueService');
 const logger = require('../utils/logger');
 
+/**
+ * Test an account's server connection with the protocol it uses
+ * @param {Object} account - EmailAccount document with authConfig.password available
+ * @returns {Promise<Object>} Connection test result ({ success, error })
+ */
+const testAccountConnection = (account) => (account.protocol === 'pop3'
+  ? pop3Service.testConnection(account.getPop3Config())
+  : imapService.testConnection(account.getImapConfig()));
+
+/**
+ * Check whether imported mail would land in a folder synced from the server
+ * Sync reconciles those folders by server UID and would drop or clash with imports
+ * @param {Object} account - EmailAccount document
+ * @param {string} folder - Import target folder (subfolders may be created below it)
+ * @returns {Promise<boolean>} True if the folder or one below it is synced
+ */
+const isSyncedFolder = async (account, folder) => {
+  const synced = [
+    'INBOX',
+    ...(account.syncConfig.syncFolders || []),
+    ...await FolderState.distinct('folder', { emailAccountId: account._id })
+  ];
+  return synced.some(path => path.toUpperCase() === folder.toUpperCase() || path.startsWith(`${folder}/`));
+};
+
+/**
+ * Delete the file uploaded with a rejected request
+ * @param {Object} req - Express request object
+ */
+const discardUpload = async (req) => {
+  if (req.file) {
+    await fs.promises.unlink(req.file.path).catch(() => {});
+  }
+};
+
 /**
  * Email Account Controller
  * Handles email account management including adding, updating, and testing IMAP connections
@@ -25,15 +71,19 @@ class EmailAccountController {
         _id: account._id, // Keep both for compatibility
         name: account.name,
         email: account.email,
+        protocol: account.protocol,
         imapConfig: account.imapConfig,
+        pop3Config: account.protocol === 'pop3' ? account.pop3Config : undefined,
         authConfig: {
           method: account.authConfig.method,
-          username: account.authConfig.username
+          username: account.authConfig.username,
+          provider: account.authConfig.oauth2Config?.provider || null
         },
         syncConfig: account.syncConfig,
         connectionStatus: account.connectionStatus,
         lastConnectionTest: account.lastConnectionTest,
         status: account.status,
+        lastError: account.connectionInfo?.lastError?.message || null,
         isEnabled: account.isEnabled,
         createdAt: account.createdAt,
         updatedAt: account.updatedAt
@@ -79,15 +129,19 @@ class EmailAccountController {
         _id: account._id, // Keep both for compatibility
         name: account.name,
         email: account.email,
+        protocol: account.protocol,
         imapConfig: account.imapConfig,
+        pop3Config: account.protocol === 'pop3' ? account.pop3Config : undefined,
         authConfig: {
           method: account.authConfig.method,
-          username: account.authConfig.username
+          username: account.authConfig.username,
+          provider: account.authConfig.oauth2Config?.provider || null
         },
         syncConfig: account.syncConfig,
         connectionStatus: account.connectionStatus,
         lastConnectionTest: account.lastConnectionTest,
         status: account.status,
+        lastError: account.connectionInfo?.lastError?.message || null,
         isEnabled: account.isEnabled,
         createdAt: account.createdAt,
         updatedAt: account.updatedAt
@@ -126,7 +180,9 @@ class EmailAccountController {
       const {
         name,
         email,
+        protocol = 'imap',
         imapConfig,
+        pop3Config,
         authConfig,
         syncConfig
       } = req.body;
@@ -149,11 +205,13 @@ class EmailAccountController {
         userId: req.user._id,
         name,
         email,
-        imapConfig: imapConfig || {
+        protocol,
+        imapConfig: protocol === 'pop3' ? undefined : imapConfig || {
           host: 'imap.gmail.com',
           port: 993,
           secure: true
         },
+        pop3Config: protocol === 'pop3' ? pop3Config : undefined,
         authConfig: authConfig || {
           method: 'PLAIN',
           username: email,
@@ -169,11 +227,16 @@ class EmailAccountController {
         }
       });
 
+      // Provider metadata (connection limits, features) is never taken from the client
+      if (protocol !== 'pop3') {
+        account.provider = discoveryService.getProviderForHost(account.imapConfig.host);
+      }
+
       await account.save();
 
       // Test connection
       try {
-        const connectionTest = await imapService.testConnection(account._id);
+        const connectionTest = await testAccountConnection(account);
         account.connectionStatus = connectionTest.success ? 'connected' : 'failed';
         account.lastConnectionTest = new Date();
         await account.save();
@@ -194,11 +257,13 @@ class EmailAccountController {
             id: account._id,
             name: account.name,
             email: account.email,
+            protocol: account.protocol,
             imapConfig: {
               host: account.imapConfig.host,
               port: account.imapConfig.port,
               secure: account.imapConfig.secure
             },
+            pop3Config: account.protocol === 'pop3' ? account.pop3Config : undefined,
             authConfig: {
               method: account.authConfig.method,
               username: account.authConfig.username
@@ -220,6 +285,40 @@ class EmailAccountController {
     }
   }
 
+  /**
+   * Discover server settings for an email address
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async discoverSettings(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const settings = await discoveryService.discover(req.body.email);
+
+      // Not finding settings is an expected outcome, so it is not an error
+      res.json({
+        success: true,
+        message: settings ? 'Settings discovered' : 'No settings found for this address, please enter the server settings manually',
+        data: { settings }
+      });
+    } catch (error) {
+      logger.error('Discover settings error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Update email account
    * @param {Object} req - Express request object
@@ -240,10 +339,11 @@ class EmailAccountController {
       const { id } = req.params;
       const updateData = req.body;
 
+      // Credentials are needed to test the connection after the update
       const account = await EmailAccount.findOne({
         _id: id,
         userId: req.user._id
-      });
+      }).select('+authConfig.password');
 
       if (!account) {
         return res.status(404).json({
@@ -261,6 +361,11 @@ class EmailAccountController {
       }
       if (updateData.imapConfig !== undefined) {
         account.imapConfig = { ...account.imapConfig, ...updateData.imapConfig };
+        // The provider follows the server
+        account.provider = discoveryService.getProviderForHost(account.imapConfig.host);
+      }
+      if (updateData.pop3Config !== undefined) {
+        account.pop3Config = { ...account.pop3Config, ...updateData.pop3Config };
       }
       if (updateData.authConfig !== undefined) {
         account.authConfig = { ...account.authConfig, ...updateData.authConfig };
@@ -272,9 +377,9 @@ class EmailAccountController {
       await account.save();
 
       // Test connection if server details changed
-      if (updateData.imapConfig || updateData.authConfig) {
+      if (updateData.imapConfig || updateData.pop3Config || updateData.authConfig) {
         try {
-          const connectionTest = await imapService.testConnection(account._id);
+          const connectionTest = await testAccountConnection(account);
           account.connectionStatus = connectionTest.success ? 'connected' : 'failed';
           account.lastConnectionTest = new Date();
           await account.save();
@@ -286,6 +391,11 @@ class EmailAccountController {
         }
       }
 
+      // Start or stop the IDLE watcher if the sync frequency changed
+      realtimeSyncService.refreshAccount(account._id).catch((error) => {
+        logger.warn(`Failed to refresh realtime watcher for account ${account.email}:`, error.message);
+      });
+
       res.json({
         success: true,
         message: 'Email account updated successfully',
@@ -343,15 +453,17 @@ class EmailAccountController {
         });
       }
 
-      // Close IMAP connection if active
+      // Close IMAP connections if active
       try {
+        realtimeSyncService.unwatchAccount(id);
         await imapService.closeConnection(id);
       } catch (error) {
         logger.warn(`Error closing IMAP connection for account ${id}:`, error.message);
       }
 
-      // Delete account
+      // Delete account and its folder sync state
       await EmailAccount.findByIdAndDelete(id);
+      await FolderState.deleteMany({ emailAccountId: id });
 
       logger.info(`Email account deleted: ${account.email} by user: ${req.user.email}`);
 
@@ -395,8 +507,9 @@ class EmailAccountController {
         port: account.imapConfig.port,
         secure: account.imapConfig.secure,
         username: account.authConfig.username,
-        password: account.authConfig.password,
-        authMethod: account.authConfig.method
+        password: account.getSecret('authConfig.password'),
+        authMethod: account.authConfig.method,
+        accountId: account._id
       };
       
       console.log('Testing IMAP connection with config:', {
@@ -404,17 +517,25 @@ class EmailAccountController {
         password: account.authConfig.password ? '[HAS_PASSWORD]' : '[NO_PASSWORD]' // Show if password exists
       });
       
-      const connectionTest = await imapService.testConnection(imapConfig);
+      const connectionTest = account.protocol === 'pop3'
+        ? await pop3Service.testConnection(account.getPop3Config())
+        : await imapService.testConnection(imapConfig);
 
       // Update account status
       const isConnected = connectionTest.success === true;
       account.connectionStatus = isConnected ? 'connected' : 'failed';
+      account.status = isConnected ? 'active' : 'error';
       account.lastConnectionTest = new Date();
+      // Connection counters and the circuit breaker are updated by the health monitor
       if (!isConnected) {
         account.lastError = connectionTest.error || 'Connection test failed';
       }
       await account.save();
 
+      realtimeSyncService.refreshAccount(account._id).catch((error) => {
+        logger.warn(`Failed to refresh realtime watcher for account ${account.email}:`, error.message);
+      });
+
       res.json({
         success: true,
         message: isConnected ? 'Connection test successful' : `Connection test failed: ${connectionTest.error}`,
@@ -462,8 +583,10 @@ class EmailAccountController {
         });
       }
 
-      // Get folders from IMAP service
-      const folders = await imapService.getFolders(id);
+      // Get folders from the cached tree, refreshing from the server on demand
+      const folders = await imapService.getFolders(id, {
+        refresh: req.query.refresh === 'true'
+      });
 
       res.json({
         success: true,
@@ -478,6 +601,162 @@ class EmailAccountController {
     }
   }
 
+  /**
+   * Create folder on the IMAP server
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createFolder(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { path } = req.body;
+
+      await mailboxService.createFolder(req.user._id, req.params.id, path);
+
+      logger.info(`Folder created: ${path} by user: ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Folder created successfully',
+        data: { path }
+      });
+    } catch (error) {
+      if (error.code === 'ACCOUNT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Rejected by the validation above or by the IMAP server (NO/BAD response)
+      if (error.code === 'INVALID_FOLDER' || error.source === 'protocol') {
+        return res.status(400).json({
+          success: false,
+          message: `Failed to create folder: ${error.message}`
+        });
+      }
+
+      logger.error('Create folder error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Rename folder on the IMAP server
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async renameFolder(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { path, newPath } = req.body;
+
+      await mailboxService.renameFolder(req.user._id, req.params.id, path, newPath);
+
+      logger.info(`Folder renamed: ${path} -> ${newPath} by user: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Folder renamed successfully',
+        data: { path: newPath }
+      });
+    } catch (error) {
+      if (error.code === 'ACCOUNT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Rejected by the validation above or by the IMAP server (NO/BAD response)
+      if (error.code === 'INVALID_FOLDER' || error.source === 'protocol') {
+        return res.status(400).json({
+          success: false,
+          message: `Failed to rename folder: ${error.message}`
+        });
+      }
+
+      logger.error('Rename folder error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Delete folder on the IMAP server
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteFolder(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { path } = req.query;
+
+      const deletedEmails = await mailboxService.deleteFolder(req.user._id, req.params.id, path);
+
+      logger.info(`Folder deleted: ${path} by user: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Folder deleted successfully',
+        data: { path, deletedEmails }
+      });
+    } catch (error) {
+      if (error.code === 'ACCOUNT_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // Rejected by the validation above or by the IMAP server (NO/BAD response)
+      if (error.code === 'INVALID_FOLDER' || error.source === 'protocol') {
+        return res.status(400).json({
+          success: false,
+          message: `Failed to delete folder: ${error.message}`
+        });
+      }
+
+      logger.error('Delete folder error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Update sync settings
    * @param {Object} req - Express request object
@@ -533,6 +812,49 @@ class EmailAccountController {
     }
   }
 
+  /**
+   * Get account connection health and circuit breaker history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getAccountHealth(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const account = await EmailAccount.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email account not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          health: healthService.getHealth(account)
+        }
+      });
+    } catch (error) {
+      logger.error('Get account health error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Get account statistics
    * @param {Object} req - Express request object
@@ -580,6 +902,315 @@ class EmailAccountController {
       });
     }
   }
+
+  /**
+   * Import an uploaded mbox, EML, zip of EML files or Maildir tarball
+   * The archive is processed by an import SyncJob, which tracks progress
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async importArchive(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await discardUpload(req);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An archive file is required'
+        });
+      }
+
+      const account = await EmailAccount.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      });
+
+      if (!account) {
+        await discardUpload(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Email account not found'
+        });
+      }
+
+      const folder = req.body.folder || importService.defaultFolder;
+      if (await isSyncedFolder(account, folder)) {
+        await discardUpload(req);
+        return res.status(400).json({
+          success: false,
+          message: `${folder} is synced from the server; choose another folder for imported mail`
+        });
+      }
+
+      const format = await importService.detectFormat(req.file.path, req.file.originalname);
+      if (!format) {
+        await discardUpload(req);
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported archive. Upload an .mbox file, an .eml file, a zip of .eml files or a Maildir tarball.'
+        });
+      }
+
+      // Imports into one account run one at a time so folder UIDs stay unique
+      const existingJob = await SyncJob.findOne({
+        accountId: account._id,
+        syncType: 'import',
+        status: { $in: ['pending', 'running', 'paused'] }
+      });
+
+      if (existingJob) {
+        await discardUpload(req);
+        return res.status(409).json({
+          success: false,
+          message: 'An import is already in progress for this account'
+        });
+      }
+
+      const job = new SyncJob({
+        userId: req.user._id,
+        accountId: account._id,
+        jobId: `import_${account._id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: `${account.name || account.email} - import ${req.file.originalname}`,
+        description: `Import of ${req.file.originalname} (${format}) into ${account.email}/${folder}`,
+        syncType: 'import',
+        folders: [folder],
+        options: {
+          batchSize: account.syncConfig.batchSize
+        },
+        import: {
+          filePath: req.file.path,
+          originalName: req.file.originalname,
+          format,
+          size: req.file.size,
+          folder
+        },
+        metadata: {
+          source: 'import',
+          trigger: 'api',
+          priority: 1,
+          tags: ['import', format]
+        }
+      });
+
+      await job.save();
+
+      logger.info(`Import job created: ${job._id} (${req.file.originalname}) for account: ${account.email}`);
+
+      // The queue claims the pending job; the job document tracks progress
+      syncQueueService.poll().catch((error) => {
+        logger.error('Sync queue poll failed:', error);
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Import started successfully',
+        data: {
+          job: {
+            id: job._id,
+            jobId: job.jobId,
+            name: job.name,
+            description: job.description,
+            accountId: job.accountId,
+            syncType: job.syncType,
+            status: job.status,
+            progress: job.progress,
+            import: {
+              originalName: job.import.originalName,
+              format: job.import.format,
+              size: job.import.size,
+              folder: job.import.folder
+            },
+            createdAt: job.createdAt
+          }
+        }
+      });
+    } catch (error) {
+      await discardUpload(req);
+      logger.error('Import archive error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List OAuth providers with configured client credentials
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOAuthProviders(req, res) {
+    res.json({
+      success: true,
+      data: { providers: oauthService.getAvailableProviders() }
+    });
+  }
+
+  /**
+   * Start the OAuth authorization-code flow for a provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startOAuth(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { provider } = req.params;
+      const { accountId, name } = req.query;
+
+      let loginHint;
+      if (accountId) {
+        const account = await EmailAccount.findOne({ _id: accountId, userId: req.user._id });
+        if (!account) {
+          return res.status(404).json({
+            success: false,
+            message: 'Email account not found'
+          });
+        }
+        loginHint = account.email;
+      }
+
+      const authorizationUrl = oauthService.getAuthorizationUrl(provider, req.user, { accountId, name, loginHint });
+
+      res.json({
+        success: true,
+        data: { authorizationUrl }
+      });
+    } catch (error) {
+      if (error.code === 'OAUTH_PROVIDER_UNSUPPORTED' || error.code === 'OAUTH_PROVIDER_UNCONFIGURED') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Start OAuth error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Handle the provider redirect and return the browser to the frontend
+   * The code is not exchanged here: this URL is reachable without an API token,
+   * so a victim could be sent to it with an attacker's code and state. The
+   * frontend finishes the flow through completeOAuth, which checks that the
+   * signed-in user is the one who started it.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async oauthCallback(req, res) {
+    const { provider } = req.params;
+    const { code, state, error: providerError, error_description: providerErrorDescription } = req.query;
+    const redirectUrl = new URL('/email-accounts', process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000');
+
+    try {
+      if (providerError) {
+        throw new Error(providerErrorDescription || `Authorization was denied (${providerError})`);
+      }
+      if (!code || !state) {
+        throw new Error('Authorization response is missing the code or state');
+      }
+
+      oauthService.verifyState(provider, state);
+
+      redirectUrl.searchParams.set('oauth', 'confirm');
+      redirectUrl.searchParams.set('provider', provider);
+      redirectUrl.searchParams.set('code', code);
+      redirectUrl.searchParams.set('state', state);
+    } catch (error) {
+      logger.error('OAuth callback error:', error);
+      redirectUrl.searchParams.set('oauth', 'error');
+      redirectUrl.searchParams.set('message', error.message);
+    }
+
+    res.redirect(redirectUrl.toString());
+  }
+
+  /**
+   * Exchange the authorization code for the user who started the flow and
+   * create or update the account
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async completeOAuth(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { provider } = req.params;
+      const { code, state } = req.body;
+
+      const decodedState = oauthService.verifyState(provider, state, req.user._id);
+      const account = await oauthService.completeAuthorization(provider, code, decodedState);
+
+      realtimeSyncService.refreshAccount(account._id).catch((error) => {
+        logger.warn(`Failed to refresh realtime watcher for account ${account.email}:`, error.message);
+      });
+
+      res.json({
+        success: true,
+        message: 'Email account connected successfully',
+        data: {
+          account: {
+            id: account._id,
+            name: account.name,
+            email: account.email,
+            protocol: account.protocol,
+            authConfig: {
+              method: account.authConfig.method,
+              username: account.authConfig.username,
+              provider
+            }
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code === 'OAUTH_TOKEN_REQUEST_FAILED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to exchange the authorization code'
+        });
+      }
+      if (error.code && error.code.startsWith('OAUTH_')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Complete OAuth error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
 }
 
 module.exports = new EmailAccountController();
@@ -1,10 +1,164 @@
+const { Readable, pipeline } = require('stream');
 const { validationResult } = require('express-validator');
 const Email = require('../models/Email');
 const EmailAccount = require('../models/EmailAccount');
+const User = require('../models/User');
 const imapService = require('../services/imapService');
 const emailSyncService = require('../services/emailSyncService');
+const flagSyncService = require('../services/flagSyncService');
+const mailboxService = require('../services/mailboxService');
+const exportService = require('../services/exportService');
+const attachmentStorageService = require('../services/attachmentStorageService');
+const rawMessageService = require('../services/rawMessageService');
+const htmlSanitizerService = require('../services/htmlSanitizerService');
+const authMiddleware = require('../middleware/auth');
 const logger = require('../utils/logger');
 
+/**
+ * Build the Email query for the list filters shared by GET /api/emails and exports
+ * @param {string} userId - Owner user ID
+ * @param {Object} params - Query parameters
+ * @returns {Object} MongoDB filter
+ */
+const buildEmailFilter = (userId, params) => {
+  const {
+    folder,
+    accountId,
+    search,
+    from,
+    to,
+    subject,
+    dateFrom,
+    dateTo,
+    hasAttachments,
+    isRead,
+    isFlagged
+  } = params;
+
+  const filter = { userId };
+
+  if (folder) filter.folder = folder;
+  if (accountId) filter.emailAccountId = accountId;
+  if (from) filter['headers.from'] = { $regex: from, $options: 'i' };
+  if (to) filter['headers.to'] = { $regex: to, $options: 'i' };
+  if (subject) filter['headers.subject'] = { $regex: subject, $options: 'i' };
+  if (hasAttachments !== undefined) filter['content.attachments'] = hasAttachments === 'true' ? { $exists: true, $ne: [] } : { $exists: false };
+  if (isRead !== undefined) filter['flags.seen'] = isRead === 'true';
+  if (isFlagged !== undefined) filter['flags.flagged'] = isFlagged === 'true';
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter['headers.date'] = {};
+    if (dateFrom) filter['headers.date'].$gte = new Date(dateFrom);
+    if (dateTo) filter['headers.date'].$lte = new Date(dateTo);
+  }
+
+  // Text search
+  if (search) {
+    filter.$or = [
+      { 'headers.subject': { $regex: search, $options: 'i' } },
+      { 'headers.from': { $regex: search, $options: 'i' } },
+      { 'headers.to': { $regex: search, $options: 'i' } },
+      { 'content.text': { $regex: search, $options: 'i' } },
+      { 'content.html': { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return filter;
+};
+
+/**
+ * Build the sort of an email list
+ * @param {Object} params - Query parameters (sortBy, sortOrder)
+ * @param {string} defaultOrder - Order when sortOrder is not given
+ * @returns {Object} MongoDB sort
+ */
+const buildEmailSort = ({ sortBy = 'date', sortOrder }, defaultOrder = 'desc') => {
+  const direction = (sortOrder || defaultOrder) === 'desc' ? -1 : 1;
+  return sortBy === 'date' ? { 'headers.date': direction } : { [sortBy]: direction };
+};
+
+/**
+ * Convert emails to CSV format
+ * @param {Array} emails - Array of email objects
+ * @returns {string} CSV string
+ */
+const convertToCSV = (emails) => {
+  if (emails.length === 0) return '';
+
+  const headers = [
+    'Date',
+    'From',
+    'To',
+    'Subject',
+    'Folder',
+    'Account',
+    'Size',
+    'Is Read',
+    'Is Flagged',
+    'Has Attachments'
+  ];
+
+  const rows = emails.map(email => [
+    email.headers.date.toISOString(),
+    email.headers.from,
+    email.headers.to.join(', '),
+    email.headers.subject,
+    email.folder,
+    email.emailAccountId?.name || '',
+    email.content.totalSize,
+    email.flags.seen ? 'Yes' : 'No',
+    email.flags.flagged ? 'Yes' : 'No',
+    email.content.attachments.length > 0 ? 'Yes' : 'No'
+  ]);
+
+  const csvContent = [headers, ...rows]
+    .map(row => row.map(field => `"${field}"`).join(','))
+    .join('\n');
+
+  return csvContent;
+};
+
+/**
+ * Render an email body as safe HTML
+ * Inline (cid:) images point at signed attachment URLs; remote images load only
+ * when asked for or when the sender is on the user's allowlist
+ * @param {Object} email - Email document
+ * @param {Object} user - Reading user
+ * @param {string} images - 'load' or 'block' to override the allowlist
+ * @returns {Object} { html, blockedImages, imagesAllowed }
+ */
+const renderEmailHtml = (email, user, images) => {
+  const imagesAllowed = images
+    ? images === 'load'
+    : htmlSanitizerService.isSenderAllowed(user.preferences?.imageSenders, email.headers.from);
+
+  if (!email.content.html) {
+    return { html: htmlSanitizerService.textToHtml(email.content.text), blockedImages: 0, imagesAllowed };
+  }
+
+  const inlineImages = new Map();
+  for (const attachment of email.content.attachments || []) {
+    if (attachment.contentId && /^image\//i.test(attachment.contentType || '')) {
+      inlineImages.set(htmlSanitizerService.normalizeCid(attachment.contentId), attachment._id);
+    }
+  }
+
+  const resolveCid = (cid) => {
+    const attachmentId = inlineImages.get(cid);
+    if (!attachmentId) return null;
+    const sig = authMiddleware.signAttachment({ userId: user._id, emailId: email._id, attachmentId });
+    return `/api/emails/${email._id}/attachments/${attachmentId}?sig=${encodeURIComponent(sig)}`;
+  };
+
+  const { html, blockedImages } = htmlSanitizerService.sanitize(email.content.html, {
+    resolveCid,
+    loadRemoteImages: imagesAllowed
+  });
+
+  return { html, blockedImages, imagesAllowed };
+};
+
 /**
  * Email Controller
  * Handles email management operations including listing, viewing, and managing emails
@@ -17,61 +171,10 @@ class EmailController {
    */
   async getEmails(req, res) {
     try {
-      const {
-        page = 1,
-        limit = 20,
-        folder,
-        accountId,
-        search,
-        from,
-        to,
-        subject,
-        dateFrom,
-        dateTo,
-        hasAttachments,
-        isRead,
-        isFlagged,
-        sortBy = 'date',
-        sortOrder = 'desc'
-      } = req.query;
-
-      // Build filter object
-      const filter = { userId: req.user._id };
-
-      if (folder) filter.folder = folder;
-      if (accountId) filter.emailAccountId = accountId;
-      if (from) filter['headers.from'] = { $regex: from, $options: 'i' };
-      if (to) filter['headers.to'] = { $regex: to, $options: 'i' };
-      if (subject) filter['headers.subject'] = { $regex: subject, $options: 'i' };
-      if (hasAttachments !== undefined) filter['content.attachments'] = hasAttachments === 'true' ? { $exists: true, $ne: [] } : { $exists: false };
-      if (isRead !== undefined) filter['flags.seen'] = isRead === 'true';
-      if (isFlagged !== undefined) filter['flags.flagged'] = isFlagged === 'true';
+      const { page = 1, limit = 20 } = req.query;
 
-      // Date range filter
-      if (dateFrom || dateTo) {
-        filter['headers.date'] = {};
-        if (dateFrom) filter['headers.date'].$gte = new Date(dateFrom);
-        if (dateTo) filter['headers.date'].$lte = new Date(dateTo);
-      }
-
-      // Text search
-      if (search) {
-        filter.$or = [
-          { 'headers.subject': { $regex: search, $options: 'i' } },
-          { 'headers.from': { $regex: search, $options: 'i' } },
-          { 'headers.to': { $regex: search, $options: 'i' } },
-          { 'content.text': { $regex: search, $options: 'i' } },
-          { 'content.html': { $regex: search, $options: 'i' } }
-        ];
-      }
-
-      // Build sort object
-      const sort = {};
-      if (sortBy === 'date') {
-        sort['headers.date'] = sortOrder === 'desc' ? -1 : 1;
-      } else {
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-      }
+      const filter = buildEmailFilter(req.user._id, req.query);
+      const sort = buildEmailSort(req.query);
 
       // Calculate pagination
       const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -141,11 +244,18 @@ class EmailController {
       if (!email.flags.seen) {
         email.flags.seen = true;
         await email.save();
+        await flagSyncService.queueFlagChanges({ _id: email._id, userId: req.user._id }, { seen: true });
+      }
+
+      // Never hand out the stored HTML as is
+      const data = email.toJSON();
+      if (data.content.html) {
+        data.content.html = renderEmailHtml(email, req.user).html;
       }
 
       res.json({
         success: true,
-        data: { email }
+        data: { email: data }
       });
     } catch (error) {
       logger.error('Get email by ID error:', error);
@@ -156,6 +266,276 @@ class EmailController {
     }
   }
 
+  /**
+   * Download the original RFC 822 message of an email ("view source")
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRawEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const email = await Email.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      }).select('raw').lean();
+
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      // Emails stored before raw messages were kept only have their parsed fields
+      const content = email.raw?.sha256 ? await rawMessageService.openStream(email.raw.sha256) : null;
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          message: 'Original message not stored'
+        });
+      }
+
+      res.attachment(`${email._id}.eml`);
+      res.setHeader('Content-Type', 'message/rfc822');
+      res.setHeader('ETag', `"${email.raw.sha256}"`);
+      if (email.raw.size) res.setHeader('Content-Length', email.raw.size);
+
+      pipeline(content, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.error(`Raw message download failed (${email._id}):`, error);
+        }
+      });
+    } catch (error) {
+      logger.error('Get raw email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Render an email body as safe HTML
+   * Query images=load shows remote images once, images=block hides them even
+   * for allowlisted senders
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async renderEmail(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const email = await Email.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+      }).select('headers.from content.html content.text content.attachments');
+
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      const { html, blockedImages, imagesAllowed } = renderEmailHtml(email, req.user, req.query.images);
+
+      res.json({
+        success: true,
+        data: {
+          html,
+          blockedImages,
+          imagesAllowed,
+          sender: htmlSanitizerService.getAddress(email.headers.from)
+        }
+      });
+    } catch (error) {
+      logger.error('Render email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the senders whose remote images load automatically
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImageSenders(req, res) {
+    res.json({
+      success: true,
+      data: { senders: req.user.preferences?.imageSenders || [] }
+    });
+  }
+
+  /**
+   * Always load remote images from a sender (address or domain)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addImageSender(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const sender = req.body.sender.replace(/^@/, '');
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $addToSet: { 'preferences.imageSenders': sender } },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: 'Images from this sender will be loaded',
+        data: { senders: user.preferences.imageSenders }
+      });
+    } catch (error) {
+      logger.error('Add image sender error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Stop loading remote images from a sender
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async removeImageSender(req, res) {
+    try {
+      const sender = req.params.sender.trim().toLowerCase().replace(/^@/, '');
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $pull: { 'preferences.imageSenders': sender } },
+        { new: true }
+      );
+
+      res.json({
+        success: true,
+        message: 'Images from this sender will be blocked',
+        data: { senders: user.preferences.imageSenders }
+      });
+    } catch (error) {
+      logger.error('Remove image sender error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Download an email attachment
+   * Supports single byte ranges (Range header) so large files can be resumed or seeked
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async downloadAttachment(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id, attachmentId } = req.params;
+
+      const email = await Email.findOne({
+        _id: id,
+        userId: req.user._id
+      }).select('content.attachments +content.attachments.data');
+
+      const attachment = email ? email.content.attachments.id(attachmentId) : null;
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      // Emails not migrated to GridFS yet still carry their attachments inline
+      const file = attachment.storageId ? await attachmentStorageService.getFile(attachment.storageId) : null;
+      if (attachment.storageId ? !file : !attachment.data) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment content not found'
+        });
+      }
+
+      const size = file ? file.length : attachment.data.length;
+      const ranges = req.range(size, { combine: true });
+      if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable'
+        });
+      }
+
+      // Malformed and multiple ranges get the whole file
+      const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+      const start = range ? range.start : 0;
+      const end = range ? range.end : size - 1;
+
+      res.attachment(attachment.filename || 'attachment');
+      res.setHeader('Content-Type', attachment.contentType || 'application/octet-stream');
+      res.setHeader('Accept-Ranges', 'bytes');
+      if (attachment.sha256) res.setHeader('ETag', `"${attachment.sha256}"`);
+      if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+      }
+      res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+
+      if (size === 0 || req.method === 'HEAD') return res.end();
+
+      const content = file
+        ? attachmentStorageService.openDownloadStream(attachment.storageId, { start, end: end + 1 })
+        : Readable.from([attachment.data.subarray(start, end + 1)]);
+
+      pipeline(content, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          logger.error(`Attachment download failed (${id}/${attachmentId}):`, error);
+        }
+      });
+    } catch (error) {
+      logger.error('Download attachment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Update email flags
    * @param {Object} req - Express request object
@@ -199,6 +579,15 @@ class EmailController {
 
       await email.save();
 
+      // Propagate the change to the IMAP server
+      await flagSyncService.queueFlagChanges({ _id: email._id, userId: req.user._id }, {
+        seen: isRead,
+        flagged: isFlagged,
+        deleted: isDeleted,
+        answered: isAnswered,
+        draft: isDraft
+      });
+
       res.json({
         success: true,
         message: 'Email flags updated successfully',
@@ -300,6 +689,15 @@ class EmailController {
         updateData
       );
 
+      // Propagate the changes to the IMAP server
+      await flagSyncService.queueFlagChanges({ _id: { $in: emailIds }, userId: req.user._id }, {
+        seen: updates.isRead,
+        flagged: updates.isFlagged,
+        deleted: updates.isDeleted,
+        answered: updates.isAnswered,
+        draft: updates.isDraft
+      });
+
       res.json({
         success: true,
         message: `${result.modifiedCount} emails updated successfully`,
@@ -317,6 +715,89 @@ class EmailController {
     }
   }
 
+  /**
+   * Move email to another folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async moveEmail(req, res) {
+    return emailController.transferEmails(req, res, [req.params.id], { copy: false });
+  }
+
+  /**
+   * Copy email to another folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async copyEmail(req, res) {
+    return emailController.transferEmails(req, res, [req.params.id], { copy: true });
+  }
+
+  /**
+   * Bulk move emails to another folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bulkMoveEmails(req, res) {
+    return emailController.transferEmails(req, res, req.body.emailIds, { copy: false });
+  }
+
+  /**
+   * Move or copy emails on the IMAP server and update the stored folder
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Array<string>} emailIds - Email IDs
+   * @param {Object} options - Options ({ copy })
+   */
+  async transferEmails(req, res, emailIds, options) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { folder } = req.body;
+      const action = options.copy ? 'copied' : 'moved';
+
+      const count = await Email.countDocuments({ _id: { $in: emailIds }, userId: req.user._id });
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      const result = await mailboxService.transferEmails(req.user._id, emailIds, folder, options);
+
+      if (result.processed === 0 && result.failed > 0) {
+        return res.status(502).json({
+          success: false,
+          message: `Emails could not be ${action}${result.error ? `: ${result.error}` : ''}`,
+          data: result
+        });
+      }
+
+      logger.info(`${result.processed} email(s) ${action} to ${folder} by user: ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: `${result.processed} emails ${action} successfully`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Move emails error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Get email folders
    * @param {Object} req - Express request object
@@ -454,32 +935,55 @@ class EmailController {
 
   /**
    * Export emails
+   * Accepts the same filters as GET /api/emails. mbox and eml (zipped .eml
+   * files) rebuild the full messages and are streamed from a cursor.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async exportEmails(req, res) {
     try {
-      const {
-        format = 'json',
-        accountId,
-        folder,
-        dateFrom,
-        dateTo
-      } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-      // Build filter
-      const filter = { userId: req.user._id };
-      if (accountId) filter.emailAccountId = accountId;
-      if (folder) filter.folder = folder;
+      const { format = 'json' } = req.query;
+      const filter = buildEmailFilter(req.user._id, req.query);
+      const sort = buildEmailSort(req.query, 'asc');
 
-      // Date range filter
-      if (dateFrom || dateTo) {
-        filter['headers.date'] = {};
-        if (dateFrom) filter['headers.date'].$gte = new Date(dateFrom);
-        if (dateTo) filter['headers.date'].$lte = new Date(dateTo);
+      if (format === 'mbox' || format === 'eml') {
+        const accounts = await EmailAccount.find({ userId: req.user._id }).select('email').lean();
+        const accountEmails = new Map(accounts.map(account => [String(account._id), account.email]));
+        const cursor = Email.find(filter)
+          .select('+content.attachments.data')
+          .sort(sort)
+          .allowDiskUse(true)
+          .lean()
+          .cursor({ batchSize: 50 });
+
+        try {
+          if (format === 'mbox') {
+            res.setHeader('Content-Type', 'application/mbox');
+            res.setHeader('Content-Disposition', 'attachment; filename=emails.mbox');
+            await exportService.writeMbox(cursor, res);
+          } else {
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', 'attachment; filename=emails.zip');
+            await exportService.writeZip(cursor, res, email =>
+              exportService.getEntryName(email, accountEmails.get(String(email.emailAccountId))));
+          }
+          return res.end();
+        } finally {
+          await cursor.close().catch(() => {});
+        }
       }
 
       const emails = await Email.find(filter)
+        .sort(sort)
         .populate('emailAccountId', 'name email server')
         .lean();
 
@@ -489,7 +993,7 @@ class EmailController {
         res.json(emails);
       } else if (format === 'csv') {
         // Convert to CSV format
-        const csv = this.convertToCSV(emails);
+        const csv = convertToCSV(emails);
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=emails.csv');
         res.send(csv);
@@ -501,54 +1005,17 @@ class EmailController {
       }
     } catch (error) {
       logger.error('Export emails error:', error);
+      // Part of the archive is already on the wire; abort so the client sees a broken download
+      if (res.headersSent) return res.destroy(error);
       res.status(500).json({
         success: false,
         message: 'Internal server error'
       });
     }
   }
-
-  /**
-   * Convert emails to CSV format
-   * @param {Array} emails - Array of email objects
-   * @returns {string} CSV string
-   */
-  convertToCSV(emails) {
-    if (emails.length === 0) return '';
-
-    const headers = [
-      'Date',
-      'From',
-      'To',
-      'Subject',
-      'Folder',
-      'Account',
-      'Size',
-      'Is Read',
-      'Is Flagged',
-      'Has Attachments'
-    ];
-
-    const rows = emails.map(email => [
-      email.headers.date.toISOString(),
-      email.headers.from,
-      email.headers.to.join(', '),
-      email.headers.subject,
-      email.folder,
-      email.emailAccountId?.name || '',
-      email.content.totalSize,
-      email.flags.seen ? 'Yes' : 'No',
-      email.flags.flagged ? 'Yes' : 'No',
-      email.content.attachments.length > 0 ? 'Yes' : 'No'
-    ]);
-
-    const csvContent = [headers, ...rows]
-      .map(row => row.map(field => `"${field}"`).join(','))
-      .join('\n');
-
-    return csvContent;
-  }
 }
 
-module.exports = new EmailController();
+const emailController = new EmailController();
+
+module.exports = emailController;
 
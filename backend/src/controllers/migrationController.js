@@ -0,0 +1,273 @@
+const { validationResult } = require('express-validator');
+const SyncJob = require('../models/SyncJob');
+const EmailAccount = require('../models/EmailAccount');
+const syncQueueService = require('../services/syncQueueService');
+const logger = require('../utils/logger');
+
+/**
+ * Migration Controller
+ * Handles mailbox migrations that copy one email account into another over IMAP.
+ * Migrations run as SyncJobs, so pause/resume/stop use the sync endpoints.
+ */
+class MigrationController {
+  /**
+   * Start a mailbox migration
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createMigration(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        sourceAccountId,
+        destinationAccountId,
+        dryRun = false,
+        folders = [],
+        folderMappings = [],
+        dateRange = {},
+        options = {}
+      } = req.body;
+
+      if (sourceAccountId === destinationAccountId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Source and destination accounts must be different'
+        });
+      }
+
+      // Verify both accounts belong to user
+      const [sourceAccount, destinationAccount] = await Promise.all([
+        EmailAccount.findOne({ _id: sourceAccountId, userId: req.user._id }),
+        EmailAccount.findOne({ _id: destinationAccountId, userId: req.user._id })
+      ]);
+
+      if (!sourceAccount || !destinationAccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email account not found'
+        });
+      }
+
+      // Check if accounts are connected
+      if (sourceAccount.status !== 'active' || destinationAccount.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Both email accounts must be connected. Please test connections first.'
+        });
+      }
+
+      // Check for an active migration between the same accounts
+      const existingJob = await SyncJob.findOne({
+        userId: req.user._id,
+        syncType: 'migration',
+        accountId: sourceAccountId,
+        'migration.destinationAccountId': destinationAccountId,
+        status: { $in: ['pending', 'running', 'paused'] }
+      });
+
+      if (existingJob) {
+        return res.status(409).json({
+          success: false,
+          message: 'A migration between these accounts is already in progress'
+        });
+      }
+
+      const job = new SyncJob({
+        userId: req.user._id,
+        accountId: sourceAccountId,
+        jobId: `migration_${sourceAccountId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: `${sourceAccount.email} -> ${destinationAccount.email}${dryRun ? ' (dry run)' : ''}`,
+        description: `Mailbox migration from ${sourceAccount.email} to ${destinationAccount.email}`,
+        syncType: 'migration',
+        folders,
+        options: {
+          preserveFlags: options.preserveFlags !== false,
+          preserveDates: options.preserveDates !== false,
+          batchSize: options.batchSize || sourceAccount.syncConfig.batchSize,
+          retryAttempts: options.retryAttempts || 3,
+          retryDelay: options.retryDelay || 5000
+        },
+        migration: {
+          destinationAccountId,
+          dryRun,
+          folderMappings,
+          dateRange: {
+            from: dateRange.from || null,
+            to: dateRange.to || null
+          }
+        },
+        metadata: {
+          source: 'migration',
+          trigger: 'api',
+          priority: 1,
+          tags: ['migration', dryRun ? 'dry-run' : 'copy']
+        }
+      });
+
+      await job.save();
+
+      logger.info(`Migration created: ${job._id} (${job.name}) by user: ${req.user.email}`);
+
+      // The queue claims the pending job; the job document tracks progress
+      syncQueueService.poll().catch((error) => {
+        logger.error('Sync queue poll failed:', error);
+      });
+
+      res.status(201).json({
+        success: true,
+        message: dryRun ? 'Migration dry run started successfully' : 'Migration started successfully',
+        data: { migration: job }
+      });
+    } catch (error) {
+      logger.error('Create migration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get migrations for user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMigrations(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      // Build filter
+      const filter = { userId: req.user._id, syncType: 'migration' };
+      if (status) filter.status = status;
+
+      // Calculate pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [migrations, totalCount] = await Promise.all([
+        SyncJob.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('accountId', 'name email')
+          .populate('migration.destinationAccountId', 'name email')
+          .lean(),
+        SyncJob.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          migrations,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalCount,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get migrations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get migration by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMigrationById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const migration = await SyncJob.findOne({
+        _id: id,
+        userId: req.user._id,
+        syncType: 'migration'
+      })
+        .populate('accountId', 'name email')
+        .populate('migration.destinationAccountId', 'name email');
+
+      if (!migration) {
+        return res.status(404).json({
+          success: false,
+          message: 'Migration not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { migration }
+      });
+    } catch (error) {
+      logger.error('Get migration by ID error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get the per-folder verification report of a migration
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMigrationReport(req, res) {
+    try {
+      const { id } = req.params;
+
+      const migration = await SyncJob.findOne({
+        _id: id,
+        userId: req.user._id,
+        syncType: 'migration'
+      }).select('status migration results');
+
+      if (!migration) {
+        return res.status(404).json({
+          success: false,
+          message: 'Migration not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          status: migration.status,
+          dryRun: migration.migration.dryRun,
+          report: migration.migration.report,
+          totals: {
+            copied: migration.results.emailsSynced,
+            skipped: migration.results.emailsSkipped,
+            failed: migration.results.emailsFailed
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get migration report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new MigrationController();
@@ -1,7 +1,7 @@
 const { validationResult } = require('express-validator');
 const SyncJob = require('../models/SyncJob');
 const EmailAccount = require('../models/EmailAccount');
-const emailSyncService = require('../services/emailSyncService');
+const syncQueueService = require('../services/syncQueueService');
 const logger = require('../utils/logger');
 
 /**
@@ -162,26 +162,12 @@ class SyncController {
         status: { $in: ['pending', 'running', 'paused'] }
       });
 
+      // Abandoned running jobs are requeued by the sync queue once their lease expires
       if (existingJob) {
-        // Check if the existing job is stuck (running for more than 5 minutes without progress)
-        const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-        if (existingJob.status === 'running' && existingJob.timing.startedAt && existingJob.timing.startedAt < fiveMinutesAgo) {
-          // Mark the stuck job as failed and allow a new one
-          existingJob.status = 'failed';
-          existingJob.error = {
-            message: 'Job was stuck and replaced by a new sync request',
-            code: 'JOB_STUCK',
-            timestamp: new Date()
-          };
-          existingJob.timing.completedAt = new Date();
-          await existingJob.save();
-          logger.warn(`Marked stuck sync job as failed: ${existingJob._id}`);
-        } else {
-          return res.status(409).json({
-            success: false,
-            message: 'A sync job is already running for this account'
-          });
-        }
+        return res.status(409).json({
+          success: false,
+          message: 'A sync job is already running for this account'
+        });
       }
 
       // Generate unique job ID and name
@@ -220,10 +206,11 @@ class SyncController {
       try {
         logger.info(`Sync job created: ${job._id} for account: ${account.email}`);
 
-        // For now, we'll simulate a successful sync start
-        // In a real implementation, you would start the actual sync process here
-        // This could be done with a background job queue like Bull or Agenda
-        
+        // The queue claims the pending job; the job document tracks progress
+        syncQueueService.poll().catch((error) => {
+          logger.error('Sync queue poll failed:', error);
+        });
+
         res.status(201).json({
           success: true,
           message: 'Sync job started successfully',
@@ -294,15 +281,16 @@ class SyncController {
         });
       }
 
-      if (job.status !== 'running') {
+      if (!['pending', 'running'].includes(job.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Only running sync jobs can be paused'
+          message: 'Only pending or running sync jobs can be paused'
         });
       }
 
-      // Pause sync
-      await emailSyncService.pauseSync(id);
+      // The runner stops at its next batch boundary and keeps its checkpoints
+      await job.pause();
+      logger.info(`Sync job paused: ${id} by user: ${req.user.email}`);
 
       res.json({
         success: true,
@@ -345,8 +333,12 @@ class SyncController {
         });
       }
 
-      // Resume sync
-      await emailSyncService.resumeSync(id);
+      // Requeue the job; it continues from the checkpoint of each folder
+      await job.resume();
+      syncQueueService.poll().catch((error) => {
+        logger.error('Sync queue poll failed:', error);
+      });
+      logger.info(`Sync job resumed: ${id} by user: ${req.user.email}`);
 
       res.json({
         success: true,
@@ -382,15 +374,16 @@ class SyncController {
         });
       }
 
-      if (!['running', 'paused'].includes(job.status)) {
+      if (!['pending', 'running', 'paused'].includes(job.status)) {
         return res.status(400).json({
           success: false,
-          message: 'Only running or paused sync jobs can be stopped'
+          message: 'Only pending, running or paused sync jobs can be stopped'
         });
       }
 
-      // Stop sync
-      await emailSyncService.stopSync(id);
+      // The runner stops at its next batch boundary
+      await job.cancel();
+      logger.info(`Sync job stopped: ${id} by user: ${req.user.email}`);
 
       res.json({
         success: true,
@@ -433,6 +426,7 @@ class SyncController {
             id: job._id,
             status: job.status,
             progress: job.progress,
+            checkpoints: job.checkpoints,
             currentFolder: job.currentFolder,
             processedEmails: job.processedEmails,
             totalEmails: job.totalEmails,
@@ -480,6 +474,7 @@ class SyncController {
             _id: null,
             totalJobs: { $sum: 1 },
             completedJobs: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+            partialJobs: { $sum: { $cond: [{ $eq: ['$status', 'partial'] }, 1, 0] } },
             failedJobs: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
             runningJobs: { $sum: { $cond: [{ $eq: ['$status', 'running'] }, 1, 0] } },
             pausedJobs: { $sum: { $cond: [{ $eq: ['$status', 'paused'] }, 1, 0] } },
@@ -503,6 +498,7 @@ class SyncController {
           stats: stats[0] || {
             totalJobs: 0,
             completedJobs: 0,
+            partialJobs: 0,
             failedJobs: 0,
             runningJobs: 0,
             pausedJobs: 0,
@@ -542,12 +538,7 @@ class SyncController {
         });
       }
 
-      // Stop job if running
-      if (['running', 'paused'].includes(job.status)) {
-        await emailSyncService.stopSync(id);
-      }
-
-      // Delete job
+      // Delete job; a running job stops once it notices the document is gone
       await SyncJob.findByIdAndDelete(id);
 
       logger.info(`Sync job deleted: ${id} by user: ${req.user.email}`);
@@ -577,7 +568,7 @@ class SyncController {
       
       const result = await SyncJob.deleteMany({
         userId: req.user._id,
-        status: { $in: ['completed', 'failed', 'cancelled'] },
+        status: { $in: ['completed', 'partial', 'failed', 'cancelled'] },
         createdAt: { $lt: oneHourAgo }
       });
 
@@ -625,23 +616,7 @@ class SyncController {
         });
       }
 
-      // Get jobs to delete
-      const jobs = await SyncJob.find({
-        _id: { $in: jobIds },
-        userId: req.user._id
-      });
-
-      // Stop running jobs
-      const runningJobs = jobs.filter(job => ['running', 'paused'].includes(job.status));
-      for (const job of runningJobs) {
-        try {
-          await emailSyncService.stopSync(job._id);
-        } catch (error) {
-          logger.warn(`Error stopping sync job ${job._id}:`, error.message);
-        }
-      }
-
-      // Delete jobs
+      // Delete jobs; running jobs stop once they notice the document is gone
       const result = await SyncJob.deleteMany({
         _id: { $in: jobIds },
         userId: req.user._id
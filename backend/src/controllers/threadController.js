@@ -0,0 +1,94 @@
+const { validationResult } = require('express-validator');
+const threadingService = require('../services/threadingService');
+const logger = require('../utils/logger');
+
+/**
+ * Thread Controller
+ * Handles conversation views built from threaded emails
+ */
+class ThreadController {
+  /**
+   * Get conversations with pagination and filtering
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getThreads(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 20, accountId, folder, unreadOnly } = req.query;
+
+      const { threads, totalCount } = await threadingService.getThreads(req.user._id, {
+        accountId,
+        folder,
+        unreadOnly: unreadOnly === 'true',
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: {
+          threads,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalCount,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1,
+            limit: parseInt(limit)
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Get threads error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get a conversation with its messages
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getThread(req, res) {
+    try {
+      const thread = await threadingService.getThread(req.user._id, req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { thread }
+      });
+    } catch (error) {
+      logger.error('Get thread error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+}
+
+const threadController = new ThreadController();
+
+module.exports = threadController;
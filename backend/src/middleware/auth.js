@@ -2,6 +2,12 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 
+/**
+ * Secret for signed attachment URLs, distinct from the session token secret
+ * @returns {string} Secret
+ */
+const getAttachmentSecret = () => `${process.env.JWT_SECRET}:attachment`;
+
 /**
  * Authentication Middleware
  * Handles JWT token verification and user authentication
@@ -82,6 +88,67 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * Sign an attachment URL for use where no Authorization header can be sent
+   * (e.g. inline images of rendered emails)
+   * @param {Object} params - userId, emailId, attachmentId
+   * @returns {string} Signature for the sig query parameter
+   */
+  signAttachment({ userId, emailId, attachmentId }) {
+    return jwt.sign(
+      { uid: String(userId), eid: String(emailId), aid: String(attachmentId) },
+      getAttachmentSecret(),
+      { expiresIn: process.env.ATTACHMENT_URL_TTL || '1h' }
+    );
+  }
+
+  /**
+   * Authenticate an attachment request by its signed URL
+   * Requests without a sig parameter continue to the regular token authentication
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  async authenticateSignedAttachment(req, res, next) {
+    if (!req.query.sig) {
+      return next('route');
+    }
+
+    try {
+      const decoded = jwt.verify(String(req.query.sig), getAttachmentSecret());
+      if (decoded.eid !== req.params.id || decoded.aid !== req.params.attachmentId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Signature does not match this attachment'
+        });
+      }
+
+      const user = await User.findById(decoded.uid);
+      if (!user || !user.isActive || user.isLocked) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid signature'
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          success: false,
+          message: error.name === 'TokenExpiredError' ? 'Signature has expired' : 'Invalid signature'
+        });
+      }
+
+      logger.error('Signed attachment authentication error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Require specific role
    * @param {string} role - Required role
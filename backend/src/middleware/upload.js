@@ -0,0 +1,45 @@
+const multer = require('multer');
+const importService = require('../services/importService');
+
+/**
+ * Upload Middleware
+ * Handles multipart file uploads. Files are written to disk so large archives
+ * never sit in memory; workers read them from the same directory.
+ */
+class UploadMiddleware {
+  constructor() {
+    this.maxImportSize = parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 1024 * 1024 * 1024; // 1 GB
+    this.archiveUpload = multer({
+      dest: importService.uploadDir,
+      limits: { fileSize: this.maxImportSize, files: 1 }
+    });
+  }
+
+  /**
+   * Accept a single mail archive upload
+   * @param {string} fieldName - Multipart field holding the file
+   * @returns {Function} Express middleware
+   */
+  archive(fieldName) {
+    const handler = this.archiveUpload.single(fieldName);
+    const maxImportSize = this.maxImportSize;
+
+    return (req, res, next) => {
+      handler(req, res, (error) => {
+        if (!error) return next();
+
+        if (error instanceof multer.MulterError) {
+          return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            success: false,
+            message: error.code === 'LIMIT_FILE_SIZE'
+              ? `Archive exceeds the maximum size of ${Math.round(maxImportSize / (1024 * 1024))} MB`
+              : `Upload failed: ${error.message}`
+          });
+        }
+        next(error);
+      });
+    };
+  }
+}
+
+module.exports = new UploadMiddleware();
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const attachmentStorageService = require('../services/attachmentStorageService');
+const rawMessageService = require('../services/rawMessageService');
+const logger = require('../utils/logger');
 
 /**
  * Email Model
@@ -24,7 +27,7 @@ const emailSchema = new mongoose.Schema({
   messageId: {
     type: String,
     required: [true, 'Message ID is required'],
-    unique: true
+    index: true
   },
   
   uid: {
@@ -33,6 +36,12 @@ const emailSchema = new mongoose.Schema({
     index: true
   },
   
+  // POP3 unique ID (UIDL); POP3 messages get sequential UIDs in INBOX
+  pop3Uidl: {
+    type: String,
+    default: undefined
+  },
+  
   // Email Headers
   headers: {
     from: {
@@ -86,6 +95,11 @@ const emailSchema = new mongoose.Schema({
     threadId: {
       type: String,
       index: true
+    },
+    
+    // Subject without reply prefixes, used to thread messages that lack references
+    threadSubject: {
+      type: String
     }
   },
   
@@ -105,7 +119,27 @@ const emailSchema = new mongoose.Schema({
       size: Number,
       contentId: String,
       disposition: String,
-      data: Buffer
+      
+      // Content lives in GridFS (see attachmentStorageService), shared by identical attachments
+      storageId: mongoose.Schema.Types.ObjectId,
+      sha256: String,
+      
+      // Inline content; moved to GridFS on save (legacy emails: npm run migrate-attachments)
+      data: {
+        type: Buffer,
+        select: false
+      },
+      
+      // Searchable text extracted by attachmentTextService
+      text: {
+        type: String,
+        select: false
+      },
+      
+      textStatus: {
+        type: String,
+        enum: ['extracted', 'empty', 'unsupported', 'too_large', 'failed']
+      }
     }],
     
     totalSize: {
@@ -114,6 +148,17 @@ const emailSchema = new mongoose.Schema({
     }
   },
   
+  // Original RFC 822 message, kept compressed by rawMessageService
+  raw: {
+    sha256: String,
+    size: Number,
+    // Only set while a new email is saved; moved to the raw message store
+    data: {
+      type: Buffer,
+      select: false
+    }
+  },
+  
   // Email Flags and Status
   flags: {
     seen: {
@@ -147,6 +192,47 @@ const emailSchema = new mongoose.Schema({
     }
   },
   
+  // Local flag changes waiting to be pushed to the IMAP server
+  flagSync: {
+    pending: {
+      seen: Boolean,
+      answered: Boolean,
+      flagged: Boolean,
+      deleted: Boolean,
+      draft: Boolean
+    },
+    
+    dirty: {
+      type: Boolean,
+      default: false
+    },
+    
+    version: {
+      type: Number,
+      default: 0
+    },
+    
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    
+    lastPushedAt: {
+      type: Date,
+      default: null
+    },
+    
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  
   // Folder Information
   folder: {
     type: String,
@@ -330,11 +416,14 @@ emailSchema.index({
   'headers.subject': 'text',
   'headers.from': 'text',
   'content.text': 'text',
-  'content.html': 'text'
+  'content.html': 'text',
+  'content.attachments.text': 'text'
 });
 
 // Compound indexes for performance
 emailSchema.index({ userId: 1, emailAccountId: 1 });
+emailSchema.index({ emailAccountId: 1, folder: 1, uid: 1 }, { unique: true });
+emailSchema.index({ emailAccountId: 1, pop3Uidl: 1 }, { unique: true, partialFilterExpression: { pop3Uidl: { $exists: true } } });
 emailSchema.index({ userId: 1, 'headers.date': -1 });
 emailSchema.index({ userId: 1, folder: 1, 'headers.date': -1 });
 emailSchema.index({ userId: 1, 'analytics.sender.domain': 1 });
@@ -343,6 +432,12 @@ emailSchema.index({ userId: 1, 'flags.seen': 1 });
 emailSchema.index({ userId: 1, 'flags.flagged': 1 });
 emailSchema.index({ userId: 1, 'patterns.isNewsletter': 1 });
 emailSchema.index({ userId: 1, 'security.isSpam': 1 });
+emailSchema.index({ 'flagSync.dirty': 1, 'flagSync.nextAttemptAt': 1 });
+emailSchema.index({ 'processing.isIndexed': 1, 'headers.date': -1 });
+emailSchema.index({ userId: 1, 'headers.threadId': 1, 'headers.date': 1 });
+emailSchema.index({ userId: 1, 'headers.threadSubject': 1, 'headers.date': -1 });
+emailSchema.index({ userId: 1, 'headers.references': 1 });
+emailSchema.index({ userId: 1, 'headers.inReplyTo': 1 });
 
 // Virtual for email summary
 emailSchema.virtual('summary').get(function() {
@@ -374,6 +469,57 @@ emailSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to move attachment content of new emails into GridFS
+emailSchema.pre('save', async function() {
+  if (!this.isNew) return;
+  this.$locals.attachmentRefs = await attachmentStorageService.externalize(this.content.attachments);
+});
+
+// Pre-save middleware to move the raw message of new emails into the raw message store
+emailSchema.pre('save', async function() {
+  if (!this.isNew) return;
+  this.$locals.rawRefs = await rawMessageService.externalize(this.raw);
+});
+
+// Drop the attachment and raw message references of emails that failed to save
+emailSchema.post('save', function(error, doc, next) {
+  Promise.all([
+    attachmentStorageService.releaseQuietly(doc.$locals.attachmentRefs || []),
+    rawMessageService.releaseQuietly(doc.$locals.rawRefs || [])
+  ]).then(() => next(error));
+});
+
+// Collect the attachment and raw message references of emails about to be deleted
+emailSchema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+  const query = this.model.find(this.getFilter()).select('content.attachments.storageId raw.sha256').lean();
+  const emails = this.op === 'deleteOne' ? [await query.findOne()].filter(Boolean) : await query;
+  // Emails stored after this point are not deleted, so their references stay counted
+  this.where({ _id: { $in: emails.map(email => email._id) } });
+  this._collectedCount = emails.length;
+  this._attachmentRefs = emails.flatMap(email => (email.content?.attachments || [])
+    .filter(attachment => attachment.storageId)
+    .map(attachment => attachment.storageId));
+  this._rawRefs = emails.filter(email => email.raw?.sha256).map(email => email.raw.sha256);
+});
+
+// Release them once the emails are gone
+emailSchema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function(result) {
+  if (!this._collectedCount) return;
+
+  // A concurrent delete removed some of the collected emails first and releases
+  // their references itself; which ones is unknown, so release none rather than
+  // dropping references twice (the blobs are kept, never lost)
+  if (result.deletedCount !== this._collectedCount) {
+    if (result.deletedCount > 0) {
+      logger.warn(`Deleted ${result.deletedCount} of ${this._collectedCount} emails; keeping their attachment and raw message references`);
+    }
+    return;
+  }
+
+  await attachmentStorageService.releaseQuietly(this._attachmentRefs || []);
+  await rawMessageService.releaseQuietly(this._rawRefs || []);
+});
+
 // Instance method to mark as processed
 emailSchema.methods.markAsProcessed = function() {
   this.processing.isProcessed = true;
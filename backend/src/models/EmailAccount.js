@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const encryptionService = require('../services/encryptionService');
+
+// Secrets stored encrypted with the account's data key
+const ENCRYPTED_PATHS = [
+  'authConfig.password',
+  'authConfig.oauth2Config.clientSecret',
+  'authConfig.oauth2Config.refreshToken'
+];
 
 /**
  * EmailAccount Model
@@ -29,17 +37,24 @@ const emailAccountSchema = new mongoose.Schema({
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email address']
   },
   
+  // Mail retrieval protocol
+  protocol: {
+    type: String,
+    enum: ['imap', 'pop3'],
+    default: 'imap'
+  },
+  
   // IMAP Server Configuration
   imapConfig: {
     host: {
       type: String,
-      required: [true, 'IMAP host is required'],
+      required: [function() { return this.protocol !== 'pop3'; }, 'IMAP host is required'],
       trim: true
     },
     
     port: {
       type: Number,
-      required: [true, 'IMAP port is required'],
+      required: [function() { return this.protocol !== 'pop3'; }, 'IMAP port is required'],
       min: [1, 'Port must be between 1 and 65535'],
       max: [65535, 'Port must be between 1 and 65535']
     },
@@ -67,6 +82,36 @@ const emailAccountSchema = new mongoose.Schema({
     }
   },
   
+  // POP3 Server Configuration (protocol "pop3")
+  pop3Config: {
+    host: {
+      type: String,
+      required: [function() { return this.protocol === 'pop3'; }, 'POP3 host is required'],
+      trim: true
+    },
+    
+    port: {
+      type: Number,
+      required: [function() { return this.protocol === 'pop3'; }, 'POP3 port is required'],
+      min: [1, 'Port must be between 1 and 65535'],
+      max: [65535, 'Port must be between 1 and 65535']
+    },
+    
+    // tls: implicit TLS (995), starttls: STLS upgrade (110), none: plaintext
+    security: {
+      type: String,
+      enum: ['tls', 'starttls', 'none'],
+      default: 'tls'
+    },
+    
+    // Keep messages on the server after they are stored; otherwise they are
+    // deleted once ingested
+    leaveOnServer: {
+      type: Boolean,
+      default: true
+    }
+  },
+  
   // Authentication Configuration
   authConfig: {
     method: {
@@ -91,17 +136,27 @@ const emailAccountSchema = new mongoose.Schema({
     },
     
     oauth2Config: {
+      // Accounts onboarded through the authorization flow use the provider's
+      // client credentials from the environment
+      provider: {
+        type: String,
+        enum: ['gmail', 'microsoft', null],
+        default: null
+      },
+      
       clientId: {
         type: String,
         required: function() {
-          return this.authConfig.method === 'OAUTH2' || this.authConfig.method === 'XOAUTH2';
+          return (this.authConfig.method === 'OAUTH2' || this.authConfig.method === 'XOAUTH2') &&
+            !this.authConfig.oauth2Config?.provider;
         }
       },
       
       clientSecret: {
         type: String,
         required: function() {
-          return this.authConfig.method === 'OAUTH2' || this.authConfig.method === 'XOAUTH2';
+          return (this.authConfig.method === 'OAUTH2' || this.authConfig.method === 'XOAUTH2') &&
+            !this.authConfig.oauth2Config?.provider;
         },
         select: false
       },
@@ -223,6 +278,61 @@ const emailAccountSchema = new mongoose.Schema({
     }
   },
   
+  // Connection Health (circuit breaker)
+  health: {
+    circuitState: {
+      type: String,
+      enum: ['closed', 'open', 'half-open'],
+      default: 'closed'
+    },
+    
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    },
+    
+    // Times the circuit opened without a successful connection in between
+    openCount: {
+      type: Number,
+      default: 0
+    },
+    
+    openedAt: {
+      type: Date,
+      default: null
+    },
+    
+    retryAt: {
+      type: Date,
+      default: null
+    },
+    
+    // Set when sync was disabled by the health monitor
+    disabledReason: {
+      type: String,
+      default: null
+    },
+    
+    history: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['success', 'failure', 'circuit_open', 'circuit_half_open', 'circuit_closed', 'sync_disabled']
+      },
+      category: {
+        type: String,
+        enum: ['auth', 'network', 'timeout', 'protocol', null],
+        default: null
+      },
+      message: String,
+      code: String,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  
   // Sync Configuration
   syncConfig: {
     enabled: {
@@ -427,6 +537,19 @@ const emailAccountSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null
+  },
+  
+  // Envelope encryption: data key wrapped with the master key keyId
+  encryption: {
+    keyId: {
+      type: String,
+      default: null
+    },
+    
+    dataKey: {
+      type: String,
+      default: null
+    }
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt
@@ -463,6 +586,16 @@ emailAccountSchema.pre('save', function(next) {
   next();
 });
 
+// Pre-save middleware to encrypt secrets set in plaintext
+emailAccountSchema.pre('save', function(next) {
+  try {
+    this.encryptSecrets();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Pre-save middleware to calculate next sync time
 emailAccountSchema.pre('save', function(next) {
   if (this.isModified('syncConfig.frequency') && this.syncConfig.enabled) {
@@ -471,6 +604,72 @@ emailAccountSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to get the account's data key, creating it on first use
+emailAccountSchema.methods.getDataKey = function() {
+  if (!this.encryption?.dataKey) {
+    this.encryption = encryptionService.generateDataKey();
+  }
+  return encryptionService.unwrapDataKey(this.encryption);
+};
+
+// Instance method to encrypt secret fields that hold plaintext
+emailAccountSchema.methods.encryptSecrets = function() {
+  const pending = ENCRYPTED_PATHS.filter((path) => {
+    const value = this.get(path);
+    return value && !encryptionService.isEncrypted(value);
+  });
+  if (pending.length === 0) return;
+
+  const dataKey = this.getDataKey();
+  for (const path of pending) {
+    this.set(path, encryptionService.encrypt(dataKey, this.get(path), `${this._id}:${path}`));
+  }
+};
+
+// Instance method to read a decrypted secret (the path must be selected)
+// Values written before encryption was enabled are returned as stored
+emailAccountSchema.methods.getSecret = function(path) {
+  const value = this.get(path);
+  if (!encryptionService.isEncrypted(value)) return value;
+
+  const dataKey = encryptionService.unwrapDataKey(this.encryption);
+  return encryptionService.decrypt(dataKey, value, `${this._id}:${path}`);
+};
+
+// Instance method to check whether secrets use an old master key or plaintext
+emailAccountSchema.methods.needsKeyRotation = function() {
+  return Boolean(this.encryption?.dataKey && this.encryption.keyId !== encryptionService.activeKeyId) ||
+    ENCRYPTED_PATHS.some((path) => {
+      const value = this.get(path);
+      return value && !encryptionService.isEncrypted(value);
+    });
+};
+
+// Instance method to move the account to the active master key
+// With rekey, a new data key is generated and every secret is re-encrypted
+// Requires all encrypted paths to be selected
+emailAccountSchema.methods.rotateEncryption = function({ rekey = false } = {}) {
+  const unselected = ENCRYPTED_PATHS.filter(path => !this.isSelected(path));
+  if (unselected.length > 0) {
+    throw new Error(`Cannot rotate encryption without selecting: ${unselected.join(', ')}`);
+  }
+
+  if (rekey || !this.encryption?.dataKey) {
+    const secrets = ENCRYPTED_PATHS
+      .filter(path => this.get(path))
+      .map(path => [path, this.getSecret(path)]);
+
+    this.encryption = encryptionService.generateDataKey();
+    for (const [path, value] of secrets) {
+      this.set(path, value);
+    }
+  } else {
+    this.encryption = encryptionService.wrapDataKey(encryptionService.unwrapDataKey(this.encryption));
+  }
+
+  this.encryptSecrets();
+};
+
 // Instance method to test connection
 emailAccountSchema.methods.testConnection = async function() {
   const imapService = require('../services/imapService');
@@ -481,8 +680,9 @@ emailAccountSchema.methods.testConnection = async function() {
       port: this.imapConfig.port,
       secure: this.imapConfig.secure,
       username: this.authConfig.username,
-      password: this.authConfig.password,
+      password: this.getSecret('authConfig.password'),
       authMethod: this.authConfig.method,
+      accountId: this._id,
       tlsOptions: this.imapConfig.tlsOptions
     };
     
@@ -520,6 +720,46 @@ emailAccountSchema.methods.testConnection = async function() {
   }
 };
 
+// Instance method to build the IMAP service configuration
+// Requires authConfig.password to be selected
+emailAccountSchema.methods.getImapConfig = function() {
+  const tlsOptions = {
+    rejectUnauthorized: this.imapConfig.tlsOptions?.rejectUnauthorized || false
+  };
+  if (this.imapConfig.tlsOptions?.minVersion) {
+    tlsOptions.minVersion = this.imapConfig.tlsOptions.minVersion;
+  }
+  if (this.imapConfig.tlsOptions?.ciphers) {
+    tlsOptions.ciphers = this.imapConfig.tlsOptions.ciphers;
+  }
+
+  return {
+    host: this.imapConfig.host,
+    port: this.imapConfig.port,
+    secure: this.imapConfig.secure,
+    username: this.authConfig.username,
+    password: this.getSecret('authConfig.password'),
+    authMethod: this.authConfig.method,
+    accountId: this._id, // Used to refresh OAuth access tokens
+    maxConnections: this.provider?.limits?.maxConnections, // Per-login limit of the connection pool
+    tlsOptions
+  };
+};
+
+// Instance method to build the POP3 service configuration
+// Requires authConfig.password to be selected
+emailAccountSchema.methods.getPop3Config = function() {
+  return {
+    host: this.pop3Config.host,
+    port: this.pop3Config.port,
+    security: this.pop3Config.security,
+    username: this.authConfig.username,
+    password: this.getSecret('authConfig.password'),
+    authMethod: this.authConfig.method,
+    accountId: this._id // Used to refresh OAuth access tokens
+  };
+};
+
 // Instance method to calculate next sync time
 emailAccountSchema.methods.calculateNextSyncTime = function() {
   if (!this.syncConfig.enabled) {
@@ -534,7 +774,9 @@ emailAccountSchema.methods.calculateNextSyncTime = function() {
   
   switch (frequency) {
     case 'realtime':
-      nextSyncTime = new Date(now.getTime() + 60000); // 1 minute
+      // The IDLE watcher handles new mail; scheduled syncs are a safety net for
+      // the other folders and for changes the watcher missed
+      nextSyncTime = new Date(now.getTime() + (parseInt(process.env.REALTIME_SAFETY_SYNC_INTERVAL) || 60 * 60000));
       break;
     case '5min':
       nextSyncTime = new Date(now.getTime() + 5 * 60000);
@@ -599,11 +841,17 @@ emailAccountSchema.methods.needsSync = function() {
 
 // Static method to find accounts that need sync
 emailAccountSchema.statics.findAccountsNeedingSync = function() {
+  const now = new Date();
   return this.find({
     isEnabled: true,
     'syncConfig.enabled': true,
-    'syncConfig.nextSyncAt': { $lte: new Date() },
-    status: { $in: ['active', 'inactive'] }
+    'syncConfig.nextSyncAt': { $lte: now },
+    status: { $in: ['active', 'inactive'] },
+    // Skip accounts whose circuit is open until it may be retried
+    $or: [
+      { 'health.circuitState': { $nin: ['open', 'half-open'] } },
+      { 'health.retryAt': { $lte: now } }
+    ]
   });
 };
 
@@ -647,6 +895,11 @@ emailAccountSchema.statics.getAccountStats = async function() {
   };
 };
 
+// Static method to get the projection that selects every encrypted path
+emailAccountSchema.statics.getEncryptedSelect = function() {
+  return ENCRYPTED_PATHS.map(path => `+${path}`).join(' ');
+};
+
 // Export the model
 const EmailAccount = mongoose.model('EmailAccount', emailAccountSchema);
 
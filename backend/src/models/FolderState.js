@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+
+/**
+ * FolderState Model
+ * Caches the IMAP folder tree of an account and tracks per-folder synchronization
+ * state (UIDVALIDITY, highest UID, HIGHESTMODSEQ) so incremental syncs only fetch new messages
+ */
+const folderStateSchema = new mongoose.Schema({
+  // Account Reference
+  emailAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailAccount',
+    required: [true, 'Email Account ID is required'],
+    index: true
+  },
+
+  folder: {
+    type: String,
+    required: [true, 'Folder is required'],
+    trim: true
+  },
+
+  // Folder Listing (LIST/LSUB)
+  name: {
+    type: String,
+    trim: true
+  },
+
+  parentPath: {
+    type: String,
+    default: null
+  },
+
+  delimiter: {
+    type: String,
+    default: '/'
+  },
+
+  attributes: [{
+    type: String
+  }],
+
+  specialUse: {
+    type: String,
+    enum: ['all', 'archive', 'drafts', 'flagged', 'junk', 'sent', 'trash', null],
+    default: null
+  },
+
+  isSubscribed: {
+    type: Boolean,
+    default: false
+  },
+
+  isSelectable: {
+    type: Boolean,
+    default: true
+  },
+
+  isListed: {
+    type: Boolean,
+    default: false
+  },
+
+  unseenCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastListedAt: {
+    type: Date,
+    default: null
+  },
+
+  // IMAP Mailbox State
+  uidValidity: {
+    type: Number,
+    default: null
+  },
+
+  highestUid: {
+    type: Number,
+    default: 0
+  },
+
+  uidNext: {
+    type: Number,
+    default: null
+  },
+
+  highestModSeq: {
+    type: String,
+    default: null
+  },
+
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Sync Information
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastFullSyncAt: {
+    type: Date,
+    default: null
+  },
+
+  uidValidityChanges: {
+    type: Number,
+    default: 0
+  },
+
+  // Messages below the high-water mark that could not be stored; later syncs retry them
+  failedUids: [{
+    _id: false,
+    uid: {
+      type: Number,
+      required: true
+    },
+    attempts: {
+      type: Number,
+      default: 1
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    lastAttemptAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+folderStateSchema.index({ emailAccountId: 1, folder: 1 }, { unique: true });
+
+// Instance method to check whether the stored state still matches the mailbox
+folderStateSchema.methods.isValidFor = function(uidValidity) {
+  return this.uidValidity !== null && Number(this.uidValidity) === Number(uidValidity);
+};
+
+// Instance method to reset state after a UIDVALIDITY change
+folderStateSchema.methods.reset = function(uidValidity) {
+  if (this.uidValidity !== null) {
+    this.uidValidityChanges += 1;
+  }
+  this.uidValidity = uidValidity;
+  this.highestUid = 0;
+  this.highestModSeq = null;
+  this.messageCount = 0;
+  this.failedUids = [];
+};
+
+// Instance method to record a completed folder sync
+folderStateSchema.methods.recordSync = function(box, highestUid, isFullSync) {
+  this.uidValidity = box.uidvalidity;
+  this.uidNext = box.uidnext || null;
+  this.highestModSeq = box.highestmodseq || null;
+  this.messageCount = box.messages ? box.messages.total : this.messageCount;
+  this.highestUid = Math.max(this.highestUid || 0, highestUid || 0);
+  this.lastSyncedAt = new Date();
+  if (isFullSync) {
+    this.lastFullSyncAt = new Date();
+  }
+  return this.save();
+};
+
+// Instance method to record messages that could not be stored
+folderStateSchema.methods.recordFailedUids = function(failures) {
+  for (const { uid, error } of failures) {
+    const entry = this.failedUids.find(failed => failed.uid === uid);
+    if (entry) {
+      entry.attempts += 1;
+      entry.lastError = error.message;
+      entry.lastAttemptAt = new Date();
+    } else {
+      this.failedUids.push({ uid, lastError: error.message });
+    }
+  }
+};
+
+// Instance method to forget failed messages that are now stored or expunged
+folderStateSchema.methods.clearFailedUids = function(uids) {
+  const done = new Set(uids);
+  this.failedUids = this.failedUids.filter(failed => !done.has(failed.uid));
+};
+
+// Instance method to get failed messages that may be retried
+folderStateSchema.methods.getRetryUids = function(maxAttempts) {
+  return this.failedUids
+    .filter(failed => failed.attempts < maxAttempts)
+    .map(failed => failed.uid)
+    .sort((a, b) => a - b);
+};
+
+// Static method to find or create state for a folder
+folderStateSchema.statics.findOrCreate = async function(emailAccountId, folder) {
+  return this.findOneAndUpdate(
+    { emailAccountId, folder },
+    { $setOnInsert: { emailAccountId, folder } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Instance method to format the folder as a tree node
+folderStateSchema.methods.toTreeNode = function() {
+  return {
+    name: this.name || this.folder,
+    path: this.folder,
+    delimiter: this.delimiter,
+    specialUse: this.specialUse,
+    attributes: this.attributes,
+    isSubscribed: this.isSubscribed,
+    isSelectable: this.isSelectable,
+    totalMessages: this.messageCount,
+    unseenMessages: this.unseenCount,
+    lastListedAt: this.lastListedAt,
+    lastSyncedAt: this.lastSyncedAt,
+    children: []
+  };
+};
+
+// Static method to find listed folders for an account
+folderStateSchema.statics.findListedByAccount = function(emailAccountId) {
+  return this.find({ emailAccountId, isListed: true }).sort({ folder: 1 });
+};
+
+// Static method to find all folder states for an account
+folderStateSchema.statics.findByAccount = function(emailAccountId) {
+  return this.find({ emailAccountId }).sort({ folder: 1 });
+};
+
+// Export the model
+const FolderState = mongoose.model('FolderState', folderStateSchema);
+
+module.exports = FolderState;
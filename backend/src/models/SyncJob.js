@@ -43,7 +43,7 @@ const syncJobSchema = new mongoose.Schema({
   // Job Configuration
   syncType: {
     type: String,
-    enum: ['full', 'incremental', 'folder'],
+    enum: ['full', 'incremental', 'folder', 'migration', 'import'],
     default: 'incremental'
   },
   
@@ -95,7 +95,7 @@ const syncJobSchema = new mongoose.Schema({
   // Job Status
   status: {
     type: String,
-    enum: ['pending', 'running', 'paused', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'running', 'paused', 'completed', 'partial', 'failed', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -188,6 +188,174 @@ const syncJobSchema = new mongoose.Schema({
     }
   },
   
+  // Mailbox Migration (IMAP-to-IMAP copy from accountId to destinationAccountId)
+  migration: {
+    destinationAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailAccount',
+      default: null
+    },
+    
+    dryRun: {
+      type: Boolean,
+      default: false
+    },
+    
+    folderMappings: [{
+      source: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      
+      destination: {
+        type: String,
+        required: true,
+        trim: true
+      }
+    }],
+    
+    dateRange: {
+      from: {
+        type: Date,
+        default: null
+      },
+      
+      to: {
+        type: Date,
+        default: null
+      }
+    },
+    
+    report: {
+      generatedAt: {
+        type: Date,
+        default: null
+      },
+      
+      verified: {
+        type: Boolean,
+        default: null
+      },
+      
+      folders: [{
+        source: String,
+        destination: String,
+        sourceCount: Number,
+        destinationCount: Number,
+        destinationExists: Boolean,
+        copied: Number,
+        skipped: Number,
+        failed: Number,
+        outOfBand: Number,
+        status: {
+          type: String,
+          enum: ['verified', 'mismatch', 'planned', 'failed']
+        }
+      }],
+      
+      // Messages above SYNC_MAX_MESSAGE_SIZE left in the spool directory for manual handling
+      outOfBandMessages: [{
+        _id: false,
+        folder: String,
+        uid: Number,
+        size: Number,
+        path: String
+      }]
+    }
+  },
+  
+  // Archive Import (uploaded mbox, EML, zip of EML files or Maildir tarball)
+  import: {
+    filePath: {
+      type: String,
+      default: null,
+      select: false
+    },
+    
+    originalName: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    
+    format: {
+      type: String,
+      enum: ['mbox', 'eml', 'zip', 'maildir', null],
+      default: null
+    },
+    
+    size: {
+      type: Number,
+      default: 0
+    },
+    
+    folder: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    
+    // Messages that could not be imported (first 100)
+    failures: [{
+      position: Number,
+      name: String,
+      code: String,
+      message: String
+    }]
+  },
+  
+  // Queue Lease (owner process and expiry while running)
+  lease: {
+    owner: {
+      type: String,
+      default: null
+    },
+    
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    
+    heartbeatAt: {
+      type: Date,
+      default: null
+    },
+    
+    token: {
+      type: String,
+      default: null
+    }
+  },
+  
+  // Per-folder progress so paused or interrupted jobs resume where they stopped
+  checkpoints: [{
+    folder: {
+      type: String,
+      required: true
+    },
+    
+    uidValidity: {
+      type: Number,
+      default: null
+    },
+    
+    lastUid: {
+      type: Number,
+      default: 0
+    },
+    
+    completed: {
+      type: Boolean,
+      default: false
+    },
+    
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
   // Job Results
   results: {
     emailsSynced: {
@@ -238,7 +406,7 @@ const syncJobSchema = new mongoose.Schema({
     
     trigger: {
       type: String,
-      enum: ['manual', 'scheduled', 'api', 'webhook'],
+      enum: ['manual', 'schedule', 'scheduled', 'api', 'webhook', 'realtime'],
       default: 'manual'
     },
     
@@ -270,6 +438,8 @@ syncJobSchema.index({ userId: 1, status: 1 });
 syncJobSchema.index({ userId: 1, accountId: 1 });
 syncJobSchema.index({ userId: 1, createdAt: -1 });
 syncJobSchema.index({ status: 1, 'timing.nextRunTime': 1 });
+syncJobSchema.index({ status: 1, 'lease.expiresAt': 1 });
+syncJobSchema.index({ userId: 1, syncType: 1, createdAt: -1 });
 
 // Virtual for job duration
 syncJobSchema.virtual('duration').get(function() {
@@ -304,10 +474,10 @@ syncJobSchema.pre('save', function(next) {
   next();
 });
 
-// Instance method to start job
+// Instance method to start job (keeps the original start time when resuming)
 syncJobSchema.methods.start = function() {
   this.status = 'running';
-  this.timing.startedAt = new Date();
+  this.timing.startedAt = this.timing.startedAt || new Date();
   return this.save();
 };
 
@@ -316,6 +486,22 @@ syncJobSchema.methods.complete = function() {
   this.status = 'completed';
   this.timing.completedAt = new Date();
   this.progress.percentage = 100;
+  this.releaseLease();
+  return this.save();
+};
+
+// Instance method to finish a job in which some folders failed; the error
+// names them and the next sync retries them
+syncJobSchema.methods.completePartially = function(error) {
+  this.status = 'partial';
+  this.timing.completedAt = new Date();
+  this.error = {
+    message: error.message,
+    code: error.code,
+    timestamp: new Date(),
+    retryCount: this.error?.retryCount || 0
+  };
+  this.releaseLease();
   return this.save();
 };
 
@@ -327,20 +513,49 @@ syncJobSchema.methods.fail = function(error) {
     message: error.message,
     code: error.code,
     stack: error.stack,
-    timestamp: new Date()
+    timestamp: new Date(),
+    retryCount: this.error?.retryCount || 0
   };
+  this.releaseLease();
   return this.save();
 };
 
+// Instance method to requeue a failed attempt with exponential backoff, or fail
+// the job once options.retryAttempts is exhausted. Returns true if requeued.
+syncJobSchema.methods.failOrRetry = async function(error) {
+  const retryCount = this.error?.retryCount || 0;
+
+  if (error.retryable === false || retryCount >= this.options.retryAttempts) {
+    await this.fail(error);
+    return false;
+  }
+
+  const delay = this.options.retryDelay * Math.pow(2, retryCount);
+  this.status = 'pending';
+  this.timing.nextRunTime = new Date(Date.now() + delay);
+  this.error = {
+    message: error.message,
+    code: error.code,
+    stack: error.stack,
+    timestamp: new Date(),
+    retryCount: retryCount + 1
+  };
+  this.releaseLease();
+  await this.save();
+  return true;
+};
+
 // Instance method to pause job
 syncJobSchema.methods.pause = function() {
   this.status = 'paused';
+  this.releaseLease();
   return this.save();
 };
 
-// Instance method to resume job
+// Instance method to resume job; the queue picks it up again from its checkpoints
 syncJobSchema.methods.resume = function() {
-  this.status = 'running';
+  this.status = 'pending';
+  this.timing.nextRunTime = null;
   return this.save();
 };
 
@@ -348,9 +563,41 @@ syncJobSchema.methods.resume = function() {
 syncJobSchema.methods.cancel = function() {
   this.status = 'cancelled';
   this.timing.completedAt = new Date();
+  this.releaseLease();
   return this.save();
 };
 
+// Instance method to clear the queue lease
+syncJobSchema.methods.releaseLease = function() {
+  this.lease = { owner: null, expiresAt: null, heartbeatAt: null, token: null };
+};
+
+// Instance method to get the checkpoint for a folder
+syncJobSchema.methods.getCheckpoint = function(folder) {
+  return this.checkpoints.find(checkpoint => checkpoint.folder === folder) || null;
+};
+
+// Instance method to record folder progress (saved with the next job save)
+syncJobSchema.methods.recordCheckpoint = function(folder, values) {
+  let checkpoint = this.getCheckpoint(folder);
+  if (!checkpoint) {
+    this.checkpoints.push({ folder });
+    checkpoint = this.checkpoints[this.checkpoints.length - 1];
+  }
+  Object.assign(checkpoint, values, { updatedAt: new Date() });
+  return checkpoint;
+};
+
+// Instance method to extend the lease; resolves false if the job is no longer ours
+syncJobSchema.methods.heartbeat = async function(owner, leaseDuration) {
+  const now = new Date();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, status: 'running', 'lease.owner': owner, 'lease.token': this.lease.token },
+    { $set: { 'lease.expiresAt': new Date(now.getTime() + leaseDuration), 'lease.heartbeatAt': now } }
+  );
+  return result.matchedCount > 0;
+};
+
 // Instance method to update progress
 syncJobSchema.methods.updateProgress = function(progress) {
   Object.assign(this.progress, progress);
@@ -387,6 +634,36 @@ syncJobSchema.statics.findPendingJobs = function() {
   });
 };
 
+// Static method to atomically claim the next due pending job
+syncJobSchema.statics.claimNext = function(owner, leaseDuration) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      status: 'pending',
+      $or: [{ 'timing.nextRunTime': null }, { 'timing.nextRunTime': { $lte: now } }]
+    },
+    {
+      $set: {
+        status: 'running',
+        'lease.owner': owner,
+        'lease.expiresAt': new Date(now.getTime() + leaseDuration),
+        'lease.heartbeatAt': now,
+        'lease.token': new mongoose.Types.ObjectId().toString()
+      }
+    },
+    { sort: { 'metadata.priority': -1, createdAt: 1 }, new: true }
+  );
+};
+
+// Static method to find running jobs whose lease expired
+syncJobSchema.statics.findAbandonedJobs = function(includeUnleased = false) {
+  const expired = [{ 'lease.expiresAt': { $lt: new Date() } }];
+  if (includeUnleased) {
+    expired.push({ 'lease.expiresAt': null });
+  }
+  return this.find({ status: 'running', $or: expired });
+};
+
 // Static method to get job statistics
 syncJobSchema.statics.getJobStats = async function(userId) {
   const stats = await this.aggregate([
@@ -397,6 +674,7 @@ syncJobSchema.statics.getJobStats = async function(userId) {
         totalJobs: { $sum: 1 },
         runningJobs: { $sum: { $cond: [{ $eq: ['$status', 'running'] }, 1, 0] } },
         completedJobs: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        partialJobs: { $sum: { $cond: [{ $eq: ['$status', 'partial'] }, 1, 0] } },
         failedJobs: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
         totalEmailsSynced: { $sum: '$results.emailsSynced' },
         averageSyncTime: { $avg: '$timing.duration' }
@@ -408,6 +686,7 @@ syncJobSchema.statics.getJobStats = async function(userId) {
     totalJobs: 0,
     runningJobs: 0,
     completedJobs: 0,
+    partialJobs: 0,
     failedJobs: 0,
     totalEmailsSynced: 0,
     averageSyncTime: 0
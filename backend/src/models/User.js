@@ -156,7 +156,14 @@ const userSchema = new mongoose.Schema({
       default: 30,
       min: 1,
       max: 365
-    }
+    },
+
+    // Senders (addresses or domains) whose remote images load without asking
+    imageSenders: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }]
   },
   
   // Analytics Settings
@@ -1,11 +1,17 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const emailAccountController = require('../controllers/emailAccountController');
 const authMiddleware = require('../middleware/auth');
+const uploadMiddleware = require('../middleware/upload');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
+// The OAuth provider redirects the browser here without an API token; it only
+// checks the state and hands the code to the frontend, which completes the
+// flow through the authenticated /complete route
+router.get('/oauth/:provider/callback', emailAccountController.oauthCallback);
+
+// Apply authentication middleware to all other routes
 router.use(authMiddleware.authenticate);
 
 // Validation rules - Updated to match frontend form structure
@@ -21,21 +27,52 @@ const addAccountValidation = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
   
+  body('protocol')
+    .optional()
+    .isIn(['imap', 'pop3'])
+    .withMessage('Protocol must be one of: imap, pop3'),
+  
   // IMAP Configuration validation
   body('imapConfig.host')
+    .if(body('protocol').not().equals('pop3'))
     .notEmpty()
     .withMessage('IMAP server is required')
     .isLength({ max: 255 })
     .withMessage('Server address cannot exceed 255 characters'),
   
   body('imapConfig.port')
+    .if(body('protocol').not().equals('pop3'))
     .isInt({ min: 1, max: 65535 })
     .withMessage('Port must be a valid port number (1-65535)'),
   
   body('imapConfig.secure')
+    .if(body('protocol').not().equals('pop3'))
     .isBoolean()
     .withMessage('Secure must be a boolean value'),
   
+  // POP3 Configuration validation
+  body('pop3Config.host')
+    .if(body('protocol').equals('pop3'))
+    .notEmpty()
+    .withMessage('POP3 server is required')
+    .isLength({ max: 255 })
+    .withMessage('Server address cannot exceed 255 characters'),
+  
+  body('pop3Config.port')
+    .if(body('protocol').equals('pop3'))
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Port must be a valid port number (1-65535)'),
+  
+  body('pop3Config.security')
+    .optional()
+    .isIn(['tls', 'starttls', 'none'])
+    .withMessage('POP3 security must be one of: tls, starttls, none'),
+  
+  body('pop3Config.leaveOnServer')
+    .optional()
+    .isBoolean()
+    .withMessage('Leave on server must be a boolean'),
+  
   // Authentication validation
   body('authConfig.method')
     .isIn(['PLAIN', 'LOGIN', 'OAUTH2'])
@@ -87,7 +124,7 @@ const addAccountValidation = [
   
   body('syncConfig.frequency')
     .optional()
-    .isIn(['5min', '15min', '30min', '1hour', '6hours', '12hours', '1day'])
+    .isIn(['realtime', '5min', '15min', '30min', '1hour', '6hours', '12hours', '1day'])
     .withMessage('Sync frequency must be a valid option'),
   
   body('syncConfig.batchSize')
@@ -142,6 +179,26 @@ const updateAccountValidation = [
     .isBoolean()
     .withMessage('Secure must be a boolean value'),
   
+  body('pop3Config.host')
+    .optional()
+    .isLength({ max: 255 })
+    .withMessage('Server address cannot exceed 255 characters'),
+  
+  body('pop3Config.port')
+    .optional()
+    .isInt({ min: 1, max: 65535 })
+    .withMessage('Port must be a valid port number (1-65535)'),
+  
+  body('pop3Config.security')
+    .optional()
+    .isIn(['tls', 'starttls', 'none'])
+    .withMessage('POP3 security must be one of: tls, starttls, none'),
+  
+  body('pop3Config.leaveOnServer')
+    .optional()
+    .isBoolean()
+    .withMessage('Leave on server must be a boolean'),
+  
   body('authConfig.method')
     .optional()
     .isIn(['PLAIN', 'LOGIN', 'OAUTH2'])
@@ -179,7 +236,7 @@ const updateAccountValidation = [
   
   body('syncConfig.frequency')
     .optional()
-    .isIn(['5min', '15min', '30min', '1hour', '6hours', '12hours', '1day'])
+    .isIn(['realtime', '5min', '15min', '30min', '1hour', '6hours', '12hours', '1day'])
     .withMessage('Sync frequency must be a valid option'),
   
   body('syncConfig.batchSize')
@@ -219,7 +276,7 @@ const updateSyncSettingsValidation = [
   
   body('syncConfig.frequency')
     .optional()
-    .isIn(['5min', '15min', '30min', '1hour', '6hours', '12hours', '1day'])
+    .isIn(['realtime', '5min', '15min', '30min', '1hour', '6hours', '12hours', '1day'])
     .withMessage('Sync frequency must be a valid option'),
   
   body('syncConfig.batchSize')
@@ -249,19 +306,121 @@ const paramValidation = [
     .withMessage('Invalid account ID')
 ];
 
+const foldersValidation = [
+  ...paramValidation,
+  
+  query('refresh')
+    .optional()
+    .isBoolean()
+    .withMessage('refresh must be a boolean')
+];
+
+const createFolderValidation = [
+  ...paramValidation,
+  
+  body('path')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Folder path is required')
+];
+
+const renameFolderValidation = [
+  ...createFolderValidation,
+  
+  body('newPath')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('New folder path is required')
+];
+
+const deleteFolderValidation = [
+  ...paramValidation,
+  
+  query('path')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Folder path is required')
+];
+
+const importValidation = [
+  ...paramValidation,
+  
+  body('folder')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Folder cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Folder cannot exceed 200 characters')
+    .custom(value => value.split('/').every(segment => segment.trim() !== ''))
+    .withMessage('Folder path segments cannot be empty')
+];
+
+const discoverValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+];
+
+const oauthStartValidation = [
+  param('provider')
+    .isIn(['gmail', 'microsoft'])
+    .withMessage('Provider must be one of: gmail, microsoft'),
+  
+  query('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid account ID'),
+  
+  query('name')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Account name cannot exceed 100 characters')
+];
+
+const oauthCompleteValidation = [
+  param('provider')
+    .isIn(['gmail', 'microsoft'])
+    .withMessage('Provider must be one of: gmail, microsoft'),
+  
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization state is required')
+];
+
 // Routes
 router.get('/', emailAccountController.getEmailAccounts);
+router.get('/oauth/providers', emailAccountController.getOAuthProviders);
+router.get('/oauth/:provider/start', oauthStartValidation, emailAccountController.startOAuth);
 router.get('/:id', paramValidation, emailAccountController.getEmailAccountById);
-router.get('/:id/folders', paramValidation, emailAccountController.getAccountFolders);
+router.get('/:id/folders', foldersValidation, emailAccountController.getAccountFolders);
 router.get('/:id/stats', paramValidation, emailAccountController.getAccountStats);
+router.get('/:id/health', paramValidation, emailAccountController.getAccountHealth);
 
 router.post('/', addAccountValidation, emailAccountController.addEmailAccount);
+router.post('/discover', discoverValidation, emailAccountController.discoverSettings);
+router.post('/oauth/:provider/complete', oauthCompleteValidation, emailAccountController.completeOAuth);
 router.post('/:id/test-connection', paramValidation, emailAccountController.testConnection);
+router.post('/:id/import', uploadMiddleware.archive('file'), importValidation, emailAccountController.importArchive);
+router.post('/:id/folders', createFolderValidation, emailAccountController.createFolder);
+
+router.patch('/:id/folders', renameFolderValidation, emailAccountController.renameFolder);
 
 router.put('/:id', updateAccountValidation, emailAccountController.updateEmailAccount);
 router.put('/:id/sync-settings', updateSyncSettingsValidation, emailAccountController.updateSyncSettings);
 
 router.delete('/:id', paramValidation, emailAccountController.deleteEmailAccount);
+router.delete('/:id/folders', deleteFolderValidation, emailAccountController.deleteFolder);
 
 module.exports = router;
 
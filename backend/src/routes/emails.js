@@ -1,13 +1,10 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const emailController = require('../controllers/emailController');
 const authMiddleware = require('../middleware/auth');
 
 const router = express.Router();
 
-// Apply authentication middleware to all routes
-router.use(authMiddleware.authenticate);
-
 // Validation rules
 const updateFlagsValidation = [
   body('isRead')
@@ -75,6 +72,26 @@ const bulkUpdateValidation = [
     .withMessage('updates.isDraft must be a boolean')
 ];
 
+const moveValidation = [
+  body('folder')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Target folder is required')
+];
+
+const bulkMoveValidation = [
+  ...moveValidation,
+  
+  body('emailIds')
+    .isArray({ min: 1 })
+    .withMessage('emailIds must be a non-empty array'),
+  
+  body('emailIds.*')
+    .isMongoId()
+    .withMessage('Each email ID must be a valid MongoDB ObjectId')
+];
+
 const queryValidation = [
   query('page')
     .optional()
@@ -127,16 +144,76 @@ const queryValidation = [
     .withMessage('accountId must be a valid MongoDB ObjectId')
 ];
 
+const exportValidation = [
+  ...queryValidation,
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'mbox', 'eml'])
+    .withMessage('format must be one of json, csv, mbox, eml')
+];
+
+const attachmentValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('id must be a valid MongoDB ObjectId'),
+  
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('attachmentId must be a valid MongoDB ObjectId')
+];
+
+const renderValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('id must be a valid MongoDB ObjectId'),
+  
+  query('images')
+    .optional()
+    .isIn(['load', 'block'])
+    .withMessage('images must be load or block')
+];
+
+const rawValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('id must be a valid MongoDB ObjectId')
+];
+
+const imageSenderValidation = [
+  body('sender')
+    .trim()
+    .toLowerCase()
+    .matches(/^(?:[^\s@]+@|@)?[a-z0-9-]+(?:\.[a-z0-9-]+)+$/)
+    .withMessage('sender must be an email address or domain')
+];
+
+// Signed attachment URLs (inline images) authenticate without a token
+router.get('/:id/attachments/:attachmentId', authMiddleware.authenticateSignedAttachment, attachmentValidation, emailController.downloadAttachment);
+
+// Apply authentication middleware to all other routes
+router.use(authMiddleware.authenticate);
+
 // Routes
 router.get('/', queryValidation, emailController.getEmails);
 router.get('/stats', queryValidation, emailController.getEmailStats);
 router.get('/folders', emailController.getEmailFolders);
-router.get('/export', queryValidation, emailController.exportEmails);
+router.get('/export', exportValidation, emailController.exportEmails);
+router.get('/image-senders', emailController.getImageSenders);
 router.get('/:id', emailController.getEmailById);
+router.get('/:id/render', renderValidation, emailController.renderEmail);
+router.get('/:id/raw', rawValidation, emailController.getRawEmail);
+router.get('/:id/attachments/:attachmentId', attachmentValidation, emailController.downloadAttachment);
+
+router.post('/image-senders', imageSenderValidation, emailController.addImageSender);
+router.post('/bulk-move', bulkMoveValidation, emailController.bulkMoveEmails);
+router.post('/:id/move', moveValidation, emailController.moveEmail);
+router.post('/:id/copy', moveValidation, emailController.copyEmail);
 
 router.put('/:id/flags', updateFlagsValidation, emailController.updateEmailFlags);
 router.put('/bulk-update', bulkUpdateValidation, emailController.bulkUpdateEmails);
 
+router.delete('/image-senders/:sender', emailController.removeImageSender);
 router.delete('/:id', emailController.deleteEmail);
 
 module.exports = router;
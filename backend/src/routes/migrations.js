@@ -0,0 +1,110 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const migrationController = require('../controllers/migrationController');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware.authenticate);
+
+// Validation rules
+const createMigrationValidation = [
+  body('sourceAccountId')
+    .isMongoId()
+    .withMessage('Source account ID must be a valid MongoDB ObjectId'),
+  
+  body('destinationAccountId')
+    .isMongoId()
+    .withMessage('Destination account ID must be a valid MongoDB ObjectId'),
+  
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  
+  body('folders')
+    .optional()
+    .isArray()
+    .withMessage('Folders must be an array'),
+  
+  body('folders.*')
+    .optional()
+    .isString()
+    .withMessage('Each folder must be a string'),
+  
+  body('folderMappings')
+    .optional()
+    .isArray()
+    .withMessage('Folder mappings must be an array'),
+  
+  body('folderMappings.*.source')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each folder mapping needs a source folder'),
+  
+  body('folderMappings.*.destination')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each folder mapping needs a destination folder'),
+  
+  body('dateRange.from')
+    .optional()
+    .isISO8601()
+    .withMessage('dateRange.from must be a valid ISO 8601 date'),
+  
+  body('dateRange.to')
+    .optional()
+    .isISO8601()
+    .withMessage('dateRange.to must be a valid ISO 8601 date'),
+  
+  body('options.preserveFlags')
+    .optional()
+    .isBoolean()
+    .withMessage('Preserve flags must be a boolean'),
+  
+  body('options.preserveDates')
+    .optional()
+    .isBoolean()
+    .withMessage('Preserve dates must be a boolean'),
+  
+  body('options.batchSize')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Batch size must be between 1 and 500')
+];
+
+const paramValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid migration ID')
+];
+
+const queryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  
+  query('status')
+    .optional()
+    .isIn(['pending', 'running', 'paused', 'completed', 'partial', 'failed', 'cancelled'])
+    .withMessage('status must be one of: pending, running, paused, completed, failed, cancelled')
+];
+
+// Routes
+router.get('/', queryValidation, migrationController.getMigrations);
+router.get('/:id', paramValidation, migrationController.getMigrationById);
+router.get('/:id/report', paramValidation, migrationController.getMigrationReport);
+
+router.post('/', createMigrationValidation, migrationController.createMigration);
+
+module.exports = router;
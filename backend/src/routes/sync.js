@@ -79,7 +79,7 @@ const queryValidation = [
   
   query('status')
     .optional()
-    .isIn(['pending', 'running', 'paused', 'completed', 'failed', 'cancelled'])
+    .isIn(['pending', 'running', 'paused', 'completed', 'partial', 'failed', 'cancelled'])
     .withMessage('status must be one of: pending, running, paused, completed, failed, cancelled'),
   
   query('accountId')
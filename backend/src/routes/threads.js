@@ -0,0 +1,43 @@
+const express = require('express');
+const { query } = require('express-validator');
+const threadController = require('../controllers/threadController');
+const authMiddleware = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware.authenticate);
+
+// Validation rules
+const threadsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  
+  query('accountId')
+    .optional()
+    .isMongoId()
+    .withMessage('accountId must be a valid MongoDB ObjectId'),
+  
+  query('folder')
+    .optional()
+    .isString()
+    .withMessage('folder must be a string'),
+  
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be a boolean')
+];
+
+// Routes
+router.get('/', threadsValidation, threadController.getThreads);
+router.get('/:id', threadController.getThread);
+
+module.exports = router;
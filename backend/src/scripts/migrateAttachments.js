@@ -0,0 +1,46 @@
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const Email = require('../models/Email');
+const attachmentStorageService = require('../services/attachmentStorageService');
+
+/**
+ * Move attachment content stored inline in Email documents into GridFS.
+ * Identical attachments end up as one GridFS file. Safe to run again; only
+ * emails that still carry inline data are touched.
+ *
+ * Usage: npm run migrate-attachments
+ */
+const migrateAttachments = async () => {
+  const counts = { migrated: 0, attachments: 0, failed: 0 };
+
+  await connectDB();
+  console.log('📎 Moving inline attachments to GridFS');
+
+  const cursor = Email.find({ 'content.attachments.data': { $exists: true } })
+    .select('+content.attachments.data')
+    .cursor();
+
+  for await (const email of cursor) {
+    let references = [];
+    try {
+      references = await attachmentStorageService.externalize(email.content.attachments, { retainStored: false });
+      // Only the attachments change; unrelated legacy validation errors must not block the migration
+      await email.save({ validateBeforeSave: false });
+      counts.migrated++;
+      counts.attachments += references.length;
+    } catch (error) {
+      await attachmentStorageService.releaseQuietly(references);
+      counts.failed++;
+      console.error(`❌ Failed to migrate attachments of email ${email._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Migrated ${counts.attachments} attachments of ${counts.migrated} emails, failed ${counts.failed}`);
+  await disconnectDB();
+  process.exit(counts.failed > 0 ? 1 : 0);
+};
+
+migrateAttachments().catch((error) => {
+  console.error('❌ Attachment migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB, disconnectDB } = require('../config/database');
+const emailReprocessService = require('../services/emailReprocessService');
+
+/**
+ * Read "--name value" and "--name=value" options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Option values by name
+ */
+const parseArgs = (args) => {
+  const options = {};
+  for (let index = 0; index < args.length; index++) {
+    const match = args[index].match(/^--([a-z]+)(?:=(.*))?$/);
+    if (!match) throw new Error(`Unexpected argument: ${args[index]}`);
+    options[match[1]] = match[2] !== undefined ? match[2] : args[++index];
+    if (options[match[1]] === undefined) throw new Error(`Missing value for --${match[1]}`);
+  }
+  return options;
+};
+
+/**
+ * Build the Email filter from the command line options
+ * @param {Object} options - Option values
+ * @returns {Object} Email query filter
+ */
+const buildFilter = (options) => {
+  const filter = {};
+  const toObjectId = (name) => {
+    if (!mongoose.isValidObjectId(options[name])) throw new Error(`--${name} must be an ObjectId`);
+    return new mongoose.Types.ObjectId(options[name]);
+  };
+  const toDate = (name) => {
+    const date = new Date(options[name]);
+    if (isNaN(date.getTime())) throw new Error(`--${name} must be a date`);
+    return date;
+  };
+
+  if (options.user) filter.userId = toObjectId('user');
+  if (options.account) filter.emailAccountId = toObjectId('account');
+  if (options.folder) filter.folder = options.folder;
+  if (options.source) filter['metadata.source'] = options.source;
+  if (options.since || options.until) {
+    filter['headers.date'] = {};
+    if (options.since) filter['headers.date'].$gte = toDate('since');
+    if (options.until) filter['headers.date'].$lt = toDate('until');
+  }
+
+  return filter;
+};
+
+/**
+ * Rebuild derived email fields (headers, bodies, attachments, threads) from
+ * the stored raw messages, e.g. after a parser fix. Emails stored before raw
+ * messages were kept are not touched. Safe to run again.
+ *
+ * Usage: npm run reprocess -- [options]
+ *   --user <id>       Only emails of this user
+ *   --account <id>    Only emails of this email account
+ *   --folder <path>   Only emails in this folder
+ *   --since <date>    Only emails dated on or after this date
+ *   --until <date>    Only emails dated before this date
+ *   --source <name>   Only emails ingested from imap, pop3 or import
+ *   --limit <n>       Stop after n emails
+ */
+const reprocessEmails = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const filter = buildFilter(options);
+  const limit = parseInt(options.limit) || 0;
+
+  await connectDB();
+  console.log(`🔄 Reprocessing emails from their raw messages ${JSON.stringify(filter)}`);
+
+  const counts = await emailReprocessService.reprocess(filter, { limit });
+
+  console.log(`✅ Reprocessed ${counts.reprocessed} emails, ${counts.skipped} without stored raw message, failed ${counts.failed}`);
+  await disconnectDB();
+  process.exit(counts.failed > 0 ? 1 : 0);
+};
+
+reprocessEmails().catch((error) => {
+  console.error('❌ Reprocessing failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const EmailAccount = require('../models/EmailAccount');
+const encryptionService = require('../services/encryptionService');
+
+/**
+ * Re-encrypt email account secrets under the active master key
+ * (ENCRYPTION_MASTER_KEY_ID). Retired keys must be listed in
+ * ENCRYPTION_PREVIOUS_KEYS until this has run. Plaintext secrets written before
+ * encryption was enabled are encrypted as well.
+ *
+ * Usage: npm run rotate-keys [-- --rekey]
+ *   --rekey  Also replace each account's data key
+ */
+const rotateEncryptionKeys = async () => {
+  const rekey = process.argv.includes('--rekey');
+  const counts = { rotated: 0, skipped: 0, failed: 0 };
+
+  await connectDB();
+  console.log(`🔑 Rotating email account secrets to master key "${encryptionService.activeKeyId}"${rekey ? ' with new data keys' : ''}`);
+
+  const cursor = EmailAccount.find()
+    .select(EmailAccount.getEncryptedSelect())
+    .cursor();
+
+  for await (const account of cursor) {
+    if (!rekey && !account.needsKeyRotation()) {
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      account.rotateEncryption({ rekey });
+      // Only the encryption fields change; unrelated legacy validation errors must not block rotation
+      await account.save({ validateBeforeSave: false });
+      counts.rotated++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ Failed to rotate account ${account._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ Rotated ${counts.rotated}, skipped ${counts.skipped}, failed ${counts.failed}`);
+  await disconnectDB();
+  process.exit(counts.failed > 0 ? 1 : 0);
+};
+
+rotateEncryptionKeys().catch((error) => {
+  console.error('❌ Key rotation failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+const Email = require('../models/Email');
+const EmailAccount = require('../models/EmailAccount');
+const FolderState = require('../models/FolderState');
+const SyncJob = require('../models/SyncJob');
+const User = require('../models/User');
+
+/**
+ * Bring the indexes of every collection in line with the schemas: indexes the
+ * schemas no longer declare, or declare with other options, are dropped and
+ * the declared ones built. Run once after upgrading; e.g. the former unique
+ * messageId index on emails rejects the same message in a second folder, and
+ * the email text index gained attachment text.
+ *
+ * Usage: npm run sync-indexes
+ */
+const syncIndexes = async () => {
+  let failed = 0;
+
+  await connectDB();
+  console.log('🗂️ Synchronizing indexes');
+
+  for (const model of [Email, EmailAccount, FolderState, SyncJob, User]) {
+    try {
+      const dropped = await model.syncIndexes();
+      console.log(`✅ ${model.collection.collectionName}: ${dropped.length > 0 ? `dropped ${dropped.join(', ')}` : 'up to date'}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ Failed to synchronize indexes of ${model.collection.collectionName}: ${error.message}`);
+    }
+  }
+
+  await disconnectDB();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+syncIndexes().catch((error) => {
+  console.error('❌ Index synchronization failed:', error);
+  process.exit(1);
+});
@@ -1,5 +1,12 @@
 const app = require('./app');
 const { connectDB } = require('./config/database');
+const realtimeSyncService = require('./services/realtimeSyncService');
+const flagSyncService = require('./services/flagSyncService');
+const schedulerService = require('./services/schedulerService');
+const syncQueueService = require('./services/syncQueueService');
+const importService = require('./services/importService');
+const threadingService = require('./services/threadingService');
+const attachmentTextService = require('./services/attachmentTextService');
 require('dotenv').config();
 
 const PORT = process.env.PORT || 5000;
@@ -8,6 +15,13 @@ const HOST = process.env.HOST || 'localhost';
 // Graceful shutdown
 const gracefulShutdown = () => {
   console.log('🔄 Shutting down gracefully...');
+  schedulerService.stop();
+  importService.stop();
+  threadingService.stop();
+  attachmentTextService.stop();
+  syncQueueService.stop();
+  realtimeSyncService.stop();
+  flagSyncService.stop();
   process.exit(0);
 };
 
@@ -28,6 +42,27 @@ const startServer = async () => {
       console.log(`�� Health check: http://${HOST}:${PORT}/health`);
     });
 
+    // Execute queued sync jobs and recover jobs abandoned by a previous run
+    syncQueueService.start().catch((error) => {
+      console.error('❌ Failed to start sync queue:', error);
+    });
+
+    // Push queued flag changes back to IMAP servers
+    flagSyncService.start();
+
+    // Start IDLE watchers for realtime accounts
+    realtimeSyncService.start().catch((error) => {
+      console.error('❌ Failed to start realtime sync:', error);
+    });
+
+    // Run scheduled syncs and background tasks here unless a separate worker process does it
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      schedulerService.start();
+      importService.start();
+      threadingService.start();
+      attachmentTextService.start();
+    }
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
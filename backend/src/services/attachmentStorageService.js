@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+/**
+ * Attachment Storage Service
+ * Keeps attachment content in a GridFS bucket, one file per distinct content
+ * (SHA-256). Emails reference files by storageId; metadata.refCount counts the
+ * attachments pointing at a file, which is deleted when the last one goes.
+ */
+class AttachmentStorageService {
+  constructor() {
+    this.bucketName = process.env.ATTACHMENT_BUCKET || 'attachments';
+    this.bucket = null;
+    this.bucketDb = null; // Connection the bucket was created for
+    this.indexesReady = null;
+  }
+
+  /**
+   * Get the GridFS bucket of the current connection
+   * @returns {Object} GridFSBucket
+   */
+  getBucket() {
+    if (!this.bucket || this.bucketDb !== mongoose.connection.db) {
+      this.bucketDb = mongoose.connection.db;
+      this.bucket = new mongoose.mongo.GridFSBucket(this.bucketDb, { bucketName: this.bucketName });
+      this.indexesReady = null;
+    }
+    return this.bucket;
+  }
+
+  /**
+   * Get the GridFS files collection
+   * @returns {Object} Collection
+   */
+  getFiles() {
+    return mongoose.connection.db.collection(`${this.bucketName}.files`);
+  }
+
+  /**
+   * Get the GridFS chunks collection
+   * @returns {Object} Collection
+   */
+  getChunks() {
+    return mongoose.connection.db.collection(`${this.bucketName}.chunks`);
+  }
+
+  /**
+   * Create the content hash index once per connection
+   * @returns {Promise<void>}
+   */
+  ensureIndexes() {
+    this.getBucket();
+    if (!this.indexesReady) {
+      this.indexesReady = this.getFiles()
+        .createIndex({ 'metadata.sha256': 1 }, { unique: true })
+        .catch((error) => {
+          this.indexesReady = null;
+          throw error;
+        });
+    }
+    return this.indexesReady;
+  }
+
+  /**
+   * Store content, or add a reference to identical content already stored
+   * @param {Buffer} content - Attachment content
+   * @param {Object} options - contentType of the first upload
+   * @returns {Promise<Object>} { storageId, sha256, size }
+   */
+  async store(content, { contentType } = {}) {
+    await this.ensureIndexes();
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const existing = await this.getFiles().findOneAndUpdate(
+        { 'metadata.sha256': sha256 },
+        { $inc: { 'metadata.refCount': 1 } },
+        { returnDocument: 'after', projection: { _id: 1, length: 1 } }
+      );
+      if (existing) {
+        return { storageId: existing._id, sha256, size: existing.length };
+      }
+
+      const storageId = new mongoose.Types.ObjectId();
+      try {
+        await this.upload(storageId, sha256, content, contentType);
+        return { storageId, sha256, size: content.length };
+      } catch (error) {
+        // Our chunks are orphaned either way; on a hash conflict the concurrent upload wins
+        await this.getChunks().deleteMany({ files_id: storageId });
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error(`Could not store attachment ${sha256}`);
+  }
+
+  /**
+   * Upload a new GridFS file
+   * @param {Object} storageId - File ID
+   * @param {string} sha256 - Content hash
+   * @param {Buffer} content - Content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<void>}
+   */
+  upload(storageId, sha256, content, contentType) {
+    return new Promise((resolve, reject) => {
+      const stream = this.getBucket().openUploadStreamWithId(storageId, sha256, {
+        metadata: { sha256, refCount: 1, contentType: contentType || 'application/octet-stream' }
+      });
+      stream.once('error', reject);
+      stream.once('finish', resolve);
+      stream.end(content);
+    });
+  }
+
+  /**
+   * Add references to stored files (e.g. when an email is copied)
+   * @param {Array} storageIds - File IDs, once per referencing attachment
+   * @returns {Promise<void>}
+   */
+  async retain(storageIds) {
+    for (const storageId of storageIds) {
+      await this.getFiles().updateOne({ _id: storageId }, { $inc: { 'metadata.refCount': 1 } });
+    }
+  }
+
+  /**
+   * Drop references to stored files, deleting files nothing refers to anymore
+   * @param {Array} storageIds - File IDs, once per removed attachment
+   * @returns {Promise<number>} Number of deleted files
+   */
+  async release(storageIds) {
+    let deleted = 0;
+
+    for (const storageId of storageIds) {
+      const file = await this.getFiles().findOneAndUpdate(
+        { _id: storageId },
+        { $inc: { 'metadata.refCount': -1 } },
+        { returnDocument: 'after', projection: { 'metadata.refCount': 1 } }
+      );
+      if (!file || file.metadata.refCount > 0) continue;
+
+      // Only delete if no new reference was added in the meantime
+      const result = await this.getFiles().deleteOne({ _id: storageId, 'metadata.refCount': { $lte: 0 } });
+      if (result.deletedCount > 0) {
+        await this.getChunks().deleteMany({ files_id: storageId });
+        deleted++;
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Release references without failing the caller
+   * @param {Array} storageIds - File IDs
+   * @returns {Promise<void>}
+   */
+  async releaseQuietly(storageIds) {
+    if (storageIds.length === 0) return;
+    await this.release(storageIds).catch((error) => {
+      logger.error(`Failed to release ${storageIds.length} attachment references:`, error);
+    });
+  }
+
+  /**
+   * Move inline attachment data of an email into GridFS
+   * For new emails, attachments that already reference a file (copies) get an
+   * extra reference as well
+   * @param {Array} attachments - Email attachments (modified in place)
+   * @param {Object} options - retainStored: false when migrating stored emails
+   * @returns {Promise<Array>} File IDs referenced, to release if the email is not saved
+   */
+  async externalize(attachments, { retainStored = true } = {}) {
+    const referenced = [];
+
+    try {
+      for (const attachment of attachments) {
+        if (attachment.data) {
+          const content = Buffer.isBuffer(attachment.data) ? attachment.data : Buffer.from(attachment.data);
+          const { storageId, sha256, size } = await this.store(content, { contentType: attachment.contentType });
+          referenced.push(storageId);
+          attachment.storageId = storageId;
+          attachment.sha256 = sha256;
+          attachment.size = attachment.size || size;
+          attachment.data = undefined;
+        } else if (attachment.storageId && retainStored) {
+          await this.retain([attachment.storageId]);
+          referenced.push(attachment.storageId);
+        }
+      }
+    } catch (error) {
+      await this.releaseQuietly(referenced);
+      throw error;
+    }
+
+    return referenced;
+  }
+
+  /**
+   * Get a stored file
+   * @param {Object} storageId - File ID
+   * @returns {Promise<Object|null>} GridFS file document
+   */
+  async getFile(storageId) {
+    return this.getFiles().findOne({ _id: new mongoose.Types.ObjectId(String(storageId)) });
+  }
+
+  /**
+   * Stream a stored file
+   * @param {Object} storageId - File ID
+   * @param {Object} options - start, end (exclusive) byte offsets
+   * @returns {Object} Readable stream
+   */
+  openDownloadStream(storageId, options = {}) {
+    return this.getBucket().openDownloadStream(new mongoose.Types.ObjectId(String(storageId)), options);
+  }
+}
+
+const attachmentStorageService = new AttachmentStorageService();
+
+module.exports = attachmentStorageService;
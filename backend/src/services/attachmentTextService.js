@@ -0,0 +1,390 @@
+const path = require('path');
+const zlib = require('zlib');
+const { convert: htmlToText } = require('html-to-text');
+const Email = require('../models/Email');
+const attachmentStorageService = require('./attachmentStorageService');
+const logger = require('../utils/logger');
+const { scheduleTask } = require('../utils/cronTask');
+
+// Office Open XML parts holding the document text, and the tag closing a paragraph/row
+const OFFICE_PARTS = {
+  docx: { pattern: /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/, paragraph: 'w:p' },
+  pptx: { pattern: /^ppt\/(slides\/slide|notesSlides\/notesSlide)\d+\.xml$/, paragraph: 'a:p' },
+  xlsx: { pattern: /^xl\/(sharedStrings|worksheets\/sheet\d+)\.xml$/, paragraph: 'row' }
+};
+
+const TYPES_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.docm': 'docx',
+  '.xlsx': 'xlsx',
+  '.xlsm': 'xlsx',
+  '.pptx': 'pptx',
+  '.pptm': 'pptx',
+  '.txt': 'text',
+  '.csv': 'text',
+  '.tsv': 'text',
+  '.log': 'text',
+  '.md': 'text',
+  '.htm': 'html',
+  '.html': 'html'
+};
+
+const TYPES_BY_CONTENT_TYPE = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/plain': 'text',
+  'text/csv': 'text',
+  'text/tab-separated-values': 'text',
+  'text/markdown': 'text',
+  'text/html': 'html'
+};
+
+/**
+ * Attachment Text Service
+ * Indexing stage of the ingestion pipeline: extracts the text of PDF, Office
+ * (DOCX/XLSX/PPTX), plain text, CSV and HTML attachments into
+ * content.attachments[].text, which is part of the Email text index. New emails
+ * are stored with processing.isIndexed false and picked up by a periodic task.
+ */
+class AttachmentTextService {
+  constructor() {
+    this.batchSize = parseInt(process.env.ATTACHMENT_TEXT_BATCH_SIZE) || 100;
+    this.maxSize = parseInt(process.env.ATTACHMENT_TEXT_MAX_SIZE) || 20 * 1024 * 1024; // 20 MB
+    this.maxLength = parseInt(process.env.ATTACHMENT_TEXT_MAX_LENGTH) || 100000; // Characters kept per attachment
+    this.maxPdfPages = parseInt(process.env.ATTACHMENT_TEXT_MAX_PDF_PAGES) || 200;
+    // Uncompressed XML read from one Office document; guards against zip bombs
+    this.maxUnzippedSize = parseInt(process.env.ATTACHMENT_TEXT_MAX_UNZIPPED_SIZE) || 10 * 1024 * 1024; // 10 MB
+    this.pdfjs = null;
+    this.expression = process.env.ATTACHMENT_TEXT_CRON || '* * * * *'; // Every minute
+    this.task = null;
+  }
+
+  /**
+   * Start extracting attachment text periodically
+   */
+  start() {
+    if (this.task) return;
+
+    this.task = scheduleTask('Attachment text extraction', this.expression, () => this.indexPending());
+    logger.info(`Attachment text extraction started (${this.expression})`);
+  }
+
+  /**
+   * Stop extracting attachment text
+   */
+  stop() {
+    if (!this.task) return;
+
+    this.task.stop();
+    this.task = null;
+  }
+
+  /**
+   * Extract attachment text of emails that are not indexed yet
+   * @returns {Promise<number>} Number of indexed emails
+   */
+  async indexPending() {
+    // Nothing to extract from emails without attachments
+    const { modifiedCount } = await Email.updateMany(
+      { 'processing.isIndexed': false, 'content.attachments.0': { $exists: false } },
+      { $set: { 'processing.isIndexed': true, 'processing.indexedAt': new Date() } }
+    );
+
+    const emails = await Email.find({ 'processing.isIndexed': false })
+      .sort({ 'headers.date': -1 })
+      .limit(this.batchSize)
+      .select('content.attachments +content.attachments.data processing');
+
+    for (const email of emails) {
+      for (const attachment of email.content.attachments) {
+        Object.assign(attachment, await this.extractAttachment(attachment));
+      }
+      await email.markAsIndexed();
+    }
+
+    return modifiedCount + emails.length;
+  }
+
+  /**
+   * Extract the text of a stored attachment
+   * @param {Object} attachment - Email attachment
+   * @returns {Promise<Object>} { text, textStatus }
+   */
+  async extractAttachment(attachment) {
+    const type = this.getType(attachment);
+    if (!type) return { text: undefined, textStatus: 'unsupported' };
+    if ((attachment.size || 0) > this.maxSize) return { text: undefined, textStatus: 'too_large' };
+
+    try {
+      const content = await this.readContent(attachment);
+      if (!content) return { text: undefined, textStatus: 'failed' };
+
+      const text = this.normalize(await this.extract(type, content));
+      return text
+        ? { text: text.slice(0, this.maxLength), textStatus: 'extracted' }
+        : { text: undefined, textStatus: 'empty' };
+    } catch (error) {
+      if (error.code === 'CONTENT_TOO_LARGE') {
+        logger.warn(`Text extraction skipped for attachment ${attachment._id} (${attachment.filename}): ${error.message}`);
+        return { text: undefined, textStatus: 'too_large' };
+      }
+      logger.warn(`Text extraction failed for attachment ${attachment._id} (${attachment.filename}): ${error.message}`);
+      return { text: undefined, textStatus: 'failed' };
+    }
+  }
+
+  /**
+   * Detect the extractor for an attachment
+   * @param {Object} attachment - Email attachment (filename, contentType)
+   * @returns {string|null} pdf, docx, xlsx, pptx, text, html, or null when unsupported
+   */
+  getType(attachment) {
+    const contentType = (attachment.contentType || '').split(';')[0].trim().toLowerCase();
+    const extension = path.extname(attachment.filename || '').toLowerCase();
+
+    return TYPES_BY_CONTENT_TYPE[contentType] || TYPES_BY_EXTENSION[extension] || null;
+  }
+
+  /**
+   * Read attachment content from GridFS, or inline data of emails not migrated yet
+   * @param {Object} attachment - Email attachment
+   * @returns {Promise<Buffer|null>} Content
+   */
+  async readContent(attachment) {
+    if (!attachment.storageId) {
+      return attachment.data ? Buffer.from(attachment.data) : null;
+    }
+
+    const chunks = [];
+    for await (const chunk of attachmentStorageService.openDownloadStream(attachment.storageId)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Extract text from content
+   * @param {string} type - Extractor (see getType)
+   * @param {Buffer} content - Attachment content
+   * @returns {Promise<string>} Text
+   */
+  async extract(type, content) {
+    switch (type) {
+      case 'pdf':
+        return this.extractPdf(content);
+      case 'docx':
+      case 'xlsx':
+      case 'pptx':
+        return this.extractOffice(type, content);
+      case 'html':
+        return htmlToText(this.decodeText(content), { wordwrap: false, selectors: [{ selector: 'img', format: 'skip' }] });
+      default:
+        return this.decodeText(content);
+    }
+  }
+
+  /**
+   * Extract the text layer of a PDF, page by page
+   * @param {Buffer} content - PDF file
+   * @returns {Promise<string>} Text
+   */
+  async extractPdf(content) {
+    if (!this.pdfjs) {
+      // pdf.js only ships as an ES module
+      this.pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+
+    const document = await this.pdfjs.getDocument({
+      data: new Uint8Array(content),
+      isEvalSupported: false,
+      disableFontFace: true,
+      useSystemFonts: false,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const pages = [];
+      let length = 0;
+      for (let number = 1; number <= Math.min(document.numPages, this.maxPdfPages) && length < this.maxLength; number++) {
+        const page = await document.getPage(number);
+        const { items } = await page.getTextContent();
+        const text = items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+        pages.push(text);
+        length += text.length;
+        page.cleanup();
+      }
+      return pages.join('\n\n');
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  /**
+   * Extract the text of an Office Open XML document (a zip of XML parts)
+   * @param {string} type - docx, xlsx or pptx
+   * @param {Buffer} content - Document file
+   * @returns {string} Text
+   */
+  extractOffice(type, content) {
+    const { pattern, paragraph } = OFFICE_PARTS[type];
+    const parts = this.readZip(content, name => pattern.test(name));
+    // Slides and sheets in their natural order (slide2 before slide10)
+    const names = [...parts.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    if (type !== 'xlsx') {
+      return names.map(name => this.xmlToText(parts.get(name), paragraph)).join('\n\n');
+    }
+
+    // Cells refer to shared strings by index; the sheets themselves only hold numbers and inline strings
+    const sharedStrings = parts.has('xl/sharedStrings.xml')
+      ? [...parts.get('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => this.xmlToText(match[1]))
+      : [];
+
+    return names
+      .filter(name => name !== 'xl/sharedStrings.xml')
+      .map(name => [...parts.get(name).matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)]
+        .map(row => [...row[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)]
+          .map(([, attributes, cell = '']) => {
+            if (/\bt="s"/.test(attributes)) {
+              const index = parseInt((cell.match(/<v>(\d+)<\/v>/) || [])[1]);
+              return sharedStrings[index] || '';
+            }
+            if (/\bt="inlineStr"/.test(attributes)) return this.xmlToText(cell);
+            return this.decodeXml((cell.match(/<v>([\s\S]*?)<\/v>/) || [])[1] || '');
+          })
+          .filter(Boolean)
+          .join('\t'))
+        .filter(Boolean)
+        .join('\n'))
+      .join('\n\n');
+  }
+
+  /**
+   * Read selected entries of a zip file held in memory
+   * The entries read may not expand beyond maxUnzippedSize in total; declared
+   * sizes are checked first and inflation stops at the remaining budget
+   * @param {Buffer} buffer - Zip file
+   * @param {Function} accept - Called with each entry name; true to read it
+   * @returns {Map<string, string>} Entry contents (UTF-8) by name
+   */
+  readZip(buffer, accept) {
+    const tooLarge = () => {
+      const error = new Error(`Document expands beyond ${this.maxUnzippedSize} bytes`);
+      error.code = 'CONTENT_TOO_LARGE';
+      return error;
+    };
+    let remaining = this.maxUnzippedSize;
+
+    // End of central directory: last signature within the trailing 64 KB comment window
+    let end = -1;
+    for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+      if (buffer.readUInt32LE(offset) === 0x06054b50) {
+        end = offset;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('Not a zip file');
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    for (let index = 0; index < count && offset + 46 <= buffer.length; index++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (!accept(name)) continue;
+      if (method !== 0 && method !== 8) continue;
+      if (size > remaining) throw tooLarge();
+      if (localOffset + 30 > buffer.length) continue;
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      let data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 8) {
+        try {
+          // The declared size is not trusted; the output limit is what stops a bomb
+          data = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+        } catch (error) {
+          throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+        }
+      }
+      if (data.length > remaining) throw tooLarge();
+
+      remaining -= data.length;
+      entries.set(name, data.toString('utf8'));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Turn an XML fragment into text, one line per paragraph
+   * @param {string} xml - XML
+   * @param {string} paragraph - Tag ending a paragraph (e.g. w:p)
+   * @returns {string} Text
+   */
+  xmlToText(xml, paragraph) {
+    let text = xml;
+    if (paragraph) text = text.replace(new RegExp(`</${paragraph}>`, 'g'), '\n');
+    text = text
+      .replace(/<(?:w:tab|w:br|a:br)\b[^>]*\/>/g, ' ')
+      .replace(/<[^>]+>/g, '');
+    return this.decodeXml(text);
+  }
+
+  /**
+   * Decode XML entities
+   * @param {string} text - XML text
+   * @returns {string} Text
+   */
+  decodeXml(text) {
+    return text
+      .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Decode text content (UTF-8, falling back to Latin-1)
+   * @param {Buffer} content - Content
+   * @returns {string} Text
+   */
+  decodeText(content) {
+    const text = content.toString('utf8');
+    return text.includes('\uFFFD') ? content.toString('latin1') : text.replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Collapse whitespace of extracted text
+   * @param {string} text - Text
+   * @returns {string} Text
+   */
+  normalize(text) {
+    return (text || '')
+      .replace(/\u0000/g, '')
+      .replace(/[ \t\f\v\u00a0]+/g, ' ')
+      .replace(/ ?\n[\s]*\n\s*/g, '\n\n')
+      .replace(/ ?\n ?/g, '\n')
+      .trim();
+  }
+}
+
+const attachmentTextService = new AttachmentTextService();
+
+module.exports = attachmentTextService;
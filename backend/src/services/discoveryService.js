@@ -0,0 +1,378 @@
+const dns = require('dns');
+const net = require('net');
+const logger = require('../utils/logger');
+
+/**
+ * Discovery Service
+ * Finds IMAP/SMTP settings for an email address, in order, from the built-in
+ * provider database, autoconfig XML (Mozilla ISPDB format), DNS SRV records
+ * (RFC 6186) and finally the MX records of domains hosted by a known provider
+ */
+class DiscoveryService {
+  constructor() {
+    this.timeout = parseInt(process.env.DISCOVERY_TIMEOUT) || 5000;
+    this.ispdbUrl = process.env.DISCOVERY_ISPDB_URL || 'https://autoconfig.thunderbird.net/v1.1';
+    this.resolver = new dns.promises.Resolver({ timeout: this.timeout, tries: 1 });
+    // Autoconfig URLs are built from user input, so private networks are never fetched
+    this.privateRanges = new net.BlockList();
+    [
+      ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+      ['172.16.0.0', 12], ['192.168.0.0', 16]
+    ].forEach(([network, prefix]) => this.privateRanges.addSubnet(network, prefix, 'ipv4'));
+    [['::', 127], ['fc00::', 7], ['fe80::', 10]].forEach(([network, prefix]) => this.privateRanges.addSubnet(network, prefix, 'ipv6'));
+    this.providers = {
+      gmail: {
+        domains: ['gmail.com', 'googlemail.com'],
+        mxSuffixes: ['google.com', 'googlemail.com'],
+        imap: { host: 'imap.gmail.com', port: 993, secure: true },
+        smtp: { host: 'smtp.gmail.com', port: 465, secure: true },
+        authMethods: ['OAUTH2', 'PLAIN'],
+        oauthProvider: 'gmail',
+        provider: {
+          name: 'gmail',
+          displayName: 'Gmail',
+          features: ['imap', 'smtp', 'oauth2', 'labels', 'search', 'threading'],
+          limits: { maxConnections: 15, maxEmailsPerRequest: 100, rateLimitPerMinute: 60 }
+        }
+      },
+      outlook: {
+        domains: ['outlook.com', 'hotmail.com', 'live.com', 'msn.com', 'hotmail.co.uk', 'outlook.de', 'live.co.uk'],
+        mxSuffixes: ['protection.outlook.com', 'outlook.com'],
+        imap: { host: 'outlook.office365.com', port: 993, secure: true },
+        smtp: { host: 'smtp.office365.com', port: 587, secure: false },
+        authMethods: ['OAUTH2'],
+        oauthProvider: 'microsoft',
+        provider: {
+          name: 'outlook',
+          displayName: 'Outlook',
+          features: ['imap', 'smtp', 'oauth2', 'folders', 'search'],
+          limits: { maxConnections: 8, maxEmailsPerRequest: 100, rateLimitPerMinute: 60 }
+        }
+      },
+      yahoo: {
+        domains: ['yahoo.com', 'ymail.com', 'rocketmail.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.de'],
+        mxSuffixes: ['yahoodns.net'],
+        imap: { host: 'imap.mail.yahoo.com', port: 993, secure: true },
+        smtp: { host: 'smtp.mail.yahoo.com', port: 465, secure: true },
+        authMethods: ['PLAIN'],
+        oauthProvider: null,
+        provider: {
+          name: 'yahoo',
+          displayName: 'Yahoo Mail',
+          features: ['imap', 'smtp', 'folders'],
+          limits: { maxConnections: 5, maxEmailsPerRequest: 100, rateLimitPerMinute: 60 }
+        }
+      },
+      icloud: {
+        domains: ['icloud.com', 'me.com', 'mac.com'],
+        mxSuffixes: ['icloud.com'],
+        imap: { host: 'imap.mail.me.com', port: 993, secure: true },
+        smtp: { host: 'smtp.mail.me.com', port: 587, secure: false },
+        authMethods: ['PLAIN'],
+        oauthProvider: null,
+        // iCloud logs in with the local part only
+        username: 'localpart',
+        provider: {
+          name: 'icloud',
+          displayName: 'iCloud Mail',
+          features: ['imap', 'smtp', 'folders'],
+          limits: { maxConnections: 5, maxEmailsPerRequest: 100, rateLimitPerMinute: 60 }
+        }
+      }
+    };
+  }
+
+  /**
+   * Discover the settings of an email address
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} Settings, or null if nothing was found
+   */
+  async discover(email) {
+    const address = email.trim().toLowerCase();
+    const domain = address.split('@')[1];
+
+    const builtin = this.lookupProvider(domain);
+    if (builtin) {
+      return this.formatProvider(builtin, address, 'builtin');
+    }
+
+    const lookups = [
+      () => this.discoverAutoconfig(address, domain),
+      () => this.discoverSrv(address, domain),
+      () => this.discoverMx(address, domain)
+    ];
+
+    for (const lookup of lookups) {
+      try {
+        const settings = await lookup();
+        if (settings) return settings;
+      } catch (error) {
+        logger.debug(`Discovery lookup failed for ${domain}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a built-in provider by email domain
+   * @param {string} domain - Email domain
+   * @returns {Object|null} Provider entry
+   */
+  lookupProvider(domain) {
+    return Object.values(this.providers).find(entry => entry.domains.includes(domain)) || null;
+  }
+
+  /**
+   * Find a built-in provider by IMAP host
+   * @param {string} host - IMAP host
+   * @returns {Object|null} Provider metadata
+   */
+  matchProviderByHost(host) {
+    const normalized = (host || '').toLowerCase();
+    const entry = Object.values(this.providers).find(candidate => candidate.imap.host === normalized);
+    return entry ? entry.provider : null;
+  }
+
+  /**
+   * Provider metadata for an account on an IMAP host
+   * Servers that are not a built-in provider get the generic custom limits
+   * @param {string} host - IMAP host
+   * @returns {Object} Provider metadata
+   */
+  getProviderForHost(host) {
+    return this.matchProviderByHost(host) || {
+      name: 'custom',
+      displayName: null,
+      features: [],
+      limits: { maxConnections: 10, maxEmailsPerRequest: 100, rateLimitPerMinute: 60 }
+    };
+  }
+
+  /**
+   * Build the discovery result for a built-in provider
+   * @param {Object} entry - Provider entry
+   * @param {string} address - Email address
+   * @param {string} source - Lookup that matched
+   * @returns {Object} Settings
+   */
+  formatProvider(entry, address, source) {
+    return {
+      source,
+      email: address,
+      username: entry.username === 'localpart' ? address.split('@')[0] : address,
+      imap: { ...entry.imap, security: entry.imap.secure ? 'SSL' : 'STARTTLS' },
+      smtp: { ...entry.smtp, security: entry.smtp.secure ? 'SSL' : 'STARTTLS' },
+      authMethods: entry.authMethods,
+      oauthProvider: entry.oauthProvider,
+      provider: entry.provider
+    };
+  }
+
+  /**
+   * Look up autoconfig XML from the domain and then the ISPDB
+   * @param {string} address - Email address
+   * @param {string} domain - Email domain
+   * @returns {Promise<Object|null>} Settings
+   */
+  async discoverAutoconfig(address, domain) {
+    const query = `emailaddress=${encodeURIComponent(address)}`;
+    const urls = [
+      `https://autoconfig.${domain}/mail/config-v1.1.xml?${query}`,
+      `https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml?${query}`,
+      `${this.ispdbUrl}/${domain}`
+    ];
+
+    for (const url of urls) {
+      const xml = await this.fetchText(url);
+      const settings = xml && this.parseAutoconfig(xml, address);
+      if (settings) return settings;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse autoconfig XML (clientConfig version 1.1)
+   * @param {string} xml - Autoconfig document
+   * @param {string} address - Email address
+   * @returns {Object|null} Settings, or null without an IMAP server
+   */
+  parseAutoconfig(xml, address) {
+    const servers = (tag) => [...xml.matchAll(new RegExp(`<${tag}\\s+type="(\\w+)"\\s*>([\\s\\S]*?)</${tag}>`, 'g'))]
+      .map(([, type, body]) => ({ type: type.toLowerCase(), body }));
+    const field = (body, name) => {
+      const match = body.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`));
+      return match ? match[1] : null;
+    };
+    const toServer = ({ body }) => {
+      const socketType = (field(body, 'socketType') || 'plain').toUpperCase();
+      return {
+        host: this.expandPlaceholders(field(body, 'hostname'), address),
+        port: parseInt(field(body, 'port')),
+        secure: socketType === 'SSL',
+        security: socketType === 'SSL' ? 'SSL' : socketType === 'STARTTLS' ? 'STARTTLS' : 'plain',
+        username: this.expandPlaceholders(field(body, 'username') || '%EMAILADDRESS%', address),
+        authentication: [...body.matchAll(/<authentication>\s*([^<]*?)\s*<\/authentication>/g)].map(match => match[1])
+      };
+    };
+
+    const imapServers = servers('incomingServer').filter(server => server.type === 'imap').map(toServer);
+    if (imapServers.length === 0 || !imapServers[0].host) return null;
+
+    // Prefer implicit TLS, then STARTTLS, in document order
+    const rank = { SSL: 0, STARTTLS: 1, plain: 2 };
+    const imap = imapServers.sort((a, b) => rank[a.security] - rank[b.security])[0];
+    const smtp = servers('outgoingServer').filter(server => server.type === 'smtp').map(toServer)[0] || null;
+
+    const authMethods = [];
+    if (imap.authentication.includes('OAuth2')) authMethods.push('OAUTH2');
+    if (imap.authentication.length === 0 || imap.authentication.includes('password-cleartext')) {
+      authMethods.push('PLAIN', 'LOGIN');
+    }
+
+    return {
+      source: 'autoconfig',
+      email: address,
+      username: imap.username,
+      imap: { host: imap.host, port: imap.port || (imap.secure ? 993 : 143), secure: imap.secure, security: imap.security },
+      smtp: smtp && smtp.host
+        ? { host: smtp.host, port: smtp.port || (smtp.secure ? 465 : 587), secure: smtp.secure, security: smtp.security }
+        : null,
+      authMethods,
+      oauthProvider: null,
+      provider: {
+        name: 'custom',
+        displayName: field(xml, 'displayName') || null,
+        features: smtp ? ['imap', 'smtp'] : ['imap']
+      }
+    };
+  }
+
+  /**
+   * Look up IMAP and submission SRV records (RFC 6186)
+   * @param {string} address - Email address
+   * @param {string} domain - Email domain
+   * @returns {Promise<Object|null>} Settings
+   */
+  async discoverSrv(address, domain) {
+    const [imaps, imap, submissions, submission] = await Promise.all([
+      this.resolveSrv(`_imaps._tcp.${domain}`),
+      this.resolveSrv(`_imap._tcp.${domain}`),
+      this.resolveSrv(`_submissions._tcp.${domain}`),
+      this.resolveSrv(`_submission._tcp.${domain}`)
+    ]);
+
+    const incoming = imaps
+      ? { host: imaps.name, port: imaps.port, secure: true, security: 'SSL' }
+      : imap && { host: imap.name, port: imap.port, secure: false, security: 'STARTTLS' };
+    if (!incoming) return null;
+
+    const outgoing = submissions
+      ? { host: submissions.name, port: submissions.port, secure: true, security: 'SSL' }
+      : submission && { host: submission.name, port: submission.port, secure: false, security: 'STARTTLS' };
+
+    return {
+      source: 'srv',
+      email: address,
+      username: address,
+      imap: incoming,
+      smtp: outgoing || null,
+      authMethods: ['PLAIN', 'LOGIN'],
+      oauthProvider: null,
+      provider: {
+        name: 'custom',
+        displayName: null,
+        features: outgoing ? ['imap', 'smtp'] : ['imap']
+      }
+    };
+  }
+
+  /**
+   * Match custom domains hosted by a built-in provider through their MX records
+   * @param {string} address - Email address
+   * @param {string} domain - Email domain
+   * @returns {Promise<Object|null>} Settings
+   */
+  async discoverMx(address, domain) {
+    const records = await this.resolver.resolveMx(domain);
+    const exchanges = records.map(record => record.exchange.toLowerCase());
+
+    const entry = Object.values(this.providers).find(candidate => (
+      exchanges.some(exchange => candidate.mxSuffixes.some(suffix => exchange.endsWith(suffix)))
+    ));
+
+    return entry ? this.formatProvider(entry, address, 'mx') : null;
+  }
+
+  /**
+   * Resolve the preferred target of an SRV record
+   * A target of "." means the service is explicitly not offered
+   * @param {string} name - SRV name
+   * @returns {Promise<Object|null>} Record
+   */
+  async resolveSrv(name) {
+    try {
+      const records = await this.resolver.resolveSrv(name);
+      const available = records
+        .filter(record => record.name && record.name !== '.')
+        .sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+      return available[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a document, returning null on any failure
+   * @param {string} url - URL
+   * @returns {Promise<string|null>} Body
+   */
+  async fetchText(url) {
+    try {
+      if (!(await this.isPublicHost(new URL(url).hostname))) return null;
+
+      const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout), redirect: 'error' });
+      return response.ok ? await response.text() : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check that a host only resolves to public addresses
+   * @param {string} host - Hostname
+   * @returns {Promise<boolean>} True if every address is public
+   */
+  async isPublicHost(host) {
+    try {
+      const addresses = await dns.promises.lookup(host, { all: true });
+      return addresses.length > 0 && addresses.every(({ address, family }) => (
+        !this.privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4')
+      ));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Replace autoconfig placeholders
+   * @param {string|null} value - Value with placeholders
+   * @param {string} address - Email address
+   * @returns {string|null} Expanded value
+   */
+  expandPlaceholders(value, address) {
+    if (!value) return value;
+
+    const [localPart, domain] = address.split('@');
+    return value
+      .replace(/%EMAILADDRESS%/g, address)
+      .replace(/%EMAILLOCALPART%/g, localPart)
+      .replace(/%EMAILDOMAIN%/g, domain);
+  }
+}
+
+// Create singleton instance
+const discoveryService = new DiscoveryService();
+
+module.exports = discoveryService;
@@ -18,6 +18,8 @@ class EmailAnalyticsService extends EventEmitter {
     this.processingInterval = parseInt(process.env.ANALYTICS_PROCESSING_INTERVAL) || 60000; // 1 minute
     this.espProviders = new Map(); // ESP provider database
     this.domainCache = new Map(); // Domain analysis cache
+    this.domainCacheTtl = parseInt(process.env.ANALYTICS_DOMAIN_CACHE_TTL) || 60 * 60000; // 1 hour
+    this.maxCacheSize = parseInt(process.env.ANALYTICS_CACHE_SIZE) || 10000;
     this.initializeESPProviders();
   }
 
@@ -90,23 +92,21 @@ class EmailAnalyticsService extends EventEmitter {
       // Extract sender information
       analytics.sender = await this.analyzeSender(email);
       
-      // Analyze sending domain
-      analytics.domain = await this.analyzeDomain(analytics.sender.domain);
-      
-      // Detect ESP (Email Service Provider)
-      analytics.esp = await this.detectESP(analytics.sender.domain, analytics.domain);
+      // Analyze sending domain, ESP and security (shared by all mail from the domain)
+      Object.assign(analytics, await this.analyzeSendingDomain(analytics.sender.domain, email));
       
       // Calculate time deltas
       analytics.timing = this.calculateTimeDeltas(email);
       
-      // Security analysis
-      analytics.security = await this.analyzeSecurity(analytics.sender.domain, email);
-      
       // Additional metadata
       analytics.metadata = this.extractMetadata(email);
 
-      // Cache the analytics
+      // Cache the analytics, dropping the oldest entry when full
+      this.analyticsCache.delete(analytics.emailId);
       this.analyticsCache.set(analytics.emailId, analytics);
+      if (this.analyticsCache.size > this.maxCacheSize) {
+        this.analyticsCache.delete(this.analyticsCache.keys().next().value);
+      }
       
       // Emit analytics event
       this.emit('analyticsProcessed', analytics);
@@ -118,6 +118,38 @@ class EmailAnalyticsService extends EventEmitter {
     }
   }
 
+  /**
+   * Analyze the sending domain, its ESP and its mail server security
+   * These checks hit DNS and the domain's mail servers, so results are cached per
+   * domain; bulk imports would otherwise probe the same servers for every email
+   * @param {string} domain - Sender domain
+   * @param {Object} email - Email object
+   * @returns {Promise<Object>} Domain, ESP and security analysis
+   */
+  async analyzeSendingDomain(domain, email) {
+    const cached = domain ? this.domainCache.get(domain) : null;
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    const analysis = await this.analyzeDomain(domain);
+    const result = {
+      domain: analysis,
+      esp: await this.detectESP(domain, analysis),
+      security: await this.analyzeSecurity(domain, email)
+    };
+
+    if (domain) {
+      this.domainCache.delete(domain);
+      this.domainCache.set(domain, { result, expiresAt: Date.now() + this.domainCacheTtl });
+      if (this.domainCache.size > this.maxCacheSize) {
+        this.domainCache.delete(this.domainCache.keys().next().value);
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Analyze sender information
    * @param {Object} email - Email object
@@ -0,0 +1,853 @@
+const { EventEmitter } = require('events');
+const Email = require('../models/Email');
+const EmailAccount = require('../models/EmailAccount');
+const SyncJob = require('../models/SyncJob');
+const FolderState = require('../models/FolderState');
+const imapService = require('./imapService');
+const pop3Service = require('./pop3Service');
+const emailParserService = require('./emailParserService');
+const flagSyncService = require('./flagSyncService');
+const threadingService = require('./threadingService');
+const logger = require('../utils/logger');
+
+/**
+ * Email Ingestion Service
+ * Executes SyncJobs by fetching messages from an account's IMAP folders (or its
+ * POP3 mailbox) and storing them as Email documents
+ */
+class EmailIngestionService extends EventEmitter {
+  constructor() {
+    super();
+    this.activeJobs = new Map(); // Jobs currently executing in this process
+    this.batchSize = parseInt(process.env.SYNC_BATCH_SIZE) || 50;
+    this.maxMessageAttempts = parseInt(process.env.SYNC_MAX_MESSAGE_ATTEMPTS) || 5;
+  }
+
+  /**
+   * Execute a sync job
+   * Failed attempts are requeued with backoff until options.retryAttempts is
+   * exhausted; a job in which only some folders failed ends as partial
+   * @param {string} jobId - SyncJob document ID
+   * @returns {Promise<Object>} Completed SyncJob document
+   */
+  async runSyncJob(jobId) {
+    const job = await SyncJob.findById(jobId);
+    if (!job) {
+      throw new Error(`Sync job not found: ${jobId}`);
+    }
+
+    const account = await EmailAccount.findById(job.accountId).select('+authConfig.password');
+    if (!account) {
+      const error = new Error(`Email account not found: ${job.accountId}`);
+      error.code = 'ACCOUNT_NOT_FOUND';
+      error.retryable = false;
+      await job.fail(error);
+      throw error;
+    }
+
+    const connectionId = `ingest_${account._id}`;
+    // Resumed and retried jobs continue counting from their saved results
+    const stats = {
+      emailsSynced: job.results.emailsSynced || 0,
+      emailsSkipped: job.results.emailsSkipped || 0,
+      emailsFailed: job.results.emailsFailed || 0,
+      foldersProcessed: job.checkpoints.filter(checkpoint => checkpoint.completed).length,
+      bytesTransferred: job.results.statistics.totalDataTransferred || 0
+    };
+
+    this.activeJobs.set(job._id.toString(), { job, account, stats });
+
+    try {
+      await job.start();
+      this.emit('jobStarted', { jobId: job._id, accountId: account._id });
+      logger.info(`Ingestion started for job ${job._id} (${account.email})`);
+
+      let failedFolders = [];
+      if (account.protocol === 'pop3') {
+        await this.syncPop3Mailbox(job, account, stats);
+      } else {
+        failedFolders = await this.syncImapFolders(job, account, connectionId, stats);
+      }
+
+      await this.checkControl(job);
+      this.applyResults(job, stats);
+
+      const partial = failedFolders.length > 0;
+      if (partial) {
+        const error = new Error(`Failed to sync ${failedFolders.length} folder(s): ${failedFolders.join(', ')}`);
+        error.code = 'FOLDERS_FAILED';
+        await job.completePartially(error);
+      } else {
+        await job.complete();
+      }
+
+      await this.updateAccountStatistics(account, stats);
+
+      this.emit('jobCompleted', { jobId: job._id, accountId: account._id, stats, partial });
+      logger.info(`Ingestion ${partial ? 'partially completed' : 'completed'} for job ${job._id}: ${stats.emailsSynced} synced, ${stats.emailsSkipped} skipped, ${stats.emailsFailed} failed`);
+
+      return job;
+    } catch (error) {
+      if (this.isControlError(error)) {
+        return this.handleControlStop(job, account, stats, error);
+      }
+
+      logger.error(`Ingestion failed for job ${job._id}:`, error);
+
+      this.applyResults(job, stats);
+      const retrying = await job.failOrRetry(error);
+
+      this.emit('jobFailed', { jobId: job._id, accountId: account._id, error, retrying });
+      throw error;
+    } finally {
+      this.activeJobs.delete(job._id.toString());
+      imapService.returnConnectionToPool(connectionId);
+    }
+  }
+
+  /**
+   * Sync the job's IMAP folders
+   * A failed folder keeps its checkpoint open so the next sync retries it; the
+   * attempt fails as a whole when no folder could be synced
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {string} connectionId - Pooled connection ID, released by runSyncJob
+   * @param {Object} stats - Running job statistics
+   * @returns {Promise<Array<string>>} Folders that failed
+   */
+  async syncImapFolders(job, account, connectionId, stats) {
+    const connection = await imapService.getConnection(connectionId, account.getImapConfig());
+    const folders = this.getSyncFolders(job, account);
+    const failedFolders = [];
+    let lastError = null;
+
+    for (const folder of folders) {
+      const checkpoint = job.getCheckpoint(folder);
+      if (checkpoint && checkpoint.completed) continue;
+
+      await this.checkControl(job);
+
+      // Replace the result of an earlier failed attempt
+      job.results.foldersProcessed = job.results.foldersProcessed.filter(entry => entry.name !== folder);
+
+      try {
+        const folderStats = await this.syncFolder(job, account, connection.imap, folder, stats);
+        job.results.foldersProcessed.push({
+          name: folder,
+          emailsCount: folderStats.total,
+          status: 'completed'
+        });
+        job.recordCheckpoint(folder, { completed: true });
+        stats.foldersProcessed++;
+      } catch (error) {
+        if (this.isControlError(error)) throw error;
+        logger.error(`Failed to sync folder ${folder} for job ${job._id}:`, error);
+        job.results.foldersProcessed.push({ name: folder, emailsCount: 0, status: 'failed' });
+        failedFolders.push(folder);
+        lastError = error;
+      }
+
+      await job.save();
+    }
+
+    // Nothing was synced; fail the attempt so the queue retries it
+    if (failedFolders.length > 0 && stats.foldersProcessed === 0) {
+      throw lastError;
+    }
+
+    return failedFolders;
+  }
+
+  /**
+   * Download new messages of a POP3 mailbox into INBOX
+   * Messages are recognised by their UIDL; unless the account leaves mail on the
+   * server, stored messages are deleted, which the server applies on QUIT
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {Object} stats - Running job statistics
+   */
+  async syncPop3Mailbox(job, account, stats) {
+    const folder = 'INBOX';
+    const checkpoint = job.getCheckpoint(folder);
+    if (checkpoint && checkpoint.completed) return;
+
+    job.results.foldersProcessed = job.results.foldersProcessed.filter(entry => entry.name !== folder);
+
+    const connection = await pop3Service.connect(account.getPop3Config());
+    try {
+      const listing = await connection.uidl();
+      const stored = new Set(await Email.distinct('pop3Uidl', { emailAccountId: account._id }));
+      const leaveOnServer = account.pop3Config.leaveOnServer !== false;
+
+      let pending = listing.filter(message => !stored.has(message.uidl));
+      stats.emailsSkipped += listing.length - pending.length;
+      job.progress.skippedEmails += listing.length - pending.length;
+
+      // Oldest first, so a capped run is continued by the next one
+      const maxEmails = job.options.maxEmailsPerSync;
+      if (maxEmails && pending.length > maxEmails) {
+        pending = pending.slice(0, maxEmails);
+      }
+
+      job.progress.totalEmails += pending.length;
+      job.recordCheckpoint(folder, { lastUid: 0, completed: false });
+      await job.save();
+      this.emit('folderStarted', { jobId: job._id, folder, count: pending.length, incremental: false, resumed: false });
+
+      // Messages stored by an earlier run that could not delete them
+      const toDelete = leaveOnServer ? [] : listing.filter(message => stored.has(message.uidl)).map(message => message.number);
+
+      const last = await Email.findOne({ emailAccountId: account._id, folder }).sort({ uid: -1 }).select('uid').lean();
+      let nextUid = last ? last.uid + 1 : 1;
+
+      const batchSize = job.options.batchSize || this.batchSize;
+      for (let start = 0; start < pending.length; start += batchSize) {
+        await this.checkControl(job);
+
+        for (const { number, uidl } of pending.slice(start, start + batchSize)) {
+          const raw = await connection.retr(number);
+          try {
+            try {
+              await this.ingestMessage(account, folder, { uid: nextUid++, uidl, flags: [], date: null, raw });
+            } catch (error) {
+              if (!this.isDuplicateKey(error, 'uid')) throw error;
+              // Another job took the UID; continue after the highest stored one
+              const stored = await Email.findOne({ emailAccountId: account._id, folder }).sort({ uid: -1 }).select('uid').lean();
+              nextUid = Math.max(nextUid, stored ? stored.uid + 1 : 1);
+              await this.ingestMessage(account, folder, { uid: nextUid++, uidl, flags: [], date: null, raw });
+            }
+            stats.emailsSynced++;
+            stats.bytesTransferred += raw.length;
+            job.progress.successfulEmails++;
+            toDelete.push(number);
+          } catch (error) {
+            // Only a message known to be stored may be deleted from the server
+            const stored = this.isDuplicateKey(error, 'pop3Uidl') ||
+              (error.code === 11000 && await Email.exists({ emailAccountId: account._id, pop3Uidl: uidl }));
+            if (stored) {
+              // Stored concurrently by another job
+              stats.emailsSkipped++;
+              job.progress.skippedEmails++;
+              toDelete.push(number);
+            } else {
+              logger.error(`Failed to ingest POP3 message ${uidl}:`, error);
+              stats.emailsFailed++;
+              job.progress.failedEmails++;
+            }
+          }
+
+          job.progress.processedEmails++;
+        }
+
+        job.recordCheckpoint(folder, { lastUid: nextUid - 1 });
+        await job.save();
+
+        this.emit('batchCompleted', {
+          jobId: job._id,
+          folder,
+          processed: Math.min(start + batchSize, pending.length),
+          total: pending.length
+        });
+      }
+
+      if (!leaveOnServer) {
+        for (const number of toDelete) {
+          await connection.dele(number);
+        }
+      }
+      await connection.quit();
+
+      job.results.foldersProcessed.push({ name: folder, emailsCount: listing.length, status: 'completed' });
+      job.recordCheckpoint(folder, { completed: true });
+      stats.foldersProcessed++;
+      await job.save();
+    } finally {
+      // Without QUIT the server keeps messages marked for deletion
+      connection.close();
+    }
+  }
+
+  /**
+   * Resolve the folders a job should sync
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @returns {Array<string>} Folder paths
+   */
+  getSyncFolders(job, account) {
+    const folders = job.folders && job.folders.length > 0
+      ? job.folders
+      : account.syncConfig.syncFolders;
+    const excluded = new Set(account.syncConfig.excludeFolders || []);
+
+    return folders.filter(folder => !excluded.has(folder));
+  }
+
+  /**
+   * Sync a single folder into the Email collection
+   * Incremental jobs only fetch UIDs above the stored high-water mark; a changed
+   * UIDVALIDITY invalidates stored UIDs and forces a full resync of the folder.
+   * The mark only moves past messages that are stored or recorded in
+   * FolderState.failedUids, which later syncs retry.
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {Object} imap - IMAP connection
+   * @param {string} folder - Folder path
+   * @param {Object} stats - Running job statistics
+   * @returns {Promise<Object>} Folder statistics
+   */
+  async syncFolder(job, account, imap, folder, stats) {
+    const box = await this.openBox(imap, folder);
+    const state = await FolderState.findOrCreate(account._id, folder);
+
+    let isFullSync = job.syncType !== 'incremental';
+    const previousModSeq = state.highestModSeq;
+    const hasStoredState = state.isValidFor(box.uidvalidity);
+
+    if (!hasStoredState) {
+      if (state.uidValidity !== null) {
+        logger.warn(`UIDVALIDITY changed for ${account.email}/${folder} (${state.uidValidity} -> ${box.uidvalidity}), resyncing folder`);
+        await Email.deleteMany({ emailAccountId: account._id, folder });
+        this.emit('folderInvalidated', { accountId: account._id, folder, uidValidity: box.uidvalidity });
+      }
+      state.reset(box.uidvalidity);
+      isFullSync = true;
+    }
+
+    let newUids;
+    let serverCount;
+    let serverUids = [];
+    let appendedCount = 0;
+
+    if (hasStoredState) {
+      await this.retryFailedMessages(job, account, imap, folder, state, stats);
+    }
+
+    if (isFullSync) {
+      serverUids = await this.searchUids(imap, ['ALL']);
+      const storedUids = await Email.distinct('uid', { emailAccountId: account._id, folder });
+      const stored = new Set(storedUids);
+
+      newUids = serverUids.filter(uid => !stored.has(uid));
+      serverCount = serverUids.length;
+      stats.emailsSkipped += serverCount - newUids.length;
+      job.progress.skippedEmails += serverCount - newUids.length;
+    } else if (box.uidnext && box.uidnext <= state.highestUid + 1) {
+      // Nothing was appended since the last sync
+      newUids = [];
+      serverCount = 0;
+    } else {
+      // "n:*" always matches the last message, so filter below the high-water mark
+      const candidates = await this.searchUids(imap, [['UID', `${state.highestUid + 1}:*`]]);
+      newUids = candidates.filter(uid => uid > state.highestUid);
+      serverCount = newUids.length;
+      appendedCount = candidates.filter(uid => uid >= state.uidNext).length;
+    }
+
+    newUids.sort((a, b) => a - b);
+
+    // Skip what an earlier run of this job already processed
+    const checkpoint = job.getCheckpoint(folder);
+    const resuming = Boolean(checkpoint) && checkpoint.uidValidity === box.uidvalidity;
+    if (resuming) {
+      newUids = newUids.filter(uid => uid > checkpoint.lastUid);
+    }
+
+    // Oldest first, so the high-water mark can advance and the next run
+    // continues where this one stopped
+    const maxEmails = job.options.maxEmailsPerSync;
+    let deferredUid = null;
+    if (maxEmails && newUids.length > maxEmails) {
+      deferredUid = newUids[maxEmails];
+      newUids = newUids.slice(0, maxEmails);
+    }
+
+    if (!resuming) {
+      job.progress.totalEmails += newUids.length;
+      job.recordCheckpoint(folder, { uidValidity: box.uidvalidity, lastUid: 0, completed: false });
+    }
+    await job.save();
+
+    this.emit('folderStarted', { jobId: job._id, folder, count: newUids.length, incremental: !isFullSync, resumed: resuming });
+
+    let highestUid = resuming ? checkpoint.lastUid : 0;
+    const batchSize = job.options.batchSize || this.batchSize;
+    for (let start = 0; start < newUids.length; start += batchSize) {
+      await this.checkControl(job);
+
+      const batch = newUids.slice(start, start + batchSize);
+      const failed = await this.processBatch(job, account, imap, folder, batch, stats);
+      if (failed.length > 0) {
+        // Saved before the checkpoint moves past them
+        state.recordFailedUids(failed);
+        await state.save();
+      }
+      highestUid = batch[batch.length - 1];
+      job.recordCheckpoint(folder, { lastUid: highestUid });
+      await job.save();
+
+      this.emit('batchCompleted', {
+        jobId: job._id,
+        folder,
+        processed: Math.min(start + batchSize, newUids.length),
+        total: newUids.length
+      });
+    }
+
+    if (hasStoredState) {
+      // Bring flags of previously stored messages up to date
+      try {
+        await flagSyncService.pullFlagChanges(account, imap, folder, previousModSeq, box);
+      } catch (error) {
+        logger.warn(`Failed to pull flag changes for ${account.email}/${folder}: ${error.message}`);
+      }
+
+      // CONDSTORE does not report expunges. Fewer messages than before plus those
+      // appended since means some were expunged, so compare stored UIDs with the server
+      const expectedCount = state.messageCount + appendedCount;
+      if (isFullSync || state.uidNext === null || box.messages?.total !== expectedCount) {
+        try {
+          await this.reconcileExpunged(account, imap, folder, isFullSync ? serverUids : null);
+        } catch (error) {
+          logger.warn(`Failed to reconcile expunged emails for ${account.email}/${folder}: ${error.message}`);
+        }
+      }
+    }
+
+    if (isFullSync) {
+      // Server UIDs below the first deferred one are stored or recorded as failed
+      const covered = deferredUid === null ? serverUids : serverUids.filter(uid => uid < deferredUid);
+      highestUid = covered.reduce((max, uid) => Math.max(max, uid), highestUid);
+    }
+
+    await state.recordSync(box, highestUid, isFullSync);
+
+    return { total: serverCount, fetched: newUids.length };
+  }
+
+  /**
+   * Retry messages earlier syncs of a folder could not store
+   * Entries are dropped once the message is stored or no longer on the server;
+   * after maxMessageAttempts they stay recorded but are not fetched again
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {Object} imap - IMAP connection with the folder selected
+   * @param {string} folder - Folder path
+   * @param {Object} state - FolderState document
+   * @param {Object} stats - Running job statistics
+   */
+  async retryFailedMessages(job, account, imap, folder, state, stats) {
+    const uids = state.getRetryUids(this.maxMessageAttempts);
+    if (uids.length === 0) return;
+
+    logger.info(`Retrying ${uids.length} failed message(s) in ${account.email}/${folder}`);
+    job.progress.totalEmails += uids.length;
+
+    const batchSize = job.options.batchSize || this.batchSize;
+    for (let start = 0; start < uids.length; start += batchSize) {
+      const batch = uids.slice(start, start + batchSize);
+      const failed = await this.processBatch(job, account, imap, folder, batch, stats);
+      const stillFailing = new Set(failed.map(failure => failure.uid));
+
+      state.clearFailedUids(batch.filter(uid => !stillFailing.has(uid)));
+      state.recordFailedUids(failed);
+    }
+
+    await state.save();
+  }
+
+  /**
+   * Stop at a batch boundary if the job was paused, cancelled, deleted or
+   * claimed by another runner since this run started
+   * @param {Object} job - SyncJob document
+   */
+  async checkControl(job) {
+    const current = await SyncJob.findById(job._id).select('status lease.token').lean();
+
+    let code = null;
+    if (!current || current.status === 'cancelled') {
+      code = current ? 'JOB_CANCELLED' : 'JOB_DELETED';
+    } else if (current.status === 'paused') {
+      code = 'JOB_PAUSED';
+    } else if (job.lease.token && current.lease?.token !== job.lease.token) {
+      code = 'JOB_SUPERSEDED';
+    }
+
+    if (code) {
+      const error = new Error(`Sync job ${job._id} stopped (${code})`);
+      error.code = code;
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an error is a stop request raised by checkControl
+   * @param {Error} error - Error
+   * @returns {boolean} True for pause/cancel/delete/superseded stops
+   */
+  isControlError(error) {
+    return ['JOB_PAUSED', 'JOB_CANCELLED', 'JOB_DELETED', 'JOB_SUPERSEDED'].includes(error.code);
+  }
+
+  /**
+   * Persist checkpoints and results of a job stopped through checkControl
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {Object} stats - Running job statistics
+   * @param {Error} error - Stop request
+   * @returns {Promise<Object>} SyncJob document
+   */
+  async handleControlStop(job, account, stats, error) {
+    // A deleted job has nothing to save, and a superseded one belongs to another runner
+    if (error.code === 'JOB_PAUSED' || error.code === 'JOB_CANCELLED') {
+      this.applyResults(job, stats);
+      await job.save();
+    }
+
+    this.emit(error.code === 'JOB_PAUSED' ? 'jobPaused' : 'jobStopped', {
+      jobId: job._id,
+      accountId: account._id,
+      reason: error.code
+    });
+    logger.info(`Ingestion stopped for job ${job._id} (${error.code})`);
+
+    return job;
+  }
+
+  /**
+   * Fetch, parse and store a batch of messages
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {Object} imap - IMAP connection
+   * @param {string} folder - Folder path
+   * @param {Array<number>} uids - Message UIDs
+   * @param {Object} stats - Running job statistics
+   * @returns {Promise<Array<Object>>} Messages that could not be stored ({ uid, error });
+   *   UIDs the server no longer has are not returned
+   */
+  async processBatch(job, account, imap, folder, uids, stats) {
+    const messages = await this.fetchMessages(imap, uids);
+    const failed = [];
+
+    for (const message of messages) {
+      try {
+        await this.ingestMessage(account, folder, message);
+        stats.emailsSynced++;
+        stats.bytesTransferred += message.raw.length;
+        job.progress.successfulEmails++;
+      } catch (error) {
+        if (this.isDuplicateKey(error, 'uid')) {
+          // Stored concurrently by another job
+          stats.emailsSkipped++;
+          job.progress.skippedEmails++;
+        } else {
+          logger.error(`Failed to ingest message ${folder}/${message.uid}:`, error);
+          stats.emailsFailed++;
+          job.progress.failedEmails++;
+          failed.push({ uid: message.uid, error });
+        }
+      }
+
+      job.progress.processedEmails++;
+    }
+
+    return failed;
+  }
+
+  /**
+   * Parse and store a single fetched message
+   * @param {Object} account - EmailAccount document
+   * @param {string} folder - Folder path
+   * @param {Object} message - Fetched message ({ uid, flags, date, raw }, plus uidl for POP3)
+   * @returns {Promise<Object>} Created Email document
+   */
+  async ingestMessage(account, folder, message) {
+    const document = await emailParserService.parseToEmailDocument(message.raw, {
+      userId: account.userId,
+      emailAccountId: account._id,
+      folder,
+      uid: message.uid,
+      flags: message.flags,
+      internalDate: message.date,
+      source: message.uidl ? 'pop3' : 'imap'
+    });
+    if (message.uidl) {
+      document.pop3Uidl = message.uidl;
+    }
+    await threadingService.assignThread(document).catch((error) => {
+      // Left unthreaded; the threading task picks it up later
+      logger.warn(`Threading failed for ${document.messageId}: ${error.message}`);
+    });
+
+    const email = await Email.create(document);
+    this.emit('emailIngested', { emailId: email._id, accountId: account._id, folder });
+    return email;
+  }
+
+  /**
+   * Check whether an insert failed on a unique index covering a field
+   * Only the folder UID key (and the POP3 UIDL key) identify an already stored
+   * message; other duplicate key errors, e.g. from the legacy unique messageId
+   * index, mean the message was not stored
+   * @param {Error} error - Insert error
+   * @param {string} field - Field of the unique index (uid or pop3Uidl)
+   * @returns {boolean} True for a duplicate key on that index
+   */
+  isDuplicateKey(error, field) {
+    return error.code === 11000 && Boolean(error.keyPattern) && field in error.keyPattern;
+  }
+
+  /**
+   * Ingest messages appended to a folder since the last sync, outside of a SyncJob
+   * Used by realtime watchers reacting to new-mail notifications
+   * @param {Object} account - EmailAccount document (with credentials selected)
+   * @param {Object} imap - IMAP connection
+   * @param {string} folder - Folder path
+   * @returns {Promise<Object>} Result ({ ingested, requiresFullSync })
+   */
+  async syncNewMessages(account, imap, folder) {
+    const box = await this.openBox(imap, folder);
+    const state = await FolderState.findOrCreate(account._id, folder);
+
+    if (!state.isValidFor(box.uidvalidity)) {
+      // Unknown or reset mailbox; a full sync job has to rebuild it
+      return { ingested: 0, requiresFullSync: true };
+    }
+
+    const candidates = await this.searchUids(imap, [['UID', `${state.highestUid + 1}:*`]]);
+    const newUids = candidates.filter(uid => uid > state.highestUid).sort((a, b) => a - b);
+
+    let ingested = 0;
+    for (let start = 0; start < newUids.length; start += this.batchSize) {
+      const messages = await this.fetchMessages(imap, newUids.slice(start, start + this.batchSize));
+      for (const message of messages) {
+        try {
+          await this.ingestMessage(account, folder, message);
+          ingested++;
+        } catch (error) {
+          if (!this.isDuplicateKey(error, 'uid')) {
+            logger.error(`Failed to ingest message ${folder}/${message.uid}:`, error);
+            // The next sync job retries it
+            state.recordFailedUids([{ uid: message.uid, error }]);
+          }
+        }
+      }
+    }
+
+    await state.recordSync(box, newUids.length > 0 ? newUids[newUids.length - 1] : 0, false);
+
+    if (ingested > 0) {
+      account.statistics.totalEmails += ingested;
+      account.statistics.emailsSynced += ingested;
+      account.syncConfig.lastSyncAt = new Date();
+      await account.save();
+    }
+
+    return { ingested, requiresFullSync: false };
+  }
+
+  /**
+   * Remove stored emails whose UIDs were expunged from a folder
+   * @param {Object} account - EmailAccount document
+   * @param {Object} imap - IMAP connection with the folder selected
+   * @param {string} folder - Folder path
+   * @param {Array<number>|null} serverUids - UIDs on the server, searched when not given
+   * @returns {Promise<number>} Number of removed emails
+   */
+  async reconcileExpunged(account, imap, folder, serverUids = null) {
+    if (!serverUids) {
+      serverUids = await this.searchUids(imap, ['ALL']);
+    }
+    const result = await Email.deleteMany({
+      emailAccountId: account._id,
+      folder,
+      uid: { $nin: serverUids }
+    });
+
+    if (result.deletedCount > 0) {
+      this.emit('emailsExpunged', { accountId: account._id, folder, count: result.deletedCount });
+    }
+
+    return result.deletedCount;
+  }
+
+  /**
+   * Apply server-side flag changes to a stored email
+   * Emails with unpushed local changes keep their local flags
+   * @param {Object} account - EmailAccount document
+   * @param {string} folder - Folder path
+   * @param {number} uid - Message UID
+   * @param {Array<string>} imapFlags - Current IMAP flags
+   * @returns {Promise<boolean>} True if a stored email was updated
+   */
+  async applyServerFlags(account, folder, uid, imapFlags) {
+    const result = await Email.updateOne(
+      { emailAccountId: account._id, folder, uid, 'flagSync.dirty': { $ne: true } },
+      { $set: { flags: emailParserService.mapFlags(imapFlags) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Copy running statistics onto the job results
+   * @param {Object} job - SyncJob document
+   * @param {Object} stats - Running job statistics
+   */
+  applyResults(job, stats) {
+    job.results.emailsSynced = stats.emailsSynced;
+    job.results.emailsSkipped = stats.emailsSkipped;
+    job.results.emailsFailed = stats.emailsFailed;
+    job.results.statistics.totalDataTransferred = stats.bytesTransferred;
+    if (job.timing.startedAt) {
+      job.timing.duration = Date.now() - job.timing.startedAt.getTime();
+    }
+  }
+
+  /**
+   * Refresh account statistics after a sync
+   * @param {Object} account - EmailAccount document
+   * @param {Object} stats - Job statistics
+   */
+  async updateAccountStatistics(account, stats) {
+    const [summary] = await Email.aggregate([
+      { $match: { emailAccountId: account._id } },
+      {
+        $group: {
+          _id: null,
+          totalEmails: { $sum: 1 },
+          totalSize: { $sum: '$content.totalSize' },
+          lastEmailDate: { $max: '$headers.date' },
+          oldestEmailDate: { $min: '$headers.date' }
+        }
+      }
+    ]);
+
+    const folders = await Email.distinct('folder', { emailAccountId: account._id });
+
+    account.updateStatistics({
+      totalEmails: summary ? summary.totalEmails : 0,
+      emailsSynced: stats.emailsSynced,
+      emailsProcessed: stats.emailsSynced + stats.emailsFailed,
+      foldersCount: folders.length,
+      storageUsedMB: summary ? Math.round((summary.totalSize / (1024 * 1024)) * 100) / 100 : 0
+    });
+
+    if (summary) {
+      account.statistics.lastEmailDate = summary.lastEmailDate;
+      account.statistics.oldestEmailDate = summary.oldestEmailDate;
+      account.statistics.averageEmailSize = summary.totalEmails > 0
+        ? Math.round(summary.totalSize / summary.totalEmails)
+        : 0;
+    }
+
+    await account.save();
+  }
+
+  /**
+   * Open a mailbox
+   * @param {Object} imap - IMAP connection
+   * @param {string} folder - Folder path
+   * @param {boolean} readOnly - Open in read-only mode
+   * @returns {Promise<Object>} Mailbox information
+   */
+  openBox(imap, folder, readOnly = true) {
+    return new Promise((resolve, reject) => {
+      imap.openBox(folder, readOnly, (err, box) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(box);
+        }
+      });
+    });
+  }
+
+  /**
+   * Search the open mailbox for UIDs
+   * @param {Object} imap - IMAP connection
+   * @param {Array} criteria - IMAP search criteria
+   * @returns {Promise<Array<number>>} Matching UIDs
+   */
+  searchUids(imap, criteria) {
+    return new Promise((resolve, reject) => {
+      imap.search(criteria, (err, uids) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(uids || []);
+        }
+      });
+    });
+  }
+
+  /**
+   * Fetch full messages by UID from the open mailbox
+   * @param {Object} imap - IMAP connection
+   * @param {Array<number>} uids - Message UIDs
+   * @returns {Promise<Array<Object>>} Fetched messages ({ uid, flags, date, size, raw })
+   */
+  fetchMessages(imap, uids) {
+    return new Promise((resolve, reject) => {
+      if (uids.length === 0) {
+        resolve([]);
+        return;
+      }
+
+      const messages = [];
+      const fetch = imap.fetch(uids, {
+        bodies: '',
+        size: true,
+        markSeen: false
+      });
+
+      fetch.on('message', (msg) => {
+        const message = { uid: null, flags: [], date: null, size: 0, raw: null };
+        const chunks = [];
+        let bodyDone = Promise.resolve();
+
+        msg.on('body', (stream) => {
+          bodyDone = new Promise((resolveBody) => {
+            stream.on('data', (chunk) => chunks.push(chunk));
+            stream.once('end', resolveBody);
+          });
+        });
+
+        msg.once('attributes', (attrs) => {
+          message.uid = attrs.uid;
+          message.flags = attrs.flags || [];
+          message.date = attrs.date;
+          message.size = attrs.size || 0;
+        });
+
+        msg.once('end', () => {
+          messages.push(bodyDone.then(() => {
+            message.raw = Buffer.concat(chunks);
+            return message;
+          }));
+        });
+      });
+
+      fetch.once('error', (err) => {
+        logger.error('Error fetching messages:', err);
+        reject(err);
+      });
+
+      fetch.once('end', () => {
+        Promise.all(messages).then(resolve).catch(reject);
+      });
+    });
+  }
+
+  /**
+   * Check whether a job is executing in this process
+   * @param {string} jobId - SyncJob document ID
+   * @returns {boolean} True if the job is active
+   */
+  isJobActive(jobId) {
+    return this.activeJobs.has(jobId.toString());
+  }
+}
+
+// Create singleton instance
+const emailIngestionService = new EmailIngestionService();
+
+module.exports = emailIngestionService;
@@ -0,0 +1,236 @@
+const { simpleParser } = require('mailparser');
+const logger = require('../utils/logger');
+
+/**
+ * Email Parser Service
+ * Parses raw RFC 822 messages and maps them onto the Email schema
+ */
+class EmailParserService {
+  constructor() {
+    // IMAP system flags and the Email.flags field they map to
+    this.flagMap = {
+      '\\Seen': 'seen',
+      '\\Answered': 'answered',
+      '\\Flagged': 'flagged',
+      '\\Deleted': 'deleted',
+      '\\Draft': 'draft',
+      '\\Recent': 'recent'
+    };
+  }
+
+  /**
+   * Parse a raw message
+   * @param {Buffer} raw - Raw RFC 822 message bytes
+   * @returns {Promise<Object>} Parsed mail object
+   */
+  async parse(raw) {
+    return simpleParser(raw, {
+      skipImageLinks: true,
+      skipTextToHtml: true,
+      skipTextLinks: true
+    });
+  }
+
+  /**
+   * Convert IMAP flags to the Email flags subdocument
+   * @param {Array<string>} imapFlags - IMAP flags (e.g. ['\\Seen'])
+   * @returns {Object} Email flags
+   */
+  mapFlags(imapFlags = []) {
+    const flags = {
+      seen: false,
+      answered: false,
+      flagged: false,
+      deleted: false,
+      draft: false,
+      recent: false
+    };
+
+    for (const flag of imapFlags) {
+      const field = this.flagMap[flag];
+      if (field) {
+        flags[field] = true;
+      }
+    }
+
+    return flags;
+  }
+
+  /**
+   * Flatten a mailparser address object into a list of addresses
+   * @param {Object|Array} addressObject - mailparser AddressObject(s)
+   * @returns {Array<Object>} Array of { address, name }
+   */
+  flattenAddresses(addressObject) {
+    if (!addressObject) return [];
+
+    const objects = Array.isArray(addressObject) ? addressObject : [addressObject];
+    const addresses = [];
+
+    const collect = (entries) => {
+      for (const entry of entries || []) {
+        if (entry.group) {
+          collect(entry.group);
+        } else if (entry.address) {
+          addresses.push({ address: entry.address.toLowerCase(), name: entry.name || '' });
+        }
+      }
+    };
+
+    for (const object of objects) {
+      collect(object.value);
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Format an address for storage in a header field
+   * @param {Object} address - { address, name }
+   * @returns {string} Formatted address
+   */
+  formatAddress(address) {
+    return address.name ? `${address.name} <${address.address}>` : address.address;
+  }
+
+  /**
+   * Build analytics data that can be derived from the message itself
+   * @param {Object} from - Sender address
+   * @param {Array<Object>} recipients - Recipient addresses
+   * @param {Array<Object>} attachments - Mapped attachments
+   * @param {number} size - Message size in bytes
+   * @returns {Object} Email analytics subdocument
+   */
+  buildAnalytics(from, recipients, attachments, size) {
+    const domainOf = (address) => (address.split('@')[1] || '').toLowerCase();
+
+    return {
+      sender: {
+        email: from ? from.address : null,
+        domain: from ? domainOf(from.address) : null,
+        name: from ? from.name : null
+      },
+      recipients: recipients.map(recipient => ({
+        email: recipient.address,
+        domain: domainOf(recipient.address),
+        name: recipient.name
+      })),
+      size,
+      hasAttachments: attachments.length > 0,
+      attachmentCount: attachments.length,
+      totalAttachmentSize: attachments.reduce((total, attachment) => total + (attachment.size || 0), 0)
+    };
+  }
+
+  /**
+   * Map a parsed message onto the Email schema
+   * @param {Object} parsed - Parsed mail object from parse()
+   * @param {Object} context - Ingestion context
+   * @param {string} context.userId - Owner user ID
+   * @param {string} context.emailAccountId - Email account ID
+   * @param {string} context.folder - Folder path
+   * @param {number} context.uid - Message UID within the folder
+   * @param {Array<string>} context.flags - IMAP flags
+   * @param {Date} context.internalDate - Server internal date
+   * @param {number} context.size - Raw message size in bytes
+   * @param {string} context.source - Ingestion source (imap, import, ...)
+   * @returns {Object} Email document fields
+   */
+  toEmailDocument(parsed, context) {
+    const from = this.flattenAddresses(parsed.from)[0] || null;
+    const to = this.flattenAddresses(parsed.to);
+    const cc = this.flattenAddresses(parsed.cc);
+    const bcc = this.flattenAddresses(parsed.bcc);
+    const replyTo = this.flattenAddresses(parsed.replyTo)[0] || null;
+
+    const headerMessageId = parsed.messageId || null;
+    const messageId = headerMessageId || this.generateMessageId(context);
+
+    const references = Array.isArray(parsed.references)
+      ? parsed.references
+      : (parsed.references ? [parsed.references] : []);
+
+    const attachments = (parsed.attachments || []).map(attachment => ({
+      filename: attachment.filename || null,
+      contentType: attachment.contentType,
+      size: attachment.size || (attachment.content ? attachment.content.length : 0),
+      contentId: attachment.contentId ? attachment.contentId.replace(/^<|>$/g, '') : null,
+      disposition: attachment.contentDisposition || null,
+      data: attachment.content
+    }));
+
+    const size = context.size || 0;
+    const date = parsed.date || context.internalDate || new Date();
+
+    return {
+      userId: context.userId,
+      emailAccountId: context.emailAccountId,
+      messageId,
+      uid: context.uid,
+      headers: {
+        from: from ? this.formatAddress(from) : '(unknown sender)',
+        to: to.map(address => this.formatAddress(address)),
+        cc: cc.map(address => this.formatAddress(address)),
+        bcc: bcc.map(address => this.formatAddress(address)),
+        subject: parsed.subject || '(no subject)',
+        date,
+        replyTo: replyTo ? this.formatAddress(replyTo) : undefined,
+        inReplyTo: parsed.inReplyTo || undefined,
+        references,
+        messageId: headerMessageId || undefined
+      },
+      content: {
+        text: parsed.text || '',
+        html: parsed.html || '',
+        attachments,
+        totalSize: size
+      },
+      flags: this.mapFlags(context.flags),
+      folder: context.folder,
+      analytics: this.buildAnalytics(from, [...to, ...cc, ...bcc], attachments, size),
+      timing: {
+        receivedAt: context.internalDate || date,
+        processedAt: new Date(),
+        deltaMinutes: context.internalDate && parsed.date
+          ? Math.round((context.internalDate.getTime() - parsed.date.getTime()) / 60000)
+          : null
+      },
+      metadata: {
+        source: context.source || 'imap'
+      }
+    };
+  }
+
+  /**
+   * Parse a raw message and map it onto the Email schema, keeping the original bytes
+   * @param {Buffer} raw - Raw RFC 822 message bytes
+   * @param {Object} context - Ingestion context (see toEmailDocument)
+   * @returns {Promise<Object>} Email document fields
+   */
+  async parseToEmailDocument(raw, context) {
+    try {
+      const parsed = await this.parse(raw);
+      const document = this.toEmailDocument(parsed, { size: raw.length, ...context });
+      // Saving the email moves the original bytes into the raw message store
+      document.raw = { data: raw };
+      return document;
+    } catch (error) {
+      logger.error(`Failed to parse message ${context.folder}/${context.uid}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a stable identifier for messages without a Message-ID header
+   * @param {Object} context - Ingestion context
+   * @returns {string} Synthetic message ID
+   */
+  generateMessageId(context) {
+    return `<${context.emailAccountId}.${encodeURIComponent(context.folder)}.${context.uid}@mailmanagement.local>`;
+  }
+}
+
+// Create singleton instance
+const emailParserService = new EmailParserService();
+
+module.exports = emailParserService;
@@ -0,0 +1,126 @@
+const Email = require('../models/Email');
+const emailParserService = require('./emailParserService');
+const attachmentStorageService = require('./attachmentStorageService');
+const rawMessageService = require('./rawMessageService');
+const threadingService = require('./threadingService');
+const logger = require('../utils/logger');
+
+// Fields reprocessEmail needs from a stored email
+const REPROCESS_FIELDS = [
+  'userId', 'emailAccountId', 'messageId', 'uid', 'folder', 'raw',
+  'headers.threadId', 'headers.threadSubject', 'content.attachments.storageId',
+  'timing.receivedAt', 'metadata.source'
+].join(' ');
+
+/**
+ * Email Reprocess Service
+ * Rebuilds the fields derived from the original message (headers, bodies,
+ * attachments, thread and parser analytics) from the stored raw message, e.g.
+ * after the parser improved. Flags, folder, UID and local state are kept.
+ */
+class EmailReprocessService {
+  /**
+   * Rebuild an email from its raw message
+   * @param {Object} email - Email document (lean, with REPROCESS_FIELDS)
+   * @returns {Promise<boolean>} False if the raw message is not stored
+   */
+  async reprocessEmail(email) {
+    const raw = email.raw?.sha256 ? await rawMessageService.read(email.raw.sha256) : null;
+    if (!raw) return false;
+
+    const parsed = await emailParserService.parse(raw);
+    const document = emailParserService.toEmailDocument(parsed, {
+      userId: email.userId,
+      emailAccountId: email.emailAccountId,
+      folder: email.folder,
+      uid: email.uid,
+      internalDate: email.timing?.receivedAt || null,
+      size: raw.length,
+      source: email.metadata?.source
+    });
+    // Keep the stored ID; duplicate detection of later syncs and imports relies on it
+    document.messageId = email.messageId;
+
+    document.headers.threadId = email.headers?.threadId || null;
+    document.headers.threadSubject = email.headers?.threadSubject || null;
+    await threadingService.assignThread(document).catch((error) => {
+      logger.warn(`Threading failed for ${document.messageId}: ${error.message}`);
+    });
+
+    const attachmentRefs = await attachmentStorageService.externalize(document.content.attachments);
+
+    const update = {
+      headers: document.headers,
+      'content.text': document.content.text,
+      'content.html': document.content.html,
+      'content.attachments': document.content.attachments,
+      'content.totalSize': document.content.totalSize,
+      'raw.size': raw.length,
+      // Attachment text is extracted again by the scheduler
+      'processing.isIndexed': false
+    };
+    for (const [field, value] of Object.entries(document.analytics)) {
+      update[`analytics.${field}`] = value;
+    }
+
+    let result;
+    try {
+      result = await Email.updateOne({ _id: email._id }, { $set: update });
+    } catch (error) {
+      await attachmentStorageService.releaseQuietly(attachmentRefs);
+      throw error;
+    }
+
+    if (result.matchedCount === 0) {
+      // Deleted in the meantime
+      await attachmentStorageService.releaseQuietly(attachmentRefs);
+      return true;
+    }
+
+    const previousRefs = (email.content?.attachments || [])
+      .filter(attachment => attachment.storageId)
+      .map(attachment => attachment.storageId);
+    await attachmentStorageService.releaseQuietly(previousRefs);
+
+    return true;
+  }
+
+  /**
+   * Reprocess the emails matching a filter that have their raw message stored
+   * @param {Object} filter - Email query filter
+   * @param {Object} options - limit: maximum number of emails
+   * @returns {Promise<Object>} Counts ({ reprocessed, skipped, failed }); skipped emails lost their raw message
+   */
+  async reprocess(filter, { limit = 0 } = {}) {
+    const counts = { reprocessed: 0, skipped: 0, failed: 0 };
+    const cursor = Email.find({ ...filter, 'raw.sha256': { $exists: true } })
+      .select(REPROCESS_FIELDS)
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean()
+      .cursor({ batchSize: 50 });
+
+    try {
+      for await (const email of cursor) {
+        try {
+          if (await this.reprocessEmail(email)) {
+            counts.reprocessed++;
+          } else {
+            counts.skipped++;
+          }
+        } catch (error) {
+          counts.failed++;
+          logger.error(`Failed to reprocess email ${email._id}:`, error);
+        }
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    return counts;
+  }
+}
+
+const emailReprocessService = new EmailReprocessService();
+
+module.exports = emailReprocessService;
@@ -1,7 +1,18 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Imap = require('imap');
 const { EventEmitter } = require('events');
+const SyncJob = require('../models/SyncJob');
+const EmailAccount = require('../models/EmailAccount');
 const imapService = require('./imapService');
+const imapAppendService = require('./imapAppendService');
+const emailIngestionService = require('./emailIngestionService');
 const logger = require('../utils/logger');
 
+// Headers fetched to detect messages that already exist in the destination
+const DEDUPE_HEADER_FIELDS = 'HEADER.FIELDS (MESSAGE-ID DATE FROM SUBJECT)';
+
 /**
  * Email Sync Service
  * Handles email synchronization between IMAP servers with folder hierarchy, 
@@ -17,6 +28,10 @@ class EmailSyncService extends EventEmitter {
     this.batchSize = parseInt(process.env.SYNC_BATCH_SIZE) || 50;
     this.syncInterval = parseInt(process.env.SYNC_INTERVAL) || 300000; // 5 minutes
     this.syncTimeout = parseInt(process.env.SYNC_TIMEOUT) || 300000; // 5 minutes
+    this.largeMessageSize = parseInt(process.env.SYNC_LARGE_MESSAGE_SIZE) || 10 * 1024 * 1024; // 10 MB
+    this.maxMessageSize = parseInt(process.env.SYNC_MAX_MESSAGE_SIZE) || 50 * 1024 * 1024; // 50 MB
+    // Out-of-band messages stay here for manual handling, so it must outlive restarts
+    this.spoolDir = path.resolve(process.env.SYNC_SPOOL_DIR || 'storage/spool');
   }
 
   /**
@@ -28,6 +43,9 @@ class EmailSyncService extends EventEmitter {
    * @returns {Promise<Object>} Sync job object
    */
   async startSync(jobId, sourceConfig, destinationConfig, options = {}) {
+    const sourceConnectionId = `${jobId}_source`;
+    const destinationConnectionId = `${jobId}_destination`;
+
     try {
       logger.info(`Starting sync job: ${jobId}`);
 
@@ -56,17 +74,20 @@ class EmailSyncService extends EventEmitter {
           emailsSynced: 0,
           emailsSkipped: 0,
           emailsFailed: 0,
+          emailsOutOfBand: 0,
           foldersCreated: 0,
           foldersSkipped: 0
-        }
+        },
+        outOfBand: [],
+        destinationIndexes: new Map() // Destination folder path -> duplicate index
       };
 
       this.syncJobs.set(jobId, syncJob);
       this.emit('syncStarted', syncJob);
 
       // Get connections to both servers
-      const sourceConnection = await imapService.getConnection(`${jobId}_source`, sourceConfig);
-      const destinationConnection = await imapService.getConnection(`${jobId}_destination`, destinationConfig);
+      const sourceConnection = await imapService.getConnection(sourceConnectionId, sourceConfig);
+      const destinationConnection = await imapService.getConnection(destinationConnectionId, destinationConfig);
 
       syncJob.status = 'running';
       this.emit('syncRunning', syncJob);
@@ -91,6 +112,9 @@ class EmailSyncService extends EventEmitter {
       }
       
       throw error;
+    } finally {
+      imapService.returnConnectionToPool(sourceConnectionId);
+      imapService.returnConnectionToPool(destinationConnectionId);
     }
   }
 
@@ -118,6 +142,8 @@ class EmailSyncService extends EventEmitter {
           return;
         }
 
+        if (!folder.selectable) continue;
+
         await this.syncFolderEmails(syncJob, sourceConnection.imap, destinationConnection.imap, folder);
         syncJob.progress.processedFolders++;
         this.emit('folderCompleted', { jobId: syncJob.id, folder, progress: syncJob.progress });
@@ -147,13 +173,15 @@ class EmailSyncService extends EventEmitter {
         // Recursively process folder hierarchy
         const processBoxes = (boxList, parentPath = '') => {
           for (const [name, box] of Object.entries(boxList)) {
-            const folderPath = parentPath ? `${parentPath}/${name}` : name;
+            const folderPath = parentPath ? `${parentPath}${box.delimiter || '/'}${name}` : name;
+            const attributes = box.attribs || [];
             
             folders.push({
               name: name,
               path: folderPath,
               delimiter: box.delimiter,
-              attributes: box.attribs,
+              attributes,
+              selectable: !attributes.some(attr => attr.toUpperCase() === '\\NOSELECT'),
               children: box.children || {}
             });
 
@@ -202,7 +230,7 @@ class EmailSyncService extends EventEmitter {
    */
   async createFolder(imap, folderPath, attributes = []) {
     return new Promise((resolve, reject) => {
-      imap.addBoxes(folderPath, attributes, (err) => {
+      imap.addBox(folderPath, (err) => {
         if (err) {
           reject(err);
         } else {
@@ -220,27 +248,28 @@ class EmailSyncService extends EventEmitter {
    * @param {Object} folder - Folder object
    */
   async syncFolderEmails(syncJob, sourceImap, destinationImap, folder) {
-    return new Promise((resolve, reject) => {
-      sourceImap.openBox(folder.path, true, (err, box) => {
+    await new Promise((resolve, reject) => {
+      sourceImap.openBox(folder.path, true, (err) => {
         if (err) {
           logger.error(`Failed to open source folder ${folder.path}:`, err);
           reject(err);
-          return;
+        } else {
+          resolve();
         }
+      });
+    });
 
-        syncJob.progress.totalEmails += box.messages.total;
-        this.emit('emailsDiscovered', { 
-          jobId: syncJob.id, 
-          folder: folder.path, 
-          count: box.messages.total 
-        });
+    const uids = await this.searchUids(sourceImap, ['ALL']);
 
-        // Process emails in batches
-        this.processEmailBatches(syncJob, sourceImap, destinationImap, folder, box.messages.total)
-          .then(resolve)
-          .catch(reject);
-      });
+    syncJob.progress.totalEmails += uids.length;
+    this.emit('emailsDiscovered', { 
+      jobId: syncJob.id, 
+      folder: folder.path, 
+      count: uids.length 
     });
+
+    // Process emails in batches
+    await this.processEmailBatches(syncJob, sourceImap, destinationImap, folder, uids);
   }
 
   /**
@@ -249,98 +278,211 @@ class EmailSyncService extends EventEmitter {
    * @param {Object} sourceImap - Source IMAP connection
    * @param {Object} destinationImap - Destination IMAP connection
    * @param {Object} folder - Folder object
-   * @param {number} totalEmails - Total number of emails
+   * @param {Array<number>} uids - Source message UIDs
    */
-  async processEmailBatches(syncJob, sourceImap, destinationImap, folder, totalEmails) {
+  async processEmailBatches(syncJob, sourceImap, destinationImap, folder, uids) {
     const batchSize = syncJob.options.batchSize;
     
-    for (let start = 1; start <= totalEmails; start += batchSize) {
+    for (let start = 0; start < uids.length; start += batchSize) {
       if (this.pausedJobs.has(syncJob.id)) {
         throw new Error('Sync job paused');
       }
 
-      const end = Math.min(start + batchSize - 1, totalEmails);
-      await this.processEmailBatch(syncJob, sourceImap, destinationImap, folder, start, end);
+      const end = Math.min(start + batchSize, uids.length);
+      await this.processEmailBatch(syncJob, sourceImap, destinationImap, folder, uids.slice(start, end));
       
       // Update progress
-      syncJob.progress.processedEmails = end;
+      syncJob.progress.processedEmails += end - start;
       this.emit('batchCompleted', { 
         jobId: syncJob.id, 
         folder: folder.path, 
         processed: end, 
-        total: totalEmails 
+        total: uids.length 
       });
     }
   }
 
   /**
    * Process a batch of emails
+   * Message sizes are fetched first and bodies are then transferred one message
+   * at a time, so at most one body up to largeMessageSize is held in memory;
+   * larger messages are streamed through the spool directory
    * @param {Object} syncJob - Sync job object
    * @param {Object} sourceImap - Source IMAP connection
    * @param {Object} destinationImap - Destination IMAP connection
    * @param {Object} folder - Folder object
-   * @param {number} start - Start sequence number
-   * @param {number} end - End sequence number
+   * @param {Array<number>} uids - Source message UIDs
    */
-  async processEmailBatch(syncJob, sourceImap, destinationImap, folder, start, end) {
+  async processEmailBatch(syncJob, sourceImap, destinationImap, folder, uids) {
+    const messages = await this.fetchMessageInfo(sourceImap, uids);
+
+    for (const message of messages) {
+      if (message.size > this.largeMessageSize) {
+        await this.transferLargeMessage(syncJob, sourceImap, destinationImap, folder, message);
+      } else {
+        await this.transferMessage(syncJob, sourceImap, destinationImap, folder, message);
+      }
+    }
+  }
+
+  /**
+   * Fetch UID, flags, internal date, size and duplicate-detection headers
+   * without bodies
+   * @param {Object} imap - IMAP connection with the source folder selected
+   * @param {Array<number>} uids - Message UIDs
+   * @returns {Promise<Array>} Message info sorted by UID
+   */
+  fetchMessageInfo(imap, uids) {
     return new Promise((resolve, reject) => {
-      const fetch = sourceImap.seq.fetch(`${start}:${end}`, {
-        bodies: '',
-        struct: true,
+      const messages = [];
+      const fetch = imap.fetch(uids, {
+        bodies: DEDUPE_HEADER_FIELDS,
+        size: true,
         markSeen: false
       });
 
-      const emails = [];
-
       fetch.on('message', (msg) => {
-        let emailData = {
-          headers: {},
-          body: '',
-          flags: [],
-          date: null,
-          uid: null
-        };
+        const message = { uid: null, flags: [], date: null, size: 0, headers: {} };
+        const chunks = [];
 
         msg.on('body', (stream) => {
-          let buffer = '';
-          stream.on('data', (chunk) => {
-            buffer += chunk.toString('utf8');
-          });
-          stream.on('end', () => {
-            emailData.body = buffer;
-          });
+          stream.on('data', (chunk) => chunks.push(chunk));
         });
 
-        msg.on('attributes', (attrs) => {
-          emailData.flags = attrs.flags;
-          emailData.date = attrs.date;
-          emailData.uid = attrs.uid;
+        msg.once('attributes', (attrs) => {
+          message.uid = attrs.uid;
+          message.flags = attrs.flags || [];
+          message.date = attrs.date;
+          message.size = attrs.size || 0;
         });
 
-        msg.on('headers', (headers) => {
-          emailData.headers = headers;
+        msg.once('end', () => {
+          message.headers = this.parseDedupeHeaders(Buffer.concat(chunks));
+          messages.push(message);
         });
+      });
 
-        msg.once('end', () => {
-          emails.push(emailData);
+      fetch.once('error', reject);
+      fetch.once('end', () => resolve(messages.sort((a, b) => a.uid - b.uid)));
+    });
+  }
+
+  /**
+   * Fetch the raw RFC 822 body of a message and sync it
+   * @param {Object} syncJob - Sync job object
+   * @param {Object} sourceImap - Source IMAP connection
+   * @param {Object} destinationImap - Destination IMAP connection
+   * @param {Object} folder - Folder object
+   * @param {Object} message - Message info from fetchMessageInfo
+   */
+  async transferMessage(syncJob, sourceImap, destinationImap, folder, message) {
+    const body = await new Promise((resolve, reject) => {
+      const chunks = [];
+      let found = false;
+      const fetch = sourceImap.fetch(message.uid, { bodies: '', markSeen: false });
+
+      fetch.on('message', (msg) => {
+        found = true;
+        msg.on('body', (stream) => {
+          stream.on('data', (chunk) => chunks.push(chunk));
         });
       });
 
       fetch.once('error', (err) => {
-        logger.error(`Error fetching emails from ${folder.path}:`, err);
+        logger.error(`Error fetching email ${folder.path}/${message.uid}:`, err);
         reject(err);
       });
+      fetch.once('end', () => resolve(found ? Buffer.concat(chunks) : null));
+    });
 
-      fetch.once('end', async () => {
-        try {
-          // Process each email in the batch
-          for (const email of emails) {
-            await this.syncEmail(syncJob, destinationImap, folder, email);
-          }
-          resolve();
-        } catch (error) {
-          reject(error);
-        }
+    // Expunged since its size was fetched
+    if (!body) {
+      syncJob.stats.emailsFailed++;
+      syncJob.progress.errors++;
+      return;
+    }
+
+    await this.syncEmail(syncJob, destinationImap, folder, { ...message, body });
+  }
+
+  /**
+   * Transfer a large message through the spool directory
+   * The spooled file is streamed to the destination over a dedicated connection.
+   * Messages above maxMessageSize are not appended; they stay in the spool
+   * directory (out of band) and are recorded on the job for manual handling
+   * @param {Object} syncJob - Sync job object
+   * @param {Object} sourceImap - Source IMAP connection
+   * @param {Object} destinationImap - Destination IMAP connection
+   * @param {Object} folder - Folder object
+   * @param {Object} message - Message info from fetchMessageInfo
+   */
+  async transferLargeMessage(syncJob, sourceImap, destinationImap, folder, message) {
+    const destinationPath = folder.destinationPath || folder.path;
+    const safeFolder = folder.path.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const spoolPath = path.join(this.spoolDir, String(syncJob.id), `${safeFolder}_${message.uid}.eml`);
+
+    try {
+      if (await this.emailExists(syncJob, destinationImap, destinationPath, message)) {
+        syncJob.stats.emailsSkipped++;
+        return;
+      }
+
+      await this.spoolMessage(sourceImap, message.uid, spoolPath);
+
+      if (message.size > this.maxMessageSize) {
+        syncJob.stats.emailsOutOfBand++;
+        syncJob.outOfBand.push({ folder: folder.path, uid: message.uid, size: message.size, path: spoolPath });
+        this.emit('largeMessageStored', { jobId: syncJob.id, folder: folder.path, uid: message.uid, size: message.size, path: spoolPath });
+        logger.warn(`Message ${folder.path}/${message.uid} (${message.size} bytes) exceeds the maximum message size, stored at ${spoolPath}`);
+        return;
+      }
+
+      try {
+        await imapAppendService.appendFile(
+          syncJob.destinationConfig,
+          destinationPath,
+          spoolPath,
+          this.getAppendOptions(message, syncJob.options)
+        );
+        this.addToDestinationIndex(syncJob, destinationPath, message);
+        syncJob.stats.emailsSynced++;
+      } finally {
+        await fs.promises.unlink(spoolPath).catch(() => {});
+      }
+    } catch (error) {
+      logger.error(`Failed to sync large message ${folder.path}/${message.uid}:`, error);
+      syncJob.stats.emailsFailed++;
+      syncJob.progress.errors++;
+    }
+  }
+
+  /**
+   * Stream a raw message to disk (write stream backpressure bounds memory)
+   * @param {Object} imap - IMAP connection with the source folder selected
+   * @param {number} uid - Message UID
+   * @param {string} filePath - Destination file path
+   */
+  async spoolMessage(imap, uid, filePath) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    await new Promise((resolve, reject) => {
+      const writes = [];
+      const fetch = imap.fetch(uid, { bodies: '', markSeen: false });
+
+      fetch.on('message', (msg) => {
+        msg.on('body', (stream) => {
+          const file = fs.createWriteStream(filePath);
+          writes.push(new Promise((done, fail) => {
+            file.once('finish', done);
+            file.once('error', fail);
+          }));
+          stream.pipe(file);
+        });
+      });
+
+      fetch.once('error', reject);
+      fetch.once('end', () => {
+        Promise.all(writes).then(resolve, reject);
       });
     });
   }
@@ -349,13 +491,15 @@ class EmailSyncService extends EventEmitter {
    * Sync a single email to destination
    * @param {Object} syncJob - Sync job object
    * @param {Object} destinationImap - Destination IMAP connection
-   * @param {Object} folder - Folder object
+   * @param {Object} folder - Folder object (destinationPath defaults to path)
    * @param {Object} email - Email data
    */
   async syncEmail(syncJob, destinationImap, folder, email) {
+    const destinationPath = folder.destinationPath || folder.path;
+
     try {
-      // Check if email already exists (by message-id or other criteria)
-      const exists = await this.emailExists(destinationImap, folder.path, email);
+      // Check if email already exists (by message-id or fallback hash)
+      const exists = await this.emailExists(syncJob, destinationImap, destinationPath, email);
       
       if (exists) {
         syncJob.stats.emailsSkipped++;
@@ -363,7 +507,8 @@ class EmailSyncService extends EventEmitter {
       }
 
       // Append email to destination folder
-      await this.appendEmail(destinationImap, folder.path, email, syncJob.options);
+      await this.appendEmail(destinationImap, destinationPath, email, syncJob.options);
+      this.addToDestinationIndex(syncJob, destinationPath, email);
       syncJob.stats.emailsSynced++;
       
     } catch (error) {
@@ -375,35 +520,122 @@ class EmailSyncService extends EventEmitter {
 
   /**
    * Check if email already exists in destination
-   * @param {Object} imap - IMAP connection
-   * @param {string} folderPath - Folder path
-   * @param {Object} email - Email data
+   * Looks the message up in the job's index of the destination folder, which
+   * is built on first use and kept for the rest of the job
+   * @param {Object} syncJob - Sync job object
+   * @param {Object} imap - Destination IMAP connection
+   * @param {string} folderPath - Destination folder path
+   * @param {Object} email - Email data with dedupe headers and size
    * @returns {Promise<boolean>} True if email exists
    */
-  async emailExists(imap, folderPath, email) {
-    return new Promise((resolve, reject) => {
-      imap.openBox(folderPath, false, (err, box) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  async emailExists(syncJob, imap, folderPath, email) {
+    let index = syncJob.destinationIndexes.get(folderPath);
+    if (!index) {
+      index = await this.buildDestinationIndex(imap, folderPath);
+      syncJob.destinationIndexes.set(folderPath, index);
+    }
 
-        // Search for email by Message-ID header
-        const messageId = email.headers['message-id'];
-        if (!messageId) {
-          resolve(false);
-          return;
-        }
+    const { messageId, hash } = this.getDedupeKeys(email);
+    if (messageId && index.messageIds.has(messageId)) return true;
+    return Boolean(hash) && index.hashes.has(hash);
+  }
 
-        imap.search(['HEADER', 'Message-ID', messageId], (err, results) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(results.length > 0);
-          }
+  /**
+   * Index the Message-IDs and fallback hashes of a destination folder with a
+   * single header FETCH
+   * @param {Object} imap - Destination IMAP connection
+   * @param {string} folderPath - Destination folder path
+   * @returns {Promise<Object>} Index with messageIds and hashes sets
+   */
+  async buildDestinationIndex(imap, folderPath) {
+    const index = { messageIds: new Set(), hashes: new Set() };
+    const box = await this.openBox(imap, folderPath, true);
+    if (box.messages.total === 0) return index;
+
+    await new Promise((resolve, reject) => {
+      const fetch = imap.seq.fetch('1:*', { bodies: DEDUPE_HEADER_FIELDS, size: true });
+
+      fetch.on('message', (msg) => {
+        const chunks = [];
+        let size = 0;
+
+        msg.on('body', (stream) => {
+          stream.on('data', (chunk) => chunks.push(chunk));
+        });
+        msg.once('attributes', (attrs) => {
+          size = attrs.size || 0;
+        });
+        msg.once('end', () => {
+          this.addDedupeKeys(index, { headers: this.parseDedupeHeaders(Buffer.concat(chunks)), size });
         });
       });
+
+      fetch.once('error', reject);
+      fetch.once('end', resolve);
     });
+
+    logger.info(`Indexed ${box.messages.total} messages in destination folder ${folderPath}`);
+    return index;
+  }
+
+  /**
+   * Record an appended message in the job's destination index
+   * @param {Object} syncJob - Sync job object
+   * @param {string} folderPath - Destination folder path
+   * @param {Object} email - Email data
+   */
+  addToDestinationIndex(syncJob, folderPath, email) {
+    const index = syncJob.destinationIndexes.get(folderPath);
+    if (index) {
+      this.addDedupeKeys(index, email);
+    }
+  }
+
+  /**
+   * Add a message's dedupe keys to an index
+   * @param {Object} index - Destination index
+   * @param {Object} email - Email data with dedupe headers and size
+   */
+  addDedupeKeys(index, email) {
+    const { messageId, hash } = this.getDedupeKeys(email);
+    if (messageId) index.messageIds.add(messageId);
+    if (hash) index.hashes.add(hash);
+  }
+
+  /**
+   * Get the Message-ID and fallback hash used to detect duplicates
+   * The hash covers Date, From, Subject and size so messages without a
+   * Message-ID are still matched; it is null when none of those headers exist
+   * @param {Object} email - Email data with dedupe headers and size
+   * @returns {Object} Message-ID and hash (either may be null)
+   */
+  getDedupeKeys(email) {
+    const headers = email.headers || {};
+    const fields = ['date', 'from', 'subject'].map(field => headers[field] || '');
+
+    const hash = fields.some(Boolean)
+      ? crypto.createHash('sha1').update([...fields, email.size || 0].join('\n')).digest('hex')
+      : null;
+
+    return { messageId: headers['message-id'] || null, hash };
+  }
+
+  /**
+   * Parse the dedupe header fields of a message
+   * @param {Buffer} raw - Raw header block
+   * @returns {Object} Single-valued headers with folded whitespace collapsed
+   */
+  parseDedupeHeaders(raw) {
+    const parsed = Imap.parseHeader(raw.toString('utf8'));
+    const headers = {};
+
+    for (const field of ['message-id', 'date', 'from', 'subject']) {
+      if (parsed[field] && parsed[field][0]) {
+        headers[field] = parsed[field][0].replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    return headers;
   }
 
   /**
@@ -415,8 +647,7 @@ class EmailSyncService extends EventEmitter {
    */
   async appendEmail(imap, folderPath, email, options) {
     return new Promise((resolve, reject) => {
-      const flags = options.preserveFlags ? email.flags : [];
-      const date = options.preserveDates ? email.date : new Date();
+      const { flags, date } = this.getAppendOptions(email, options);
 
       imap.append(email.body, { 
         mailbox: folderPath, 
@@ -432,6 +663,443 @@ class EmailSyncService extends EventEmitter {
     });
   }
 
+  /**
+   * Flags and internal date an email is appended with
+   * @param {Object} email - Email data
+   * @param {Object} options - Sync options
+   * @returns {Object} { flags, date }
+   */
+  getAppendOptions(email, options) {
+    return {
+      // \Recent is set by the server and cannot be appended
+      flags: options.preserveFlags ? email.flags.filter(flag => flag !== '\\Recent') : [],
+      date: options.preserveDates ? email.date : new Date()
+    };
+  }
+
+  /**
+   * Run a mailbox migration SyncJob, copying the source account (accountId) into
+   * the destination account (migration.destinationAccountId)
+   * Each folder records the last copied UID as a checkpoint so paused or
+   * interrupted migrations continue where they stopped. Dry runs only count the
+   * messages that would be copied.
+   * @param {string} jobId - SyncJob document ID
+   * @returns {Promise<Object>} SyncJob document
+   */
+  async runMigrationJob(jobId) {
+    const job = await SyncJob.findById(jobId);
+    if (!job) {
+      throw new Error(`Sync job not found: ${jobId}`);
+    }
+
+    const [sourceAccount, destinationAccount] = await Promise.all([
+      EmailAccount.findById(job.accountId).select('+authConfig.password'),
+      EmailAccount.findById(job.migration.destinationAccountId).select('+authConfig.password')
+    ]);
+    if (!sourceAccount || !destinationAccount) {
+      const error = new Error('Source or destination email account not found');
+      error.code = 'ACCOUNT_NOT_FOUND';
+      error.retryable = false;
+      await job.fail(error);
+      throw error;
+    }
+
+    const syncJob = {
+      id: job._id.toString(),
+      destinationConfig: destinationAccount.getImapConfig(),
+      options: {
+        preserveFlags: job.options.preserveFlags,
+        preserveDates: job.options.preserveDates,
+        batchSize: job.options.batchSize || this.batchSize
+      },
+      status: 'starting',
+      startTime: new Date(),
+      endTime: null,
+      progress: {
+        totalFolders: 0,
+        processedFolders: 0,
+        totalEmails: job.progress.totalEmails,
+        processedEmails: job.progress.processedEmails,
+        errors: job.progress.failedEmails
+      },
+      // Resumed and retried jobs continue counting from their saved results
+      stats: {
+        emailsSynced: job.results.emailsSynced || 0,
+        emailsSkipped: job.results.emailsSkipped || 0,
+        emailsFailed: job.results.emailsFailed || 0,
+        emailsOutOfBand: 0,
+        foldersCreated: 0,
+        foldersSkipped: 0
+      },
+      outOfBand: [],
+      destinationIndexes: new Map()
+    };
+
+    const sourceConnectionId = `${syncJob.id}_source`;
+    const destinationConnectionId = `${syncJob.id}_destination`;
+    this.syncJobs.set(syncJob.id, syncJob);
+
+    try {
+      await job.start();
+      this.emit('syncStarted', syncJob);
+      logger.info(`Migration ${job._id} started: ${sourceAccount.email} -> ${destinationAccount.email}${job.migration.dryRun ? ' (dry run)' : ''}`);
+
+      const sourceConnection = await imapService.getConnection(sourceConnectionId, sourceAccount.getImapConfig());
+      const destinationConnection = await imapService.getConnection(destinationConnectionId, destinationAccount.getImapConfig());
+      const sourceImap = sourceConnection.imap;
+      const destinationImap = destinationConnection.imap;
+
+      syncJob.status = 'running';
+      this.emit('syncRunning', syncJob);
+
+      const folders = await this.planMigrationFolders(job, sourceImap, destinationImap);
+      syncJob.progress.totalFolders = folders.length;
+      this.emit('foldersDiscovered', { jobId: syncJob.id, folders });
+
+      for (const folder of folders) {
+        await emailIngestionService.checkControl(job);
+
+        try {
+          await this.migrateFolder(job, syncJob, sourceImap, destinationImap, folder);
+        } catch (error) {
+          if (emailIngestionService.isControlError(error)) throw error;
+          logger.error(`Failed to migrate folder ${folder.path} for job ${job._id}:`, error);
+          this.getReportEntry(job, folder).status = 'failed';
+          syncJob.progress.errors++;
+        }
+
+        syncJob.progress.processedFolders++;
+        this.applyMigrationResults(job, syncJob);
+        await job.save();
+        this.emit('folderCompleted', { jobId: syncJob.id, folder, progress: syncJob.progress });
+      }
+
+      await emailIngestionService.checkControl(job);
+
+      if (!job.migration.dryRun) {
+        await this.verifyMigration(job, sourceImap, destinationImap);
+      }
+      job.migration.report.generatedAt = new Date();
+
+      this.applyMigrationResults(job, syncJob);
+      await job.complete();
+
+      syncJob.status = 'completed';
+      this.emit('syncCompleted', syncJob);
+      logger.info(`Migration ${job._id} completed: ${syncJob.stats.emailsSynced} copied, ${syncJob.stats.emailsSkipped} skipped, ${syncJob.stats.emailsFailed} failed`);
+
+      return job;
+    } catch (error) {
+      if (emailIngestionService.isControlError(error)) {
+        syncJob.status = error.code === 'JOB_PAUSED' ? 'paused' : 'stopped';
+        if (error.code === 'JOB_PAUSED' || error.code === 'JOB_CANCELLED') {
+          this.applyMigrationResults(job, syncJob);
+          await job.save();
+        }
+        this.emit(error.code === 'JOB_PAUSED' ? 'syncPaused' : 'syncStopped', syncJob);
+        logger.info(`Migration ${job._id} stopped (${error.code})`);
+        return job;
+      }
+
+      logger.error(`Migration ${job._id} failed:`, error);
+
+      syncJob.status = 'failed';
+      syncJob.error = error.message;
+      this.applyMigrationResults(job, syncJob);
+      await job.failOrRetry(error);
+
+      this.emit('syncFailed', syncJob);
+      throw error;
+    } finally {
+      syncJob.endTime = new Date();
+      imapService.returnConnectionToPool(sourceConnectionId);
+      imapService.returnConnectionToPool(destinationConnectionId);
+    }
+  }
+
+  /**
+   * Resolve the source folders of a migration and their destination paths
+   * @param {Object} job - SyncJob document
+   * @param {Object} sourceImap - Source IMAP connection
+   * @param {Object} destinationImap - Destination IMAP connection
+   * @returns {Promise<Array>} Folder objects with destinationPath and destinationExists
+   */
+  async planMigrationFolders(job, sourceImap, destinationImap) {
+    const sourceFolders = await this.getFolderHierarchy(sourceImap);
+    const destinationFolders = await this.getFolderHierarchy(destinationImap);
+    const destinationDelimiter = destinationFolders.find(folder => folder.delimiter)?.delimiter || '/';
+    const existing = new Set(destinationFolders.map(folder => folder.path));
+
+    return sourceFolders
+      .filter(folder => folder.selectable)
+      .filter(folder => job.folders.length === 0 || job.folders.includes(folder.path))
+      .map((folder) => {
+        const destinationPath = this.mapFolderPath(folder, job.migration.folderMappings, destinationDelimiter);
+        return {
+          name: folder.name,
+          path: folder.path,
+          delimiter: folder.delimiter,
+          attributes: folder.attributes,
+          destinationPath,
+          destinationExists: existing.has(destinationPath)
+        };
+      });
+  }
+
+  /**
+   * Map a source folder path to its destination path
+   * The most specific mapping rule wins and also applies to subfolders
+   * ("[Gmail]/Sent Mail" -> "Sent" maps "[Gmail]/Sent Mail/2020" to "Sent/2020").
+   * Unmapped folders keep their path with the destination delimiter.
+   * @param {Object} folder - Source folder object
+   * @param {Array} mappings - Folder mapping rules ({ source, destination })
+   * @param {string} destinationDelimiter - Destination hierarchy delimiter
+   * @returns {string} Destination folder path
+   */
+  mapFolderPath(folder, mappings, destinationDelimiter) {
+    const delimiter = folder.delimiter || '/';
+    const toDestination = (segments) => segments.split(delimiter).join(destinationDelimiter);
+
+    const rules = [...mappings].sort((a, b) => b.source.length - a.source.length);
+    for (const rule of rules) {
+      if (folder.path === rule.source) {
+        return rule.destination;
+      }
+      if (folder.path.startsWith(rule.source + delimiter)) {
+        return rule.destination + destinationDelimiter + toDestination(folder.path.slice(rule.source.length + delimiter.length));
+      }
+    }
+
+    return toDestination(folder.path);
+  }
+
+  /**
+   * Copy (or count, for dry runs) the messages of one folder
+   * @param {Object} job - SyncJob document
+   * @param {Object} syncJob - In-memory job state
+   * @param {Object} sourceImap - Source IMAP connection
+   * @param {Object} destinationImap - Destination IMAP connection
+   * @param {Object} folder - Planned folder object
+   */
+  async migrateFolder(job, syncJob, sourceImap, destinationImap, folder) {
+    const checkpoint = job.getCheckpoint(folder.path);
+    if (checkpoint && checkpoint.completed) return;
+
+    const entry = this.getReportEntry(job, folder);
+    entry.destinationExists = folder.destinationExists;
+
+    const box = await this.openBox(sourceImap, folder.path, true);
+    let uids = await this.searchUids(sourceImap, this.buildDateCriteria(job.migration.dateRange));
+    uids.sort((a, b) => a - b);
+
+    if (job.migration.dryRun) {
+      entry.sourceCount = uids.length;
+      entry.destinationCount = folder.destinationExists
+        ? await this.countMessages(destinationImap, folder.destinationPath, ['ALL'])
+        : 0;
+      entry.status = 'planned';
+      syncJob.progress.totalEmails += uids.length;
+      job.recordCheckpoint(folder.path, { uidValidity: box.uidvalidity, completed: true });
+      return;
+    }
+
+    if (!folder.destinationExists) {
+      try {
+        await this.createFolder(destinationImap, folder.destinationPath);
+        syncJob.stats.foldersCreated++;
+        logger.info(`Created folder: ${folder.destinationPath}`);
+      } catch (error) {
+        if (!error.message.includes('already exists')) throw error;
+        syncJob.stats.foldersSkipped++;
+      }
+      folder.destinationExists = true;
+      entry.destinationExists = true;
+    }
+
+    const resuming = Boolean(checkpoint) && checkpoint.uidValidity === box.uidvalidity;
+    if (resuming) {
+      uids = uids.filter(uid => uid > checkpoint.lastUid);
+    } else {
+      syncJob.progress.totalEmails += uids.length;
+      job.recordCheckpoint(folder.path, { uidValidity: box.uidvalidity, lastUid: 0, completed: false });
+    }
+
+    this.emit('emailsDiscovered', { jobId: syncJob.id, folder: folder.path, count: uids.length });
+
+    const batchSize = syncJob.options.batchSize;
+    for (let start = 0; start < uids.length; start += batchSize) {
+      await emailIngestionService.checkControl(job);
+
+      const batch = uids.slice(start, start + batchSize);
+      const before = { ...syncJob.stats };
+      const outOfBandBefore = syncJob.outOfBand.length;
+      await this.processEmailBatch(syncJob, sourceImap, destinationImap, folder, batch);
+      this.recordOutOfBand(job, syncJob.outOfBand.slice(outOfBandBefore));
+
+      entry.copied = (entry.copied || 0) + syncJob.stats.emailsSynced - before.emailsSynced;
+      entry.skipped = (entry.skipped || 0) + syncJob.stats.emailsSkipped - before.emailsSkipped;
+      entry.failed = (entry.failed || 0) + syncJob.stats.emailsFailed - before.emailsFailed;
+      entry.outOfBand = (entry.outOfBand || 0) + syncJob.stats.emailsOutOfBand - before.emailsOutOfBand;
+      syncJob.progress.processedEmails += batch.length;
+
+      job.recordCheckpoint(folder.path, { lastUid: batch[batch.length - 1] });
+      this.applyMigrationResults(job, syncJob);
+      await job.save();
+
+      this.emit('batchCompleted', {
+        jobId: syncJob.id,
+        folder: folder.path,
+        processed: Math.min(start + batchSize, uids.length),
+        total: uids.length
+      });
+    }
+
+    job.recordCheckpoint(folder.path, { completed: true });
+  }
+
+  /**
+   * Compare per-folder message counts between source and destination
+   * @param {Object} job - SyncJob document
+   * @param {Object} sourceImap - Source IMAP connection
+   * @param {Object} destinationImap - Destination IMAP connection
+   */
+  async verifyMigration(job, sourceImap, destinationImap) {
+    const criteria = this.buildDateCriteria(job.migration.dateRange);
+    // Appended messages keep their internal date only when dates are preserved
+    const destinationCriteria = job.options.preserveDates ? criteria : ['ALL'];
+    let verified = true;
+
+    for (const entry of job.migration.report.folders) {
+      const checkpoint = job.getCheckpoint(entry.source);
+      if (!checkpoint || !checkpoint.completed) {
+        entry.status = 'failed';
+        verified = false;
+        continue;
+      }
+
+      try {
+        entry.sourceCount = await this.countMessages(sourceImap, entry.source, criteria);
+        entry.destinationCount = await this.countMessages(destinationImap, entry.destination, destinationCriteria);
+        entry.status = entry.destinationCount >= entry.sourceCount ? 'verified' : 'mismatch';
+      } catch (error) {
+        logger.warn(`Failed to verify folder ${entry.source} for migration ${job._id}: ${error.message}`);
+        entry.status = 'failed';
+      }
+
+      verified = verified && entry.status === 'verified';
+    }
+
+    job.migration.report.verified = verified;
+  }
+
+  /**
+   * Keep spooled out-of-band messages on the migration report
+   * A batch repeated after an interruption records its messages only once
+   * @param {Object} job - SyncJob document
+   * @param {Array<Object>} messages - { folder, uid, size, path } per message
+   */
+  recordOutOfBand(job, messages) {
+    const recorded = job.migration.report.outOfBandMessages;
+    for (const message of messages) {
+      if (!recorded.some(item => item.folder === message.folder && item.uid === message.uid)) {
+        recorded.push(message);
+      }
+    }
+  }
+
+  /**
+   * Find or create the report entry for a folder
+   * @param {Object} job - SyncJob document
+   * @param {Object} folder - Planned folder object
+   * @returns {Object} Report entry
+   */
+  getReportEntry(job, folder) {
+    const folders = job.migration.report.folders;
+    let entry = folders.find(item => item.source === folder.path);
+    if (!entry) {
+      folders.push({
+        source: folder.path,
+        destination: folder.destinationPath,
+        copied: 0,
+        skipped: 0,
+        failed: 0,
+        outOfBand: 0
+      });
+      entry = folders[folders.length - 1];
+    }
+    return entry;
+  }
+
+  /**
+   * Copy in-memory migration counters onto the SyncJob document
+   * @param {Object} job - SyncJob document
+   * @param {Object} syncJob - In-memory job state
+   */
+  applyMigrationResults(job, syncJob) {
+    job.progress.totalEmails = syncJob.progress.totalEmails;
+    job.progress.processedEmails = syncJob.progress.processedEmails;
+    job.progress.successfulEmails = syncJob.stats.emailsSynced;
+    job.progress.skippedEmails = syncJob.stats.emailsSkipped;
+    job.progress.failedEmails = syncJob.stats.emailsFailed;
+    job.results.emailsSynced = syncJob.stats.emailsSynced;
+    job.results.emailsSkipped = syncJob.stats.emailsSkipped;
+    job.results.emailsFailed = syncJob.stats.emailsFailed;
+    if (job.timing.startedAt) {
+      job.timing.duration = Date.now() - job.timing.startedAt.getTime();
+    }
+  }
+
+  /**
+   * Build IMAP SEARCH criteria for a migration date range
+   * SINCE and BEFORE compare internal dates by day; "to" is exclusive
+   * @param {Object} dateRange - Date range ({ from, to })
+   * @returns {Array} Search criteria
+   */
+  buildDateCriteria(dateRange = {}) {
+    const criteria = [];
+    if (dateRange.from) criteria.push(['SINCE', dateRange.from]);
+    if (dateRange.to) criteria.push(['BEFORE', dateRange.to]);
+    return criteria.length > 0 ? criteria : ['ALL'];
+  }
+
+  /**
+   * Count messages in a folder matching search criteria
+   * @param {Object} imap - IMAP connection
+   * @param {string} folderPath - Folder path
+   * @param {Array} criteria - Search criteria
+   * @returns {Promise<number>} Message count
+   */
+  async countMessages(imap, folderPath, criteria) {
+    await this.openBox(imap, folderPath, true);
+    const uids = await this.searchUids(imap, criteria);
+    return uids.length;
+  }
+
+  /**
+   * Open a mailbox
+   * @param {Object} imap - IMAP connection
+   * @param {string} folderPath - Folder path
+   * @param {boolean} readOnly - Open in read-only mode
+   * @returns {Promise<Object>} Mailbox information
+   */
+  openBox(imap, folderPath, readOnly) {
+    return new Promise((resolve, reject) => {
+      imap.openBox(folderPath, readOnly, (err, box) => (err ? reject(err) : resolve(box)));
+    });
+  }
+
+  /**
+   * Search the selected mailbox for UIDs
+   * @param {Object} imap - IMAP connection
+   * @param {Array} criteria - Search criteria
+   * @returns {Promise<Array<number>>} Matching UIDs
+   */
+  searchUids(imap, criteria) {
+    return new Promise((resolve, reject) => {
+      imap.search(criteria, (err, uids) => (err ? reject(err) : resolve(uids)));
+    });
+  }
+
   /**
    * Pause a sync job
    * @param {string} jobId - Job identifier
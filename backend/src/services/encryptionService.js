@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:';
+
+/**
+ * Encryption Service
+ * Envelope encryption for secrets stored in MongoDB. Every document gets its own
+ * random data key, which is stored wrapped (encrypted) with a master key from the
+ * environment together with the master key ID. Rotating the master key only
+ * re-wraps data keys; field values stay encrypted with their data key.
+ */
+class EncryptionService {
+  constructor() {
+    this.activeKeyId = process.env.ENCRYPTION_MASTER_KEY_ID || 'default';
+    this.masterKeys = new Map(); // Key ID -> 32-byte master key
+
+    if (process.env.ENCRYPTION_MASTER_KEY) {
+      this.masterKeys.set(this.activeKeyId, this.parseKey(process.env.ENCRYPTION_MASTER_KEY, this.activeKeyId));
+    }
+
+    // Retired keys stay available for decryption until every document is rotated
+    (process.env.ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(Boolean).forEach((entry) => {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator).trim();
+      if (separator === -1 || !keyId) {
+        throw new Error('ENCRYPTION_PREVIOUS_KEYS entries must be formatted as <keyId>:<key>');
+      }
+      if (!this.masterKeys.has(keyId)) {
+        this.masterKeys.set(keyId, this.parseKey(entry.slice(separator + 1).trim(), keyId));
+      }
+    });
+  }
+
+  /**
+   * Parse a 256-bit key given as 64 hex characters or base64
+   * @param {string} value - Encoded key
+   * @param {string} keyId - Key ID for error messages
+   * @returns {Buffer} Key
+   */
+  parseKey(value, keyId) {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Encryption master key "${keyId}" must be 32 bytes (64 hex characters or base64)`);
+    }
+    return key;
+  }
+
+  /**
+   * Get a master key by ID
+   * @param {string} keyId - Master key ID
+   * @returns {Buffer} Master key
+   */
+  getMasterKey(keyId) {
+    const key = this.masterKeys.get(keyId);
+    if (!key) {
+      const error = new Error(keyId === this.activeKeyId
+        ? 'ENCRYPTION_MASTER_KEY is not configured'
+        : `Encryption master key "${keyId}" is not configured`);
+      error.code = 'ENCRYPTION_KEY_MISSING';
+      throw error;
+    }
+    return key;
+  }
+
+  /**
+   * Create a data key wrapped with the active master key
+   * @returns {Object} Key ID and wrapped data key
+   */
+  generateDataKey() {
+    return this.wrapDataKey(crypto.randomBytes(32));
+  }
+
+  /**
+   * Wrap a data key with the active master key
+   * @param {Buffer} dataKey - Plain data key
+   * @returns {Object} Key ID and wrapped data key
+   */
+  wrapDataKey(dataKey) {
+    const keyId = this.activeKeyId;
+    return {
+      keyId,
+      dataKey: this.seal(this.getMasterKey(keyId), dataKey, `datakey:${keyId}`)
+    };
+  }
+
+  /**
+   * Unwrap a data key with the master key it was wrapped with
+   * @param {Object} encryption - Key ID and wrapped data key
+   * @returns {Buffer} Plain data key
+   */
+  unwrapDataKey(encryption) {
+    return this.open(this.getMasterKey(encryption.keyId), encryption.dataKey, `datakey:${encryption.keyId}`);
+  }
+
+  /**
+   * Encrypt a field value
+   * @param {Buffer} dataKey - Plain data key
+   * @param {string} value - Plaintext
+   * @param {string} context - Associated data binding the value to its document and field
+   * @returns {string} Encrypted value
+   */
+  encrypt(dataKey, value, context) {
+    return PREFIX + this.seal(dataKey, Buffer.from(String(value), 'utf8'), context);
+  }
+
+  /**
+   * Decrypt a field value
+   * @param {Buffer} dataKey - Plain data key
+   * @param {string} value - Encrypted value
+   * @param {string} context - Associated data used when encrypting
+   * @returns {string} Plaintext
+   */
+  decrypt(dataKey, value, context) {
+    return this.open(dataKey, value.slice(PREFIX.length), context).toString('utf8');
+  }
+
+  /**
+   * Check whether a stored value is encrypted
+   * @param {*} value - Stored value
+   * @returns {boolean} True if encrypted
+   */
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  /**
+   * AES-256-GCM encrypt to iv.tag.ciphertext (base64)
+   * @param {Buffer} key - Key
+   * @param {Buffer} plaintext - Plaintext
+   * @param {string} context - Associated data
+   * @returns {string} Sealed value
+   */
+  seal(key, plaintext, context) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(context, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+  }
+
+  /**
+   * Decrypt a value produced by seal
+   * @param {Buffer} key - Key
+   * @param {string} sealed - Sealed value
+   * @param {string} context - Associated data
+   * @returns {Buffer} Plaintext
+   */
+  open(key, sealed, context) {
+    const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+}
+
+// Create singleton instance
+const encryptionService = new EncryptionService();
+
+module.exports = encryptionService;
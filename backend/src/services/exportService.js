@@ -0,0 +1,363 @@
+const zlib = require('zlib');
+const { once } = require('events');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const attachmentStorageService = require('./attachmentStorageService');
+const rawMessageService = require('./rawMessageService');
+const logger = require('../utils/logger');
+
+// Standard CRC-32 (IEEE) table used by zip entries
+const CRC_TABLE = new Int32Array(256).map((value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_UTF8_NAMES = 0x0800;
+const UINT32_MAX = 0xffffffff;
+
+/**
+ * Export Service
+ * Streams stored emails as an mbox file or a zip of EML files, using the
+ * original messages where stored and rebuilding the others as RFC 822.
+ * Messages are written one at a time, so the size of an export is not
+ * limited by memory.
+ */
+class ExportService {
+  /**
+   * Get the RFC 822 message of a stored email
+   * The original message is exported as received when it is stored; older
+   * emails are rebuilt from their fields
+   * @param {Object} email - Email document (lean)
+   * @param {Object} options - statusHeaders: add mbox Status/X-Status flag headers
+   * @returns {Promise<Buffer>} Message bytes
+   */
+  async getMessage(email, { statusHeaders = false } = {}) {
+    const raw = email.raw?.sha256 ? await rawMessageService.read(email.raw.sha256) : null;
+    if (!raw) return this.buildMessage(email, { statusHeaders });
+    if (!statusHeaders) return raw;
+
+    // Replace the flag headers of the original with the current flags
+    const separator = raw.indexOf('\r\n\r\n') >= 0 ? raw.indexOf('\r\n\r\n') : raw.indexOf('\n\n');
+    const head = (separator >= 0 ? raw.subarray(0, separator) : raw).toString('latin1')
+      .replace(/^(?:X-)?Status:.*(?:\r?\n[ \t].*)*(?:\r?\n|$)/gim, '');
+    const lines = Object.entries(this.getStatusHeaders(email.flags || {}))
+      .map(([name, value]) => `${name}: ${value}\r\n`)
+      .join('');
+
+    return Buffer.concat([
+      Buffer.from(`${lines}${head.replace(/\r?\n$/, '')}`, 'latin1'),
+      separator >= 0 ? raw.subarray(separator) : Buffer.from('\r\n\r\n')
+    ]);
+  }
+
+  /**
+   * mbox Status and X-Status headers for a set of flags
+   * @param {Object} flags - Email flags
+   * @returns {Object} Header values by name
+   */
+  getStatusHeaders(flags) {
+    const headers = { Status: flags.seen ? 'RO' : 'O' };
+    const xStatus = [['answered', 'A'], ['flagged', 'F'], ['deleted', 'D'], ['draft', 'T']]
+      .filter(([flag]) => flags[flag])
+      .map(([, letter]) => letter)
+      .join('');
+    if (xStatus) headers['X-Status'] = xStatus;
+    return headers;
+  }
+
+  /**
+   * Rebuild the RFC 822 message of a stored email, attachments included
+   * @param {Object} email - Email document (lean)
+   * @param {Object} options - statusHeaders: add mbox Status/X-Status flag headers
+   * @returns {Promise<Buffer>} Message bytes
+   */
+  buildMessage(email, { statusHeaders = false } = {}) {
+    const { headers, content, flags = {} } = email;
+
+    const extraHeaders = statusHeaders ? this.getStatusHeaders(flags) : {};
+
+    // Stored attachments are streamed from GridFS; emails not migrated yet still carry inline data
+    const contents = (content.attachments || []).map(attachment => (attachment.storageId
+      ? attachmentStorageService.openDownloadStream(attachment.storageId)
+      : this.toBuffer(attachment.data)));
+
+    const composer = new MailComposer({
+      from: headers.from,
+      to: headers.to,
+      cc: headers.cc,
+      bcc: headers.bcc,
+      replyTo: headers.replyTo,
+      inReplyTo: headers.inReplyTo,
+      references: headers.references,
+      subject: headers.subject,
+      date: headers.date,
+      // Keep the stored ID so re-importing the export recognises the messages
+      messageId: headers.messageId || email.messageId,
+      text: content.text || undefined,
+      html: content.html || undefined,
+      attachments: (content.attachments || []).map((attachment, index) => ({
+        filename: attachment.filename || undefined,
+        contentType: attachment.contentType,
+        cid: attachment.contentId || undefined,
+        contentDisposition: attachment.disposition || (attachment.contentId ? 'inline' : 'attachment'),
+        content: contents[index]
+      })),
+      headers: extraHeaders
+    });
+
+    const node = composer.compile();
+    // Bcc is part of the stored message, unlike mail being sent
+    node.keepBcc = true;
+
+    return new Promise((resolve, reject) => {
+      node.build((error, message) => {
+        if (!error) return resolve(message);
+        contents.filter(item => !Buffer.isBuffer(item)).forEach(stream => stream.destroy());
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Stream emails as an mbox file (mboxrd: "From " lines in bodies are escaped with ">")
+   * @param {Object} cursor - Mongoose query cursor of lean Email documents
+   * @param {Object} output - Writable stream (the HTTP response)
+   * @returns {Promise<number>} Number of exported emails
+   */
+  async writeMbox(cursor, output) {
+    let count = 0;
+
+    for await (const email of cursor) {
+      if (output.destroyed) break;
+
+      const message = await this.getMessage(email, { statusHeaders: true });
+      const body = message.toString('latin1')
+        .replace(/\r\n/g, '\n')
+        .replace(/^(>*From )/gm, '>$1');
+      const separator = `From ${this.getEnvelopeSender(email.headers.from)} ${this.formatPostmarkDate(email.timing?.receivedAt || email.headers.date)}\n`;
+
+      await this.write(output, Buffer.from(`${separator}${body}${body.endsWith('\n') ? '' : '\n'}\n`, 'latin1'));
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Stream emails as a zip archive of EML files
+   * Entries are deflated one at a time; ZIP64 records are added once the archive
+   * outgrows the classic zip limits
+   * @param {Object} cursor - Mongoose query cursor of lean Email documents
+   * @param {Object} output - Writable stream (the HTTP response)
+   * @param {Function} getEntryName - Maps an email to its unique path inside the archive
+   * @returns {Promise<number>} Number of exported emails
+   */
+  async writeZip(cursor, output, getEntryName) {
+    const entries = [];
+    let offset = 0;
+
+    for await (const email of cursor) {
+      if (output.destroyed) break;
+
+      const message = await this.getMessage(email);
+      const data = zlib.deflateRawSync(message);
+
+      const entry = {
+        name: Buffer.from(getEntryName(email), 'utf8'),
+        crc: this.crc32(message),
+        compressedSize: data.length,
+        size: message.length,
+        offset,
+        ...this.toDosDateTime(email.headers.date)
+      };
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+      header.writeUInt16LE(20, 4); // Version needed: deflate
+      header.writeUInt16LE(ZIP_UTF8_NAMES, 6);
+      header.writeUInt16LE(8, 8); // Deflate
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressedSize, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(entry.name.length, 26);
+
+      await this.write(output, Buffer.concat([header, entry.name, data]));
+      offset += header.length + entry.name.length + data.length;
+      entries.push(entry);
+    }
+
+    if (output.destroyed) return entries.length;
+
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      const zip64 = entry.offset >= UINT32_MAX;
+      const extra = Buffer.alloc(zip64 ? 12 : 0);
+      if (zip64) {
+        extra.writeUInt16LE(0x0001, 0);
+        extra.writeUInt16LE(8, 2);
+        extra.writeBigUInt64LE(BigInt(entry.offset), 4);
+      }
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(ZIP_DIRECTORY_ENTRY, 0);
+      header.writeUInt16LE(zip64 ? 45 : 20, 4); // Version made by
+      header.writeUInt16LE(zip64 ? 45 : 20, 6); // Version needed
+      header.writeUInt16LE(ZIP_UTF8_NAMES, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt16LE(extra.length, 30);
+      header.writeUInt32LE(zip64 ? UINT32_MAX : entry.offset, 42);
+
+      await this.write(output, Buffer.concat([header, entry.name, extra]));
+      offset += header.length + entry.name.length + extra.length;
+    }
+
+    const directorySize = offset - directoryOffset;
+    if (entries.length >= 0xffff || directoryOffset >= UINT32_MAX || directorySize >= UINT32_MAX) {
+      const record = Buffer.alloc(56);
+      record.writeUInt32LE(ZIP64_END_OF_DIRECTORY, 0);
+      record.writeBigUInt64LE(44n, 4); // Size of the rest of the record
+      record.writeUInt16LE(45, 12);
+      record.writeUInt16LE(45, 14);
+      record.writeBigUInt64LE(BigInt(entries.length), 24);
+      record.writeBigUInt64LE(BigInt(entries.length), 32);
+      record.writeBigUInt64LE(BigInt(directorySize), 40);
+      record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+      const locator = Buffer.alloc(20);
+      locator.writeUInt32LE(ZIP64_LOCATOR, 0);
+      locator.writeBigUInt64LE(BigInt(offset), 8);
+      locator.writeUInt32LE(1, 16);
+
+      await this.write(output, Buffer.concat([record, locator]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(ZIP_END_OF_DIRECTORY, 0);
+    end.writeUInt16LE(Math.min(entries.length, 0xffff), 8);
+    end.writeUInt16LE(Math.min(entries.length, 0xffff), 10);
+    end.writeUInt32LE(Math.min(directorySize, UINT32_MAX), 12);
+    end.writeUInt32LE(Math.min(directoryOffset, UINT32_MAX), 16);
+    await this.write(output, end);
+
+    return entries.length;
+  }
+
+  /**
+   * Build a readable, unique path for an email inside a zip export
+   * @param {Object} email - Email document (lean)
+   * @param {string} accountEmail - Address of the email's account
+   * @returns {string} Entry path (account/folder/date_subject_id.eml)
+   */
+  getEntryName(email, accountEmail) {
+    const clean = value => String(value || '')
+      .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+      .replace(/^\.+$/, '_')
+      .trim();
+
+    const folder = String(email.folder || '').split('/').map(clean).filter(Boolean).join('/');
+    const date = new Date(email.headers.date);
+    const stamp = isNaN(date.getTime()) ? 'undated' : date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    const subject = clean(email.headers.subject).replace(/\s+/g, ' ').slice(0, 60) || 'no subject';
+
+    return [clean(accountEmail) || 'account', folder || 'INBOX', `${stamp}_${subject}_${email._id}.eml`].join('/');
+  }
+
+  /**
+   * Write to a stream, waiting for it to drain when its buffer is full
+   * @param {Object} output - Writable stream
+   * @param {Buffer} chunk - Data
+   */
+  async write(output, chunk) {
+    if (!output.write(chunk)) {
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+  }
+
+  /**
+   * Normalise attachment content from a lean document
+   * @param {Buffer|Object} data - Buffer, or BSON Binary as returned by lean queries
+   * @returns {Buffer} Content
+   */
+  toBuffer(data) {
+    if (!data) return Buffer.alloc(0);
+    if (Buffer.isBuffer(data)) return data;
+    if (data.buffer) return Buffer.from(data.buffer.buffer, data.buffer.byteOffset, data.position ?? data.buffer.length);
+
+    logger.warn('Unexpected attachment data type in export');
+    return Buffer.alloc(0);
+  }
+
+  /**
+   * Extract the bare sender address for an mbox separator line
+   * @param {string} from - From header ("Name <address>")
+   * @returns {string} Address, or MAILER-DAEMON when there is none
+   */
+  getEnvelopeSender(from) {
+    const match = String(from || '').match(/<([^<>\s]+@[^<>\s]+)>/) || String(from || '').match(/([^\s<>"]+@[^\s<>"]+)/);
+    return match ? match[1] : 'MAILER-DAEMON';
+  }
+
+  /**
+   * Format a date like asctime(3), as mbox separator lines expect
+   * @param {Date} value - Date
+   * @returns {string} e.g. "Thu Jan  4 10:00:00 2024" (UTC)
+   */
+  formatPostmarkDate(value) {
+    const date = new Date(value);
+    // "Thu, 04 Jan 2024 10:00:00 GMT"
+    const [weekday, day, month, year, time] = (isNaN(date.getTime()) ? new Date(0) : date)
+      .toUTCString().replace(',', '').split(' ');
+
+    return `${weekday} ${month} ${day.replace(/^0/, ' ')} ${time} ${year}`;
+  }
+
+  /**
+   * Convert a date to MS-DOS date and time fields (UTC, clamped to 1980)
+   * @param {Date} value - Date
+   * @returns {Object} { date, time }
+   */
+  toDosDateTime(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime()) || date.getUTCFullYear() < 1980) {
+      return { date: (1 << 5) | 1, time: 0 };
+    }
+
+    return {
+      date: ((date.getUTCFullYear() - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+      time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2)
+    };
+  }
+
+  /**
+   * Compute the CRC-32 of a buffer
+   * @param {Buffer} buffer - Data
+   * @returns {number} Signed 32-bit CRC
+   */
+  crc32(buffer) {
+    let crc = -1;
+    for (let index = 0; index < buffer.length; index++) {
+      crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc ^ -1;
+  }
+}
+
+// Create singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
@@ -0,0 +1,364 @@
+const { EventEmitter } = require('events');
+const Email = require('../models/Email');
+const EmailAccount = require('../models/EmailAccount');
+const imapService = require('./imapService');
+const emailParserService = require('./emailParserService');
+const logger = require('../utils/logger');
+
+/**
+ * Flag Sync Service
+ * Pushes flag changes made in the app back to the IMAP server with UID STORE.
+ * Changes are queued on the Email document and retried with backoff while the
+ * account is unreachable.
+ */
+class FlagSyncService extends EventEmitter {
+  constructor() {
+    super();
+    this.syncableFlags = ['seen', 'answered', 'flagged', 'deleted', 'draft'];
+    this.activeAccounts = new Set(); // Accounts currently being pushed
+    this.timer = null;
+    this.interval = parseInt(process.env.FLAG_SYNC_INTERVAL) || 30000; // 30 seconds
+    this.batchSize = parseInt(process.env.FLAG_SYNC_BATCH_SIZE) || 500;
+    this.retryDelay = parseInt(process.env.FLAG_SYNC_RETRY_DELAY) || 30000; // 30 seconds
+    this.maxRetryDelay = parseInt(process.env.FLAG_SYNC_MAX_RETRY_DELAY) || 3600000; // 1 hour
+    this.maxAttempts = parseInt(process.env.FLAG_SYNC_MAX_ATTEMPTS) || 10;
+  }
+
+  /**
+   * Start processing queued flag changes periodically
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processDue().catch((error) => {
+        logger.error('Flag sync run failed:', error);
+      });
+    }, this.interval);
+
+    logger.info(`Flag sync started (every ${this.interval}ms)`);
+  }
+
+  /**
+   * Stop periodic processing
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue flag changes for a set of emails
+   * @param {Object} filter - Email filter (must include userId)
+   * @param {Object} changes - Flag changes ({ seen: true, flagged: false, ... })
+   * @returns {Promise<number>} Number of emails queued
+   */
+  async queueFlagChanges(filter, changes) {
+    const update = {
+      'flagSync.dirty': true,
+      'flagSync.attempts': 0,
+      'flagSync.nextAttemptAt': new Date(),
+      'flagSync.lastError': null
+    };
+
+    let hasChanges = false;
+    for (const flag of this.syncableFlags) {
+      if (changes[flag] !== undefined) {
+        update[`flagSync.pending.${flag}`] = Boolean(changes[flag]);
+        hasChanges = true;
+      }
+    }
+
+    if (!hasChanges) return 0;
+
+    const syncableFilter = { ...filter, 'metadata.source': 'imap' };
+    const accountIds = await Email.distinct('emailAccountId', syncableFilter);
+    const result = await Email.updateMany(syncableFilter, {
+      $set: update,
+      $inc: { 'flagSync.version': 1 }
+    });
+
+    // Push right away; the periodic run retries anything that fails
+    for (const accountId of accountIds) {
+      this.processAccount(accountId).catch((error) => {
+        logger.warn(`Immediate flag push failed for account ${accountId}: ${error.message}`);
+      });
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Push queued changes for every account with due work
+   */
+  async processDue() {
+    const accountIds = await Email.distinct('emailAccountId', {
+      'flagSync.dirty': true,
+      'flagSync.nextAttemptAt': { $lte: new Date() }
+    });
+
+    for (const accountId of accountIds) {
+      await this.processAccount(accountId).catch((error) => {
+        logger.warn(`Flag push failed for account ${accountId}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Push queued flag changes for a single account
+   * @param {string} accountId - Email account ID
+   * @returns {Promise<number>} Number of emails pushed
+   */
+  async processAccount(accountId) {
+    const key = accountId.toString();
+    if (this.activeAccounts.has(key)) return 0;
+    this.activeAccounts.add(key);
+
+    const connectionId = `flags_${key}`;
+    let pushed = 0;
+
+    try {
+      const emails = await Email.find({
+        emailAccountId: accountId,
+        'flagSync.dirty': true,
+        'flagSync.nextAttemptAt': { $lte: new Date() }
+      })
+        .select('folder uid flagSync')
+        .limit(this.batchSize)
+        .lean();
+
+      if (emails.length === 0) return 0;
+
+      const account = await EmailAccount.findById(accountId).select('+authConfig.password');
+      if (!account) return 0;
+
+      let connection;
+      try {
+        connection = await imapService.getConnection(connectionId, account.getImapConfig());
+      } catch (error) {
+        await this.recordFailure(emails, error);
+        throw error;
+      }
+
+      const byFolder = new Map();
+      for (const email of emails) {
+        if (!byFolder.has(email.folder)) byFolder.set(email.folder, []);
+        byFolder.get(email.folder).push(email);
+      }
+
+      for (const [folder, folderEmails] of byFolder) {
+        try {
+          await this.pushFolder(connection.imap, folder, folderEmails);
+          await this.recordSuccess(folderEmails);
+          pushed += folderEmails.length;
+        } catch (error) {
+          logger.warn(`Failed to push flags to ${account.email}/${folder}: ${error.message}`);
+          await this.recordFailure(folderEmails, error);
+        }
+      }
+
+      if (pushed > 0) {
+        this.emit('flagsPushed', { accountId: key, count: pushed });
+      }
+
+      return pushed;
+    } finally {
+      this.activeAccounts.delete(key);
+      imapService.returnConnectionToPool(connectionId);
+    }
+  }
+
+  /**
+   * Apply queued changes for a folder with UID STORE
+   * @param {Object} imap - IMAP connection
+   * @param {string} folder - Folder path
+   * @param {Array} emails - Emails with pending changes
+   */
+  async pushFolder(imap, folder, emails) {
+    await new Promise((resolve, reject) => {
+      imap.openBox(folder, false, (err) => (err ? reject(err) : resolve()));
+    });
+
+    for (const flag of this.syncableFlags) {
+      const imapFlag = this.toImapFlag(flag);
+      const add = emails.filter(email => email.flagSync.pending?.[flag] === true).map(email => email.uid);
+      const remove = emails.filter(email => email.flagSync.pending?.[flag] === false).map(email => email.uid);
+
+      if (add.length > 0) {
+        await this.store(imap, 'addFlags', add, imapFlag);
+      }
+      if (remove.length > 0) {
+        await this.store(imap, 'delFlags', remove, imapFlag);
+      }
+    }
+  }
+
+  /**
+   * Run a UID STORE command
+   * @param {Object} imap - IMAP connection
+   * @param {string} method - addFlags or delFlags
+   * @param {Array<number>} uids - Message UIDs
+   * @param {string} flag - IMAP flag
+   */
+  store(imap, method, uids, flag) {
+    return new Promise((resolve, reject) => {
+      imap[method](uids, [flag], (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * Clear pushed changes unless they were modified again in the meantime
+   * @param {Array} emails - Pushed emails
+   */
+  async recordSuccess(emails) {
+    const now = new Date();
+    await Email.bulkWrite(emails.map(email => ({
+      updateOne: {
+        filter: { _id: email._id, 'flagSync.version': email.flagSync.version },
+        update: {
+          $set: {
+            'flagSync.dirty': false,
+            'flagSync.attempts': 0,
+            'flagSync.lastPushedAt': now,
+            'flagSync.lastError': null
+          },
+          $unset: { 'flagSync.pending': 1 }
+        }
+      }
+    })));
+  }
+
+  /**
+   * Schedule a retry with exponential backoff
+   * After maxAttempts the change is dropped, unless it was modified again in the
+   * meantime, and lastError keeps the reason
+   * @param {Array} emails - Emails that failed to push
+   * @param {Error} error - Failure reason
+   */
+  async recordFailure(emails, error) {
+    let abandoned = 0;
+
+    await Email.bulkWrite(emails.map((email) => {
+      const attempts = (email.flagSync.attempts || 0) + 1;
+
+      if (attempts >= this.maxAttempts) {
+        abandoned++;
+        return {
+          updateOne: {
+            filter: { _id: email._id, 'flagSync.version': email.flagSync.version },
+            update: {
+              $set: {
+                'flagSync.dirty': false,
+                'flagSync.attempts': attempts,
+                'flagSync.lastError': error.message
+              },
+              $unset: { 'flagSync.pending': 1 }
+            }
+          }
+        };
+      }
+
+      const delay = Math.min(this.retryDelay * Math.pow(2, attempts - 1), this.maxRetryDelay);
+      return {
+        updateOne: {
+          filter: { _id: email._id },
+          update: {
+            $set: {
+              'flagSync.attempts': attempts,
+              'flagSync.nextAttemptAt': new Date(Date.now() + delay),
+              'flagSync.lastError': error.message
+            }
+          }
+        }
+      };
+    }));
+
+    if (abandoned > 0) {
+      logger.warn(`Gave up pushing flag changes for ${abandoned} email(s) after ${this.maxAttempts} attempts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pull server-side flag changes for a folder into stored emails
+   * Uses CONDSTORE (FETCH CHANGEDSINCE) when the server supports it and falls back to
+   * fetching FLAGS for the whole folder otherwise. Emails with local changes that have
+   * not been pushed yet keep their local flags.
+   * @param {Object} account - EmailAccount document
+   * @param {Object} imap - IMAP connection with the folder selected
+   * @param {string} folder - Folder path
+   * @param {string|null} sinceModSeq - HIGHESTMODSEQ recorded at the previous sync
+   * @param {Object} box - Mailbox information from openBox
+   * @returns {Promise<number>} Number of updated emails
+   */
+  async pullFlagChanges(account, imap, folder, sinceModSeq, box) {
+    const useCondstore = imap.serverSupports('CONDSTORE') && !box.nomodseq && sinceModSeq;
+
+    if (useCondstore && box.highestmodseq && String(box.highestmodseq) === String(sinceModSeq)) {
+      return 0;
+    }
+
+    const changes = await this.fetchFlags(imap, box, useCondstore ? sinceModSeq : null);
+    if (changes.length === 0) return 0;
+
+    const result = await Email.bulkWrite(changes.map(change => ({
+      updateOne: {
+        filter: {
+          emailAccountId: account._id,
+          folder,
+          uid: change.uid,
+          'flagSync.dirty': { $ne: true }
+        },
+        update: { $set: { flags: emailParserService.mapFlags(change.flags) } }
+      }
+    })), { ordered: false });
+
+    if (result.modifiedCount > 0) {
+      this.emit('flagsPulled', { accountId: account._id, folder, count: result.modifiedCount });
+    }
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Fetch UID and FLAGS for messages in the selected mailbox
+   * @param {Object} imap - IMAP connection
+   * @param {Object} box - Mailbox information from openBox
+   * @param {string|null} changedSince - Only messages changed since this MODSEQ
+   * @returns {Promise<Array>} Array of { uid, flags }
+   */
+  fetchFlags(imap, box, changedSince) {
+    return new Promise((resolve, reject) => {
+      if (!box.messages || box.messages.total === 0) {
+        resolve([]);
+        return;
+      }
+
+      const options = changedSince ? { modifiers: { changedsince: changedSince } } : {};
+      const results = [];
+      const fetch = imap.fetch('1:*', options);
+
+      fetch.on('message', (msg) => {
+        msg.once('attributes', (attrs) => {
+          results.push({ uid: attrs.uid, flags: attrs.flags || [] });
+        });
+      });
+      fetch.once('error', reject);
+      fetch.once('end', () => resolve(results));
+    });
+  }
+
+  /**
+   * Map an Email flag name to its IMAP system flag
+   * @param {string} flag - Email flag name
+   * @returns {string} IMAP flag
+   */
+  toImapFlag(flag) {
+    return Object.keys(emailParserService.flagMap)
+      .find(imapFlag => emailParserService.flagMap[imapFlag] === flag);
+  }
+}
+
+// Create singleton instance
+const flagSyncService = new FlagSyncService();
+
+module.exports = flagSyncService;
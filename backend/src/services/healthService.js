@@ -0,0 +1,251 @@
+const { EventEmitter } = require('events');
+const EmailAccount = require('../models/EmailAccount');
+const logger = require('../utils/logger');
+
+/**
+ * Connection Health Service
+ * Tracks IMAP connection outcomes per account and runs a circuit breaker: after
+ * repeated failures the circuit opens and connections are refused until a
+ * cooldown passes, then a single trial connection (half-open) decides whether it
+ * closes again. Authentication failures and circuits that keep reopening disable
+ * sync for the account with a reason shown to the user.
+ */
+class HealthService extends EventEmitter {
+  constructor() {
+    super();
+    this.failureThreshold = parseInt(process.env.HEALTH_FAILURE_THRESHOLD) || 5;
+    this.authFailureThreshold = parseInt(process.env.HEALTH_AUTH_FAILURE_THRESHOLD) || 2;
+    this.cooldown = parseInt(process.env.HEALTH_CIRCUIT_COOLDOWN) || 15 * 60000; // 15 minutes
+    this.maxCooldown = parseInt(process.env.HEALTH_MAX_COOLDOWN) || 6 * 60 * 60000; // 6 hours
+    this.maxOpenCount = parseInt(process.env.HEALTH_MAX_OPEN_COUNT) || 4;
+    this.historySize = 50;
+    this.networkCodes = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'EAI_AGAIN'];
+  }
+
+  /**
+   * Refuse connections while the account's circuit is open
+   * Once the cooldown has passed, one caller is let through as the half-open trial
+   * @param {string} accountId - EmailAccount ID
+   */
+  async assertAvailable(accountId) {
+    const account = await EmailAccount.findById(accountId).select('email health.circuitState health.retryAt').lean();
+    if (!account || !account.health || account.health.circuitState === 'closed') return;
+
+    const { circuitState, retryAt } = account.health;
+    if (retryAt && retryAt <= new Date()) {
+      // Only the caller that flips the state gets the trial connection; the new
+      // retryAt lets another caller try if the trial never reports back
+      const trial = await EmailAccount.updateOne(
+        { _id: accountId, 'health.circuitState': circuitState, 'health.retryAt': retryAt },
+        {
+          $set: { 'health.circuitState': 'half-open', 'health.retryAt': new Date(Date.now() + this.cooldown) },
+          $push: this.historyEntry({ type: 'circuit_half_open', message: 'Trying a connection after cooldown' })
+        }
+      );
+      if (trial.modifiedCount === 1) {
+        logger.info(`Circuit half-open for account ${account.email}`);
+        return;
+      }
+    }
+
+    const error = new Error(circuitState === 'half-open'
+      ? 'A trial connection to this account is in progress after repeated failures'
+      : `Connections to this account are paused until ${retryAt?.toISOString()} after repeated failures`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryable = false;
+    throw error;
+  }
+
+  /**
+   * Record a successful connection and close the circuit
+   * @param {string} accountId - EmailAccount ID
+   * @param {Object} options - manual: user-initiated test, which also re-enables
+   *   sync that the health monitor disabled
+   */
+  async recordSuccess(accountId, { manual = false } = {}) {
+    const now = new Date();
+    const account = await EmailAccount.findById(accountId)
+      .select('email syncConfig.enabled health.circuitState health.consecutiveFailures health.disabledReason');
+    if (!account) return;
+
+    const update = {
+      $set: { 'connectionInfo.lastConnected': now },
+      $inc: { 'connectionInfo.connectionCount': 1 }
+    };
+
+    const recovering = account.health.circuitState !== 'closed' || account.health.consecutiveFailures > 0;
+    if (recovering) {
+      Object.assign(update.$set, {
+        'health.circuitState': 'closed',
+        'health.consecutiveFailures': 0,
+        'health.openCount': 0,
+        'health.openedAt': null,
+        'health.retryAt': null
+      });
+      update.$push = this.historyEntry({ type: 'circuit_closed', message: 'Connection succeeded' });
+    }
+
+    if (manual && account.health.disabledReason) {
+      Object.assign(update.$set, {
+        'syncConfig.enabled': true,
+        'syncConfig.nextSyncAt': now,
+        'health.disabledReason': null,
+        status: 'active'
+      });
+      logger.info(`Sync re-enabled for account ${account.email} after a successful connection test`);
+    }
+
+    await EmailAccount.updateOne({ _id: accountId }, update);
+
+    if (recovering) {
+      this.emit('circuitClosed', { accountId });
+    }
+  }
+
+  /**
+   * Record a failed connection and open the circuit when thresholds are reached
+   * @param {string} accountId - EmailAccount ID
+   * @param {Error} error - Connection error
+   * @returns {Promise<string>} Failure category
+   */
+  async recordFailure(accountId, error) {
+    const now = new Date();
+    const category = this.classifyError(error);
+    const entry = { type: 'failure', category, message: error.message, code: error.code || error.textCode || null };
+
+    const account = await EmailAccount.findOneAndUpdate(
+      { _id: accountId },
+      {
+        $inc: { 'health.consecutiveFailures': 1, 'connectionInfo.errorCount': 1 },
+        $set: {
+          'connectionInfo.lastError': { message: error.message, code: entry.code || 'CONNECTION_FAILED', timestamp: now }
+        },
+        $push: this.historyEntry(entry)
+      },
+      { new: true }
+    ).select('email syncConfig.enabled health.circuitState health.consecutiveFailures health.openCount');
+    if (!account) return category;
+
+    const threshold = category === 'auth' ? this.authFailureThreshold : this.failureThreshold;
+    // A failed half-open trial reopens the circuit immediately
+    if (account.health.circuitState === 'half-open' || account.health.consecutiveFailures >= threshold) {
+      await this.openCircuit(account, category, error);
+    }
+
+    return category;
+  }
+
+  /**
+   * Open the circuit with an exponentially growing cooldown
+   * @param {Object} account - EmailAccount document with health selected
+   * @param {string} category - Failure category
+   * @param {Error} error - Last error
+   */
+  async openCircuit(account, category, error) {
+    const openCount = account.health.openCount + 1;
+    const cooldown = Math.min(this.cooldown * Math.pow(2, openCount - 1), this.maxCooldown);
+    const retryAt = new Date(Date.now() + cooldown);
+
+    const history = [{
+      type: 'circuit_open',
+      category,
+      message: `Circuit opened after ${account.health.consecutiveFailures} consecutive failures, retrying at ${retryAt.toISOString()}`
+    }];
+    const update = {
+      $set: {
+        'health.circuitState': 'open',
+        'health.openCount': openCount,
+        'health.openedAt': new Date(),
+        'health.retryAt': retryAt
+      }
+    };
+
+    // Bad credentials do not fix themselves; neither do servers that keep failing
+    const reason = category === 'auth'
+      ? `Sync disabled: authentication failed (${error.message}). Update the credentials and test the connection.`
+      : openCount >= this.maxOpenCount
+        ? `Sync disabled: the connection kept failing after ${openCount} cooldowns (${error.message}). Test the connection to re-enable sync.`
+        : null;
+    const disabling = Boolean(reason) && account.syncConfig.enabled;
+
+    if (disabling) {
+      Object.assign(update.$set, {
+        'syncConfig.enabled': false,
+        'health.disabledReason': reason,
+        status: 'error',
+        'connectionInfo.lastError': { message: reason, code: 'SYNC_DISABLED', timestamp: new Date() }
+      });
+      history.push({ type: 'sync_disabled', category, message: reason });
+    }
+    update.$push = this.historyEntry(history);
+
+    await EmailAccount.updateOne({ _id: account._id }, update);
+
+    logger.warn(`Circuit opened for account ${account.email} (${category}), retry at ${retryAt.toISOString()}`);
+    this.emit('circuitOpened', { accountId: account._id, category, retryAt });
+
+    if (disabling) {
+      logger.warn(`Sync disabled for account ${account.email}: ${reason}`);
+      this.emit('syncDisabled', { accountId: account._id, reason });
+    }
+  }
+
+  /**
+   * Classify a connection error
+   * @param {Error} error - Connection error
+   * @returns {string} auth, network, timeout or protocol
+   */
+  classifyError(error) {
+    if (error.code === 'OAUTH_TOKEN_REVOKED' || error.source === 'authentication' ||
+        error.textCode === 'AUTHENTICATIONFAILED' || /invalid credentials|authenticat/i.test(error.message)) {
+      return 'auth';
+    }
+    if (error.source === 'timeout' || error.source === 'timeout-auth' || error.code === 'ETIMEDOUT' ||
+        /timeout|timed out/i.test(error.message)) {
+      return 'timeout';
+    }
+    if (error.source === 'socket' || this.networkCodes.includes(error.code)) {
+      return 'network';
+    }
+    return 'protocol';
+  }
+
+  /**
+   * Build a capped $push of health history entries
+   * @param {Object|Array<Object>} entries - History entries
+   * @returns {Object} $push specification
+   */
+  historyEntry(entries) {
+    const list = (Array.isArray(entries) ? entries : [entries]).map(entry => ({ timestamp: new Date(), ...entry }));
+    return {
+      'health.history': { $each: list, $slice: -this.historySize }
+    };
+  }
+
+  /**
+   * Get the health of an account
+   * @param {Object} account - EmailAccount document
+   * @returns {Object} Health summary with newest history first
+   */
+  getHealth(account) {
+    const health = account.health || {};
+    return {
+      circuitState: health.circuitState || 'closed',
+      consecutiveFailures: health.consecutiveFailures || 0,
+      openCount: health.openCount || 0,
+      openedAt: health.openedAt || null,
+      retryAt: health.retryAt || null,
+      syncEnabled: account.syncConfig.enabled,
+      disabledReason: health.disabledReason || null,
+      lastConnected: account.connectionInfo.lastConnected,
+      lastError: account.connectionInfo.lastError?.message ? account.connectionInfo.lastError : null,
+      errorCount: account.connectionInfo.errorCount,
+      history: [...(health.history || [])].reverse()
+    };
+  }
+}
+
+// Create singleton instance
+const healthService = new HealthService();
+
+module.exports = healthService;
@@ -0,0 +1,240 @@
+const sanitizeHtml = require('sanitize-html');
+
+const ALLOWED_TAGS = [
+  'a', 'abbr', 'address', 'article', 'aside', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption',
+  'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em',
+  'figcaption', 'figure', 'font', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i',
+  'img', 'ins', 'kbd', 'li', 'main', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section',
+  'small', 'span', 'strike', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+];
+
+// Presentational attributes only: no ids or classes that could reach the app's own CSS and scripts
+const ALLOWED_ATTRIBUTES = {
+  '*': ['style', 'dir', 'lang', 'title', 'align', 'valign', 'width', 'height', 'bgcolor'],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'alt', 'border', 'data-blocked-src'],
+  font: ['color', 'face', 'size'],
+  table: ['border', 'cellpadding', 'cellspacing', 'summary'],
+  td: ['colspan', 'rowspan', 'nowrap'],
+  th: ['colspan', 'rowspan', 'nowrap', 'scope'],
+  col: ['span'],
+  colgroup: ['span'],
+  ol: ['start', 'type', 'reversed'],
+  ul: ['type'],
+  li: ['value'],
+  time: ['datetime']
+};
+
+// Elements removed together with their content
+const DROPPED_TAGS = [
+  'script', 'style', 'noscript', 'template', 'title', 'head', 'textarea', 'select', 'option',
+  'button', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'svg', 'math'
+];
+
+const DANGEROUS_CSS = /expression\s*\(|javascript:|vbscript:|@import|-moz-binding|behavior\s*:|\\/i;
+const CSS_URL = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const CSS_IMAGE_SET = /image-set\s*\(/i; // Also -webkit-image-set
+const CSS_REMOTE_STRING = /['"]\s*(?:https?:)?\/\//i;
+const DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|bmp);base64,/i;
+
+/**
+ * HTML Sanitizer Service
+ * Makes email HTML safe to render in the app: scripts, event handlers, forms,
+ * embedded content and dangerous CSS are removed, links open in a new window,
+ * cid: images point at the attachment endpoint and remote images (tracking
+ * pixels included) are blocked unless the reader allows them.
+ */
+class HtmlSanitizerService {
+  /**
+   * Sanitize email HTML
+   * @param {string} html - Email HTML
+   * @param {Object} options - Options
+   * @param {Function} options.resolveCid - Maps a Content-ID to an image URL (or null)
+   * @param {boolean} options.loadRemoteImages - Keep http(s) images and CSS backgrounds
+   * @returns {Object} { html, blockedImages } - blockedImages counts remote images removed
+   */
+  sanitize(html, { resolveCid = () => null, loadRemoteImages = false } = {}) {
+    const state = { blockedImages: 0 };
+
+    const output = sanitizeHtml(html || '', {
+      allowedTags: ALLOWED_TAGS,
+      allowedAttributes: ALLOWED_ATTRIBUTES,
+      allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+      allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+      allowedSchemesAppliedToAttributes: ['href', 'src'],
+      allowProtocolRelative: false,
+      disallowedTagsMode: 'discard',
+      nonTextTags: DROPPED_TAGS,
+      transformTags: {
+        '*': (tagName, attribs) => ({
+          tagName,
+          attribs: this.transformAttributes(tagName, attribs, { resolveCid, loadRemoteImages, state })
+        })
+      }
+    });
+
+    return { html: output, blockedImages: state.blockedImages };
+  }
+
+  /**
+   * Rewrite the attributes of an element
+   * @param {string} tagName - Element name
+   * @param {Object} attribs - Attributes
+   * @param {Object} context - resolveCid, loadRemoteImages and the running state
+   * @returns {Object} Attributes
+   */
+  transformAttributes(tagName, attribs, context) {
+    const result = { ...attribs };
+
+    if (result.style) {
+      const style = this.sanitizeStyle(result.style, context);
+      if (style) {
+        result.style = style;
+      } else {
+        delete result.style;
+      }
+    }
+
+    if (tagName === 'a') {
+      result.target = '_blank';
+      result.rel = 'noopener noreferrer nofollow';
+    }
+
+    if (tagName === 'img') {
+      const src = (result.src || '').trim();
+      delete result.src;
+
+      if (/^cid:/i.test(src)) {
+        const url = context.resolveCid(this.normalizeCid(src.slice(4)));
+        if (url) result.src = url;
+      } else if (DATA_IMAGE.test(src)) {
+        result.src = src;
+      } else if (/^(https?:)?\/\//i.test(src)) {
+        if (context.loadRemoteImages) {
+          result.src = src.startsWith('//') ? `https:${src}` : src;
+        } else {
+          // Kept for the client to offer "load images"; data-* attributes do not load anything
+          result['data-blocked-src'] = src;
+          context.state.blockedImages++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Filter an inline style attribute
+   * Drops declarations that can run code, load remote resources while images are
+   * blocked, or overlay the app (fixed/absolute positioning)
+   * @param {string} style - Style attribute
+   * @param {Object} context - resolveCid, loadRemoteImages and the running state
+   * @returns {string} Safe declarations
+   */
+  sanitizeStyle(style, context) {
+    const declarations = [];
+
+    for (const declaration of style.split(';')) {
+      const separator = declaration.indexOf(':');
+      if (separator < 0) continue;
+
+      const property = declaration.slice(0, separator).trim().toLowerCase();
+      let value = declaration.slice(separator + 1).trim();
+
+      if (!/^-?[a-z][a-z-]*$/.test(property) || !value || DANGEROUS_CSS.test(value)) continue;
+      if (property === 'position' && !/^(static|relative)$/i.test(value)) continue;
+
+      // image-set() loads plain strings as images, so url() is not the only way to one
+      if (!context.loadRemoteImages && (CSS_IMAGE_SET.test(value) || CSS_REMOTE_STRING.test(value))) {
+        if (/(?:https?:)?\/\//i.test(value)) context.state.blockedImages++;
+        continue;
+      }
+
+      if (/url\(/i.test(value)) {
+        let blocked = false;
+        value = value.replace(CSS_URL, (match, quote, url) => {
+          const target = url.trim();
+          if (/^cid:/i.test(target)) {
+            const resolved = context.resolveCid(this.normalizeCid(target.slice(4)));
+            if (resolved) return `url("${resolved}")`;
+          } else if (DATA_IMAGE.test(target) || (context.loadRemoteImages && /^https?:\/\//i.test(target))) {
+            return `url("${target.replace(/["()]/g, encodeURIComponent)}")`;
+          } else if (/^(https?:)?\/\//i.test(target)) {
+            context.state.blockedImages++;
+          }
+          blocked = true;
+          return match;
+        });
+        if (blocked || /url\(/i.test(value.replace(CSS_URL, ''))) continue;
+      }
+
+      declarations.push(`${property}: ${value}`);
+    }
+
+    return declarations.join('; ');
+  }
+
+  /**
+   * Normalize a Content-ID for lookups
+   * @param {string} cid - Content-ID (from a cid: URL or header)
+   * @returns {string} Content-ID without angle brackets, lowercased
+   */
+  normalizeCid(cid) {
+    let value = cid || '';
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Not URL-encoded
+    }
+    return value.trim().replace(/^<|>$/g, '').toLowerCase();
+  }
+
+  /**
+   * Render a plain text body as HTML
+   * @param {string} text - Text body
+   * @returns {string} HTML
+   */
+  textToHtml(text) {
+    const escaped = (text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    return `<div style="white-space: pre-wrap">${escaped}</div>`;
+  }
+
+  /**
+   * Whether a sender is on a user's "load images" allowlist
+   * Entries are addresses (news@example.com) or domains (example.com, @example.com)
+   * @param {Array<string>} allowlist - Allowed senders
+   * @param {string} from - From header ("Name <address>")
+   * @returns {boolean} Remote images may load
+   */
+  isSenderAllowed(allowlist, from) {
+    const address = this.getAddress(from);
+    if (!address || !allowlist || allowlist.length === 0) return false;
+
+    const domain = address.split('@')[1] || '';
+    return allowlist.some((entry) => {
+      const value = entry.toLowerCase().replace(/^@/, '');
+      return value.includes('@')
+        ? value === address
+        : domain === value || domain.endsWith(`.${value}`);
+    });
+  }
+
+  /**
+   * Extract the address of a From header
+   * @param {string} from - From header
+   * @returns {string} Lowercased address
+   */
+  getAddress(from) {
+    const match = (from || '').match(/<([^>]+)>/);
+    return (match ? match[1] : from || '').trim().toLowerCase();
+  }
+}
+
+const htmlSanitizerService = new HtmlSanitizerService();
+
+module.exports = htmlSanitizerService;
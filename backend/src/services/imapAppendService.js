@@ -0,0 +1,247 @@
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const imapService = require('./imapService');
+
+const CRLF = '\r\n';
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const RE_TAGGED = /^(\S+) (OK|NO|BAD)\b ?(.*)$/i;
+
+/**
+ * A single IMAP session that only logs in and appends (RFC 3501)
+ * node-imap appends Buffers and strings only, so this session streams the
+ * message literal from a file instead. It is opened for one message and closed
+ * again, and never shares the connections of imapService.
+ */
+class ImapAppendConnection {
+  /**
+   * @param {Object} config - node-imap options from imapService.createImapConfig
+   * @param {number} timeout - Socket inactivity timeout in milliseconds
+   */
+  constructor(config, timeout) {
+    this.config = config;
+    this.timeout = timeout;
+    this.socket = null;
+    this.buffer = '';
+    this.tag = 0;
+    this.pending = null; // Command waiting for its tagged response
+  }
+
+  /**
+   * Connect, wait for the greeting and log in
+   * @returns {Promise<ImapAppendConnection>} Authenticated connection
+   */
+  async connect() {
+    const { host, port, tls: secure, tlsOptions } = this.config;
+
+    const greeting = this.expect('*');
+    this.socket = secure
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...tlsOptions })
+      : net.connect({ host, port });
+    this.socket.setTimeout(this.timeout);
+    this.socket.on('data', chunk => this.onData(chunk));
+    this.socket.on('timeout', () => this.socket.destroy(new Error('IMAP append connection timed out')));
+    this.socket.on('error', error => this.fail(error));
+    this.socket.on('close', () => this.fail(new Error('IMAP append connection closed')));
+    await greeting;
+
+    if (this.config.xoauth2) {
+      await this.command(`AUTHENTICATE XOAUTH2 ${this.config.xoauth2}`);
+    } else {
+      await this.command(`LOGIN ${this.quote(this.config.user)} ${this.quote(this.config.password)}`);
+    }
+    return this;
+  }
+
+  /**
+   * Append a message file to a mailbox, streaming it as the literal
+   * @param {string} mailbox - Mailbox path
+   * @param {string} filePath - Raw RFC 822 message
+   * @param {Object} options - flags and date (internal date) of the message
+   */
+  async appendFile(mailbox, filePath, { flags = [], date = null } = {}) {
+    const { size } = await fs.promises.stat(filePath);
+
+    let command = `APPEND ${this.quote(this.encodeMailbox(mailbox))}`;
+    if (flags.length > 0) command += ` (${flags.join(' ')})`;
+    if (date) command += ` "${this.formatDate(date)}"`;
+    command += ` {${size}}`;
+
+    await this.command(command, () => {
+      const file = fs.createReadStream(filePath);
+      file.once('error', error => this.socket.destroy(error));
+      file.once('end', () => this.socket.write(CRLF));
+      file.pipe(this.socket, { end: false });
+    });
+  }
+
+  /**
+   * Log out and close the socket
+   */
+  async close() {
+    if (!this.socket || this.socket.destroyed) return;
+
+    await this.command('LOGOUT').catch(() => {});
+    this.socket.destroy();
+  }
+
+  /**
+   * Send a tagged command
+   * @param {string} text - Command without tag
+   * @param {Function} onContinue - Called on a continuation request
+   * @returns {Promise<string>} Text of the tagged OK response
+   */
+  command(text, onContinue = null) {
+    const tag = `A${++this.tag}`;
+    const response = this.expect(tag, onContinue);
+    this.socket.write(`${tag} ${text}${CRLF}`);
+    return response;
+  }
+
+  /**
+   * Wait for the greeting ('*') or the tagged response of a command
+   * @param {string} tag - Command tag
+   * @param {Function} onContinue - Called on a continuation request
+   * @returns {Promise<string>} Response text
+   */
+  expect(tag, onContinue = null) {
+    return new Promise((resolve, reject) => {
+      this.pending = { tag, onContinue, resolve, reject };
+    });
+  }
+
+  /**
+   * Split received data into response lines
+   * @param {Buffer} chunk - Received data
+   */
+  onData(chunk) {
+    this.buffer += chunk.toString('utf8');
+
+    let end;
+    while ((end = this.buffer.indexOf(CRLF)) !== -1) {
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      this.onLine(line);
+    }
+  }
+
+  /**
+   * Handle a response line
+   * @param {string} line - Response line without CRLF
+   */
+  onLine(line) {
+    const pending = this.pending;
+    if (!pending) return;
+
+    if (pending.tag === '*') {
+      this.pending = null;
+      if (/^\* (OK|PREAUTH)\b/i.test(line)) {
+        pending.resolve(line);
+      } else {
+        pending.reject(new Error(`Unexpected IMAP greeting: ${line}`));
+      }
+      return;
+    }
+
+    if (line.startsWith('+')) {
+      if (pending.onContinue) {
+        const onContinue = pending.onContinue;
+        pending.onContinue = null;
+        onContinue();
+      } else {
+        // A SASL challenge carries the error; an empty response ends the exchange
+        this.socket.write(CRLF);
+      }
+      return;
+    }
+
+    const match = RE_TAGGED.exec(line);
+    if (!match || match[1] !== pending.tag) return; // Untagged data
+
+    this.pending = null;
+    if (match[2].toUpperCase() === 'OK') {
+      pending.resolve(match[3]);
+    } else {
+      const error = new Error(match[3] || `IMAP command failed (${match[2]})`);
+      error.code = 'IMAP_COMMAND_FAILED';
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Reject the waiting command
+   * @param {Error} error - Failure reason
+   */
+  fail(error) {
+    const pending = this.pending;
+    this.pending = null;
+    if (pending) pending.reject(error);
+  }
+
+  /**
+   * Quote an IMAP string
+   * @param {string} value - String value
+   * @returns {string} Quoted string
+   */
+  quote(value) {
+    return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+  }
+
+  /**
+   * Encode a mailbox name as modified UTF-7 (RFC 3501 section 5.1.3)
+   * @param {string} name - Mailbox name
+   * @returns {string} Encoded name
+   */
+  encodeMailbox(name) {
+    return name.replace(/&/g, '&-').replace(/[^\x20-\x7e]+/g, (chunk) => {
+      const utf16 = Buffer.from(chunk, 'utf16le').swap16();
+      return `&${utf16.toString('base64').replace(/=+$/, '').replace(/\//g, ',')}-`;
+    });
+  }
+
+  /**
+   * Format an internal date (date-time of RFC 3501)
+   * @param {Date} date - Date
+   * @returns {string} e.g. "05-Mar-2024 09:30:00 +0000"
+   */
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()} `
+      + `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+  }
+}
+
+/**
+ * IMAP Append Service
+ * Appends messages too large to hold in memory straight from a file
+ */
+class ImapAppendService {
+  constructor() {
+    this.timeout = parseInt(process.env.IMAP_TIMEOUT) || 30000;
+  }
+
+  /**
+   * Append a message file over a dedicated connection
+   * @param {Object} config - IMAP configuration from EmailAccount.getImapConfig
+   * @param {string} mailbox - Mailbox path
+   * @param {string} filePath - Raw RFC 822 message
+   * @param {Object} options - flags and date (internal date) of the message
+   */
+  async appendFile(config, mailbox, filePath, options = {}) {
+    // Refreshes OAuth access tokens like pooled connections do
+    const imapConfig = imapService.createImapConfig(await imapService.resolveAuth(config));
+    const connection = new ImapAppendConnection(imapConfig, this.timeout);
+
+    try {
+      await connection.connect();
+      await connection.appendFile(mailbox, filePath, options);
+    } finally {
+      await connection.close();
+    }
+  }
+}
+
+// Create singleton instance
+const imapAppendService = new ImapAppendService();
+
+module.exports = imapAppendService;
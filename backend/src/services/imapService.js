@@ -1,5 +1,9 @@
 const Imap = require('imap');
 const { EventEmitter } = require('events');
+const EmailAccount = require('../models/EmailAccount');
+const FolderState = require('../models/FolderState');
+const oauthService = require('./oauthService');
+const healthService = require('./healthService');
 const logger = require('../utils/logger');
 
 /**
@@ -15,7 +19,34 @@ class ImapConnectionService extends EventEmitter {
     this.maxReconnectAttempts = parseInt(process.env.IMAP_RECONNECT_ATTEMPTS) || 3;
     this.reconnectDelay = parseInt(process.env.IMAP_RECONNECT_DELAY) || 5000;
     this.connectionTimeout = parseInt(process.env.IMAP_TIMEOUT) || 30000;
-    this.maxPoolSize = parseInt(process.env.IMAP_CONNECTION_POOL_SIZE) || 10;
+    this.maxPoolSize = parseInt(process.env.IMAP_CONNECTION_POOL_SIZE) || 10; // Idle connections across all pools
+    this.hostPools = new Map(); // Open connections and queued callers per host
+    this.loginPools = new Map(); // Open connections per login
+    this.maxConnectionsPerHost = parseInt(process.env.IMAP_MAX_CONNECTIONS_PER_HOST) || 10;
+    this.hostConnectionLimits = this.parseHostLimits(process.env.IMAP_HOST_CONNECTION_LIMITS);
+    this.idleTimeout = parseInt(process.env.IMAP_POOL_IDLE_TIMEOUT) || 300000; // 5 minutes
+    this.acquireTimeout = parseInt(process.env.IMAP_POOL_ACQUIRE_TIMEOUT) || 120000; // 2 minutes
+    this.validateTimeout = 10000;
+    this.specialUseAttributes = {
+      '\\All': 'all',
+      '\\Archive': 'archive',
+      '\\Drafts': 'drafts',
+      '\\Flagged': 'flagged',
+      '\\Junk': 'junk',
+      '\\Sent': 'sent',
+      '\\Trash': 'trash'
+    };
+    // Fallback for servers without SPECIAL-USE, matched on the leaf folder name
+    this.specialUseNames = {
+      sent: ['sent', 'sent mail', 'sent items', 'sent messages'],
+      drafts: ['drafts', 'draft'],
+      trash: ['trash', 'deleted items', 'deleted messages', 'bin'],
+      junk: ['junk', 'spam', 'junk e-mail', 'bulk mail'],
+      archive: ['archive', 'archives', 'all mail']
+    };
+
+    this.evictionTimer = setInterval(() => this.evictIdleConnections(), Math.min(this.idleTimeout, 60000));
+    this.evictionTimer.unref();
   }
 
   /**
@@ -66,11 +97,24 @@ class ImapConnectionService extends EventEmitter {
       };
     }
 
+    // IDLE connections must keep the mailbox in IDLE instead of polling with NOOP
+    if (config.idle) {
+      imapConfig.keepalive = {
+        interval: 10000,
+        idleInterval: 300000,
+        forceNoop: false
+      };
+    }
+
     // Handle different authentication methods
     switch (authMethod.toUpperCase()) {
       case 'OAUTH2':
       case 'XOAUTH2':
-        imapConfig.xoauth2 = password; // OAuth2 token
+        // Accounts with a refreshed access token get a proper SASL string;
+        // otherwise the password is expected to hold a prebuilt one
+        imapConfig.xoauth2 = config.accessToken
+          ? this.buildXOAuth2Token(username, config.accessToken)
+          : password;
         delete imapConfig.password;
         delete imapConfig.authMethod;
         break;
@@ -99,16 +143,88 @@ class ImapConnectionService extends EventEmitter {
     return imapConfig;
   }
 
+  /**
+   * Build the base64 XOAUTH2 SASL initial client response
+   * @param {string} username - Mailbox user
+   * @param {string} accessToken - OAuth2 access token
+   * @returns {string} XOAUTH2 token
+   */
+  buildXOAuth2Token(username, accessToken) {
+    return Buffer.from(`user=${username}\x01auth=Bearer ${accessToken}\x01\x01`).toString('base64');
+  }
+
+  /**
+   * Add a valid OAuth2 access token to the configuration of an OAuth account
+   * @param {Object} config - IMAP server configuration
+   * @returns {Promise<Object>} Configuration ready for createImapConfig
+   */
+  async resolveAuth(config) {
+    const method = (config.authMethod || '').toUpperCase();
+    if ((method !== 'OAUTH2' && method !== 'XOAUTH2') || !config.accountId) {
+      return config;
+    }
+
+    const accessToken = await oauthService.getAccessToken(config.accountId);
+    return { ...config, accessToken };
+  }
+
   /**
    * Create and establish IMAP connection
+   * Connections for an account (config.accountId) go through its circuit
+   * breaker and report their outcome to the health monitor
    * @param {string} connectionId - Unique identifier for the connection
    * @param {Object} config - IMAP server configuration
    * @returns {Promise<Object>} Connection object
    */
   async createConnection(connectionId, config) {
+    const { accountId } = config;
+    if (!accountId) {
+      return this.openConnection(connectionId, config);
+    }
+
+    await healthService.assertAvailable(accountId);
+
+    try {
+      // Refresh OAuth access tokens first
+      const connection = await this.openConnection(connectionId, await this.resolveAuth(config));
+      connection.config = config;
+      this.recordHealth(accountId, null);
+      return connection;
+    } catch (error) {
+      this.recordHealth(accountId, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report a connection outcome to the health monitor without failing the caller
+   * @param {string} accountId - EmailAccount ID
+   * @param {Error|null} error - Connection error, or null on success
+   * @param {Object} options - Options passed to recordSuccess
+   * @returns {Promise<void>} Resolves once recorded
+   */
+  recordHealth(accountId, error, options = {}) {
+    const recording = error
+      ? healthService.recordFailure(accountId, error)
+      : healthService.recordSuccess(accountId, options);
+
+    return recording.catch((healthError) => {
+      logger.warn(`Failed to record connection health for account ${accountId}: ${healthError.message}`);
+    });
+  }
+
+  /**
+   * Open an IMAP connection
+   * @param {string} connectionId - Unique identifier for the connection
+   * @param {Object} config - IMAP server configuration
+   * @returns {Promise<Object>} Connection object
+   */
+  async openConnection(connectionId, config) {
     try {
       const imapConfig = this.createImapConfig(config);
       const imap = new Imap(imapConfig);
+      let ready = false;
+      let connection = null;
 
       return new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
@@ -117,9 +233,10 @@ class ImapConnectionService extends EventEmitter {
 
         imap.once('ready', () => {
           clearTimeout(timeout);
+          ready = true;
           logger.info(`IMAP connection established: ${connectionId}`);
           
-          const connection = {
+          connection = {
             id: connectionId,
             imap: imap,
             config: config,
@@ -143,12 +260,20 @@ class ImapConnectionService extends EventEmitter {
         // Handle unhandled errors to prevent crashes
         imap.on('error', (err) => {
           logger.error(`Unhandled IMAP error for ${connectionId}:`, err);
+          // Errors before ready are reported by createConnection
+          if (ready && config.accountId) {
+            this.recordHealth(config.accountId, err);
+          }
         });
 
         imap.once('end', () => {
-          logger.info(`IMAP connection ended: ${connectionId}`);
-          this.connections.delete(connectionId);
-          this.emit('disconnected', { connectionId });
+          // Pooled connections are reassigned to the ID of whoever uses them
+          const currentId = connection ? connection.id : connectionId;
+          logger.info(`IMAP connection ended: ${currentId}`);
+          if (this.connections.get(currentId) === connection) {
+            this.connections.delete(currentId);
+          }
+          this.emit('disconnected', { connectionId: currentId });
         });
 
         imap.connect();
@@ -159,8 +284,28 @@ class ImapConnectionService extends EventEmitter {
     }
   }
 
+  /**
+   * Parse per-host connection limits from server configuration
+   * @param {string} value - Comma-separated host=limit pairs (e.g. "imap.gmail.com=30")
+   * @returns {Map} Limit by lowercased host
+   */
+  parseHostLimits(value) {
+    const limits = new Map();
+    for (const entry of (value || '').split(',')) {
+      const [host, limit] = entry.split('=').map(part => part.trim());
+      if (host && parseInt(limit) > 0) {
+        limits.set(host.toLowerCase(), parseInt(limit));
+      }
+    }
+    return limits;
+  }
+
   /**
    * Get connection from pool or create new one
+   * Idle pooled connections are checked with NOOP before reuse. New connections
+   * count against the login's provider limit (provider.limits.maxConnections)
+   * and, except IDLE connections, against the host's configured limit; when
+   * either is saturated the caller waits for a connection to be released.
    * @param {string} connectionId - Connection identifier
    * @param {Object} config - IMAP configuration
    * @returns {Promise<Object>} Connection object
@@ -168,53 +313,362 @@ class ImapConnectionService extends EventEmitter {
   async getConnection(connectionId, config) {
     // Check if connection already exists and is active
     const existingConnection = this.connections.get(connectionId);
-    if (existingConnection && existingConnection.status === 'connected') {
+    if (existingConnection && existingConnection.status === 'connected' &&
+        existingConnection.imap.state === 'authenticated') {
       existingConnection.lastActivity = new Date();
       return existingConnection;
     }
 
-    // Check connection pool
-    const poolKey = `${config.host}:${config.port}:${config.username}`;
-    const pool = this.connectionPool.get(poolKey) || [];
-    
-    if (pool.length > 0) {
+    const poolKey = this.getPoolKey(config);
+    const host = this.getHostPool(config);
+    const login = this.getLoginPool(config);
+    const deadline = Date.now() + this.acquireTimeout;
+
+    for (;;) {
+      const pooled = await this.takeIdleConnection(poolKey);
+      if (pooled) {
+        pooled.id = connectionId;
+        pooled.status = 'connected';
+        pooled.lastActivity = new Date();
+        this.connections.set(connectionId, pooled);
+        return pooled;
+      }
+
+      // Free a slot held by an idle connection: of this login when it is at its
+      // provider limit, otherwise of any login on the same host
+      if (!this.canOpenConnection(host, login, config)) {
+        if (login.open >= login.maxConnections) {
+          this.evictOldestIdleConnection(connection => connection.loginKey === login.key);
+        } else if (!config.idle) {
+          this.evictOldestIdleConnection(connection => connection.hostKey === host.key && connection.holdsHostSlot);
+        }
+      }
+
+      if (this.canOpenConnection(host, login, config)) {
+        return await this.openPooledConnection(connectionId, config, poolKey, host, login);
+      }
+
+      await this.waitForSlot(host, deadline);
+    }
+  }
+
+  /**
+   * Whether a new connection fits within the login and host limits
+   * IDLE connections stay open indefinitely, so they do not take host slots
+   * that syncs queue for; the provider still counts them against the login
+   * @param {Object} host - Host pool
+   * @param {Object} login - Login pool
+   * @param {Object} config - IMAP configuration
+   * @returns {boolean} True if a connection may be opened
+   */
+  canOpenConnection(host, login, config) {
+    return login.open < login.maxConnections && (config.idle || host.open < host.maxConnections);
+  }
+
+  /**
+   * Open a new connection that holds a slot of its login and, unless it is an
+   * IDLE connection, of its host
+   * @param {string} connectionId - Connection identifier
+   * @param {Object} config - IMAP configuration
+   * @param {string} poolKey - Pool key of the login
+   * @param {Object} host - Host pool
+   * @param {Object} login - Login pool
+   * @returns {Promise<Object>} Connection object
+   */
+  async openPooledConnection(connectionId, config, poolKey, host, login) {
+    const holdsHostSlot = !config.idle;
+    login.open++;
+    if (holdsHostSlot) host.open++;
+
+    let connection;
+    try {
+      connection = await this.createConnection(connectionId, config);
+    } catch (error) {
+      login.open--;
+      if (holdsHostSlot) host.open--;
+      this.wakeWaiters(host);
+      throw error;
+    }
+
+    connection.poolKey = poolKey;
+    connection.hostKey = host.key;
+    connection.loginKey = login.key;
+    connection.holdsHostSlot = holdsHostSlot;
+    connection.holdsSlot = true;
+    connection.imap.once('close', () => this.releaseSlot(connection));
+    return connection;
+  }
+
+  /**
+   * Key of the pool holding idle connections for one login
+   * IDLE connections are configured differently and never share a pool with others
+   * @param {Object} config - IMAP configuration
+   * @returns {string} Pool key
+   */
+  getPoolKey(config) {
+    return `${config.host}:${config.port}:${config.username}${config.idle ? ':idle' : ''}`;
+  }
+
+  /**
+   * Get the connection accounting for a host, creating it on first use
+   * The limit comes from server configuration (IMAP_HOST_CONNECTION_LIMITS,
+   * else IMAP_MAX_CONNECTIONS_PER_HOST), never from an account
+   * @param {Object} config - IMAP configuration
+   * @returns {Object} Host pool
+   */
+  getHostPool(config) {
+    const key = String(config.host).toLowerCase();
+    if (!this.hostPools.has(key)) {
+      this.hostPools.set(key, {
+        key,
+        open: 0,
+        maxConnections: this.hostConnectionLimits.get(key) || this.maxConnectionsPerHost,
+        waiters: []
+      });
+    }
+    return this.hostPools.get(key);
+  }
+
+  /**
+   * Get the connection accounting for a login, creating it on first use
+   * Providers such as Gmail cap simultaneous connections per account, so the
+   * account's provider limit applies to each login separately
+   * @param {Object} config - IMAP configuration
+   * @returns {Object} Login pool
+   */
+  getLoginPool(config) {
+    const key = `${String(config.host).toLowerCase()}:${config.port}:${config.username}`;
+    if (!this.loginPools.has(key)) {
+      this.loginPools.set(key, { key, open: 0, maxConnections: Infinity });
+    }
+
+    const login = this.loginPools.get(key);
+    login.maxConnections = config.maxConnections || Infinity;
+    return login;
+  }
+
+  /**
+   * Take a live idle connection from a pool
+   * @param {string} poolKey - Pool key
+   * @returns {Promise<Object|null>} Connection, or null if none is usable
+   */
+  async takeIdleConnection(poolKey) {
+    const pool = this.connectionPool.get(poolKey);
+
+    while (pool && pool.length > 0) {
       const connection = pool.pop();
-      connection.id = connectionId;
-      connection.lastActivity = new Date();
-      this.connections.set(connectionId, connection);
-      return connection;
+      if (await this.validateConnection(connection)) {
+        return connection;
+      }
+      logger.info(`Discarding dead pooled connection for ${poolKey}`);
+      this.destroyConnection(connection);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that a pooled connection still answers the server
+   * @param {Object} connection - Connection object
+   * @returns {Promise<boolean>} True if the connection is usable
+   */
+  validateConnection(connection) {
+    const { imap } = connection;
+    if (imap.state !== 'authenticated') {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => resolve(false), this.validateTimeout);
+
+      // node-imap has no public NOOP; this is the call its keepalive uses
+      imap._enqueue('NOOP', (error) => {
+        clearTimeout(timeout);
+        resolve(!error);
+      });
+    });
+  }
+
+  /**
+   * Wait until a slot on the host may be free
+   * @param {Object} host - Host pool
+   * @param {number} deadline - Time after which the caller gives up
+   * @returns {Promise<void>} Resolves when woken
+   */
+  waitForSlot(host, deadline) {
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+
+      waiter.timer = setTimeout(() => {
+        host.waiters.splice(host.waiters.indexOf(waiter), 1);
+        const error = new Error(`Timed out waiting for an IMAP connection to ${host.key} (limit ${host.maxConnections})`);
+        error.code = 'POOL_TIMEOUT';
+        reject(error);
+      }, Math.max(deadline - Date.now(), 0));
+
+      host.waiters.push(waiter);
+      logger.debug(`Waiting for an IMAP connection to ${host.key} (${host.waiters.length} queued)`);
+    });
+  }
+
+  /**
+   * Wake the queued callers of a host to retry, in the order they arrived
+   * All of them are woken because a freed slot may only fit some of them
+   * (a login at its provider limit, or an IDLE connection)
+   * @param {Object} host - Host pool
+   */
+  wakeWaiters(host) {
+    if (!host) return;
+    host.waiters.splice(0).forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      waiter.resolve();
+    });
+  }
+
+  /**
+   * Give back the host slot of a closed connection
+   * @param {Object} connection - Connection object
+   */
+  releaseSlot(connection) {
+    if (!connection.holdsSlot) return;
+    connection.holdsSlot = false;
+    connection.status = 'disconnected';
+
+    const pool = this.connectionPool.get(connection.poolKey);
+    if (pool && pool.includes(connection)) {
+      pool.splice(pool.indexOf(connection), 1);
+    }
+
+    const login = this.loginPools.get(connection.loginKey);
+    if (login) {
+      login.open--;
+    }
+
+    const host = this.hostPools.get(connection.hostKey);
+    if (host) {
+      if (connection.holdsHostSlot) host.open--;
+      this.wakeWaiters(host);
     }
+  }
 
-    // Create new connection
-    return await this.createConnection(connectionId, config);
+  /**
+   * Close a connection and free its slot right away
+   * @param {Object} connection - Connection object
+   */
+  destroyConnection(connection) {
+    if (this.connections.get(connection.id) === connection) {
+      this.connections.delete(connection.id);
+    }
+
+    try {
+      connection.imap.end();
+    } catch (error) {
+      logger.error(`Error closing connection ${connection.id}:`, error);
+    }
+    this.releaseSlot(connection);
+  }
+
+  /**
+   * Close pooled connections that have been idle longer than the idle timeout
+   */
+  evictIdleConnections() {
+    const cutoff = Date.now() - this.idleTimeout;
+
+    for (const [poolKey, pool] of this.connectionPool) {
+      pool.filter(connection => connection.idleSince < cutoff).forEach((connection) => {
+        logger.info(`Closing idle pooled connection for ${poolKey}`);
+        this.destroyConnection(connection);
+      });
+
+      if (pool.length === 0) {
+        this.connectionPool.delete(poolKey);
+      }
+    }
   }
 
   /**
    * Return connection to pool
+   * The selected mailbox is closed so the next user starts from a clean state
    * @param {string} connectionId - Connection identifier
+   * @returns {Promise<void>} Resolves once the connection is pooled or closed
    */
-  returnConnectionToPool(connectionId) {
+  async returnConnectionToPool(connectionId) {
     const connection = this.connections.get(connectionId);
     if (!connection) return;
 
-    const poolKey = `${connection.config.host}:${connection.config.port}:${connection.config.username}`;
-    
-    if (!this.connectionPool.has(poolKey)) {
-      this.connectionPool.set(poolKey, []);
+    this.connections.delete(connectionId);
+
+    if (!connection.holdsSlot || connection.imap.state !== 'authenticated') {
+      this.destroyConnection(connection);
+      return;
     }
 
-    const pool = this.connectionPool.get(poolKey);
-    
-    // Only add to pool if pool is not full
-    if (pool.length < this.maxPoolSize) {
-      connection.status = 'pooled';
-      pool.push(connection);
-      this.connections.delete(connectionId);
-      logger.info(`Connection ${connectionId} returned to pool`);
-    } else {
-      // Close connection if pool is full
-      this.closeConnection(connectionId);
+    try {
+      await this.closeMailbox(connection.imap);
+    } catch (error) {
+      logger.warn(`Closing connection ${connectionId} instead of pooling it: ${error.message}`);
+      this.destroyConnection(connection);
+      return;
+    }
+
+    // The server may have dropped the connection while the mailbox was closed
+    if (!connection.holdsSlot) return;
+
+    if (!this.connectionPool.has(connection.poolKey)) {
+      this.connectionPool.set(connection.poolKey, []);
+    }
+
+    connection.status = 'pooled';
+    connection.idleSince = Date.now();
+    this.connectionPool.get(connection.poolKey).push(connection);
+    logger.info(`Connection ${connectionId} returned to pool`);
+
+    // Keep the total number of idle connections under the global cap
+    const idleCount = [...this.connectionPool.values()].reduce((total, pool) => total + pool.length, 0);
+    if (idleCount > this.maxPoolSize) {
+      this.evictOldestIdleConnection();
+    }
+
+    this.wakeWaiters(this.hostPools.get(connection.hostKey));
+  }
+
+  /**
+   * Close the oldest idle connection so its slot can be reused
+   * @param {Function|null} filter - Only consider connections it accepts
+   * @returns {boolean} True if a connection was closed
+   */
+  evictOldestIdleConnection(filter = null) {
+    let oldest = null;
+    for (const pool of this.connectionPool.values()) {
+      for (const connection of pool) {
+        if ((!filter || filter(connection)) && (!oldest || connection.idleSince < oldest.idleSince)) {
+          oldest = connection;
+        }
+      }
     }
+
+    if (!oldest) return false;
+    this.destroyConnection(oldest);
+    return true;
+  }
+
+  /**
+   * Close the selected mailbox without expunging
+   * @param {Object} imap - IMAP connection
+   * @returns {Promise<void>} Resolves when no mailbox is selected
+   */
+  closeMailbox(imap) {
+    return new Promise((resolve, reject) => {
+      try {
+        imap.closeBox(false, (error) => {
+          if (error) reject(error);
+          else resolve();
+        });
+      } catch (error) {
+        // Nothing is selected
+        resolve();
+      }
+    });
   }
 
   /**
@@ -224,13 +678,8 @@ class ImapConnectionService extends EventEmitter {
   closeConnection(connectionId) {
     const connection = this.connections.get(connectionId);
     if (connection) {
-      try {
-        connection.imap.end();
-        this.connections.delete(connectionId);
-        logger.info(`Connection ${connectionId} closed`);
-      } catch (error) {
-        logger.error(`Error closing connection ${connectionId}:`, error);
-      }
+      this.destroyConnection(connection);
+      logger.info(`Connection ${connectionId} closed`);
     }
   }
 
@@ -239,17 +688,24 @@ class ImapConnectionService extends EventEmitter {
    */
   closeAllConnections() {
     logger.info('Closing all IMAP connections...');
-    
-    for (const [connectionId, connection] of this.connections) {
-      try {
-        connection.imap.end();
-      } catch (error) {
-        logger.error(`Error closing connection ${connectionId}:`, error);
-      }
+
+    // Reject queued callers first so freed slots are not handed out again
+    for (const host of this.hostPools.values()) {
+      host.waiters.splice(0).forEach((waiter) => {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error('IMAP connections are shutting down'));
+      });
     }
-    
+
+    const pooled = [...this.connectionPool.values()].flat();
+    for (const connection of [...this.connections.values(), ...pooled]) {
+      this.destroyConnection(connection);
+    }
+
     this.connections.clear();
     this.connectionPool.clear();
+    this.hostPools.clear();
+    this.loginPools.clear();
     this.reconnectAttempts.clear();
   }
 
@@ -279,6 +735,11 @@ class ImapConnectionService extends EventEmitter {
         this.emit('reconnected', { connectionId });
       } catch (error) {
         logger.error(`Reconnection failed for ${connectionId}:`, error);
+        // The circuit breaker decides when the account is retried next
+        if (error.code === 'CIRCUIT_OPEN') {
+          this.reconnectAttempts.delete(connectionId);
+          return;
+        }
         await this.handleReconnection(connectionId, config);
       }
     }, delay);
@@ -320,14 +781,256 @@ class ImapConnectionService extends EventEmitter {
     return statuses;
   }
 
+  /**
+   * Get the folder tree for an account
+   * Serves the tree cached in MongoDB unless a refresh is requested or nothing is cached
+   * @param {string} accountId - Email account ID
+   * @param {Object} options - Options
+   * @param {boolean} options.refresh - Force a live LIST/LSUB/STATUS round trip
+   * @returns {Promise<Array>} Folder tree
+   */
+  async getFolders(accountId, options = {}) {
+    if (!options.refresh) {
+      const cached = await FolderState.findListedByAccount(accountId);
+      if (cached.length > 0) {
+        return this.buildFolderTree(cached);
+      }
+    }
+
+    try {
+      const states = await this.refreshFolders(accountId);
+      return this.buildFolderTree(states);
+    } catch (error) {
+      // Serve a stale tree rather than nothing when the server is unreachable
+      const cached = await FolderState.findListedByAccount(accountId);
+      if (cached.length > 0) {
+        logger.warn(`Serving cached folders for account ${accountId}: ${error.message}`);
+        return this.buildFolderTree(cached);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List folders on the server and update the cached folder tree
+   * @param {string} accountId - Email account ID
+   * @returns {Promise<Array>} Updated FolderState documents
+   */
+  async refreshFolders(accountId) {
+    const account = await EmailAccount.findById(accountId).select('+authConfig.password');
+    if (!account) {
+      throw new Error(`Email account not found: ${accountId}`);
+    }
+
+    // POP3 mailboxes have no folders to list
+    if (account.protocol === 'pop3') {
+      return [];
+    }
+
+    const connectionId = `folders_${accountId}`;
+    const connection = await this.getConnection(connectionId, account.getImapConfig());
+
+    try {
+      const imap = connection.imap;
+      const listed = this.flattenBoxes(await this.listBoxes(imap, false));
+      const subscribed = new Set(
+        this.flattenBoxes(await this.listBoxes(imap, true).catch(() => ({}))).map(box => box.path)
+      );
+
+      const listedAt = new Date();
+      const states = [];
+
+      for (const box of listed) {
+        const isSelectable = !box.attributes.some(attr => attr.toUpperCase() === '\\NOSELECT');
+        const status = isSelectable ? await this.getMailboxStatus(imap, box.path) : null;
+
+        const update = {
+          name: box.name,
+          parentPath: box.parentPath,
+          delimiter: box.delimiter,
+          attributes: box.attributes,
+          specialUse: this.getSpecialUse(box),
+          isSubscribed: subscribed.has(box.path),
+          isSelectable,
+          isListed: true,
+          lastListedAt: listedAt
+        };
+
+        if (status) {
+          update.messageCount = status.messages.total;
+          update.unseenCount = status.messages.unseen;
+          update.uidNext = status.uidnext;
+        }
+
+        const state = await FolderState.findOneAndUpdate(
+          { emailAccountId: account._id, folder: box.path },
+          { $set: update },
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+        states.push(state);
+      }
+
+      // Folders that disappeared from the server are no longer part of the tree
+      await FolderState.updateMany(
+        { emailAccountId: account._id, folder: { $nin: listed.map(box => box.path) } },
+        { $set: { isListed: false } }
+      );
+
+      account.statistics.foldersCount = listed.length;
+      await account.save();
+
+      logger.info(`Listed ${listed.length} folders for account ${account.email}`);
+      return states;
+    } finally {
+      this.returnConnectionToPool(connectionId);
+    }
+  }
+
+  /**
+   * List mailboxes (LIST) or subscribed mailboxes (LSUB)
+   * @param {Object} imap - IMAP connection
+   * @param {boolean} subscribedOnly - Use LSUB instead of LIST
+   * @returns {Promise<Object>} Nested mailbox object as returned by node-imap
+   */
+  listBoxes(imap, subscribedOnly) {
+    return new Promise((resolve, reject) => {
+      const callback = (err, boxes) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(boxes || {});
+        }
+      };
+
+      if (subscribedOnly) {
+        imap.getSubscribedBoxes(callback);
+      } else {
+        imap.getBoxes(callback);
+      }
+    });
+  }
+
+  /**
+   * Flatten a nested mailbox object into a list of folders with full paths
+   * @param {Object} boxes - Nested mailbox object
+   * @param {string} parentPath - Path of the parent folder
+   * @returns {Array<Object>} Flat folder list
+   */
+  flattenBoxes(boxes, parentPath = null) {
+    const folders = [];
+
+    for (const [name, box] of Object.entries(boxes || {})) {
+      const delimiter = box.delimiter || '/';
+      const path = parentPath ? `${parentPath}${delimiter}${name}` : name;
+
+      folders.push({
+        name,
+        path,
+        parentPath,
+        delimiter,
+        attributes: box.attribs || [],
+        specialUseAttribute: box.special_use_attrib || null
+      });
+
+      if (box.children) {
+        folders.push(...this.flattenBoxes(box.children, path));
+      }
+    }
+
+    return folders;
+  }
+
+  /**
+   * Determine the SPECIAL-USE role of a folder
+   * @param {Object} box - Flattened folder
+   * @returns {string|null} Special use (sent, trash, junk, ...) or null
+   */
+  getSpecialUse(box) {
+    const attributes = box.specialUseAttribute ? [box.specialUseAttribute, ...box.attributes] : box.attributes;
+    for (const attribute of attributes) {
+      const match = Object.keys(this.specialUseAttributes)
+        .find(key => key.toLowerCase() === attribute.toLowerCase());
+      if (match) {
+        return this.specialUseAttributes[match];
+      }
+    }
+
+    const name = box.name.toLowerCase();
+    for (const [specialUse, names] of Object.entries(this.specialUseNames)) {
+      if (names.includes(name)) {
+        return specialUse;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get message counts for a mailbox with STATUS
+   * @param {Object} imap - IMAP connection
+   * @param {string} path - Folder path
+   * @returns {Promise<Object|null>} Mailbox status or null if unavailable
+   */
+  getMailboxStatus(imap, path) {
+    return new Promise((resolve) => {
+      try {
+        imap.status(path, (err, box) => {
+          if (err) {
+            logger.warn(`STATUS failed for ${path}: ${err.message}`);
+            resolve(null);
+          } else {
+            resolve(box);
+          }
+        });
+      } catch (error) {
+        // node-imap refuses STATUS on the selected mailbox
+        logger.warn(`STATUS skipped for ${path}: ${error.message}`);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Build a nested folder tree from FolderState documents
+   * @param {Array} states - FolderState documents
+   * @returns {Array} Root folder nodes with nested children
+   */
+  buildFolderTree(states) {
+    const nodes = new Map();
+    for (const state of states) {
+      nodes.set(state.folder, { node: state.toTreeNode(), parentPath: state.parentPath });
+    }
+
+    const roots = [];
+    for (const { node, parentPath } of nodes.values()) {
+      const parent = parentPath ? nodes.get(parentPath) : null;
+      if (parent) {
+        parent.node.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+
+    return roots;
+  }
+
   /**
    * Test IMAP connection without storing it
+   * Tests bypass the circuit breaker; a successful test of an account closes its
+   * circuit and re-enables sync disabled by the health monitor
    * @param {Object} config - IMAP configuration
    * @returns {Promise<boolean>} Connection test result
    */
   async testConnection(config) {
+    // Callers read the account after the test, so wait for the health update
+    const recordResult = async (error) => {
+      if (config.accountId) {
+        await this.recordHealth(config.accountId, error, { manual: true });
+      }
+    };
+
     try {
-      const imapConfig = this.createImapConfig(config);
+      const imapConfig = this.createImapConfig(await this.resolveAuth(config));
       console.log('Created IMAP config:', {
         ...imapConfig,
         password: '[HIDDEN]'
@@ -337,19 +1040,19 @@ class ImapConnectionService extends EventEmitter {
       return new Promise((resolve) => {
         const timeout = setTimeout(() => {
           imap.end();
-          resolve({
+          recordResult(new Error('Connection timeout')).then(() => resolve({
             success: false,
             error: 'Connection timeout - server did not respond within 30 seconds'
-          });
+          }));
         }, this.connectionTimeout);
 
         imap.once('ready', () => {
           clearTimeout(timeout);
           imap.end();
-          resolve({
+          recordResult(null).then(() => resolve({
             success: true,
             error: null
-          });
+          }));
         });
 
         imap.once('error', (error) => {
@@ -375,16 +1078,17 @@ class ImapConnectionService extends EventEmitter {
             errorMessage = 'Connection timeout. Please check your internet connection and server settings.';
           }
           
-          resolve({
+          recordResult(error).then(() => resolve({
             success: false,
             error: errorMessage
-          });
+          }));
         });
 
         imap.connect();
       });
     } catch (error) {
       logger.error('Connection test failed:', error);
+      await recordResult(error);
       return {
         success: false,
         error: error.message || 'Failed to create IMAP connection'
@@ -0,0 +1,987 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const Email = require('../models/Email');
+const EmailAccount = require('../models/EmailAccount');
+const SyncJob = require('../models/SyncJob');
+const emailParserService = require('./emailParserService');
+const emailAnalyticsService = require('./emailAnalyticsService');
+const emailIngestionService = require('./emailIngestionService');
+const threadingService = require('./threadingService');
+const logger = require('../utils/logger');
+const { scheduleTask } = require('../utils/cronTask');
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_DIRECTORY = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const TAR_BLOCK = 512;
+
+// Maildir info flags (the letters after ":2,") and the IMAP flags they stand for
+const MAILDIR_FLAGS = { S: '\\Seen', R: '\\Answered', F: '\\Flagged', T: '\\Deleted', D: '\\Draft' };
+// mbox Status/X-Status letters written by mail clients
+const MBOX_STATUS_FLAGS = { R: '\\Seen', A: '\\Answered', F: '\\Flagged', D: '\\Deleted', T: '\\Draft' };
+
+/**
+ * Archive Import Service
+ * Executes import SyncJobs: reads an uploaded mbox file, EML file, zip of EML
+ * files or Maildir tarball and stores its messages as Email documents. Messages
+ * already stored for the account (same Message-ID) are skipped, so interrupted
+ * imports can simply be run again.
+ */
+class ImportService extends EventEmitter {
+  constructor() {
+    super();
+    this.uploadDir = process.env.IMPORT_DIR || path.join(os.tmpdir(), 'mail-import');
+    this.defaultFolder = 'Imported';
+    this.batchSize = parseInt(process.env.SYNC_BATCH_SIZE) || 50;
+    // Largest message read from an archive; guards against zip and gzip bombs
+    this.maxMessageSize = parseInt(process.env.IMPORT_MAX_MESSAGE_SIZE) || 50 * 1024 * 1024; // 50 MB
+    this.maxReportedFailures = 100;
+    this.orphanAge = 24 * 60 * 60000; // 1 day
+    this.cleanupExpression = process.env.IMPORT_CLEANUP_CRON || '0 * * * *'; // Every hour
+    this.cleanupTask = null;
+  }
+
+  /**
+   * Start removing orphaned uploads periodically
+   */
+  start() {
+    if (this.cleanupTask) return;
+
+    this.cleanupTask = scheduleTask('Import upload cleanup', this.cleanupExpression, () => this.removeOrphanedUploads());
+    logger.info(`Import upload cleanup started (${this.cleanupExpression})`);
+  }
+
+  /**
+   * Stop removing orphaned uploads
+   */
+  stop() {
+    if (!this.cleanupTask) return;
+
+    this.cleanupTask.stop();
+    this.cleanupTask = null;
+  }
+
+  /**
+   * Execute an import job
+   * Failed attempts are requeued with backoff; the uploaded file is removed once
+   * the job completes, fails for good or is stopped
+   * @param {string} jobId - SyncJob document ID
+   * @returns {Promise<Object>} Completed SyncJob document
+   */
+  async runImportJob(jobId) {
+    const job = await SyncJob.findById(jobId).select('+import.filePath');
+    if (!job) {
+      throw new Error(`Sync job not found: ${jobId}`);
+    }
+
+    const account = await EmailAccount.findById(job.accountId);
+    if (!account) {
+      const error = new Error(`Email account not found: ${job.accountId}`);
+      error.code = 'ACCOUNT_NOT_FOUND';
+      error.retryable = false;
+      await job.fail(error);
+      await this.removeUpload(job);
+      throw error;
+    }
+
+    // Resumed and retried jobs continue counting from their saved results
+    const stats = {
+      emailsSynced: job.results.emailsSynced || 0,
+      emailsSkipped: job.results.emailsSkipped || 0,
+      emailsFailed: job.results.emailsFailed || 0,
+      foldersProcessed: 0,
+      bytesTransferred: job.results.statistics.totalDataTransferred || 0
+    };
+
+    try {
+      await job.start();
+      this.emit('jobStarted', { jobId: job._id, accountId: account._id });
+      logger.info(`Import started for job ${job._id} (${job.import.originalName} -> ${account.email}/${job.import.folder})`);
+
+      await fs.promises.access(job.import.filePath).catch(() => {
+        const error = new Error(`Uploaded archive is no longer available: ${job.import.originalName}`);
+        error.code = 'IMPORT_FILE_MISSING';
+        error.retryable = false;
+        throw error;
+      });
+
+      await this.importArchive(job, account, stats);
+
+      await emailIngestionService.checkControl(job);
+      job.results.foldersProcessed = await this.summarizeFolders(account, job.import.folder);
+      emailIngestionService.applyResults(job, stats);
+      await job.complete();
+      await this.removeUpload(job);
+
+      await emailIngestionService.updateAccountStatistics(account, stats);
+
+      this.emit('jobCompleted', { jobId: job._id, accountId: account._id, stats });
+      logger.info(`Import completed for job ${job._id}: ${stats.emailsSynced} imported, ${stats.emailsSkipped} skipped, ${stats.emailsFailed} failed`);
+
+      return job;
+    } catch (error) {
+      if (emailIngestionService.isControlError(error)) {
+        // A paused job resumes from its checkpoint and still needs the file
+        if (error.code === 'JOB_PAUSED' || error.code === 'JOB_CANCELLED') {
+          emailIngestionService.applyResults(job, stats);
+          await job.save();
+        }
+        if (error.code === 'JOB_CANCELLED' || error.code === 'JOB_DELETED') {
+          await this.removeUpload(job);
+        }
+
+        this.emit(error.code === 'JOB_PAUSED' ? 'jobPaused' : 'jobStopped', {
+          jobId: job._id,
+          accountId: account._id,
+          reason: error.code
+        });
+        logger.info(`Import stopped for job ${job._id} (${error.code})`);
+        return job;
+      }
+
+      logger.error(`Import failed for job ${job._id}:`, error);
+
+      emailIngestionService.applyResults(job, stats);
+      const retrying = await job.failOrRetry(error);
+      if (!retrying) {
+        await this.removeUpload(job);
+      }
+
+      this.emit('jobFailed', { jobId: job._id, accountId: account._id, error, retrying });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the messages of the job's archive
+   * The checkpoint of the target folder counts the archive messages already
+   * handled, so resumed jobs skip them without parsing
+   * @param {Object} job - SyncJob document
+   * @param {Object} account - EmailAccount document
+   * @param {Object} stats - Running job statistics
+   */
+  async importArchive(job, account, stats) {
+    const folder = job.import.folder;
+    const checkpoint = job.getCheckpoint(folder);
+    const resumeFrom = checkpoint ? checkpoint.lastUid : 0;
+
+    if (!checkpoint) {
+      job.import.failures = [];
+      job.progress.totalEmails = await this.countMessages(job.import);
+      job.recordCheckpoint(folder, { lastUid: 0, completed: false });
+      await job.save();
+    }
+    this.emit('folderStarted', { jobId: job._id, folder, count: job.progress.totalEmails, resumed: resumeFrom > 0 });
+
+    const batchSize = job.options.batchSize || this.batchSize;
+    const uids = new Map(); // Next UID per folder
+    let position = 0;
+
+    for await (const entry of this.readMessages(job.import)) {
+      position++;
+      if (position <= resumeFrom) continue;
+
+      if ((position - resumeFrom - 1) % batchSize === 0) {
+        await emailIngestionService.checkControl(job);
+      }
+
+      try {
+        if (entry.error) throw entry.error;
+
+        const stored = await this.importMessage(account, folder, entry, uids);
+        if (stored) {
+          stats.emailsSynced++;
+          stats.bytesTransferred += entry.raw.length;
+          job.progress.successfulEmails++;
+        } else {
+          stats.emailsSkipped++;
+          job.progress.skippedEmails++;
+        }
+      } catch (error) {
+        logger.error(`Failed to import message ${position} (${entry.name || job.import.originalName}):`, error);
+        stats.emailsFailed++;
+        job.progress.failedEmails++;
+        if (job.import.failures.length < this.maxReportedFailures) {
+          job.import.failures.push({ position, name: entry.name || null, code: error.code || null, message: error.message });
+        }
+      }
+      job.progress.processedEmails++;
+
+      if (position % batchSize === 0) {
+        job.recordCheckpoint(folder, { lastUid: position });
+        await job.save();
+        this.emit('batchCompleted', { jobId: job._id, folder, processed: position, total: job.progress.totalEmails });
+      }
+    }
+
+    // The count pass and the import pass can disagree for damaged archives
+    job.progress.totalEmails = Math.max(job.progress.totalEmails, position);
+    job.recordCheckpoint(folder, { lastUid: position, completed: true });
+    await job.save();
+  }
+
+  /**
+   * Parse and store one archive message
+   * @param {Object} account - EmailAccount document
+   * @param {string} rootFolder - Import target folder
+   * @param {Object} entry - Archive message ({ raw, folder, flags, internalDate })
+   * @param {Map} uids - Next UID per folder, filled on first use
+   * @returns {Promise<Object|null>} Created Email document, or null for duplicates
+   */
+  async importMessage(account, rootFolder, entry, uids) {
+    const parsed = await emailParserService.parse(entry.raw);
+
+    // Messages without a Message-ID are recognised by their content instead
+    const messageId = parsed.messageId ||
+      `<${crypto.createHash('sha1').update(entry.raw).digest('hex')}@import.mailmanagement.local>`;
+    if (await Email.exists({ emailAccountId: account._id, messageId })) {
+      return null;
+    }
+
+    const folder = entry.folder ? `${rootFolder}/${entry.folder}` : rootFolder;
+    const document = emailParserService.toEmailDocument(parsed, {
+      userId: account.userId,
+      emailAccountId: account._id,
+      folder,
+      uid: await this.nextUid(account, folder, uids),
+      flags: entry.flags || this.getStatusFlags(parsed),
+      internalDate: entry.internalDate || null,
+      size: entry.raw.length,
+      source: 'import'
+    });
+    document.messageId = messageId;
+    document.raw = { data: entry.raw };
+
+    await this.applyAnalytics(document, parsed);
+    await threadingService.assignThread(document).catch((error) => {
+      // Left unthreaded; the threading task picks it up later
+      logger.warn(`Threading failed for ${document.messageId}: ${error.message}`);
+    });
+
+    const email = await Email.create(document);
+    this.emit('emailImported', { emailId: email._id, accountId: account._id, folder });
+    return email;
+  }
+
+  /**
+   * Allocate the next UID of a local folder
+   * Imported folders exist only in MongoDB, so UIDs just continue after the highest stored one
+   * @param {Object} account - EmailAccount document
+   * @param {string} folder - Folder path
+   * @param {Map} uids - Next UID per folder
+   * @returns {Promise<number>} UID
+   */
+  async nextUid(account, folder, uids) {
+    if (!uids.has(folder)) {
+      const last = await Email.findOne({ emailAccountId: account._id, folder }).sort({ uid: -1 }).select('uid').lean();
+      uids.set(folder, last ? last.uid + 1 : 1);
+    }
+
+    const uid = uids.get(folder);
+    uids.set(folder, uid + 1);
+    return uid;
+  }
+
+  /**
+   * Read message flags from the Status and X-Status headers written by mbox clients
+   * @param {Object} parsed - Parsed mail object
+   * @returns {Array<string>} IMAP flags
+   */
+  getStatusFlags(parsed) {
+    const letters = `${parsed.headers.get('status') || ''}${parsed.headers.get('x-status') || ''}`;
+    return [...new Set([...letters].map(letter => MBOX_STATUS_FLAGS[letter]).filter(Boolean))];
+  }
+
+  /**
+   * Run a message through the analytics service and keep what fits the Email schema
+   * Analytics are best effort; a failure does not fail the import
+   * @param {Object} document - Email document fields
+   * @param {Object} parsed - Parsed mail object
+   */
+  async applyAnalytics(document, parsed) {
+    const headers = {};
+    for (const { key, line } of parsed.headerLines || []) {
+      const value = line.slice(line.indexOf(':') + 1).replace(/\r?\n[ \t]+/g, ' ').trim();
+      headers[key] = key in headers ? [].concat(headers[key], value) : value;
+    }
+
+    try {
+      const analytics = await emailAnalyticsService.processEmail({
+        id: document.messageId,
+        messageId: document.messageId,
+        headers,
+        body: document.content.text
+      });
+
+      document.analytics.esp = analytics.esp.provider;
+      document.patterns = { isNotification: Boolean(analytics.metadata.isAutoReply) };
+      if (document.timing.deltaMinutes === null && analytics.timing.deltaMinutes !== null) {
+        document.timing.deltaMinutes = analytics.timing.deltaMinutes;
+      }
+    } catch (error) {
+      logger.warn(`Analytics skipped for imported message ${document.messageId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize the folders filled by an import
+   * @param {Object} account - EmailAccount document
+   * @param {string} rootFolder - Import target folder
+   * @returns {Promise<Array<Object>>} foldersProcessed entries
+   */
+  async summarizeFolders(account, rootFolder) {
+    const prefix = rootFolder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const folders = await Email.aggregate([
+      { $match: { emailAccountId: account._id, folder: { $regex: `^${prefix}(/|$)` } } },
+      { $group: { _id: '$folder', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return folders.map(folder => ({ name: folder._id, emailsCount: folder.count, status: 'completed' }));
+  }
+
+  /**
+   * Detect the format of an uploaded archive from its name and first bytes
+   * @param {string} filePath - Uploaded file
+   * @param {string} originalName - File name given by the client
+   * @returns {Promise<string|null>} mbox, eml, zip or maildir; null if unrecognised
+   */
+  async detectFormat(filePath, originalName = '') {
+    const name = originalName.toLowerCase();
+    const head = Buffer.alloc(TAR_BLOCK);
+    const handle = await fs.promises.open(filePath, 'r');
+    let length;
+    try {
+      ({ bytesRead: length } = await handle.read(head, 0, TAR_BLOCK, 0));
+    } finally {
+      await handle.close();
+    }
+    const start = head.subarray(0, length);
+
+    if (start.length >= 4 && start.readUInt32LE(0) === ZIP_LOCAL_HEADER) return 'zip';
+    if ((start[0] === 0x1f && start[1] === 0x8b) || /\.(tar|tgz|tar\.gz)$/.test(name) ||
+        start.toString('latin1', 257, 262) === 'ustar') {
+      return 'maildir';
+    }
+    if (/\.(mbox|mbx|mbs)$/.test(name) || start.toString('latin1', 0, 5) === 'From ') return 'mbox';
+    if (/\.eml$/.test(name) || /^[\x21-\x39\x3b-\x7e]+:/.test(start.toString('latin1'))) return 'eml';
+
+    return null;
+  }
+
+  /**
+   * Count the messages of an archive without reading their content
+   * @param {Object} archive - SyncJob import subdocument
+   * @returns {Promise<number>} Number of messages
+   */
+  async countMessages(archive) {
+    const messages = this.readMessages(archive, { withData: false });
+    let count = 0;
+    while (!(await messages.next()).done) count++;
+    return count;
+  }
+
+  /**
+   * Read the messages of an archive in order
+   * @param {Object} archive - SyncJob import subdocument ({ filePath, format })
+   * @param {Object} options - withData: false only counts (entries have no raw)
+   * @returns {AsyncGenerator<Object>} Messages ({ raw, name, folder, flags, internalDate, error })
+   */
+  async *readMessages(archive, { withData = true } = {}) {
+    switch (archive.format) {
+      case 'mbox':
+        yield* this.readMbox(archive.filePath, withData);
+        break;
+      case 'eml': {
+        const name = path.basename(archive.filePath);
+        const { size } = await fs.promises.stat(archive.filePath);
+        if (!withData) {
+          yield { name, raw: null };
+        } else if (size > this.maxMessageSize) {
+          yield { name, error: this.messageTooLarge(name, size) };
+        } else {
+          yield { name, raw: await fs.promises.readFile(archive.filePath) };
+        }
+        break;
+      }
+      case 'zip':
+        yield* this.readZip(archive.filePath, withData);
+        break;
+      case 'maildir':
+        yield* this.readMaildir(archive.filePath, withData);
+        break;
+      default: {
+        const error = new Error(`Unsupported import format: ${archive.format}`);
+        error.code = 'IMPORT_UNSUPPORTED';
+        error.retryable = false;
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Split an mbox file into messages
+   * A "From " line starts a message when it opens the file or follows an empty
+   * line; ">From " lines are unescaped (mboxrd)
+   * @param {string} filePath - mbox file
+   * @param {boolean} withData - Collect message content
+   * @returns {AsyncGenerator<Object>} Messages
+   */
+  async *readMbox(filePath, withData) {
+    const stream = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+    let rest = Buffer.alloc(0);
+    let lines = null; // Lines of the current message
+    let size = 0; // Bytes in lines
+    let oversized = false; // Current message exceeds maxMessageSize; its lines are dropped
+    let position = 0;
+    let internalDate = null;
+    let previousBlank = true;
+
+    const finish = () => {
+      position++;
+      if (oversized) {
+        return { error: this.messageTooLarge(`message ${position}`, size), internalDate };
+      }
+      // The empty line before the next separator belongs to the mbox, not the message
+      if (lines.length > 0 && /^\r?\n$/.test(lines[lines.length - 1].toString('latin1'))) {
+        lines.pop();
+      }
+      return { raw: withData ? Buffer.concat(lines) : null, internalDate };
+    };
+
+    const append = (line) => {
+      size += line.length;
+      if (oversized) return;
+      if (size > this.maxMessageSize) {
+        oversized = true;
+        lines = [];
+        return;
+      }
+      lines.push(line);
+    };
+
+    const handleLine = (line) => {
+      let message = null;
+      if (previousBlank && line.toString('latin1', 0, 5) === 'From ') {
+        if (lines) message = finish();
+        lines = [];
+        size = 0;
+        oversized = false;
+        internalDate = this.parsePostmarkDate(line.toString('latin1'));
+      } else if (lines && withData) {
+        append(/^>+From /.test(line.toString('latin1', 0, 64)) ? line.subarray(1) : line);
+      }
+      previousBlank = line.length <= 2 && /^\r?\n$/.test(line.toString('latin1'));
+      return message;
+    };
+
+    try {
+      for await (const chunk of stream) {
+        const data = rest.length > 0 ? Buffer.concat([rest, chunk]) : chunk;
+        let start = 0;
+        let end;
+        while ((end = data.indexOf(0x0a, start)) !== -1) {
+          const message = handleLine(data.subarray(start, end + 1));
+          if (message) yield message;
+          start = end + 1;
+        }
+        rest = data.subarray(start);
+
+        // A line this long cannot be a separator; count it against the message instead of buffering it
+        if (rest.length > this.maxMessageSize) {
+          if (lines && withData) append(rest);
+          rest = Buffer.alloc(0);
+          previousBlank = false;
+        }
+      }
+
+      if (rest.length > 0) {
+        const message = handleLine(rest);
+        if (message) yield message;
+      }
+      if (lines) yield finish();
+    } finally {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * Parse the date of an mbox "From sender date" line
+   * @param {string} line - Separator line
+   * @returns {Date|null} Delivery date
+   */
+  parsePostmarkDate(line) {
+    const date = new Date(line.trim().split(/\s+/).slice(2).join(' '));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Read the .eml entries of a zip archive
+   * @param {string} filePath - Zip file
+   * @param {boolean} withData - Decompress message content
+   * @returns {AsyncGenerator<Object>} Messages
+   */
+  async *readZip(filePath, withData) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const entries = await this.readZipDirectory(handle);
+
+      for (const entry of entries) {
+        if (!/\.eml$/i.test(entry.name) || /(^|\/)(__MACOSX\/|\._)/.test(entry.name)) continue;
+
+        if (!withData) {
+          yield { name: entry.name, raw: null };
+        } else if (entry.flags & 0x1) {
+          yield { name: entry.name, error: new Error(`Encrypted zip entry: ${entry.name}`) };
+        } else {
+          try {
+            yield { name: entry.name, raw: await this.readZipEntry(handle, entry, size) };
+          } catch (error) {
+            yield { name: entry.name, error };
+          }
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Read the central directory of a zip archive (including ZIP64)
+   * @param {Object} handle - fs.promises file handle
+   * @returns {Promise<Array<Object>>} Entries ({ name, flags, method, compressedSize, offset })
+   */
+  async readZipDirectory(handle) {
+    const { size } = await handle.stat();
+    // End of central directory record plus the longest possible comment
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    let end = -1;
+    for (let position = tailLength - 22; position >= 0; position--) {
+      if (tail.readUInt32LE(position) === ZIP_END_OF_DIRECTORY) {
+        end = position;
+        break;
+      }
+    }
+    if (end === -1) throw this.invalidArchive('zip end of central directory not found');
+
+    let count = tail.readUInt16LE(end + 10);
+    let directorySize = tail.readUInt32LE(end + 12);
+    let directoryOffset = tail.readUInt32LE(end + 16);
+
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+      const locator = end - 20;
+      if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR) {
+        throw this.invalidArchive('zip64 locator not found');
+      }
+      const recordOffset = Number(tail.readBigUInt64LE(locator + 8));
+      if (recordOffset + 56 > size) throw this.invalidArchive('zip64 end of central directory exceeds the file');
+      const record = Buffer.alloc(56);
+      await handle.read(record, 0, 56, recordOffset);
+      if (record.readUInt32LE(0) !== ZIP64_END_OF_DIRECTORY) {
+        throw this.invalidArchive('zip64 end of central directory not found');
+      }
+      count = Number(record.readBigUInt64LE(32));
+      directorySize = Number(record.readBigUInt64LE(40));
+      directoryOffset = Number(record.readBigUInt64LE(48));
+    }
+
+    // Sizes come from the archive; never allocate beyond what the file holds
+    if (directoryOffset + directorySize > size || count * 46 > directorySize) {
+      throw this.invalidArchive('zip central directory exceeds the file');
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+
+    const entries = [];
+    let position = 0;
+    for (let index = 0; index < count; index++) {
+      if (position + 46 > directory.length || directory.readUInt32LE(position) !== ZIP_DIRECTORY_ENTRY) {
+        throw this.invalidArchive('corrupt zip central directory');
+      }
+
+      const flags = directory.readUInt16LE(position + 8);
+      const nameLength = directory.readUInt16LE(position + 28);
+      const extraLength = directory.readUInt16LE(position + 30);
+      const commentLength = directory.readUInt16LE(position + 32);
+      const nameStart = position + 46;
+      const entry = {
+        name: directory.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, nameStart + nameLength),
+        flags,
+        method: directory.readUInt16LE(position + 10),
+        compressedSize: directory.readUInt32LE(position + 20),
+        size: directory.readUInt32LE(position + 24),
+        offset: directory.readUInt32LE(position + 42)
+      };
+
+      // ZIP64 extended information holds the fields that overflowed, in this order
+      const extra = directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength);
+      for (let field = 0; field + 4 <= extra.length; field += 4 + extra.readUInt16LE(field + 2)) {
+        if (extra.readUInt16LE(field) !== 0x0001) continue;
+        let value = field + 4;
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] === 0xffffffff && value + 8 <= extra.length) {
+            entry[key] = Number(extra.readBigUInt64LE(value));
+            value += 8;
+          }
+        }
+      }
+
+      if (!entry.name.endsWith('/')) entries.push(entry);
+      position = nameStart + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read and decompress a zip entry
+   * Entries larger than maxMessageSize are rejected by their declared size and,
+   * since that size is not trusted, by a limit on the inflated output
+   * @param {Object} handle - fs.promises file handle
+   * @param {Object} entry - Entry from readZipDirectory
+   * @param {number} fileSize - Size of the zip file
+   * @returns {Promise<Buffer>} Entry content
+   */
+  async readZipEntry(handle, entry, fileSize) {
+    if (entry.size > this.maxMessageSize || (entry.method === 0 && entry.compressedSize > this.maxMessageSize)) {
+      throw this.messageTooLarge(entry.name, Math.max(entry.size, entry.compressedSize));
+    }
+    if (entry.offset + 30 > fileSize) {
+      throw this.invalidArchive(`zip entry ${entry.name} exceeds the file`);
+    }
+
+    const header = Buffer.alloc(30);
+    await handle.read(header, 0, 30, entry.offset);
+    if (header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+      throw this.invalidArchive(`corrupt zip entry ${entry.name}`);
+    }
+
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (start + entry.compressedSize > fileSize) {
+      throw this.invalidArchive(`zip entry ${entry.name} exceeds the file`);
+    }
+
+    const data = Buffer.alloc(entry.compressedSize);
+    await handle.read(data, 0, entry.compressedSize, start);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) {
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: this.maxMessageSize });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw this.messageTooLarge(entry.name);
+        throw error;
+      }
+    }
+    throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.name}`);
+  }
+
+  /**
+   * Read the messages of a Maildir tarball (plain or gzipped)
+   * Every directory holding cur/new is a mailbox. The topmost one is imported into
+   * the target folder and the others into subfolders, with Maildir++ names
+   * (".Sent.2024") turned into paths ("Sent/2024").
+   * @param {string} filePath - Tar file
+   * @param {boolean} withData - Collect message content
+   * @returns {AsyncGenerator<Object>} Messages
+   */
+  async *readMaildir(filePath, withData) {
+    // Without content only the number of messages matters
+    if (!withData) {
+      for await (const file of this.readTar(filePath, false)) {
+        if (this.parseMaildirPath(file.path)) yield { name: file.path, raw: null };
+      }
+      return;
+    }
+
+    const mailboxes = [];
+    for await (const file of this.readTar(filePath, false)) {
+      const location = this.parseMaildirPath(file.path);
+      if (location) mailboxes.push(location.mailbox);
+    }
+    const root = this.getMaildirRoot(mailboxes);
+
+    for await (const file of this.readTar(filePath, true)) {
+      const location = this.parseMaildirPath(file.path);
+      if (!location) continue;
+
+      const folder = location.mailbox.slice(root.length)
+        .flatMap(segment => (segment.startsWith('.') ? segment.slice(1).split('.') : [segment]))
+        .filter(Boolean)
+        .join('/');
+      const info = location.filename.split(/[:!]2,/)[1];
+      const timestamp = parseInt(location.filename);
+
+      yield {
+        name: file.path,
+        raw: file.data,
+        error: file.error,
+        folder: folder || null,
+        flags: [...new Set([...(info || '')].map(letter => MAILDIR_FLAGS[letter]).filter(Boolean))],
+        internalDate: timestamp > 0 ? new Date(timestamp * 1000) : null
+      };
+    }
+  }
+
+  /**
+   * Locate a message file inside a Maildir tree
+   * @param {string} filePath - Path inside the tarball
+   * @returns {Object|null} { mailbox: path segments of the Maildir, filename }, or null
+   */
+  parseMaildirPath(filePath) {
+    const segments = filePath.replace(/^(\.\/)+/, '').split('/').filter(Boolean);
+    if (segments.length < 2) return null;
+
+    const filename = segments[segments.length - 1];
+    if (!['cur', 'new'].includes(segments[segments.length - 2]) || filename.startsWith('.')) return null;
+
+    return { mailbox: segments.slice(0, -2), filename };
+  }
+
+  /**
+   * Find the directory the Maildir folders are relative to
+   * @param {Array<Array<string>>} mailboxes - Path segments of every mailbox
+   * @returns {Array<string>} Root path segments
+   */
+  getMaildirRoot(mailboxes) {
+    if (mailboxes.length === 0) return [];
+
+    const root = [...mailboxes[0]];
+    for (const mailbox of mailboxes) {
+      let common = 0;
+      while (common < root.length && common < mailbox.length && root[common] === mailbox[common]) common++;
+      root.length = common;
+    }
+
+    // A Maildir++ subfolder is never the root, even when the inbox itself is empty
+    if (root.length > 0 && root[root.length - 1].startsWith('.')) root.pop();
+    return root;
+  }
+
+  /**
+   * Read the regular files of a tar archive (ustar, GNU long names and pax paths)
+   * @param {string} filePath - Tar file, optionally gzipped
+   * @param {boolean} withData - Collect file content
+   * @returns {AsyncGenerator<Object>} Files ({ path, data }, or { path, error } for files above maxMessageSize)
+   */
+  async *readTar(filePath, withData) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const magic = Buffer.alloc(2);
+    try {
+      await handle.read(magic, 0, 2, 0);
+    } finally {
+      await handle.close();
+    }
+
+    const source = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 });
+    const stream = magic[0] === 0x1f && magic[1] === 0x8b ? source.pipe(zlib.createGunzip()) : source;
+
+    let buffer = Buffer.alloc(0);
+    let entry = null;
+    let longPath = null; // From a GNU "L" or pax "x" entry, applies to the next file
+
+    try {
+      for await (const chunk of stream) {
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+        for (;;) {
+          if (!entry) {
+            if (buffer.length < TAR_BLOCK) break;
+            const header = buffer.subarray(0, TAR_BLOCK);
+            buffer = buffer.subarray(TAR_BLOCK);
+
+            // End of archive
+            if (header.every(byte => byte === 0)) continue;
+            entry = this.parseTarHeader(header);
+            // Only the declared size counts; oversized files are skipped without buffering them
+            entry.oversized = entry.size > this.maxMessageSize;
+            entry.collect = !entry.oversized && (entry.type === 'L' || entry.type === 'x' || (withData && entry.isFile));
+            entry.chunks = [];
+            entry.dataLeft = entry.size;
+            entry.remaining = Math.ceil(entry.size / TAR_BLOCK) * TAR_BLOCK;
+          }
+
+          const take = Math.min(entry.remaining, buffer.length);
+          const dataTake = Math.min(take, entry.dataLeft);
+          if (entry.collect && dataTake > 0) entry.chunks.push(buffer.subarray(0, dataTake));
+          entry.dataLeft -= dataTake;
+          entry.remaining -= take;
+          buffer = buffer.subarray(take);
+          if (entry.remaining > 0) break;
+
+          const data = entry.collect ? Buffer.concat(entry.chunks) : null;
+          if (entry.type === 'L') {
+            longPath = data ? data.toString('utf8').replace(/\0[\s\S]*$/, '') : null;
+          } else if (entry.type === 'x') {
+            longPath = (data && this.parsePaxPath(data)) || longPath;
+          } else if (entry.type !== 'g') {
+            const filePath = longPath || entry.path;
+            if (entry.isFile && withData && entry.oversized) {
+              yield { path: filePath, data: null, error: this.messageTooLarge(filePath, entry.size) };
+            } else if (entry.isFile) {
+              yield { path: filePath, data };
+            }
+            longPath = null;
+          }
+          entry = null;
+        }
+      }
+    } finally {
+      source.destroy();
+      if (stream !== source) stream.destroy();
+    }
+
+    if (entry) throw this.invalidArchive('tar archive is truncated');
+  }
+
+  /**
+   * Parse a tar header block
+   * @param {Buffer} header - 512-byte header
+   * @returns {Object} { path, size, type, isFile }
+   */
+  parseTarHeader(header) {
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0[\s\S]*$/, '');
+
+    // The checksum is computed with its own field read as spaces
+    let checksum = 0;
+    for (let index = 0; index < TAR_BLOCK; index++) {
+      checksum += index >= 148 && index < 156 ? 0x20 : header[index];
+    }
+    if (checksum !== parseInt(field(148, 8).trim(), 8)) {
+      throw this.invalidArchive('tar header checksum mismatch');
+    }
+
+    // Sizes above 8 GB use base-256 encoding
+    let size = 0;
+    if (header[124] & 0x80) {
+      for (let index = 125; index < 136; index++) size = size * 256 + header[index];
+    } else {
+      size = parseInt(field(124, 12).trim(), 8) || 0;
+    }
+
+    const type = String.fromCharCode(header[156] || 0x30);
+    // Only POSIX ustar has a name prefix; old GNU headers keep other data there
+    const prefix = header.toString('latin1', 257, 263) === 'ustar\0' ? field(345, 155) : '';
+    const name = field(0, 100);
+
+    return {
+      path: prefix ? `${prefix}/${name}` : name,
+      size,
+      type,
+      isFile: type === '0' || type === '7'
+    };
+  }
+
+  /**
+   * Read the path record of a pax extended header
+   * @param {Buffer} data - Header content ("<length> key=value\n" records)
+   * @returns {string|null} Path
+   */
+  parsePaxPath(data) {
+    let position = 0;
+    while (position < data.length) {
+      const space = data.indexOf(0x20, position);
+      const length = parseInt(data.toString('utf8', position, space));
+      if (space === -1 || !length) break;
+
+      const record = data.toString('utf8', space + 1, position + length - 1);
+      if (record.startsWith('path=')) return record.slice(5);
+      position += length;
+    }
+    return null;
+  }
+
+  /**
+   * Build the error for an archive message above maxMessageSize
+   * @param {string} name - Entry name
+   * @param {number} size - Size, if known
+   * @returns {Error} Error
+   */
+  messageTooLarge(name, size) {
+    const error = new Error(`${name} is larger than ${this.maxMessageSize} bytes${size ? ` (${size} bytes)` : ''}`);
+    error.code = 'IMPORT_MESSAGE_TOO_LARGE';
+    return error;
+  }
+
+  /**
+   * Build the error for an unreadable archive; retrying cannot fix it
+   * @param {string} reason - What is wrong
+   * @returns {Error} Error
+   */
+  invalidArchive(reason) {
+    const error = new Error(`Invalid archive: ${reason}`);
+    error.code = 'IMPORT_INVALID_ARCHIVE';
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Delete the uploaded archive of a job
+   * @param {Object} job - SyncJob document
+   */
+  async removeUpload(job) {
+    if (!job.import?.filePath) return;
+
+    try {
+      await fs.promises.unlink(job.import.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to remove uploaded archive ${job.import.filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Delete uploads that no unfinished import job refers to
+   * Covers jobs stopped or deleted before a runner picked them up
+   * @returns {Promise<number>} Number of removed files
+   */
+  async removeOrphanedUploads() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.uploadDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const active = await SyncJob.find({ syncType: 'import', status: { $in: ['pending', 'running', 'paused'] } })
+      .select('+import.filePath')
+      .lean();
+    const inUse = new Set(active.map(job => path.resolve(job.import.filePath)));
+    const cutoff = Date.now() - this.orphanAge;
+
+    let removed = 0;
+    for (const file of files) {
+      const filePath = path.resolve(this.uploadDir, file);
+      if (inUse.has(filePath)) continue;
+
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (!stat || !stat.isFile() || stat.mtimeMs > cutoff) continue;
+
+      await fs.promises.unlink(filePath).catch(() => {});
+      removed++;
+    }
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} orphaned import upload(s)`);
+    }
+    return removed;
+  }
+}
+
+// Create singleton instance
+const importService = new ImportService();
+
+module.exports = importService;
@@ -0,0 +1,377 @@
+const Email = require('../models/Email');
+const EmailAccount = require('../models/EmailAccount');
+const FolderState = require('../models/FolderState');
+const imapService = require('./imapService');
+const emailSyncService = require('./emailSyncService');
+const logger = require('../utils/logger');
+
+/**
+ * Mailbox Service
+ * Moves and copies stored emails between folders and manages IMAP mailboxes,
+ * keeping the Email collection consistent with the server
+ */
+class MailboxService {
+  /**
+   * Move or copy emails to another folder on the server
+   * @param {string} userId - Owner user ID
+   * @param {Array<string>} emailIds - Email IDs
+   * @param {string} targetFolder - Destination folder path
+   * @param {Object} options - Options
+   * @param {boolean} options.copy - Copy instead of move
+   * @returns {Promise<Object>} Result ({ processed, skipped, failed })
+   */
+  async transferEmails(userId, emailIds, targetFolder, options = {}) {
+    // Inline attachment data of emails stored before GridFS must come along with copies
+    const emails = await Email.find({ _id: { $in: emailIds }, userId }).select('+content.attachments.data');
+
+    const result = { processed: 0, skipped: 0, failed: 0 };
+
+    // Group by account, then by source folder
+    const byAccount = new Map();
+    for (const email of emails) {
+      if (email.folder === targetFolder) {
+        result.skipped++;
+        continue;
+      }
+
+      const accountKey = email.emailAccountId.toString();
+      if (!byAccount.has(accountKey)) byAccount.set(accountKey, new Map());
+      const byFolder = byAccount.get(accountKey);
+      if (!byFolder.has(email.folder)) byFolder.set(email.folder, []);
+      byFolder.get(email.folder).push(email);
+    }
+
+    for (const [accountId, byFolder] of byAccount) {
+      const account = await EmailAccount.findOne({ _id: accountId, userId }).select('+authConfig.password');
+      if (!account || account.protocol === 'pop3') {
+        result.failed += [...byFolder.values()].reduce((total, list) => total + list.length, 0);
+        if (account) result.error = 'POP3 accounts have no server folders';
+        continue;
+      }
+
+      const connectionId = `mailbox_${accountId}`;
+      try {
+        const connection = await imapService.getConnection(connectionId, account.getImapConfig());
+
+        for (const [sourceFolder, folderEmails] of byFolder) {
+          try {
+            await this.transferFolder(account, connection.imap, sourceFolder, folderEmails, targetFolder, options);
+            result.processed += folderEmails.length;
+          } catch (error) {
+            logger.error(`Failed to ${options.copy ? 'copy' : 'move'} emails from ${sourceFolder} to ${targetFolder}:`, error);
+            result.failed += folderEmails.length;
+            result.error = error.message;
+          }
+        }
+      } finally {
+        imapService.returnConnectionToPool(connectionId);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Move or copy emails from one source folder
+   * @param {Object} account - EmailAccount document
+   * @param {Object} imap - IMAP connection
+   * @param {string} sourceFolder - Source folder path
+   * @param {Array} emails - Email documents in the source folder
+   * @param {string} targetFolder - Destination folder path
+   * @param {Object} options - Options ({ copy })
+   */
+  async transferFolder(account, imap, sourceFolder, emails, targetFolder, options) {
+    await this.openBox(imap, sourceFolder, false);
+
+    const uids = emails.map(email => email.uid).sort((a, b) => a - b);
+    const destinationUids = options.copy
+      ? await this.runUidCommand(imap, 'copy', uids, targetFolder)
+      : await this.runUidCommand(imap, 'move', uids, targetFolder);
+
+    // COPYUID pairs source and destination UIDs in ascending order
+    const uidMap = new Map();
+    const parsed = this.parseUidSet(destinationUids);
+    if (parsed.length === uids.length) {
+      uids.forEach((uid, index) => uidMap.set(uid, parsed[index]));
+    } else {
+      await this.resolveUidsByMessageId(imap, targetFolder, emails, uidMap);
+    }
+
+    for (const email of emails) {
+      const newUid = uidMap.get(email.uid);
+      const conflict = newUid
+        ? await Email.exists({ emailAccountId: account._id, folder: targetFolder, uid: newUid })
+        : null;
+
+      if (options.copy) {
+        // Unknown UIDs are picked up by the next sync of the target folder
+        if (newUid && !conflict) {
+          const copy = email.toObject();
+          delete copy._id;
+          delete copy.id;
+          delete copy.flagSync;
+          delete copy.createdAt;
+          delete copy.updatedAt;
+          copy.folder = targetFolder;
+          copy.uid = newUid;
+          await Email.create(copy);
+        }
+      } else if (newUid && !conflict) {
+        await Email.updateOne({ _id: email._id }, { $set: { folder: targetFolder, uid: newUid } });
+      } else {
+        // Already ingested from the target folder, or the new UID is unknown
+        await Email.deleteOne({ _id: email._id });
+      }
+    }
+
+    logger.info(`${options.copy ? 'Copied' : 'Moved'} ${emails.length} email(s) for ${account.email}: ${sourceFolder} -> ${targetFolder}`);
+  }
+
+  /**
+   * Find destination UIDs by searching the target folder for Message-IDs
+   * @param {Object} imap - IMAP connection
+   * @param {string} targetFolder - Destination folder path
+   * @param {Array} emails - Transferred emails
+   * @param {Map} uidMap - Source UID to destination UID map to fill
+   */
+  async resolveUidsByMessageId(imap, targetFolder, emails, uidMap) {
+    await this.openBox(imap, targetFolder, true);
+
+    for (const email of emails) {
+      const messageId = email.headers.messageId;
+      if (!messageId) continue;
+
+      const matches = await new Promise((resolve) => {
+        imap.search([['HEADER', 'MESSAGE-ID', messageId]], (err, results) => resolve(err ? [] : results));
+      });
+      if (matches.length > 0) {
+        uidMap.set(email.uid, Math.max(...matches));
+      }
+    }
+  }
+
+  /**
+   * Create a mailbox
+   * @param {string} userId - Owner user ID
+   * @param {string} accountId - Email account ID
+   * @param {string} path - Folder path
+   */
+  async createFolder(userId, accountId, path) {
+    await this.withAccountConnection(userId, accountId, async (account, imap) => {
+      await emailSyncService.createFolder(imap, path);
+      logger.info(`Created folder ${path} for ${account.email}`);
+    });
+
+    await this.refreshFolderCache(accountId);
+  }
+
+  /**
+   * Rename a mailbox and update stored emails, folder state and sync settings
+   * @param {string} userId - Owner user ID
+   * @param {string} accountId - Email account ID
+   * @param {string} path - Current folder path
+   * @param {string} newPath - New folder path
+   */
+  async renameFolder(userId, accountId, path, newPath) {
+    if (path.toUpperCase() === 'INBOX') {
+      const error = new Error('INBOX cannot be renamed');
+      error.code = 'INVALID_FOLDER';
+      throw error;
+    }
+
+    await this.withAccountConnection(userId, accountId, async (account, imap) => {
+      await new Promise((resolve, reject) => {
+        imap.renameBox(path, newPath, (err) => (err ? reject(err) : resolve()));
+      });
+
+      const state = await FolderState.findOne({ emailAccountId: account._id, folder: path });
+      const delimiter = state ? state.delimiter : '/';
+      const renamePath = (folder) => (folder === path ? newPath : newPath + folder.slice(path.length));
+      const prefix = new RegExp(`^${this.escapeRegex(path + delimiter)}`);
+
+      // Subfolders move along with their parent
+      const affected = [path, ...(await Email.distinct('folder', { emailAccountId: account._id, folder: prefix }))];
+      for (const folder of new Set(affected)) {
+        await Email.updateMany(
+          { emailAccountId: account._id, folder },
+          { $set: { folder: renamePath(folder) } }
+        );
+      }
+
+      const states = await FolderState.find({
+        emailAccountId: account._id,
+        $or: [{ folder: path }, { folder: prefix }]
+      });
+      for (const folderState of states) {
+        folderState.folder = renamePath(folderState.folder);
+        if (folderState.parentPath && (folderState.parentPath === path || prefix.test(folderState.parentPath))) {
+          folderState.parentPath = renamePath(folderState.parentPath);
+        }
+        if (folderState.folder === newPath) {
+          const index = newPath.lastIndexOf(delimiter);
+          folderState.name = index >= 0 ? newPath.slice(index + 1) : newPath;
+        }
+        await folderState.save();
+      }
+
+      account.syncConfig.syncFolders = account.syncConfig.syncFolders
+        .map(folder => (folder === path || prefix.test(folder) ? renamePath(folder) : folder));
+      await account.save();
+
+      logger.info(`Renamed folder ${path} -> ${newPath} for ${account.email}`);
+    });
+
+    await this.refreshFolderCache(accountId);
+  }
+
+  /**
+   * Delete a mailbox and the emails stored for it
+   * @param {string} userId - Owner user ID
+   * @param {string} accountId - Email account ID
+   * @param {string} path - Folder path
+   * @returns {Promise<number>} Number of deleted emails
+   */
+  async deleteFolder(userId, accountId, path) {
+    if (path.toUpperCase() === 'INBOX') {
+      const error = new Error('INBOX cannot be deleted');
+      error.code = 'INVALID_FOLDER';
+      throw error;
+    }
+
+    let deletedCount = 0;
+
+    await this.withAccountConnection(userId, accountId, async (account, imap) => {
+      await new Promise((resolve, reject) => {
+        imap.delBox(path, (err) => (err ? reject(err) : resolve()));
+      });
+
+      const result = await Email.deleteMany({ emailAccountId: account._id, folder: path });
+      deletedCount = result.deletedCount;
+      await FolderState.deleteOne({ emailAccountId: account._id, folder: path });
+
+      account.syncConfig.syncFolders = account.syncConfig.syncFolders.filter(folder => folder !== path);
+      await account.save();
+
+      logger.info(`Deleted folder ${path} for ${account.email} (${deletedCount} stored emails removed)`);
+    });
+
+    await this.refreshFolderCache(accountId);
+    return deletedCount;
+  }
+
+  /**
+   * Run an operation with an account and a live IMAP connection
+   * @param {string} userId - Owner user ID
+   * @param {string} accountId - Email account ID
+   * @param {Function} operation - async (account, imap) => {}
+   */
+  async withAccountConnection(userId, accountId, operation) {
+    const account = await EmailAccount.findOne({ _id: accountId, userId }).select('+authConfig.password');
+    if (!account) {
+      const error = new Error('Email account not found');
+      error.code = 'ACCOUNT_NOT_FOUND';
+      throw error;
+    }
+    if (account.protocol === 'pop3') {
+      const error = new Error('POP3 accounts have no server folders');
+      error.code = 'INVALID_FOLDER';
+      throw error;
+    }
+
+    const connectionId = `mailbox_${accountId}`;
+    try {
+      const connection = await imapService.getConnection(connectionId, account.getImapConfig());
+      await operation(account, connection.imap);
+    } finally {
+      imapService.returnConnectionToPool(connectionId);
+    }
+  }
+
+  /**
+   * Refresh the cached folder tree, ignoring failures
+   * @param {string} accountId - Email account ID
+   */
+  async refreshFolderCache(accountId) {
+    try {
+      await imapService.refreshFolders(accountId);
+    } catch (error) {
+      logger.warn(`Failed to refresh folder cache for account ${accountId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a mailbox
+   * @param {Object} imap - IMAP connection
+   * @param {string} folder - Folder path
+   * @param {boolean} readOnly - Open in read-only mode
+   * @returns {Promise<Object>} Mailbox information
+   */
+  openBox(imap, folder, readOnly) {
+    return new Promise((resolve, reject) => {
+      imap.openBox(folder, readOnly, (err, box) => (err ? reject(err) : resolve(box)));
+    });
+  }
+
+  /**
+   * Run UID COPY or UID MOVE (node-imap falls back to COPY + EXPUNGE without MOVE)
+   * @param {Object} imap - IMAP connection
+   * @param {string} command - copy or move
+   * @param {Array<number>} uids - Message UIDs
+   * @param {string} targetFolder - Destination folder path
+   * @returns {Promise<string|null>} Destination UID set from COPYUID, if reported
+   */
+  runUidCommand(imap, command, uids, targetFolder) {
+    return new Promise((resolve, reject) => {
+      try {
+        imap[command](uids, targetFolder, (err, destinationUids) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(typeof destinationUids === 'string' || typeof destinationUids === 'number'
+              ? String(destinationUids)
+              : null);
+          }
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Expand an IMAP UID set ("4,7:9") into a list of UIDs
+   * @param {string|null} uidSet - UID set
+   * @returns {Array<number>} UIDs in order
+   */
+  parseUidSet(uidSet) {
+    if (!uidSet) return [];
+
+    const uids = [];
+    for (const part of uidSet.split(',')) {
+      const [start, end] = part.split(':').map(Number);
+      if (end === undefined) {
+        uids.push(start);
+      } else {
+        const step = start <= end ? 1 : -1;
+        for (let uid = start; uid !== end + step; uid += step) {
+          uids.push(uid);
+        }
+      }
+    }
+    return uids;
+  }
+
+  /**
+   * Escape a string for use in a regular expression
+   * @param {string} value - Raw string
+   * @returns {string} Escaped string
+   */
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+// Create singleton instance
+const mailboxService = new MailboxService();
+
+module.exports = mailboxService;
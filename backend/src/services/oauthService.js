@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const EmailAccount = require('../models/EmailAccount');
+const logger = require('../utils/logger');
+
+/**
+ * OAuth Service
+ * Authorization-code onboarding for Gmail and Microsoft accounts and transparent
+ * access-token refresh for IMAP XOAUTH2 authentication. Endpoints can be
+ * overridden with environment variables (e.g. to point at a local mock provider).
+ */
+class OAuthService {
+  constructor() {
+    this.refreshMargin = parseInt(process.env.OAUTH_REFRESH_MARGIN) || 5 * 60000; // 5 minutes
+    this.stateExpiry = '10m';
+    this.refreshing = new Map(); // Account ID -> in-flight refresh promise
+    this.providers = {
+      gmail: {
+        displayName: 'Gmail',
+        authorizationUrl: process.env.GOOGLE_OAUTH_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+        clientId: process.env.GOOGLE_OAUTH_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+        scope: 'https://mail.google.com/ openid email',
+        // Google only returns a refresh token when consent is prompted for offline access
+        authorizationParams: { access_type: 'offline', prompt: 'consent' },
+        imapConfig: { host: 'imap.gmail.com', port: 993, secure: true },
+        hosts: ['gmail.com', 'googlemail.com']
+      },
+      microsoft: {
+        displayName: 'Microsoft',
+        authorizationUrl: process.env.MICROSOFT_OAUTH_AUTH_URL || 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+        tokenUrl: process.env.MICROSOFT_OAUTH_TOKEN_URL || 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+        clientId: process.env.MICROSOFT_OAUTH_CLIENT_ID,
+        clientSecret: process.env.MICROSOFT_OAUTH_CLIENT_SECRET,
+        scope: 'https://outlook.office.com/IMAP.AccessAsUser.All offline_access openid email',
+        authorizationParams: { prompt: 'select_account' },
+        imapConfig: { host: 'outlook.office365.com', port: 993, secure: true },
+        hosts: ['office365.com', 'outlook.com', 'hotmail.com', 'live.com']
+      }
+    };
+  }
+
+  /**
+   * Get a configured provider
+   * @param {string} provider - Provider key (gmail or microsoft)
+   * @returns {Object} Provider configuration
+   */
+  getProvider(provider) {
+    const config = this.providers[provider];
+    if (!config) {
+      const error = new Error(`Unsupported OAuth provider: ${provider}`);
+      error.code = 'OAUTH_PROVIDER_UNSUPPORTED';
+      throw error;
+    }
+    if (!config.clientId || !config.clientSecret) {
+      const error = new Error(`OAuth is not configured for ${config.displayName}`);
+      error.code = 'OAUTH_PROVIDER_UNCONFIGURED';
+      throw error;
+    }
+    return config;
+  }
+
+  /**
+   * Resolve the provider of an OAuth account, falling back to its IMAP host
+   * for accounts created before provider was recorded
+   * @param {Object} account - EmailAccount document
+   * @returns {string|null} Provider key
+   */
+  getAccountProvider(account) {
+    if (account.authConfig.oauth2Config?.provider) {
+      return account.authConfig.oauth2Config.provider;
+    }
+
+    const host = (account.imapConfig.host || '').toLowerCase();
+    const match = Object.entries(this.providers).find(([, config]) => (
+      config.hosts.some(suffix => host.endsWith(suffix))
+    ));
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Get the callback URL registered with the provider
+   * @param {string} provider - Provider key
+   * @returns {string} Redirect URI
+   */
+  getRedirectUri(provider) {
+    const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/api/email-accounts/oauth/${provider}/callback`;
+  }
+
+  /**
+   * Build the provider authorization URL for a user
+   * @param {string} provider - Provider key
+   * @param {Object} user - Authenticated user
+   * @param {Object} options - Optional account name and account ID to reconnect
+   * @returns {string} Authorization URL
+   */
+  getAuthorizationUrl(provider, user, options = {}) {
+    const config = this.getProvider(provider);
+
+    // The state is signed with a key derived from JWT_SECRET so it cannot be
+    // used as (or forged from) an API token
+    const state = jwt.sign({
+      uid: user._id.toString(),
+      provider,
+      accountId: options.accountId || null,
+      name: options.name || null,
+      nonce: crypto.randomBytes(8).toString('hex')
+    }, this.getStateSecret(), { expiresIn: this.stateExpiry });
+
+    const params = new URLSearchParams({
+      client_id: config.clientId,
+      redirect_uri: this.getRedirectUri(provider),
+      response_type: 'code',
+      scope: config.scope,
+      state,
+      ...config.authorizationParams
+    });
+    if (options.loginHint) {
+      params.set('login_hint', options.loginHint);
+    }
+
+    return `${config.authorizationUrl}?${params.toString()}`;
+  }
+
+  /**
+   * Verify an authorization state parameter
+   * @param {string} provider - Provider key from the callback URL
+   * @param {string} state - State parameter
+   * @param {string} [userId] - Authenticated user completing the flow; must be the user who started it
+   * @returns {Object} Decoded state
+   */
+  verifyState(provider, state, userId) {
+    let decoded;
+    try {
+      decoded = jwt.verify(state, this.getStateSecret());
+    } catch (error) {
+      const stateError = new Error('Authorization request expired or is invalid, please try again');
+      stateError.code = 'OAUTH_STATE_INVALID';
+      throw stateError;
+    }
+
+    if (decoded.provider !== provider) {
+      const error = new Error('Authorization provider mismatch');
+      error.code = 'OAUTH_STATE_INVALID';
+      throw error;
+    }
+
+    if (userId !== undefined && decoded.uid !== String(userId)) {
+      const error = new Error('Authorization was started by a different user');
+      error.code = 'OAUTH_STATE_INVALID';
+      throw error;
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Complete the authorization-code flow and create or update the account
+   * @param {string} provider - Provider key
+   * @param {string} code - Authorization code
+   * @param {Object} state - Verified state
+   * @returns {Promise<Object>} EmailAccount document
+   */
+  async completeAuthorization(provider, code, state) {
+    const config = this.getProvider(provider);
+    const tokens = await this.requestToken(config, {
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri(provider)
+    });
+
+    const email = this.getTokenEmail(tokens);
+    if (!email) {
+      const error = new Error('The provider did not return the account email address');
+      error.code = 'OAUTH_EMAIL_MISSING';
+      throw error;
+    }
+
+    const filter = state.accountId
+      ? { _id: state.accountId, userId: state.uid }
+      : { email: email.toLowerCase(), userId: state.uid };
+    let account = await EmailAccount.findOne(filter)
+      .select('+authConfig.oauth2Config.refreshToken +authConfig.oauth2Config.accessToken');
+
+    if (account && state.accountId && account.email !== email.toLowerCase()) {
+      const error = new Error(`Signed in as ${email}, but the account being reconnected is ${account.email}`);
+      error.code = 'OAUTH_ACCOUNT_MISMATCH';
+      throw error;
+    }
+
+    if (!tokens.refresh_token && !account?.authConfig.oauth2Config?.refreshToken) {
+      const error = new Error('The provider did not return a refresh token');
+      error.code = 'OAUTH_REFRESH_TOKEN_MISSING';
+      throw error;
+    }
+
+    if (!account) {
+      account = new EmailAccount({
+        userId: state.uid,
+        name: state.name || email,
+        email,
+        imapConfig: config.imapConfig,
+        provider: {
+          name: provider === 'gmail' ? 'gmail' : 'outlook',
+          displayName: config.displayName,
+          features: ['imap', 'oauth2', 'folders']
+        }
+      });
+    }
+
+    account.authConfig = {
+      method: 'OAUTH2',
+      username: email,
+      oauth2Config: {
+        provider,
+        refreshToken: tokens.refresh_token || account.authConfig?.oauth2Config?.refreshToken,
+        accessToken: tokens.access_token,
+        tokenExpiry: this.getTokenExpiry(tokens)
+      }
+    };
+    account.status = 'active';
+    account.connectionInfo.lastError = null;
+    account.connectionInfo.errorCount = 0;
+
+    await account.save();
+
+    logger.info(`OAuth account authorized: ${account.email} (${provider})`);
+    return account;
+  }
+
+  /**
+   * Get a valid access token for an OAuth account, refreshing it when it
+   * expires within the refresh margin
+   * @param {string} accountId - EmailAccount ID
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(accountId) {
+    const key = accountId.toString();
+
+    // Share a single refresh between concurrent connections of the account
+    if (!this.refreshing.has(key)) {
+      const refresh = this.refreshAccessToken(key).finally(() => {
+        this.refreshing.delete(key);
+      });
+      this.refreshing.set(key, refresh);
+    }
+
+    return this.refreshing.get(key);
+  }
+
+  /**
+   * Refresh the access token of an account if needed
+   * A revoked or expired refresh token marks the account as errored
+   * @param {string} accountId - EmailAccount ID
+   * @returns {Promise<string>} Access token
+   */
+  async refreshAccessToken(accountId) {
+    const account = await EmailAccount.findById(accountId).select(
+      '+authConfig.oauth2Config.clientSecret +authConfig.oauth2Config.refreshToken +authConfig.oauth2Config.accessToken'
+    );
+    if (!account) {
+      const error = new Error(`Email account not found: ${accountId}`);
+      error.code = 'ACCOUNT_NOT_FOUND';
+      throw error;
+    }
+
+    const oauth2Config = account.authConfig.oauth2Config || {};
+    const expiresAt = oauth2Config.tokenExpiry ? oauth2Config.tokenExpiry.getTime() : 0;
+    if (oauth2Config.accessToken && expiresAt - this.refreshMargin > Date.now()) {
+      return oauth2Config.accessToken;
+    }
+
+    const provider = this.getAccountProvider(account);
+    if (!oauth2Config.refreshToken || !provider) {
+      throw await this.markAuthorizationFailed(account, 'OAuth access token expired and cannot be refreshed; reconnect the account');
+    }
+
+    // Accounts created with their own OAuth client keep using it
+    const config = {
+      ...this.providers[provider],
+      clientId: oauth2Config.clientId || this.providers[provider].clientId,
+      clientSecret: account.getSecret('authConfig.oauth2Config.clientSecret') || this.providers[provider].clientSecret
+    };
+
+    let tokens;
+    try {
+      tokens = await this.requestToken(config, {
+        grant_type: 'refresh_token',
+        refresh_token: account.getSecret('authConfig.oauth2Config.refreshToken')
+      });
+    } catch (error) {
+      if (error.code === 'OAUTH_INVALID_GRANT') {
+        throw await this.markAuthorizationFailed(account, 'OAuth refresh token was revoked or expired; reconnect the account');
+      }
+      throw error;
+    }
+
+    account.authConfig.oauth2Config.accessToken = tokens.access_token;
+    account.authConfig.oauth2Config.tokenExpiry = this.getTokenExpiry(tokens);
+    // Microsoft rotates refresh tokens
+    if (tokens.refresh_token) {
+      account.authConfig.oauth2Config.refreshToken = tokens.refresh_token;
+    }
+    await account.save();
+
+    logger.info(`OAuth access token refreshed for account ${account.email}`);
+    return tokens.access_token;
+  }
+
+  /**
+   * Mark an account as errored after its authorization stopped working
+   * @param {Object} account - EmailAccount document
+   * @param {string} message - Reason shown to the user
+   * @returns {Promise<Error>} Error to throw
+   */
+  async markAuthorizationFailed(account, message) {
+    account.status = 'error';
+    account.connectionInfo.errorCount += 1;
+    account.connectionInfo.lastError = {
+      message,
+      code: 'OAUTH_TOKEN_REVOKED',
+      timestamp: new Date()
+    };
+    await account.save();
+
+    logger.warn(`OAuth authorization failed for account ${account.email}: ${message}`);
+
+    const error = new Error(message);
+    error.code = 'OAUTH_TOKEN_REVOKED';
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Call the provider token endpoint
+   * @param {Object} config - Provider configuration with client credentials
+   * @param {Object} params - Grant parameters
+   * @returns {Promise<Object>} Token response
+   */
+  async requestToken(config, params) {
+    const response = await fetch(config.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: new URLSearchParams({
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        ...params
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      const error = new Error(`Token request failed: ${data.error_description || data.error || response.status}`);
+      error.code = data.error === 'invalid_grant' ? 'OAUTH_INVALID_GRANT' : 'OAUTH_TOKEN_REQUEST_FAILED';
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Read the email address from the ID token of a token response
+   * The token comes straight from the provider's token endpoint over TLS, so
+   * its claims are used without verifying the signature
+   * @param {Object} tokens - Token response
+   * @returns {string|null} Email address
+   */
+  getTokenEmail(tokens) {
+    if (!tokens.id_token) return null;
+
+    const claims = jwt.decode(tokens.id_token) || {};
+    return claims.email || claims.preferred_username || null;
+  }
+
+  /**
+   * Get the expiry date of a token response
+   * @param {Object} tokens - Token response
+   * @returns {Date} Expiry date
+   */
+  getTokenExpiry(tokens) {
+    return new Date(Date.now() + (parseInt(tokens.expires_in) || 3600) * 1000);
+  }
+
+  /**
+   * Get the key used to sign authorization state
+   * @returns {string} Signing key
+   */
+  getStateSecret() {
+    return `${process.env.JWT_SECRET}:oauth-state`;
+  }
+
+  /**
+   * Get the providers that have client credentials configured
+   * @returns {Array<Object>} Provider keys and display names
+   */
+  getAvailableProviders() {
+    return Object.entries(this.providers)
+      .filter(([, config]) => config.clientId && config.clientSecret)
+      .map(([key, config]) => ({ key, displayName: config.displayName }));
+  }
+}
+
+// Create singleton instance
+const oauthService = new OAuthService();
+
+module.exports = oauthService;
@@ -0,0 +1,388 @@
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+const imapService = require('./imapService');
+const healthService = require('./healthService');
+const logger = require('../utils/logger');
+
+const CRLF = '\r\n';
+const TERMINATOR = Buffer.from('\r\n.\r\n');
+
+/**
+ * A single POP3 session (RFC 1939, STLS from RFC 2595, SASL from RFC 5034)
+ * Commands are pipelined through a queue and answered in order.
+ */
+class Pop3Connection extends EventEmitter {
+  /**
+   * @param {Object} config - POP3 configuration from EmailAccount.getPop3Config
+   * @param {number} timeout - Socket inactivity timeout in milliseconds
+   */
+  constructor(config, timeout) {
+    super();
+    this.config = config;
+    this.timeout = timeout;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.queue = []; // Commands waiting for their response, oldest first
+    this.closed = false;
+  }
+
+  /**
+   * Connect, upgrade with STLS if configured and authenticate
+   * @returns {Promise<Pop3Connection>} Authenticated connection
+   */
+  async connect() {
+    const { host, port, security } = this.config;
+
+    const greeting = this.expect({ multiline: false });
+    this.attach(security === 'tls'
+      ? tls.connect({ host, port, ...this.getTlsOptions() })
+      : net.connect({ host, port }));
+    await greeting;
+
+    if (security === 'starttls') {
+      await this.command('STLS');
+      // Upgrade the plain socket in place
+      const plain = this.socket;
+      ['data', 'timeout', 'error', 'close'].forEach(event => plain.removeAllListeners(event));
+      plain.setTimeout(0);
+      const secure = tls.connect({ socket: plain, ...this.getTlsOptions() });
+      await new Promise((resolve, reject) => {
+        secure.once('secureConnect', resolve);
+        secure.once('error', reject);
+      });
+      this.attach(secure);
+    }
+
+    await this.authenticate();
+    return this;
+  }
+
+  /**
+   * TLS options for the configured host
+   * @returns {Object} tls.connect options
+   */
+  getTlsOptions() {
+    return {
+      servername: net.isIP(this.config.host) ? undefined : this.config.host,
+      rejectUnauthorized: false,
+      ...this.config.tlsOptions
+    };
+  }
+
+  /**
+   * Wire socket events
+   * @param {Object} socket - net or tls socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    socket.setTimeout(this.timeout);
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('timeout', () => {
+      const error = new Error('POP3 connection timed out');
+      error.source = 'timeout';
+      this.fail(error);
+    });
+    socket.on('error', (error) => {
+      error.source = error.source || 'socket';
+      this.fail(error);
+    });
+    socket.on('close', () => {
+      const error = new Error('POP3 connection closed');
+      error.source = 'socket';
+      this.fail(error);
+    });
+  }
+
+  /**
+   * Log in with XOAUTH2 for OAuth accounts, USER/PASS otherwise
+   */
+  async authenticate() {
+    const method = (this.config.authMethod || '').toUpperCase();
+
+    try {
+      if (method === 'OAUTH2' || method === 'XOAUTH2') {
+        const token = this.config.accessToken
+          ? imapService.buildXOAuth2Token(this.config.username, this.config.accessToken)
+          : this.config.password;
+        await this.command(`AUTH XOAUTH2 ${token}`, { sasl: true });
+      } else {
+        await this.command(`USER ${this.config.username}`);
+        await this.command(`PASS ${this.config.password}`);
+      }
+    } catch (error) {
+      if (error.code === 'POP3_ERR') {
+        error.source = 'authentication';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a command and wait for its response
+   * @param {string} line - Command line without CRLF
+   * @param {Object} options - multiline: response is a dot-terminated block;
+   *   sasl: answer server challenges with an empty response
+   * @returns {Promise<string|Buffer>} Status line, or block for multiline responses
+   */
+  command(line, options = {}) {
+    if (this.closed) {
+      const error = new Error('POP3 connection is closed');
+      error.source = 'socket';
+      return Promise.reject(error);
+    }
+
+    const response = this.expect(options);
+    this.socket.write(line + CRLF);
+    return response;
+  }
+
+  /**
+   * Queue a response handler
+   * @param {Object} options - See command
+   * @returns {Promise<string|Buffer>} Response
+   */
+  expect({ multiline = false, sasl = false }) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ multiline, sasl, resolve, reject, status: null, chunks: null });
+      this.processBuffer();
+    });
+  }
+
+  /**
+   * Buffer incoming data and answer pending commands
+   * @param {Buffer} chunk - Received data
+   */
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    this.processBuffer();
+  }
+
+  /**
+   * Resolve pending commands whose responses are complete
+   */
+  processBuffer() {
+    while (this.queue.length > 0) {
+      const pending = this.queue[0];
+
+      if (pending.status === null) {
+        const lineEnd = this.buffer.indexOf(CRLF);
+        if (lineEnd === -1) return;
+
+        const line = this.buffer.subarray(0, lineEnd).toString('utf8');
+        this.buffer = this.buffer.subarray(lineEnd + 2);
+
+        if (line.startsWith('+OK')) {
+          pending.status = line;
+        } else if (pending.sasl && line.startsWith('+')) {
+          // Server challenge; XOAUTH2 sends its error details this way
+          this.socket.write(CRLF);
+          continue;
+        } else {
+          this.queue.shift();
+          const error = new Error(`POP3 server error: ${line.replace(/^-ERR\s*/, '') || line}`);
+          error.code = 'POP3_ERR';
+          error.source = 'protocol';
+          pending.reject(error);
+          continue;
+        }
+
+        if (!pending.multiline) {
+          this.queue.shift();
+          pending.resolve(pending.status);
+          continue;
+        }
+
+        // Restore the line break ending the status line so that an empty block
+        // (".\r\n") is found by the terminator search too
+        this.buffer = Buffer.concat([Buffer.from(CRLF), this.buffer]);
+        pending.chunks = [];
+      }
+
+      const terminator = this.buffer.indexOf(TERMINATOR);
+      if (terminator === -1) {
+        // Move the block out of the buffer, keeping a tail in case the
+        // terminator spans two chunks
+        const keep = Math.min(this.buffer.length, TERMINATOR.length - 1);
+        pending.chunks.push(this.buffer.subarray(0, this.buffer.length - keep));
+        this.buffer = this.buffer.subarray(this.buffer.length - keep);
+        return;
+      }
+
+      pending.chunks.push(this.buffer.subarray(0, terminator + 2));
+      this.buffer = this.buffer.subarray(terminator + TERMINATOR.length);
+      this.queue.shift();
+      pending.resolve(this.unstuff(Buffer.concat(pending.chunks).subarray(2)));
+    }
+  }
+
+  /**
+   * Remove dot-stuffing from a multiline block
+   * @param {Buffer} block - Block without the terminating line
+   * @returns {Buffer} Original bytes
+   */
+  unstuff(block) {
+    // latin1 maps every byte to one character, so the round trip is lossless
+    return Buffer.from(block.toString('latin1').replace(/(^|\r\n)\.\./g, '$1.'), 'latin1');
+  }
+
+  /**
+   * Reject every pending command and close the socket
+   * @param {Error} error - Cause
+   */
+  fail(error) {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.queue.splice(0).forEach(pending => pending.reject(error));
+    if (this.socket) {
+      this.socket.destroy();
+    }
+    this.emit('close', error);
+  }
+
+  /**
+   * List messages with their unique IDs
+   * @returns {Promise<Array<Object>>} Messages ({ number, uidl })
+   */
+  async uidl() {
+    const block = await this.command('UIDL', { multiline: true });
+    return this.parseListing(block).map(([number, uidl]) => ({ number, uidl }));
+  }
+
+  /**
+   * List messages with their sizes
+   * @returns {Promise<Map<number, number>>} Message number -> size in bytes
+   */
+  async list() {
+    const block = await this.command('LIST', { multiline: true });
+    return new Map(this.parseListing(block).map(([number, size]) => [number, parseInt(size)]));
+  }
+
+  /**
+   * Parse "number value" lines
+   * @param {Buffer} block - Multiline response
+   * @returns {Array<Array>} [number, value] pairs
+   */
+  parseListing(block) {
+    return block.toString('utf8').split(CRLF)
+      .map(line => line.trim().split(/\s+/))
+      .filter(parts => parts.length >= 2)
+      .map(([number, value]) => [parseInt(number), value]);
+  }
+
+  /**
+   * Retrieve a full message
+   * @param {number} number - Message number
+   * @returns {Promise<Buffer>} Raw message
+   */
+  retr(number) {
+    return this.command(`RETR ${number}`, { multiline: true });
+  }
+
+  /**
+   * Mark a message for deletion; the server removes it on QUIT
+   * @param {number} number - Message number
+   */
+  async dele(number) {
+    await this.command(`DELE ${number}`);
+  }
+
+  /**
+   * End the session, committing deletions
+   */
+  async quit() {
+    try {
+      await this.command('QUIT');
+    } finally {
+      this.close();
+    }
+  }
+
+  /**
+   * Close the socket without QUIT; messages marked for deletion are kept
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.queue.splice(0);
+    if (this.socket) {
+      this.socket.destroy();
+    }
+  }
+}
+
+/**
+ * POP3 Service
+ * Opens POP3 sessions for POP3-only accounts. Connections go through the same
+ * circuit breaker and OAuth token refresh as IMAP connections.
+ */
+class Pop3Service {
+  constructor() {
+    this.timeout = parseInt(process.env.POP3_TIMEOUT) || 60000;
+  }
+
+  /**
+   * Open an authenticated POP3 session
+   * @param {Object} config - POP3 configuration from EmailAccount.getPop3Config
+   * @returns {Promise<Pop3Connection>} Connection
+   */
+  async connect(config) {
+    const { accountId } = config;
+    if (accountId) {
+      await healthService.assertAvailable(accountId);
+    }
+
+    let connection;
+    try {
+      connection = new Pop3Connection(await imapService.resolveAuth(config), this.timeout);
+      await connection.connect();
+    } catch (error) {
+      if (connection) connection.close();
+      if (accountId) imapService.recordHealth(accountId, error);
+      throw error;
+    }
+
+    if (accountId) imapService.recordHealth(accountId, null);
+    logger.info(`POP3 connection established: ${config.username}@${config.host}`);
+    return connection;
+  }
+
+  /**
+   * Test a POP3 login without keeping the session
+   * Like IMAP tests, this bypasses the circuit breaker and re-enables sync disabled by it
+   * @param {Object} config - POP3 configuration
+   * @returns {Promise<Object>} Connection test result ({ success, error })
+   */
+  async testConnection(config) {
+    let connection;
+    try {
+      connection = new Pop3Connection(await imapService.resolveAuth(config), this.timeout);
+      await connection.connect();
+      await connection.quit();
+
+      if (config.accountId) {
+        await imapService.recordHealth(config.accountId, null, { manual: true });
+      }
+      return { success: true, error: null };
+    } catch (error) {
+      logger.error('POP3 connection test failed:', error);
+      if (connection) connection.close();
+      if (config.accountId) {
+        await imapService.recordHealth(config.accountId, error);
+      }
+
+      return {
+        success: false,
+        error: error.source === 'authentication'
+          ? 'Invalid username or password. Please check your credentials.'
+          : error.message || 'POP3 connection failed'
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const pop3Service = new Pop3Service();
+
+module.exports = pop3Service;
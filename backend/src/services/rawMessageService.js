@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+
+/**
+ * GridFS blob driver
+ * One GridFS file per key (the filename); writing a key that exists is a no-op
+ */
+class GridFsBlobDriver {
+  constructor(bucketName) {
+    this.name = 'gridfs';
+    this.bucketName = bucketName;
+    this.bucket = null;
+    this.bucketDb = null; // Connection the bucket was created for
+  }
+
+  /**
+   * Get the GridFS bucket of the current connection
+   * @returns {Object} GridFSBucket
+   */
+  getBucket() {
+    if (!this.bucket || this.bucketDb !== mongoose.connection.db) {
+      this.bucketDb = mongoose.connection.db;
+      this.bucket = new mongoose.mongo.GridFSBucket(this.bucketDb, { bucketName: this.bucketName });
+    }
+    return this.bucket;
+  }
+
+  /**
+   * Write a blob unless it is already stored
+   * Keys are content hashes, so an existing file already has the same content
+   * @param {string} key - Blob key
+   * @param {Buffer} data - Content
+   * @returns {Promise<void>}
+   */
+  async put(key, data) {
+    const bucket = this.getBucket();
+    const [existing] = await bucket.find({ filename: key }).project({ _id: 1 }).limit(1).toArray();
+    if (existing) return;
+
+    const id = new mongoose.Types.ObjectId();
+    await new Promise((resolve, reject) => {
+      const stream = bucket.openUploadStreamWithId(id, key);
+      stream.once('error', reject);
+      stream.once('finish', resolve);
+      stream.end(data);
+    });
+
+    // A concurrent writer of the same key may have finished first; every writer
+    // keeps the file with the lowest ID and removes only its own copy
+    const [first] = await bucket.find({ filename: key }).project({ _id: 1 }).sort({ _id: 1 }).limit(1).toArray();
+    if (first && !first._id.equals(id)) {
+      await bucket.delete(id).catch(() => {});
+    }
+  }
+
+  /**
+   * Open a blob for reading
+   * @param {string} key - Blob key
+   * @returns {Promise<Object|null>} Readable stream, or null if the blob does not exist
+   */
+  async open(key) {
+    const [file] = await this.getBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+    return file ? this.getBucket().openDownloadStream(file._id) : null;
+  }
+
+  /**
+   * Delete a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const files = await this.getBucket().find({ filename: key }).project({ _id: 1 }).toArray();
+    for (const file of files) {
+      await this.getBucket().delete(file._id);
+    }
+  }
+}
+
+/**
+ * Local filesystem blob driver
+ * Blobs are files under a base directory, sharded by the first characters of the key
+ */
+class FileSystemBlobDriver {
+  constructor(baseDir) {
+    this.name = 'fs';
+    this.baseDir = baseDir;
+  }
+
+  /**
+   * Path of a blob
+   * @param {string} key - Blob key
+   * @returns {string} File path
+   */
+  getPath(key) {
+    return path.join(this.baseDir, key.slice(0, 2), key.slice(2, 4), key);
+  }
+
+  /**
+   * Write a blob (atomically, through a temporary file)
+   * @param {string} key - Blob key
+   * @param {Buffer} data - Content
+   * @returns {Promise<void>}
+   */
+  async put(key, data) {
+    const file = this.getPath(key);
+    const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    try {
+      await fs.promises.writeFile(temp, data);
+      await fs.promises.rename(temp, file);
+    } catch (error) {
+      await fs.promises.unlink(temp).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Open a blob for reading
+   * @param {string} key - Blob key
+   * @returns {Promise<Object|null>} Readable stream, or null if the blob does not exist
+   */
+  async open(key) {
+    const file = this.getPath(key);
+    try {
+      await fs.promises.access(file);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return fs.createReadStream(file);
+  }
+
+  /**
+   * Delete a blob
+   * @param {string} key - Blob key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.unlink(this.getPath(key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+}
+
+/**
+ * Raw Message Service
+ * Keeps the original RFC 822 bytes of every email, gzip-compressed, in a blob
+ * store: GridFS by default, or a local directory (RAW_STORE_DRIVER=fs). Blobs
+ * are keyed by the SHA-256 of the message, so copies of a message share one
+ * blob; a reference count per message (rawMessageRefs collection) decides when
+ * a blob can be deleted.
+ */
+class RawMessageService {
+  constructor() {
+    this.collectionName = 'rawMessageRefs';
+    this.storeAttempts = 10;
+    this.storeRetryDelay = 200;
+    this.staleDeletionAge = 10 * 60 * 1000; // Deletions unfinished after this long are abandoned
+    this.driver = process.env.RAW_STORE_DRIVER === 'fs'
+      ? new FileSystemBlobDriver(path.resolve(process.env.RAW_STORE_DIR || 'storage/raw'))
+      : new GridFsBlobDriver(process.env.RAW_STORE_BUCKET || 'rawMessages');
+  }
+
+  /**
+   * Get the reference count collection
+   * @returns {Object} Collection
+   */
+  getRefs() {
+    return mongoose.connection.db.collection(this.collectionName);
+  }
+
+  /**
+   * Store a raw message, or add a reference to the identical message already stored
+   * A reference document marked deleting is a tombstone: its blob is being
+   * removed, so the message waits for the deletion and is then stored again.
+   * @param {Buffer} raw - Raw message bytes
+   * @returns {Promise<Object>} { sha256, size }
+   */
+  async store(raw) {
+    const sha256 = crypto.createHash('sha256').update(raw).digest('hex');
+    let compressed = null;
+
+    for (let attempt = 0; attempt < this.storeAttempts; attempt++) {
+      const existing = await this.getRefs().findOneAndUpdate(
+        { _id: sha256, deleting: { $ne: true } },
+        { $inc: { refCount: 1 } },
+        { returnDocument: 'after', projection: { _id: 1 } }
+      );
+      if (existing) {
+        return { sha256, size: raw.length };
+      }
+
+      compressed = compressed || await gzip(raw);
+
+      // Take over a deletion that was abandoned half way (e.g. the process died)
+      const revived = await this.getRefs().findOneAndUpdate(
+        { _id: sha256, deleting: true, deletingAt: { $lt: new Date(Date.now() - this.staleDeletionAge) } },
+        { $set: { refCount: 1 }, $unset: { deleting: '', deletingAt: '' } },
+        { projection: { _id: 1 } }
+      );
+      if (revived) {
+        await this.driver.put(sha256, compressed);
+        return { sha256, size: raw.length };
+      }
+
+      if (await this.getRefs().countDocuments({ _id: sha256, deleting: true }, { limit: 1 }) > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.storeRetryDelay * (attempt + 1)));
+        continue;
+      }
+
+      await this.driver.put(sha256, compressed);
+      try {
+        await this.getRefs().insertOne({
+          _id: sha256,
+          refCount: 1,
+          size: raw.length,
+          storedSize: compressed.length,
+          driver: this.driver.name,
+          createdAt: new Date()
+        });
+      } catch (error) {
+        // Stored concurrently (count a reference to it), or a deletion started
+        if (error.code !== 11000) throw error;
+        continue;
+      }
+
+      // The put above may have found the blob of a deletion that finished
+      // before the insert; once the reference exists the blob cannot go away
+      await this.driver.put(sha256, compressed);
+      return { sha256, size: raw.length };
+    }
+
+    throw new Error(`Could not store raw message ${sha256}`);
+  }
+
+  /**
+   * Add references to stored messages (e.g. when an email is copied)
+   * @param {Array<string>} hashes - Message hashes, once per referencing email
+   * @returns {Promise<void>}
+   */
+  async retain(hashes) {
+    for (const sha256 of hashes) {
+      await this.getRefs().updateOne({ _id: sha256, deleting: { $ne: true } }, { $inc: { refCount: 1 } });
+    }
+  }
+
+  /**
+   * Drop references to stored messages, deleting blobs nothing refers to anymore
+   * The reference document stays as a tombstone until the blob is gone, so a
+   * concurrent store of the same message cannot count on the dying blob.
+   * @param {Array<string>} hashes - Message hashes, once per removed email
+   * @returns {Promise<number>} Number of deleted blobs
+   */
+  async release(hashes) {
+    let deleted = 0;
+
+    for (const sha256 of hashes) {
+      const ref = await this.getRefs().findOneAndUpdate(
+        { _id: sha256, deleting: { $ne: true } },
+        { $inc: { refCount: -1 } },
+        { returnDocument: 'after', projection: { refCount: 1 } }
+      );
+      if (!ref || ref.refCount > 0) continue;
+
+      // Only delete if no new reference was added in the meantime
+      const claim = await this.getRefs().updateOne(
+        { _id: sha256, refCount: { $lte: 0 }, deleting: { $ne: true } },
+        { $set: { deleting: true, deletingAt: new Date() } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      await this.driver.delete(sha256);
+      await this.getRefs().deleteOne({ _id: sha256, deleting: true });
+      deleted++;
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Release references without failing the caller
+   * @param {Array<string>} hashes - Message hashes
+   * @returns {Promise<void>}
+   */
+  async releaseQuietly(hashes) {
+    if (hashes.length === 0) return;
+    await this.release(hashes).catch((error) => {
+      logger.error(`Failed to release ${hashes.length} raw message references:`, error);
+    });
+  }
+
+  /**
+   * Move the raw bytes of a new email into the store
+   * An email that already references a stored message (a copy) gets an extra reference
+   * @param {Object} raw - Email raw subdocument ({ data } or { sha256, size }; modified in place)
+   * @returns {Promise<Array<string>>} Hashes referenced, to release if the email is not saved
+   */
+  async externalize(raw) {
+    if (!raw) return [];
+
+    if (raw.data) {
+      const data = Buffer.isBuffer(raw.data) ? raw.data : Buffer.from(raw.data);
+      const { sha256, size } = await this.store(data);
+      raw.sha256 = sha256;
+      raw.size = size;
+      raw.data = undefined;
+      return [sha256];
+    }
+
+    if (raw.sha256) {
+      await this.retain([raw.sha256]);
+      return [raw.sha256];
+    }
+
+    return [];
+  }
+
+  /**
+   * Stream a stored message, decompressed
+   * @param {string} sha256 - Message hash
+   * @returns {Promise<Object|null>} Readable stream, or null if the message is not stored
+   */
+  async openStream(sha256) {
+    const stream = await this.driver.open(sha256);
+    if (!stream) return null;
+
+    const gunzip = zlib.createGunzip();
+    stream.once('error', error => gunzip.destroy(error));
+    return stream.pipe(gunzip);
+  }
+
+  /**
+   * Read a stored message into memory
+   * @param {string} sha256 - Message hash
+   * @returns {Promise<Buffer|null>} Raw message bytes, or null if the message is not stored
+   */
+  async read(sha256) {
+    const stream = await this.openStream(sha256);
+    if (!stream) return null;
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+}
+
+const rawMessageService = new RawMessageService();
+
+module.exports = rawMessageService;
@@ -0,0 +1,314 @@
+const { EventEmitter } = require('events');
+const EmailAccount = require('../models/EmailAccount');
+const imapService = require('./imapService');
+const emailIngestionService = require('./emailIngestionService');
+const healthService = require('./healthService');
+const logger = require('../utils/logger');
+
+/**
+ * Realtime Sync Service
+ * Keeps a dedicated IMAP IDLE connection open for accounts with frequency "realtime"
+ * and ingests new mail as soon as the server announces it. Servers without IDLE
+ * are polled instead.
+ *
+ * IDLE only reports changes to the selected mailbox, so each account watches one
+ * folder (REALTIME_FOLDER, INBOX by default); mail in other folders arrives with
+ * the account's scheduled safety sync.
+ */
+class RealtimeSyncService extends EventEmitter {
+  constructor() {
+    super();
+    this.watchers = new Map(); // Active watchers by account ID
+    this.folder = process.env.REALTIME_FOLDER || 'INBOX';
+    this.pollInterval = parseInt(process.env.REALTIME_POLL_INTERVAL) || 60000; // 1 minute
+    this.expungeDebounce = parseInt(process.env.REALTIME_EXPUNGE_DEBOUNCE) || 2000;
+    this.maxReconnectDelay = parseInt(process.env.REALTIME_MAX_RECONNECT_DELAY) || 300000; // 5 minutes
+
+    // Stop reconnecting accounts the health monitor gave up on
+    healthService.on('syncDisabled', ({ accountId }) => this.unwatchAccount(accountId));
+  }
+
+  /**
+   * Start watchers for every realtime account
+   */
+  async start() {
+    const accounts = await EmailAccount.find({
+      isEnabled: true,
+      'syncConfig.enabled': true,
+      'syncConfig.frequency': 'realtime',
+      protocol: { $ne: 'pop3' },
+      status: 'active'
+    }).select('_id');
+
+    for (const account of accounts) {
+      await this.watchAccount(account._id).catch((error) => {
+        logger.error(`Failed to start realtime watcher for account ${account._id}:`, error);
+      });
+    }
+
+    logger.info(`Realtime sync started for ${this.watchers.size} account(s)`);
+  }
+
+  /**
+   * Start or stop the watcher for an account to match its current sync settings
+   * @param {string} accountId - Email account ID
+   */
+  async refreshAccount(accountId) {
+    const account = await EmailAccount.findById(accountId).select('_id isEnabled status protocol syncConfig');
+    // POP3 has no push notifications; those accounts are polled by the scheduler
+    const shouldWatch = account
+      && account.protocol !== 'pop3'
+      && account.isEnabled
+      && account.status === 'active'
+      && account.syncConfig.enabled
+      && account.syncConfig.frequency === 'realtime';
+
+    if (shouldWatch && !this.watchers.has(accountId.toString())) {
+      await this.watchAccount(accountId);
+    } else if (!shouldWatch && this.watchers.has(accountId.toString())) {
+      this.unwatchAccount(accountId);
+    }
+  }
+
+  /**
+   * Open an IDLE connection for an account
+   * @param {string} accountId - Email account ID
+   */
+  async watchAccount(accountId) {
+    const key = accountId.toString();
+    const existing = this.watchers.get(key);
+    if (existing && existing.connection) {
+      return;
+    }
+
+    const watcher = existing || {
+      accountId: key,
+      connectionId: `idle_${key}`,
+      connection: null,
+      mode: null,
+      pollTimer: null,
+      reconnectTimer: null,
+      expungeTimer: null,
+      reconnectAttempts: 0,
+      queue: Promise.resolve(),
+      stopped: false
+    };
+    this.watchers.set(key, watcher);
+
+    const account = await EmailAccount.findById(accountId).select('+authConfig.password');
+    if (!account) {
+      this.unwatchAccount(accountId);
+      return;
+    }
+
+    try {
+      // IDLE connections count against the login's provider limit for as long as they stay open, not the host's
+      const connection = await imapService.getConnection(watcher.connectionId, {
+        ...account.getImapConfig(),
+        idle: true
+      });
+      watcher.connection = connection;
+      watcher.reconnectAttempts = 0;
+
+      const imap = connection.imap;
+      imap.on('close', () => this.handleDisconnect(watcher));
+
+      await emailIngestionService.openBox(imap, this.folder);
+
+      if (imap.serverSupports('IDLE')) {
+        watcher.mode = 'idle';
+        imap.on('mail', () => this.enqueue(watcher, () => this.handleNewMail(watcher)));
+        imap.on('expunge', () => this.scheduleExpungeReconcile(watcher));
+        imap.on('update', (seqno, info) => this.enqueue(watcher, () => this.handleFlagUpdate(watcher, seqno, info)));
+      } else {
+        watcher.mode = 'poll';
+        watcher.pollTimer = setInterval(() => {
+          this.enqueue(watcher, () => this.handleNewMail(watcher));
+        }, this.pollInterval);
+        logger.warn(`Server for account ${account.email} lacks IDLE, polling every ${this.pollInterval}ms`);
+      }
+
+      // Catch up on anything that arrived while we were not watching
+      this.enqueue(watcher, () => this.handleNewMail(watcher));
+
+      this.emit('watching', { accountId: key, mode: watcher.mode });
+      logger.info(`Realtime watcher started for ${account.email} (${watcher.mode})`);
+    } catch (error) {
+      logger.error(`Realtime watcher failed for account ${key}:`, error);
+      imapService.closeConnection(watcher.connectionId);
+      this.handleDisconnect(watcher);
+    }
+  }
+
+  /**
+   * Stop watching an account
+   * @param {string} accountId - Email account ID
+   */
+  unwatchAccount(accountId) {
+    const key = accountId.toString();
+    const watcher = this.watchers.get(key);
+    if (!watcher) return;
+
+    watcher.stopped = true;
+    clearInterval(watcher.pollTimer);
+    clearTimeout(watcher.reconnectTimer);
+    clearTimeout(watcher.expungeTimer);
+    this.watchers.delete(key);
+    imapService.closeConnection(watcher.connectionId);
+
+    this.emit('unwatched', { accountId: key });
+    logger.info(`Realtime watcher stopped for account ${key}`);
+  }
+
+  /**
+   * Stop all watchers
+   */
+  stop() {
+    for (const accountId of [...this.watchers.keys()]) {
+      this.unwatchAccount(accountId);
+    }
+  }
+
+  /**
+   * Serialize work per watcher so IDLE notifications are processed in order
+   * @param {Object} watcher - Watcher state
+   * @param {Function} task - Async task
+   */
+  enqueue(watcher, task) {
+    watcher.queue = watcher.queue
+      .then(task)
+      .catch((error) => {
+        logger.error(`Realtime task failed for account ${watcher.accountId}:`, error);
+      });
+  }
+
+  /**
+   * Ingest newly arrived messages
+   * @param {Object} watcher - Watcher state
+   */
+  async handleNewMail(watcher) {
+    if (!watcher.connection) return;
+
+    const account = await EmailAccount.findById(watcher.accountId);
+    if (!account) return;
+
+    const result = await emailIngestionService.syncNewMessages(account, watcher.connection.imap, this.folder);
+
+    if (result.requiresFullSync) {
+      this.emit('fullSyncRequired', { accountId: watcher.accountId, folder: this.folder });
+      logger.warn(`Realtime watcher for account ${watcher.accountId} needs a full sync of ${this.folder}`);
+    } else if (result.ingested > 0) {
+      this.emit('newMail', { accountId: watcher.accountId, folder: this.folder, count: result.ingested });
+      logger.info(`Realtime: ingested ${result.ingested} new message(s) for account ${watcher.accountId}`);
+    }
+  }
+
+  /**
+   * Coalesce bursts of EXPUNGE responses into a single reconcile
+   * @param {Object} watcher - Watcher state
+   */
+  scheduleExpungeReconcile(watcher) {
+    clearTimeout(watcher.expungeTimer);
+    watcher.expungeTimer = setTimeout(() => {
+      this.enqueue(watcher, async () => {
+        if (!watcher.connection) return;
+        const account = await EmailAccount.findById(watcher.accountId);
+        if (!account) return;
+
+        const removed = await emailIngestionService.reconcileExpunged(account, watcher.connection.imap, this.folder);
+        if (removed > 0) {
+          logger.info(`Realtime: removed ${removed} expunged message(s) for account ${watcher.accountId}`);
+        }
+      });
+    }, this.expungeDebounce);
+  }
+
+  /**
+   * Apply a FETCH flag update announced by the server
+   * @param {Object} watcher - Watcher state
+   * @param {number} seqno - Message sequence number
+   * @param {Object} info - Updated attributes
+   */
+  async handleFlagUpdate(watcher, seqno, info) {
+    if (!watcher.connection || !info || !info.flags) return;
+
+    const uid = info.uid || await this.resolveUid(watcher.connection.imap, seqno);
+    if (!uid) return;
+
+    const account = await EmailAccount.findById(watcher.accountId);
+    if (!account) return;
+
+    const updated = await emailIngestionService.applyServerFlags(account, this.folder, uid, info.flags);
+    if (updated) {
+      this.emit('flagsUpdated', { accountId: watcher.accountId, folder: this.folder, uid, flags: info.flags });
+    }
+  }
+
+  /**
+   * Look up the UID of a message by sequence number
+   * @param {Object} imap - IMAP connection
+   * @param {number} seqno - Message sequence number
+   * @returns {Promise<number|null>} UID or null
+   */
+  resolveUid(imap, seqno) {
+    return new Promise((resolve) => {
+      let uid = null;
+      const fetch = imap.seq.fetch(seqno, { bodies: [] });
+      fetch.on('message', (msg) => {
+        msg.once('attributes', (attrs) => {
+          uid = attrs.uid;
+        });
+      });
+      fetch.once('error', () => resolve(null));
+      fetch.once('end', () => resolve(uid));
+    });
+  }
+
+  /**
+   * Reconnect a dropped watcher with exponential backoff
+   * @param {Object} watcher - Watcher state
+   */
+  handleDisconnect(watcher) {
+    clearInterval(watcher.pollTimer);
+    watcher.pollTimer = null;
+    watcher.connection = null;
+
+    if (watcher.stopped || watcher.reconnectTimer) return;
+
+    const delay = Math.min(
+      imapService.reconnectDelay * Math.pow(2, watcher.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+    watcher.reconnectAttempts++;
+
+    logger.warn(`Realtime watcher for account ${watcher.accountId} disconnected, reconnecting in ${delay}ms`);
+
+    watcher.reconnectTimer = setTimeout(() => {
+      watcher.reconnectTimer = null;
+      if (!watcher.stopped) {
+        this.watchAccount(watcher.accountId).catch((error) => {
+          logger.error(`Realtime reconnect failed for account ${watcher.accountId}:`, error);
+        });
+      }
+    }, delay);
+  }
+
+  /**
+   * Get watcher status for all accounts
+   * @returns {Array} Watcher statuses
+   */
+  getStatus() {
+    return [...this.watchers.values()].map(watcher => ({
+      accountId: watcher.accountId,
+      folder: this.folder,
+      mode: watcher.mode,
+      connected: Boolean(watcher.connection),
+      reconnectAttempts: watcher.reconnectAttempts
+    }));
+  }
+}
+
+// Create singleton instance
+const realtimeSyncService = new RealtimeSyncService();
+
+module.exports = realtimeSyncService;
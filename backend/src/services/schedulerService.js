@@ -0,0 +1,254 @@
+const cron = require('node-cron');
+const { EventEmitter } = require('events');
+const EmailAccount = require('../models/EmailAccount');
+const SyncJob = require('../models/SyncJob');
+const syncQueueService = require('./syncQueueService');
+const realtimeSyncService = require('./realtimeSyncService');
+const logger = require('../utils/logger');
+
+/**
+ * Scheduler Service
+ * Periodically picks accounts whose syncConfig.nextSyncAt is due and queues an
+ * incremental SyncJob for each, without exceeding the provider's connection limit
+ */
+class SchedulerService extends EventEmitter {
+  constructor() {
+    super();
+    this.task = null;
+    this.running = false; // Guards against overlapping ticks
+    this.expression = process.env.SCHEDULER_CRON || '* * * * *'; // Every minute
+    this.batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE) || 50;
+
+    // Realtime watchers only fetch new UIDs; a reset mailbox needs a sync job
+    realtimeSyncService.on('fullSyncRequired', ({ accountId, folder }) => {
+      this.queueFolderSync(accountId, folder).catch((error) => {
+        logger.error(`Failed to queue resync of ${folder} for account ${accountId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Start the scheduler
+   */
+  start() {
+    if (this.task) return;
+
+    if (!cron.validate(this.expression)) {
+      throw new Error(`Invalid SCHEDULER_CRON expression: ${this.expression}`);
+    }
+
+    this.task = cron.schedule(this.expression, () => this.tick(), { name: 'sync-scheduler' });
+
+    logger.info(`Sync scheduler started (${this.expression})`);
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    if (!this.task) return;
+
+    this.task.stop();
+    this.task = null;
+  }
+
+  /**
+   * Run one scheduling pass
+   * @returns {Promise<number>} Number of jobs queued
+   */
+  async tick() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      return await this.scheduleDueAccounts();
+    } catch (error) {
+      logger.error('Sync scheduler run failed:', error);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Queue sync jobs for due accounts
+   * @returns {Promise<number>} Number of jobs queued
+   */
+  async scheduleDueAccounts() {
+    const accounts = await EmailAccount.findAccountsNeedingSync()
+      .sort({ 'syncConfig.nextSyncAt': 1 })
+      .limit(this.batchSize);
+
+    if (accounts.length === 0) return 0;
+
+    // Imports read uploaded files and never hold a server connection
+    const activeJobs = await SyncJob.find({ status: { $in: ['pending', 'running', 'paused'] }, syncType: { $ne: 'import' } })
+      .select('accountId status');
+    const busyAccounts = new Set(activeJobs.map(job => job.accountId.toString()));
+    const connectionsInUse = await this.countConnectionsByProvider(
+      activeJobs.filter(job => job.status !== 'paused').map(job => job.accountId)
+    );
+
+    let started = 0;
+
+    for (const account of accounts) {
+      const dueAt = account.syncConfig.nextSyncAt;
+
+      // Already syncing; try again at the next interval
+      if (busyAccounts.has(account._id.toString())) {
+        await this.claim(account, dueAt);
+        continue;
+      }
+
+      // Provider is at its connection limit; leave due so the next tick retries
+      const providerKey = this.getProviderKey(account);
+      const limit = account.provider?.limits?.maxConnections || 10;
+      if ((connectionsInUse.get(providerKey) || 0) >= limit) {
+        logger.debug(`Deferring scheduled sync for ${account.email}: ${providerKey} at ${limit} connection(s)`);
+        continue;
+      }
+
+      // Another scheduler instance picked this account up first
+      if (!(await this.claim(account, dueAt))) continue;
+
+      try {
+        const job = await this.createJob(account);
+        connectionsInUse.set(providerKey, (connectionsInUse.get(providerKey) || 0) + 1);
+        started++;
+
+        this.emit('jobScheduled', { accountId: account._id, jobId: job._id });
+      } catch (error) {
+        logger.error(`Failed to schedule sync for ${account.email}:`, error);
+      }
+    }
+
+    if (started > 0) {
+      logger.info(`Sync scheduler queued ${started} job(s)`);
+      await syncQueueService.poll();
+    }
+
+    return started;
+  }
+
+  /**
+   * Advance nextSyncAt if it still holds the value we read
+   * @param {Object} account - EmailAccount document
+   * @param {Date} dueAt - nextSyncAt value read by this pass
+   * @returns {Promise<boolean>} True if this pass owns the run
+   */
+  async claim(account, dueAt) {
+    account.calculateNextSyncTime();
+
+    const result = await EmailAccount.updateOne(
+      { _id: account._id, 'syncConfig.nextSyncAt': dueAt },
+      { $set: { 'syncConfig.nextSyncAt': account.syncConfig.nextSyncAt } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Queue a sync job for a folder a realtime watcher cannot catch up on
+   * @param {string} accountId - Email account ID
+   * @param {string} folder - Folder path
+   * @returns {Promise<Object|null>} SyncJob document, or null if a job is already queued
+   */
+  async queueFolderSync(accountId, folder) {
+    // A queued or running job syncs the folder anyway; the watcher reports again until it has
+    const active = await SyncJob.exists({
+      accountId,
+      status: { $in: ['pending', 'running'] },
+      syncType: { $ne: 'import' }
+    });
+    if (active) return null;
+
+    const account = await EmailAccount.findById(accountId);
+    if (!account) return null;
+
+    const job = await this.createJob(account, { folders: [folder], trigger: 'realtime' });
+    this.emit('jobScheduled', { accountId: account._id, jobId: job._id });
+    return job;
+  }
+
+  /**
+   * Create a scheduled incremental sync job
+   * @param {Object} account - EmailAccount document
+   * @param {Object} options - folders: folders to sync (default: all); trigger: what queued the job
+   * @returns {Promise<Object>} SyncJob document
+   */
+  async createJob(account, { folders = [], trigger = 'schedule' } = {}) {
+    const job = new SyncJob({
+      userId: account.userId,
+      accountId: account._id,
+      jobId: `sync_${account._id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: `${account.name || account.email} - scheduled sync`,
+      description: `Scheduled email synchronization job for ${account.email}`,
+      syncType: 'incremental',
+      folders,
+      options: {
+        preserveFlags: account.syncConfig.preserveFlags,
+        preserveDates: account.syncConfig.preserveDates,
+        maxEmailsPerSync: account.syncConfig.maxEmailsPerSync,
+        batchSize: account.syncConfig.batchSize
+      },
+      metadata: {
+        source: 'scheduler',
+        trigger,
+        priority: 1,
+        tags: ['email-sync', 'incremental', 'scheduled']
+      }
+    });
+
+    await job.save();
+    logger.info(`Scheduled sync job created: ${job._id} for account: ${account.email}`);
+
+    return job;
+  }
+
+  /**
+   * Count open sync connections per provider
+   * @param {Array} accountIds - Accounts with pending or running jobs
+   * @returns {Promise<Map>} Connection count by provider key
+   */
+  async countConnectionsByProvider(accountIds) {
+    const counts = new Map();
+    if (accountIds.length === 0) return counts;
+
+    const accounts = await EmailAccount.find({ _id: { $in: accountIds } })
+      .select('provider imapConfig.host');
+
+    for (const account of accounts) {
+      const key = this.getProviderKey(account);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Key used to group accounts sharing a provider's connection limit
+   * @param {Object} account - EmailAccount document
+   * @returns {string} Provider name, or IMAP host for custom providers
+   */
+  getProviderKey(account) {
+    const name = account.provider?.name;
+    return name && name !== 'custom' ? name : account.imapConfig?.host;
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    return {
+      enabled: Boolean(this.task),
+      expression: this.expression,
+      running: this.running
+    };
+  }
+}
+
+// Create singleton instance
+const schedulerService = new SchedulerService();
+
+module.exports = schedulerService;
@@ -70,7 +70,7 @@ class SearchService extends EventEmitter {
       logger.info(`Search executed for user ${userId}: ${results.totalCount} results found`);
       
       // Process results
-      const processedResults = await this.processSearchResults(results, options);
+      const processedResults = await this.processSearchResults(results, { ...options, query });
       
       // Build response
       const searchResult = {
@@ -165,9 +165,9 @@ class SearchService extends EventEmitter {
     
     if (options.hasAttachments !== undefined) {
       if (options.hasAttachments) {
-        baseQuery['attachments.0'] = { $exists: true };
+        baseQuery['content.attachments.0'] = { $exists: true };
       } else {
-        baseQuery['attachments.0'] = { $exists: false };
+        baseQuery['content.attachments.0'] = { $exists: false };
       }
     }
     
@@ -281,17 +281,21 @@ class SearchService extends EventEmitter {
       'headers.subject': 1,
       'headers.date': 1,
       'headers.priority': 1,
-      'status.isRead': 1,
-      'status.isFlagged': 1,
-      'status.isSpam': 1,
-      'status.isImportant': 1,
-      'folder.name': 1,
-      'folder.path': 1,
+      'messageId': 1,
+      'flags.seen': 1,
+      'flags.flagged': 1,
+      'security.isSpam': 1,
+      'security.spamScore': 1,
+      'folder': 1,
       'content.totalSize': 1,
-      'attachments': 1,
+      'content.attachments._id': 1,
+      'content.attachments.filename': 1,
+      'content.attachments.contentType': 1,
+      'content.attachments.size': 1,
+      'content.attachments.text': 1,
       'analytics.sender.domain': 1,
-      'analytics.esp.provider': 1,
-      'analytics.security.securityScore': 1,
+      'analytics.esp': 1,
+      'metadata.tags': 1,
       'tags': 1,
       'labels': 1,
       'processing.isProcessed': 1,
@@ -329,31 +333,36 @@ class SearchService extends EventEmitter {
    * @returns {Promise<Object>} Processed results
    */
   async processSearchResults(results, options) {
-    const processedResults = results.results.map(email => ({
-      id: email._id,
-      messageId: email.messageId,
-      from: email.headers.from,
-      to: email.headers.to,
-      subject: email.headers.subject,
-      date: email.headers.date,
-      priority: email.headers.priority,
-      isRead: email.status.isRead,
-      isFlagged: email.status.isFlagged,
-      isSpam: email.status.isSpam,
-      isImportant: email.status.isImportant,
-      folder: email.folder,
-      size: email.content.totalSize,
-      hasAttachments: email.attachments && email.attachments.length > 0,
-      attachmentCount: email.attachments ? email.attachments.length : 0,
-      senderDomain: email.analytics.sender.domain,
-      espProvider: email.analytics.esp.provider,
-      securityScore: email.analytics.security.securityScore,
-      tags: email.tags || [],
-      labels: email.labels || [],
-      isProcessed: email.processing.isProcessed,
-      isIndexed: email.processing.isIndexed,
-      score: email.score || 0
-    }));
+    const terms = this.getQueryTerms(options.query);
+
+    const processedResults = results.results.map(email => {
+      const attachments = email.content?.attachments || [];
+      return {
+        id: email._id,
+        messageId: email.messageId,
+        from: email.headers.from,
+        to: email.headers.to,
+        subject: email.headers.subject,
+        date: email.headers.date,
+        priority: email.headers.priority,
+        isRead: email.flags?.seen || false,
+        isFlagged: email.flags?.flagged || false,
+        isSpam: email.security?.isSpam || false,
+        folder: email.folder,
+        size: email.content?.totalSize || 0,
+        hasAttachments: attachments.length > 0,
+        attachmentCount: attachments.length,
+        matchingAttachments: this.findAttachmentMatches(attachments, terms, options.highlight !== false),
+        senderDomain: email.analytics?.sender?.domain,
+        espProvider: email.analytics?.esp,
+        spamScore: email.security?.spamScore || 0,
+        tags: email.metadata?.tags || email.tags || [],
+        labels: email.labels || [],
+        isProcessed: email.processing?.isProcessed,
+        isIndexed: email.processing?.isIndexed,
+        score: email.score || 0
+      };
+    });
     
     // Generate facets
     const facets = await this.generateFacets(results.results, options);
@@ -368,6 +377,71 @@ class SearchService extends EventEmitter {
     };
   }
 
+  /**
+   * Split a search query into the terms to highlight
+   * Phrases in quotes stay together; negated terms (-word) are dropped
+   * @param {string} query - Search query
+   * @returns {Array<string>} Lowercased terms
+   */
+  getQueryTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+    while ((match = pattern.exec(query || '')) !== null) {
+      if (match[1] || match[3]) continue;
+      const term = (match[2] || match[4]).toLowerCase().trim();
+      if (term) terms.push(term);
+    }
+    return terms;
+  }
+
+  /**
+   * Find the attachments whose extracted text matches the query
+   * The text index stems words, so a term also matches words sharing its stem
+   * (e.g. "invoices" finds "invoice")
+   * @param {Array} attachments - Email attachments with their text
+   * @param {Array<string>} terms - Query terms
+   * @param {boolean} highlight - Include a snippet with highlight ranges
+   * @returns {Array<Object>} Matches ({ id, filename, contentType, size, hits, snippet, highlights })
+   */
+  findAttachmentMatches(attachments, terms, highlight) {
+    if (terms.length === 0) return [];
+
+    const alternatives = terms
+      .map(term => (term.includes(' ') || term.length <= 4 ? term : term.slice(0, Math.max(4, term.length - 2))))
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+    return attachments
+      .map(attachment => {
+        const matches = attachment.text ? [...attachment.text.matchAll(pattern)] : [];
+        if (matches.length === 0) return null;
+
+        const result = {
+          id: attachment._id,
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          size: attachment.size,
+          hits: matches.length
+        };
+
+        if (highlight) {
+          // Snippet around the first hit; highlight ranges are offsets within the snippet
+          const start = Math.max(0, matches[0].index - 80);
+          const end = Math.min(attachment.text.length, matches[0].index + matches[0][0].length + 120);
+          result.snippet = `${start > 0 ? '…' : ''}${attachment.text.slice(start, end)}${end < attachment.text.length ? '…' : ''}`;
+          const offset = start > 0 ? 1 - start : 0;
+          result.highlights = matches
+            .filter(match => match.index >= start && match.index + match[0].length <= end)
+            .map(match => ({ start: match.index + offset, end: match.index + match[0].length + offset }));
+        }
+
+        return result;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.hits - a.hits);
+  }
+
   /**
    * Generate search facets
    * @param {Array} results - Search results
@@ -0,0 +1,173 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const SyncJob = require('../models/SyncJob');
+const emailIngestionService = require('./emailIngestionService');
+const emailSyncService = require('./emailSyncService');
+const importService = require('./importService');
+const logger = require('../utils/logger');
+
+/**
+ * Sync Queue Service
+ * Durable job queue on top of the SyncJob collection. Pending jobs are claimed
+ * atomically with a lease that the owning process renews while the job runs;
+ * jobs whose lease expires (crashed or restarted process) are requeued, and
+ * failed attempts are retried with exponential backoff.
+ */
+class SyncQueueService extends EventEmitter {
+  constructor() {
+    super();
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.running = new Map(); // Jobs executing in this process by ID
+    this.timer = null;
+    this.polling = false;
+    this.concurrency = parseInt(process.env.SYNC_QUEUE_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.SYNC_QUEUE_POLL_INTERVAL) || 5000;
+    this.leaseDuration = parseInt(process.env.SYNC_QUEUE_LEASE_DURATION) || 60000; // 1 minute
+    this.heartbeatInterval = parseInt(process.env.SYNC_QUEUE_HEARTBEAT_INTERVAL) || 15000;
+  }
+
+  /**
+   * Recover abandoned jobs and start polling for work
+   */
+  async start() {
+    if (this.timer) return;
+
+    // Running jobs without a lease predate the queue and can only be leftovers
+    await this.recoverAbandoned(true);
+
+    this.timer = setInterval(() => {
+      this.recoverAbandoned()
+        .then(() => this.poll())
+        .catch((error) => {
+          logger.error('Sync queue poll failed:', error);
+        });
+    }, this.pollInterval);
+
+    logger.info(`Sync queue started (${this.owner}, concurrency ${this.concurrency})`);
+    await this.poll();
+  }
+
+  /**
+   * Stop polling; running jobs keep their lease until it expires
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    for (const entry of this.running.values()) {
+      clearInterval(entry.heartbeat);
+    }
+  }
+
+  /**
+   * Claim and run pending jobs up to the concurrency limit
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < this.concurrency) {
+        const job = await SyncJob.claimNext(this.owner, this.leaseDuration);
+        if (!job) break;
+        this.run(job);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run a claimed job while renewing its lease
+   * @param {Object} job - Claimed SyncJob document
+   */
+  run(job) {
+    const key = job._id.toString();
+    const entry = { job, heartbeat: null };
+
+    entry.heartbeat = setInterval(async () => {
+      try {
+        const owned = await job.heartbeat(this.owner, this.leaseDuration);
+        if (!owned) {
+          clearInterval(entry.heartbeat);
+          logger.warn(`Sync job ${key} lease lost (status changed or reclaimed)`);
+        }
+      } catch (error) {
+        logger.warn(`Sync job ${key} heartbeat failed: ${error.message}`);
+      }
+    }, this.heartbeatInterval);
+
+    this.running.set(key, entry);
+    this.emit('jobClaimed', { jobId: job._id, accountId: job.accountId });
+    logger.info(`Sync job ${key} claimed by ${this.owner} (attempt ${(job.error?.retryCount || 0) + 1})`);
+
+    // Migrations copy between servers, imports read uploaded archives; every
+    // other job ingests from the account's server into MongoDB
+    const execution = job.syncType === 'migration'
+      ? emailSyncService.runMigrationJob(job._id)
+      : job.syncType === 'import'
+        ? importService.runImportJob(job._id)
+        : emailIngestionService.runSyncJob(job._id);
+
+    execution
+      .catch((error) => {
+        logger.error(`Sync job ${key} attempt failed:`, error);
+      })
+      .finally(() => {
+        clearInterval(entry.heartbeat);
+        this.running.delete(key);
+        this.poll().catch((error) => {
+          logger.error('Sync queue poll failed:', error);
+        });
+      });
+  }
+
+  /**
+   * Requeue or fail running jobs whose lease expired
+   * @param {boolean} includeUnleased - Also recover running jobs without a lease
+   * @returns {Promise<number>} Number of recovered jobs
+   */
+  async recoverAbandoned(includeUnleased = false) {
+    const jobs = await SyncJob.findAbandonedJobs(includeUnleased);
+    let recovered = 0;
+
+    for (const job of jobs) {
+      if (this.running.has(job._id.toString())) continue;
+
+      // Take the lease so only one process recovers the job
+      const claimed = await SyncJob.findOneAndUpdate(
+        { _id: job._id, status: 'running', 'lease.expiresAt': job.lease.expiresAt },
+        { $set: { 'lease.owner': this.owner, 'lease.expiresAt': new Date(Date.now() + this.leaseDuration) } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      const error = new Error(`Sync job abandoned by ${job.lease.owner || 'unknown process'}`);
+      error.code = 'JOB_ABANDONED';
+      const retrying = await claimed.failOrRetry(error);
+
+      recovered++;
+      this.emit('jobRecovered', { jobId: job._id, retrying });
+      logger.warn(`Recovered abandoned sync job ${job._id} (${retrying ? 'requeued' : 'failed'})`);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Get queue status
+   * @returns {Object} Queue status
+   */
+  getStatus() {
+    return {
+      owner: this.owner,
+      concurrency: this.concurrency,
+      running: [...this.running.keys()]
+    };
+  }
+}
+
+// Create singleton instance
+const syncQueueService = new SyncQueueService();
+
+module.exports = syncQueueService;
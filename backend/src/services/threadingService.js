@@ -0,0 +1,353 @@
+const mongoose = require('mongoose');
+const Email = require('../models/Email');
+const logger = require('../utils/logger');
+const { scheduleTask } = require('../utils/cronTask');
+
+// Reply and forward prefixes in common mail clients and languages, e.g. "Re:", "Fwd[2]:", "AW:"
+const REPLY_PREFIX = /^\s*(?:(?:re|fw|fwd|aw|wg|sv|vs|antw|tr|rv|ref)\s*(?:\[\d+\]|\(\d+\))?\s*:|\[[^\]]*\])\s*/i;
+const MESSAGE_ID = /<[^<>\s]+>/g;
+
+/**
+ * Threading Service
+ * Groups a user's emails into conversations (JWZ-style). Messages are linked
+ * through Message-ID, In-Reply-To and References across folders and accounts;
+ * messages without usable references fall back to their normalized subject.
+ * A thread is identified by headers.threadId, and threads are merged when a
+ * message arrives that links them (e.g. a parent stored after its replies).
+ */
+class ThreadingService {
+  constructor() {
+    this.subjectWindow = (parseInt(process.env.THREAD_SUBJECT_WINDOW_DAYS) || 30) * 24 * 60 * 60000;
+    this.batchSize = parseInt(process.env.THREAD_BATCH_SIZE) || 500;
+    this.expression = process.env.THREAD_CRON || '* * * * *'; // Every minute
+    this.task = null;
+  }
+
+  /**
+   * Start threading pending emails periodically
+   */
+  start() {
+    if (this.task) return;
+
+    this.task = scheduleTask('Email threading', this.expression, () => this.threadPending());
+    logger.info(`Email threading started (${this.expression})`);
+  }
+
+  /**
+   * Stop threading pending emails
+   */
+  stop() {
+    if (!this.task) return;
+
+    this.task.stop();
+    this.task = null;
+  }
+
+  /**
+   * Assign a thread to an email document before it is stored
+   * Sets headers.threadId and headers.threadSubject, merging existing threads
+   * the message links together
+   * @param {Object} document - Email document fields (see emailParserService.toEmailDocument)
+   * @returns {Promise<string>} Thread ID
+   */
+  async assignThread(document) {
+    const headers = document.headers;
+    const messageId = document.messageId;
+    const references = this.getReferences(headers);
+    headers.threadSubject = this.normalizeSubject(headers.subject);
+
+    // Parents and copies we already have, and replies that arrived before this message
+    const related = await Email.find({
+      userId: document.userId,
+      'headers.threadId': { $ne: null },
+      $or: [
+        { messageId: { $in: [...references, messageId] } },
+        { 'headers.references': messageId },
+        { 'headers.inReplyTo': messageId }
+      ]
+    }).select('headers.threadId').lean();
+
+    let threadIds = [...new Set(related.map(email => email.headers.threadId))];
+    if (threadIds.length === 0) {
+      threadIds = await this.findBySubject(document, references.length > 0);
+    }
+
+    headers.threadId = threadIds.length > 0
+      ? await this.mergeThreads(document.userId, threadIds)
+      : new mongoose.Types.ObjectId().toString();
+
+    return headers.threadId;
+  }
+
+  /**
+   * Find threads to join by normalized subject
+   * Only replies and forwards join a thread this way, or originals whose
+   * replies are already stored, so unrelated mails with the same subject
+   * (e.g. recurring notifications) stay apart
+   * @param {Object} document - Email document fields
+   * @param {boolean} hasReferences - Whether the message names parents (that are not stored yet)
+   * @returns {Promise<Array<string>>} Thread IDs (at most one)
+   */
+  async findBySubject(document, hasReferences) {
+    const { threadSubject, subject, date } = document.headers;
+    if (!threadSubject) return [];
+
+    const time = new Date(date || Date.now()).getTime();
+    const isReply = hasReferences || this.isReplySubject(subject);
+
+    const candidates = await Email.find({
+      userId: document.userId,
+      'headers.threadSubject': threadSubject,
+      'headers.threadId': { $ne: null },
+      'headers.date': { $gte: new Date(time - this.subjectWindow), $lte: new Date(time + this.subjectWindow) }
+    })
+      .select('headers.subject headers.date headers.threadId headers.inReplyTo headers.references')
+      .sort({ 'headers.date': -1 })
+      .limit(50)
+      .lean();
+
+    const match = candidates
+      .filter(candidate => isReply || this.isReplySubject(candidate.headers.subject) || this.getReferences(candidate.headers).length > 0)
+      .sort((a, b) => Math.abs(a.headers.date - time) - Math.abs(b.headers.date - time))[0];
+
+    return match ? [match.headers.threadId] : [];
+  }
+
+  /**
+   * Merge threads into the one with the oldest message
+   * @param {string} userId - Owner user ID
+   * @param {Array<string>} threadIds - Threads to merge
+   * @returns {Promise<string>} Surviving thread ID
+   */
+  async mergeThreads(userId, threadIds) {
+    if (threadIds.length === 1) return threadIds[0];
+
+    const oldest = await Email.findOne({ userId, 'headers.threadId': { $in: threadIds } })
+      .sort({ 'headers.date': 1 })
+      .select('headers.threadId')
+      .lean();
+    const threadId = oldest ? oldest.headers.threadId : threadIds[0];
+
+    const result = await Email.updateMany(
+      { userId, 'headers.threadId': { $in: threadIds.filter(id => id !== threadId) } },
+      { $set: { 'headers.threadId': threadId } }
+    );
+    logger.debug(`Merged ${threadIds.length} threads into ${threadId} (${result.modifiedCount} emails)`);
+
+    return threadId;
+  }
+
+  /**
+   * Thread stored emails that have no thread yet (stored before threading existed,
+   * or whose threading failed)
+   * Oldest first, so parents are usually threaded before their replies
+   * @returns {Promise<number>} Number of threaded emails
+   */
+  async threadPending() {
+    const emails = await Email.find({ 'headers.threadId': null })
+      .sort({ 'headers.date': 1 })
+      .limit(this.batchSize)
+      .select('userId messageId headers.subject headers.date headers.inReplyTo headers.references')
+      .lean();
+
+    for (const email of emails) {
+      await this.assignThread(email);
+      await Email.updateOne(
+        { _id: email._id },
+        { $set: { 'headers.threadId': email.headers.threadId, 'headers.threadSubject': email.headers.threadSubject } }
+      );
+    }
+
+    return emails.length;
+  }
+
+  /**
+   * List a user's conversations, most recent activity first
+   * Counts always cover the whole thread, even when the filters match only part of it
+   * @param {string} userId - Owner user ID
+   * @param {Object} options - accountId, folder, unreadOnly, page, limit
+   * @returns {Promise<Object>} { threads, totalCount }
+   */
+  async getThreads(userId, { accountId, folder, unreadOnly = false, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    if (accountId) conditions.push({ $eq: ['$emailAccountId', new mongoose.Types.ObjectId(accountId)] });
+    if (folder) conditions.push({ $eq: ['$folder', folder] });
+
+    const [result] = await Email.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId), 'headers.threadId': { $ne: null } } },
+      { $sort: { 'headers.date': 1 } },
+      {
+        $group: {
+          _id: '$headers.threadId',
+          matched: { $max: conditions.length > 0 ? { $and: conditions } : true },
+          subject: { $first: '$headers.subject' },
+          firstDate: { $min: '$headers.date' },
+          lastDate: { $max: '$headers.date' },
+          messageIds: { $addToSet: '$messageId' },
+          unreadIds: { $addToSet: { $cond: ['$flags.seen', null, '$messageId'] } },
+          senders: { $addToSet: '$headers.from' },
+          recipients: { $push: { $concatArrays: [{ $ifNull: ['$headers.to', []] }, { $ifNull: ['$headers.cc', []] }] } },
+          accountIds: { $addToSet: '$emailAccountId' },
+          folders: { $addToSet: '$folder' },
+          hasAttachments: { $max: { $gt: [{ $size: { $ifNull: ['$content.attachments', []] } }, 0] } },
+          isFlagged: { $max: '$flags.flagged' },
+          latest: { $last: { _id: '$_id', from: '$headers.from', subject: '$headers.subject', date: '$headers.date' } }
+        }
+      },
+      { $match: { matched: true } },
+      {
+        $project: {
+          _id: 0,
+          threadId: '$_id',
+          subject: 1,
+          firstDate: 1,
+          lastDate: 1,
+          messageCount: { $size: '$messageIds' },
+          unreadCount: { $size: { $setDifference: ['$unreadIds', [null]] } },
+          senders: 1,
+          recipients: { $reduce: { input: '$recipients', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } },
+          accountIds: 1,
+          folders: 1,
+          hasAttachments: 1,
+          isFlagged: 1,
+          latest: 1
+        }
+      },
+      ...(unreadOnly ? [{ $match: { unreadCount: { $gt: 0 } } }] : []),
+      {
+        $facet: {
+          threads: [
+            { $sort: { lastDate: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).allowDiskUse(true);
+
+    const threads = result.threads.map(({ senders, recipients, ...thread }) => ({
+      ...thread,
+      participants: this.toParticipants([...senders, ...recipients])
+    }));
+
+    return { threads, totalCount: result.total.length > 0 ? result.total[0].count : 0 };
+  }
+
+  /**
+   * Get a conversation with all its messages, oldest first
+   * Each message names its parent within the thread (parentMessageId), so a
+   * parent that arrived after its replies takes its place in the tree.
+   * Raw HTML bodies are left out; clients render them via GET /api/emails/:id/render
+   * @param {string} userId - Owner user ID
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Object|null>} Thread, or null when the user has no such thread
+   */
+  async getThread(userId, threadId) {
+    const emails = await Email.find({ userId, 'headers.threadId': threadId })
+      .sort({ 'headers.date': 1 })
+      .select('-content.attachments.data -content.html')
+      .populate('emailAccountId', 'name email')
+      .lean();
+
+    if (emails.length === 0) return null;
+
+    const messageIds = new Set(emails.map(email => email.messageId));
+    const unread = new Set(emails.filter(email => !email.flags.seen).map(email => email.messageId));
+
+    const messages = emails.map(email => {
+      const parents = [...this.extractIds(email.headers.inReplyTo), ...[...(email.headers.references || [])].reverse()];
+      const parentMessageId = parents.find(id => id !== email.messageId && messageIds.has(id)) || null;
+      return { ...email, parentMessageId };
+    });
+
+    const participants = emails.flatMap(email => [email.headers.from, ...(email.headers.to || []), ...(email.headers.cc || [])]);
+
+    return {
+      threadId,
+      subject: emails[0].headers.subject,
+      firstDate: emails[0].headers.date,
+      lastDate: emails[emails.length - 1].headers.date,
+      messageCount: messageIds.size,
+      unreadCount: unread.size,
+      participants: this.toParticipants(participants),
+      folders: [...new Set(emails.map(email => email.folder))],
+      messages
+    };
+  }
+
+  /**
+   * Message IDs an email refers to (References, then In-Reply-To)
+   * @param {Object} headers - Email headers
+   * @returns {Array<string>} Message IDs
+   */
+  getReferences(headers) {
+    const ids = [
+      ...(headers.references || []).flatMap(reference => this.extractIds(reference)),
+      ...this.extractIds(headers.inReplyTo)
+    ];
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Extract "<id>" tokens from a header value
+   * @param {string} value - Header value
+   * @returns {Array<string>} Message IDs
+   */
+  extractIds(value) {
+    return value ? String(value).match(MESSAGE_ID) || [] : [];
+  }
+
+  /**
+   * Normalize a subject for thread matching
+   * Strips reply/forward prefixes and list tags, then folds case and whitespace
+   * @param {string} subject - Subject
+   * @returns {string|null} Normalized subject, or null when nothing meaningful is left
+   */
+  normalizeSubject(subject) {
+    let value = subject || '';
+    let previous;
+    do {
+      previous = value;
+      value = value.replace(REPLY_PREFIX, '');
+    } while (value !== previous);
+
+    value = value.replace(/\s+/g, ' ').trim().toLowerCase();
+    return value && value !== '(no subject)' ? value : null;
+  }
+
+  /**
+   * Whether a subject carries a reply or forward prefix
+   * @param {string} subject - Subject
+   * @returns {boolean} Reply subject
+   */
+  isReplySubject(subject) {
+    return /^\s*(?:\[[^\]]*\]\s*)*(?:re|fw|fwd|aw|wg|sv|vs|antw|tr|rv|ref)\s*(?:\[\d+\]|\(\d+\))?\s*:/i.test(subject || '');
+  }
+
+  /**
+   * Turn formatted addresses into unique participants
+   * @param {Array<string>} addresses - Addresses ("Name <address>" or "address")
+   * @returns {Array<Object>} Participants ({ name, email })
+   */
+  toParticipants(addresses) {
+    const participants = new Map();
+
+    for (const address of addresses) {
+      if (!address) continue;
+      const match = address.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+      const email = (match ? match[2] : address).trim().toLowerCase();
+      const name = match ? match[1].trim() : '';
+
+      if (!participants.has(email) || (!participants.get(email).name && name)) {
+        participants.set(email, { name: name || null, email });
+      }
+    }
+
+    return [...participants.values()];
+  }
+}
+
+const threadingService = new ThreadingService();
+
+module.exports = threadingService;
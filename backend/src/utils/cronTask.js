@@ -0,0 +1,28 @@
+const cron = require('node-cron');
+const logger = require('./logger');
+
+/**
+ * Schedule periodic background work on its own cron task
+ * Services own their periodic work this way instead of running it from the
+ * sync scheduler's tick. A run is skipped while the previous one is still in
+ * progress, and failures are logged.
+ * @param {string} name - Task name used in logs
+ * @param {string} expression - Cron expression
+ * @param {Function} handler - Async function run on every tick
+ * @returns {Object} node-cron task; call stop() to cancel it
+ */
+const scheduleTask = (name, expression, handler) => {
+  if (!cron.validate(expression)) {
+    throw new Error(`Invalid cron expression for ${name}: ${expression}`);
+  }
+
+  return cron.schedule(expression, async () => {
+    try {
+      await handler();
+    } catch (error) {
+      logger.error(`${name} failed:`, error);
+    }
+  }, { name, noOverlap: true });
+};
+
+module.exports = { scheduleTask };
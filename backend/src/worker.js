@@ -0,0 +1,46 @@
+require('dotenv').config();
+const { connectDB } = require('./config/database');
+const schedulerService = require('./services/schedulerService');
+const syncQueueService = require('./services/syncQueueService');
+const importService = require('./services/importService');
+const threadingService = require('./services/threadingService');
+const attachmentTextService = require('./services/attachmentTextService');
+
+// Graceful shutdown
+const gracefulShutdown = () => {
+  console.log('🔄 Shutting down worker gracefully...');
+  schedulerService.stop();
+  importService.stop();
+  threadingService.stop();
+  attachmentTextService.stop();
+  syncQueueService.stop();
+  process.exit(0);
+};
+
+// Handle shutdown signals
+process.on('SIGTERM', gracefulShutdown);
+process.on('SIGINT', gracefulShutdown);
+
+// Start worker
+const startWorker = async () => {
+  try {
+    // Connect to database
+    await connectDB();
+
+    // Queue scheduled sync jobs and execute them alongside the API server
+    await syncQueueService.start();
+    schedulerService.start();
+
+    // Background tasks follow the scheduler
+    importService.start();
+    threadingService.start();
+    attachmentTextService.start();
+    console.log('⏰ Sync worker running');
+  } catch (error) {
+    console.error('❌ Failed to start worker:', error);
+    process.exit(1);
+  }
+};
+
+// Start the worker
+startWorker();
@@ -0,0 +1,159 @@
+/**
+ * Copy plain objects and arrays; other values (ObjectIds, dates) are shared
+ * @param {*} value - Value
+ * @returns {*} Copy
+ */
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+};
+
+/**
+ * In-memory stand-in for a MongoDB driver collection
+ * Supports the filters and updates the reference-counting services use:
+ * equality, $ne, $lt, $lte and $in filters on (dotted) paths, and $inc, $set
+ * and $unset updates. Every call yields to the event loop first, so concurrent
+ * callers interleave the way they do against a real server.
+ */
+class MemoryCollection {
+  constructor(documents = []) {
+    this.documents = documents.map(clone);
+  }
+
+  /**
+   * Read a dotted path
+   * @param {Object} document - Document
+   * @param {string} path - Dotted path
+   * @returns {*} Value
+   */
+  static get(document, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), document);
+  }
+
+  /**
+   * Write a dotted path
+   * @param {Object} document - Document
+   * @param {string} path - Dotted path
+   * @param {*} value - Value; undefined removes the field
+   */
+  static set(document, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+      if (target[key] == null) target[key] = {};
+      return target[key];
+    }, document);
+    if (value === undefined) {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+
+  /**
+   * Whether a document matches a filter
+   * @param {Object} document - Document
+   * @param {Object} filter - Filter
+   * @returns {boolean} Match
+   */
+  static matches(document, filter) {
+    return Object.entries(filter).every(([path, condition]) => {
+      const value = MemoryCollection.get(document, path);
+      if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return String(value) === String(condition);
+      }
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case '$ne': return value !== operand;
+          case '$lt': return value !== undefined && value < operand;
+          case '$lte': return value !== undefined && value <= operand;
+          case '$in': return operand.some(candidate => String(candidate) === String(value));
+          default: throw new Error(`Unsupported operator ${operator}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Apply an update to a document
+   * @param {Object} document - Document
+   * @param {Object} update - Update
+   */
+  static apply(document, update) {
+    for (const [path, amount] of Object.entries(update.$inc || {})) {
+      MemoryCollection.set(document, path, (MemoryCollection.get(document, path) || 0) + amount);
+    }
+    for (const [path, value] of Object.entries(update.$set || {})) {
+      MemoryCollection.set(document, path, value);
+    }
+    for (const path of Object.keys(update.$unset || {})) {
+      MemoryCollection.set(document, path, undefined);
+    }
+  }
+
+  async tick() {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  find(filter) {
+    return this.documents.filter(document => MemoryCollection.matches(document, filter));
+  }
+
+  async findOne(filter) {
+    await this.tick();
+    const [document] = this.find(filter);
+    return document ? clone(document) : null;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await this.tick();
+    const [document] = this.find(filter);
+    if (!document) return null;
+
+    const before = clone(document);
+    MemoryCollection.apply(document, update);
+    return clone(options.returnDocument === 'after' ? document : before);
+  }
+
+  async updateOne(filter, update) {
+    await this.tick();
+    const [document] = this.find(filter);
+    if (document) MemoryCollection.apply(document, update);
+    return { matchedCount: document ? 1 : 0, modifiedCount: document ? 1 : 0 };
+  }
+
+  async insertOne(document) {
+    await this.tick();
+    if (this.documents.some(existing => String(existing._id) === String(document._id))) {
+      const error = new Error('E11000 duplicate key error');
+      error.code = 11000;
+      throw error;
+    }
+    this.documents.push(clone(document));
+    return { insertedId: document._id };
+  }
+
+  async deleteOne(filter) {
+    await this.tick();
+    const [document] = this.find(filter);
+    if (document) this.documents.splice(this.documents.indexOf(document), 1);
+    return { deletedCount: document ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    await this.tick();
+    const matched = this.find(filter);
+    this.documents = this.documents.filter(document => !matched.includes(document));
+    return { deletedCount: matched.length };
+  }
+
+  async countDocuments(filter) {
+    await this.tick();
+    return this.find(filter).length;
+  }
+}
+
+module.exports = { MemoryCollection };
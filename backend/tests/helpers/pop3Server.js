@@ -0,0 +1,92 @@
+const net = require('net');
+
+/**
+ * Minimal POP3 server for tests
+ * Serves a fixed mailbox, records every command and the messages marked for
+ * deletion, and can split responses into small writes to exercise buffering.
+ * @param {Object} options - messages: [{ uidl, raw }]; chunkSize: bytes per write (0 = whole response)
+ * @returns {Promise<Object>} { port, commands, deleted, close }
+ */
+const startPop3Server = async ({ messages = [], chunkSize = 0 } = {}) => {
+  const commands = [];
+  const deleted = [];
+  const sockets = new Set();
+
+  const send = async (socket, data) => {
+    const buffer = Buffer.from(data);
+    if (!chunkSize) {
+      socket.write(buffer);
+      return;
+    }
+    for (let start = 0; start < buffer.length; start += chunkSize) {
+      socket.write(buffer.subarray(start, start + chunkSize));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  // Dot-stuff a message and terminate it (RFC 1939 section 3)
+  const block = (raw) => {
+    const text = raw.toString('latin1');
+    return Buffer.from(`${text.replace(/(^|\r\n)\./g, '$1..')}${text.endsWith('\r\n') ? '' : '\r\n'}.\r\n`, 'latin1');
+  };
+
+  const handle = async (socket, line) => {
+    commands.push(line);
+    const [command, argument] = line.split(' ');
+    const message = messages[parseInt(argument) - 1];
+
+    switch (command.toUpperCase()) {
+      case 'USER':
+      case 'PASS':
+      case 'AUTH':
+        return send(socket, '+OK\r\n');
+      case 'UIDL': {
+        const listing = messages.map((entry, index) => `${index + 1} ${entry.uidl}\r\n`).join('');
+        return send(socket, `+OK\r\n${listing}.\r\n`);
+      }
+      case 'RETR':
+        if (!message) return send(socket, '-ERR no such message\r\n');
+        return send(socket, Buffer.concat([Buffer.from('+OK\r\n'), block(Buffer.from(message.raw))]));
+      case 'DELE':
+        deleted.push(parseInt(argument));
+        return send(socket, '+OK\r\n');
+      case 'QUIT':
+        await send(socket, '+OK bye\r\n');
+        return socket.end();
+      default:
+        return send(socket, '-ERR unknown command\r\n');
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = '';
+    let queue = Promise.resolve();
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('latin1');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        queue = queue.then(() => handle(socket, line));
+      }
+    });
+    socket.write('+OK POP3 ready\r\n');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    deleted,
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = { startPop3Server };
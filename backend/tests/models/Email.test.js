@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Email = require('../../src/models/Email');
+const attachmentStorageService = require('../../src/services/attachmentStorageService');
+const rawMessageService = require('../../src/services/rawMessageService');
+const logger = require('../../src/utils/logger');
+
+describe('Email delete hooks', () => {
+  let emails;
+  let releaseAttachments;
+  let releaseRaw;
+
+  beforeEach(() => {
+    emails = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        content: { attachments: [{ storageId: 'file-1' }, {}] },
+        raw: { sha256: 'raw-1' }
+      },
+      {
+        _id: new mongoose.Types.ObjectId(),
+        content: { attachments: [{ storageId: 'file-1' }] }
+      }
+    ];
+
+    const lean = () => Object.assign(Promise.resolve(emails), { findOne: async () => emails[0] });
+    jest.spyOn(Email, 'find').mockReturnValue({ select: () => ({ lean }) });
+    releaseAttachments = jest.spyOn(attachmentStorageService, 'releaseQuietly').mockResolvedValue();
+    releaseRaw = jest.spyOn(rawMessageService, 'releaseQuietly').mockResolvedValue();
+    jest.spyOn(logger, 'warn').mockReturnValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('releases the references of every deleted email', async () => {
+    const deleteMany = jest.spyOn(Email.collection, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+    await Email.deleteMany({ folder: 'Trash' });
+
+    // Only the collected emails are deleted
+    expect(deleteMany.mock.calls[0][0]).toEqual({ folder: 'Trash', _id: { $in: emails.map(email => email._id) } });
+    expect(releaseAttachments).toHaveBeenCalledWith(['file-1', 'file-1']);
+    expect(releaseRaw).toHaveBeenCalledWith(['raw-1']);
+  });
+
+  test('releases the references of a single deleted email', async () => {
+    jest.spyOn(Email.collection, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await Email.deleteOne({ _id: emails[0]._id });
+
+    expect(releaseAttachments).toHaveBeenCalledWith(['file-1']);
+    expect(releaseRaw).toHaveBeenCalledWith(['raw-1']);
+  });
+
+  test('keeps the references when a concurrent delete removed some emails first', async () => {
+    jest.spyOn(Email.collection, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await Email.deleteMany({ folder: 'Trash' });
+
+    expect(releaseAttachments).not.toHaveBeenCalled();
+    expect(releaseRaw).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('does nothing when no email matched', async () => {
+    emails = [];
+    jest.spyOn(Email.collection, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    await Email.deleteMany({ folder: 'Trash' });
+
+    expect(releaseAttachments).not.toHaveBeenCalled();
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+const attachmentStorageService = require('../../src/services/attachmentStorageService');
+const { MemoryCollection } = require('../helpers/memoryCollection');
+
+describe('attachmentStorageService reference counting', () => {
+  let files;
+  let chunks;
+
+  beforeEach(() => {
+    files = new MemoryCollection([{ _id: 'file-1', metadata: { sha256: 'abc', refCount: 1 } }]);
+    chunks = new MemoryCollection([{ _id: 'chunk-1', files_id: 'file-1' }, { _id: 'chunk-2', files_id: 'file-2' }]);
+    jest.spyOn(attachmentStorageService, 'getFiles').mockReturnValue(files);
+    jest.spyOn(attachmentStorageService, 'getChunks').mockReturnValue(chunks);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('deletes a file and its chunks when the last reference goes', async () => {
+    await attachmentStorageService.retain(['file-1']);
+
+    await expect(attachmentStorageService.release(['file-1'])).resolves.toBe(0);
+    expect(files.documents[0].metadata.refCount).toBe(1);
+
+    await expect(attachmentStorageService.release(['file-1', 'missing'])).resolves.toBe(1);
+    expect(files.documents).toEqual([]);
+    expect(chunks.documents).toEqual([{ _id: 'chunk-2', files_id: 'file-2' }]);
+  });
+
+  test('deletes a shared file once when its references are released concurrently', async () => {
+    await attachmentStorageService.retain(['file-1']);
+
+    const deleted = await Promise.all([
+      attachmentStorageService.release(['file-1']),
+      attachmentStorageService.release(['file-1'])
+    ]);
+
+    expect(deleted.sort()).toEqual([0, 1]);
+    expect(files.documents).toEqual([]);
+  });
+});
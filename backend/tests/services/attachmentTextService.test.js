@@ -0,0 +1,44 @@
+const cron = require('node-cron');
+const Email = require('../../src/models/Email');
+const attachmentTextService = require('../../src/services/attachmentTextService');
+
+/**
+ * Resolve a chained query such as find().sort().limit().select()
+ */
+function chain(result) {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+}
+
+describe('attachmentTextService.indexPending', () => {
+  afterEach(() => {
+    attachmentTextService.stop();
+    jest.restoreAllMocks();
+  });
+
+  test('extracts attachment text on its own cron task', async () => {
+    const schedule = jest.spyOn(cron, 'schedule').mockImplementation(() => ({ stop: jest.fn() }));
+    const updateMany = jest.spyOn(Email, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const email = {
+      content: { attachments: [{ filename: 'notes.txt', contentType: 'text/plain', data: Buffer.from('Quarterly  numbers\n') }] },
+      markAsIndexed: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(Email, 'find').mockReturnValue(chain([email]));
+    const indexPending = jest.spyOn(attachmentTextService, 'indexPending');
+
+    attachmentTextService.start();
+    expect(schedule.mock.calls[0][0]).toBe(attachmentTextService.expression);
+    await schedule.mock.calls[0][1]();
+
+    // Emails without attachments are marked indexed without being loaded
+    expect(updateMany.mock.calls[0][0]).toEqual({ 'processing.isIndexed': false, 'content.attachments.0': { $exists: false } });
+    await expect(indexPending.mock.results[0].value).resolves.toBe(3);
+    expect(email.content.attachments[0]).toMatchObject({ text: 'Quarterly numbers', textStatus: 'extracted' });
+    expect(email.markAsIndexed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,385 @@
+const mongoose = require('mongoose');
+const Email = require('../../src/models/Email');
+const EmailAccount = require('../../src/models/EmailAccount');
+const FolderState = require('../../src/models/FolderState');
+const SyncJob = require('../../src/models/SyncJob');
+const emailIngestionService = require('../../src/services/emailIngestionService');
+const flagSyncService = require('../../src/services/flagSyncService');
+const imapService = require('../../src/services/imapService');
+const { startPop3Server } = require('../helpers/pop3Server');
+
+/**
+ * Build a raw test message
+ * @param {string} subject - Subject
+ * @returns {string} Raw message
+ */
+const message = subject => `From: sender@example.com\r\nSubject: ${subject}\r\n\r\nBody\r\n`;
+
+/**
+ * Build a duplicate key error as thrown by MongoDB
+ * @param {Object} keyPattern - Index keys
+ * @returns {Error} Error
+ */
+const duplicateKey = (keyPattern) => {
+  const error = new Error('E11000 duplicate key error');
+  error.code = 11000;
+  error.keyPattern = keyPattern;
+  return error;
+};
+
+describe('emailIngestionService.syncFolder', () => {
+  let account;
+  let job;
+  let stats;
+  let state;
+  let box;
+  let searchUids;
+  let processBatch;
+  let checkControl;
+
+  beforeEach(() => {
+    account = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com' };
+    job = new SyncJob({ syncType: 'incremental', options: { batchSize: 10 } });
+    job.save = jest.fn().mockResolvedValue(job);
+    stats = { emailsSynced: 0, emailsSkipped: 0, emailsFailed: 0, bytesTransferred: 0, foldersProcessed: 0 };
+    state = new FolderState({ emailAccountId: account._id, folder: 'INBOX', uidValidity: 100, highestUid: 5, uidNext: 6, messageCount: 5 });
+    state.save = jest.fn().mockResolvedValue(state);
+    box = { uidvalidity: 100, uidnext: 8, messages: { total: 7 } };
+
+    jest.spyOn(emailIngestionService, 'openBox').mockImplementation(async () => box);
+    jest.spyOn(FolderState, 'findOrCreate').mockResolvedValue(state);
+    jest.spyOn(Email, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Email, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    searchUids = jest.spyOn(emailIngestionService, 'searchUids').mockResolvedValue([]);
+    processBatch = jest.spyOn(emailIngestionService, 'processBatch').mockResolvedValue([]);
+    checkControl = jest.spyOn(emailIngestionService, 'checkControl').mockResolvedValue();
+    jest.spyOn(flagSyncService, 'pullFlagChanges').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fetches only UIDs above the stored high-water mark', async () => {
+    // "6:*" also matches the last message when nothing is newer
+    searchUids.mockResolvedValue([5, 6, 7]);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(searchUids).toHaveBeenCalledWith({}, [['UID', '6:*']]);
+    expect(processBatch.mock.calls[0][4]).toEqual([6, 7]);
+    expect(state.highestUid).toBe(7);
+    expect(Email.deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('does not search when UIDNEXT shows nothing new', async () => {
+    box.uidnext = 6;
+    box.messages.total = 5;
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(searchUids).not.toHaveBeenCalled();
+    expect(processBatch).not.toHaveBeenCalled();
+    expect(state.save).toHaveBeenCalled();
+  });
+
+  test('removes stored emails expunged from the server', async () => {
+    // Two messages appended (6, 7) but only six left: something was expunged
+    box.messages.total = 6;
+    searchUids.mockImplementation(async (imap, criteria) => (criteria[0] === 'ALL' ? [1, 2, 4, 5, 6, 7] : [5, 6, 7]));
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(Email.deleteMany).toHaveBeenCalledWith({
+      emailAccountId: account._id,
+      folder: 'INBOX',
+      uid: { $nin: [1, 2, 4, 5, 6, 7] }
+    });
+    expect(state).toMatchObject({ uidNext: 8, messageCount: 6 });
+  });
+
+  test('reuses the UIDs of a full sync to remove expunged emails', async () => {
+    job.syncType = 'full';
+    searchUids.mockResolvedValue([1, 2, 3]);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(searchUids).toHaveBeenCalledTimes(1);
+    expect(Email.deleteMany).toHaveBeenCalledWith({ emailAccountId: account._id, folder: 'INBOX', uid: { $nin: [1, 2, 3] } });
+  });
+
+  test('drops stored emails and resyncs the folder when UIDVALIDITY changes', async () => {
+    box.uidvalidity = 200;
+    searchUids.mockResolvedValue([1, 2, 3]);
+    const invalidated = jest.fn();
+    emailIngestionService.once('folderInvalidated', invalidated);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(Email.deleteMany).toHaveBeenCalledWith({ emailAccountId: account._id, folder: 'INBOX' });
+    expect(invalidated).toHaveBeenCalledWith({ accountId: account._id, folder: 'INBOX', uidValidity: 200 });
+    expect(searchUids).toHaveBeenCalledWith({}, ['ALL']);
+    expect(processBatch.mock.calls[0][4]).toEqual([1, 2, 3]);
+    expect(state).toMatchObject({ uidValidity: 200, highestUid: 3, uidValidityChanges: 1 });
+  });
+
+  test('resumes after the last checkpointed UID', async () => {
+    job.recordCheckpoint('INBOX', { uidValidity: 100, lastUid: 6, completed: false });
+    job.progress.totalEmails = 3;
+    searchUids.mockResolvedValue([6, 7, 8]);
+    box.uidnext = 9;
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(processBatch.mock.calls[0][4]).toEqual([7, 8]);
+    expect(job.progress.totalEmails).toBe(3);
+    expect(job.getCheckpoint('INBOX').lastUid).toBe(8);
+  });
+
+  test('restarts the folder when the checkpoint has a stale UIDVALIDITY', async () => {
+    job.recordCheckpoint('INBOX', { uidValidity: 99, lastUid: 6, completed: false });
+    searchUids.mockResolvedValue([6, 7]);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(processBatch.mock.calls[0][4]).toEqual([6, 7]);
+    expect(job.getCheckpoint('INBOX')).toMatchObject({ uidValidity: 100, lastUid: 7 });
+  });
+
+  test('stops at a batch boundary when paused and keeps the checkpoint', async () => {
+    job.options.batchSize = 1;
+    searchUids.mockResolvedValue([6, 7, 8]);
+    box.uidnext = 9;
+    const paused = Object.assign(new Error('paused'), { code: 'JOB_PAUSED' });
+    checkControl.mockResolvedValueOnce().mockRejectedValueOnce(paused);
+
+    await expect(emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats)).rejects.toBe(paused);
+
+    expect(processBatch).toHaveBeenCalledTimes(1);
+    expect(job.getCheckpoint('INBOX')).toMatchObject({ lastUid: 6, completed: false });
+  });
+
+  test('caps a full sync oldest first and keeps the mark below the deferred messages', async () => {
+    job.syncType = 'full';
+    job.options.maxEmailsPerSync = 3;
+    state.highestUid = 0;
+    searchUids.mockResolvedValue([1, 2, 3, 4, 5, 6, 7, 8]);
+    Email.distinct.mockResolvedValue([1, 2, 4]);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(processBatch.mock.calls[0][4]).toEqual([3, 5, 6]);
+    expect(state.highestUid).toBe(6);
+  });
+
+  test('records messages that fail to store and still advances past them', async () => {
+    searchUids.mockResolvedValue([6, 7]);
+    processBatch.mockResolvedValue([{ uid: 6, error: new Error('parse failed') }]);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(state.failedUids.map(failed => failed.toObject())).toEqual([
+      expect.objectContaining({ uid: 6, attempts: 1, lastError: 'parse failed' })
+    ]);
+    expect(state.highestUid).toBe(7);
+  });
+
+  test('retries recorded failures before fetching new messages', async () => {
+    box.uidnext = 6;
+    state.recordFailedUids([{ uid: 2, error: new Error('timeout') }, { uid: 3, error: new Error('timeout') }]);
+    state.recordFailedUids([{ uid: 4, error: new Error('timeout') }]);
+    state.failedUids.find(failed => failed.uid === 4).attempts = emailIngestionService.maxMessageAttempts;
+    processBatch.mockResolvedValue([{ uid: 3, error: new Error('still broken') }]);
+
+    await emailIngestionService.syncFolder(job, account, {}, 'INBOX', stats);
+
+    expect(processBatch).toHaveBeenCalledTimes(1);
+    expect(processBatch.mock.calls[0][4]).toEqual([2, 3]);
+    expect(state.failedUids.map(failed => [failed.uid, failed.attempts])).toEqual([[3, 2], [4, emailIngestionService.maxMessageAttempts]]);
+  });
+});
+
+describe('emailIngestionService.syncImapFolders', () => {
+  let job;
+  let account;
+  let stats;
+  let syncFolder;
+
+  beforeEach(() => {
+    job = new SyncJob({ syncType: 'incremental', folders: ['INBOX', 'Sent'] });
+    job.save = jest.fn().mockResolvedValue(job);
+    account = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com', syncConfig: {}, getImapConfig: () => ({}) };
+    stats = { emailsSynced: 0, emailsSkipped: 0, emailsFailed: 0, bytesTransferred: 0, foldersProcessed: 0 };
+
+    jest.spyOn(imapService, 'getConnection').mockResolvedValue({ imap: {} });
+    jest.spyOn(emailIngestionService, 'checkControl').mockResolvedValue();
+    syncFolder = jest.spyOn(emailIngestionService, 'syncFolder').mockResolvedValue({ total: 1, fetched: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns failed folders without counting them as processed', async () => {
+    syncFolder.mockImplementation(async (job, account, imap, folder) => {
+      if (folder === 'Sent') throw new Error('Mailbox does not exist');
+      return { total: 1, fetched: 1 };
+    });
+
+    const failed = await emailIngestionService.syncImapFolders(job, account, 'ingest', stats);
+
+    expect(failed).toEqual(['Sent']);
+    expect(stats.foldersProcessed).toBe(1);
+    expect(job.getCheckpoint('Sent')).toBeNull();
+    expect(job.results.foldersProcessed.map(entry => entry.status)).toEqual(['completed', 'failed']);
+  });
+
+  test('fails the attempt when no folder could be synced', async () => {
+    const error = new Error('Connection lost');
+    syncFolder.mockRejectedValue(error);
+
+    await expect(emailIngestionService.syncImapFolders(job, account, 'ingest', stats)).rejects.toBe(error);
+  });
+});
+
+describe('emailIngestionService.runSyncJob', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ends as partial when some folders failed', async () => {
+    const job = new SyncJob({ syncType: 'incremental' });
+    job.save = jest.fn().mockResolvedValue(job);
+    const account = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com', protocol: 'imap' };
+
+    jest.spyOn(SyncJob, 'findById').mockResolvedValue(job);
+    jest.spyOn(EmailAccount, 'findById').mockReturnValue({ select: () => Promise.resolve(account) });
+    jest.spyOn(emailIngestionService, 'syncImapFolders').mockResolvedValue(['Sent']);
+    jest.spyOn(emailIngestionService, 'checkControl').mockResolvedValue();
+    jest.spyOn(emailIngestionService, 'updateAccountStatistics').mockResolvedValue();
+    jest.spyOn(imapService, 'returnConnectionToPool').mockResolvedValue();
+
+    await emailIngestionService.runSyncJob(job._id);
+
+    expect(job.status).toBe('partial');
+    expect(job.error).toMatchObject({ code: 'FOLDERS_FAILED', message: 'Failed to sync 1 folder(s): Sent' });
+  });
+});
+
+describe('emailIngestionService.checkControl', () => {
+  let job;
+
+  /**
+   * Resolve SyncJob.findById(...).select(...).lean() to the given document
+   */
+  function stubCurrent(current) {
+    jest.spyOn(SyncJob, 'findById').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(current) })
+    });
+  }
+
+  beforeEach(() => {
+    job = new SyncJob({ syncType: 'incremental' });
+    job.lease.token = 'token-1';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes while the job is still running under this lease', async () => {
+    stubCurrent({ status: 'running', lease: { token: 'token-1' } });
+
+    await expect(emailIngestionService.checkControl(job)).resolves.toBeUndefined();
+  });
+
+  test.each([
+    [{ status: 'paused', lease: { token: 'token-1' } }, 'JOB_PAUSED'],
+    [{ status: 'cancelled', lease: { token: 'token-1' } }, 'JOB_CANCELLED'],
+    [null, 'JOB_DELETED'],
+    [{ status: 'running', lease: { token: 'token-2' } }, 'JOB_SUPERSEDED']
+  ])('stops with a control error for %o', async (current, code) => {
+    stubCurrent(current);
+
+    await expect(emailIngestionService.checkControl(job)).rejects.toMatchObject({ code });
+  });
+});
+
+describe('emailIngestionService.syncPop3Mailbox', () => {
+  let server;
+  let account;
+  let job;
+  let stats;
+
+  beforeEach(async () => {
+    server = await startPop3Server({
+      messages: ['uidl-1', 'uidl-2', 'uidl-3', 'uidl-4'].map(uidl => ({ uidl, raw: message(uidl) }))
+    });
+
+    account = {
+      _id: new mongoose.Types.ObjectId(),
+      pop3Config: { leaveOnServer: false },
+      getPop3Config: () => ({ host: '127.0.0.1', port: server.port, security: 'none', username: 'user', password: 'secret' })
+    };
+    job = new SyncJob({ syncType: 'incremental', options: { batchSize: 10 } });
+    job.save = jest.fn().mockResolvedValue(job);
+    stats = { emailsSynced: 0, emailsSkipped: 0, emailsFailed: 0, bytesTransferred: 0, foldersProcessed: 0 };
+
+    // uidl-1 was stored by an earlier run
+    jest.spyOn(Email, 'distinct').mockResolvedValue(['uidl-1']);
+    jest.spyOn(Email, 'findOne').mockReturnValue({
+      sort: () => ({ select: () => ({ lean: jest.fn().mockResolvedValue(null) }) })
+    });
+    jest.spyOn(Email, 'exists').mockResolvedValue(null);
+    jest.spyOn(emailIngestionService, 'checkControl').mockResolvedValue();
+    jest.spyOn(emailIngestionService, 'emit').mockReturnValue(true);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await server.close();
+  });
+
+  test('only fetches new UIDLs and deletes messages that are stored', async () => {
+    const ingestMessage = jest.spyOn(emailIngestionService, 'ingestMessage').mockImplementation(async (account, folder, { uidl }) => {
+      // Stored concurrently by another job
+      if (uidl === 'uidl-3') throw duplicateKey({ emailAccountId: 1, pop3Uidl: 1 });
+      if (uidl === 'uidl-4') throw new Error('parse failure');
+    });
+
+    await emailIngestionService.syncPop3Mailbox(job, account, stats);
+
+    expect(ingestMessage.mock.calls.map(([, , entry]) => entry.uidl)).toEqual(['uidl-2', 'uidl-3', 'uidl-4']);
+    expect(ingestMessage.mock.calls[0][2].raw.toString()).toBe(message('uidl-2'));
+    // The failed message stays on the server for the next run
+    expect(server.deleted).toEqual([1, 2, 3]);
+    expect(stats).toMatchObject({ emailsSynced: 1, emailsSkipped: 2, emailsFailed: 1 });
+    expect(job.getCheckpoint('INBOX').completed).toBe(true);
+  });
+
+  test('assigns the next UID when another job took one', async () => {
+    const uids = [];
+    jest.spyOn(emailIngestionService, 'ingestMessage').mockImplementation(async (account, folder, { uid, uidl }) => {
+      uids.push([uidl, uid]);
+      if (uidl === 'uidl-2' && uid === 1) throw duplicateKey({ emailAccountId: 1, folder: 1, uid: 1 });
+    });
+    Email.findOne.mockReturnValueOnce({ sort: () => ({ select: () => ({ lean: async () => null }) }) })
+      .mockReturnValueOnce({ sort: () => ({ select: () => ({ lean: async () => ({ uid: 7 }) }) }) });
+
+    await emailIngestionService.syncPop3Mailbox(job, account, stats);
+
+    expect(uids).toEqual([['uidl-2', 1], ['uidl-2', 8], ['uidl-3', 9], ['uidl-4', 10]]);
+    expect(server.deleted).toEqual([1, 2, 3, 4]);
+  });
+
+  test('keeps every message when leaveOnServer is set', async () => {
+    account.pop3Config.leaveOnServer = true;
+    jest.spyOn(emailIngestionService, 'ingestMessage').mockResolvedValue();
+
+    await emailIngestionService.syncPop3Mailbox(job, account, stats);
+
+    expect(server.deleted).toEqual([]);
+    expect(server.commands).not.toContainEqual(expect.stringMatching(/^RETR 1$/));
+    expect(stats).toMatchObject({ emailsSynced: 3, emailsSkipped: 1 });
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const SyncJob = require('../../src/models/SyncJob');
+const emailSyncService = require('../../src/services/emailSyncService');
+const imapAppendService = require('../../src/services/imapAppendService');
+
+/**
+ * Fake destination connection whose header FETCH streams the given messages
+ * @param {Array<Object>} messages - Raw header text and size per message
+ */
+function makeDestination(messages) {
+  const imap = {
+    openBox: jest.fn((folder, readOnly, callback) => callback(null, { messages: { total: messages.length } })),
+    search: jest.fn(),
+    seq: {
+      fetch: jest.fn(() => {
+        const fetch = new EventEmitter();
+        process.nextTick(() => {
+          for (const { header, size } of messages) {
+            const msg = new EventEmitter();
+            fetch.emit('message', msg);
+            const stream = new EventEmitter();
+            msg.emit('body', stream);
+            stream.emit('data', Buffer.from(header));
+            msg.emit('attributes', { size });
+            msg.emit('end');
+          }
+          fetch.emit('end');
+        });
+        return fetch;
+      })
+    }
+  };
+  return imap;
+}
+
+describe('emailSyncService duplicate detection', () => {
+  let syncJob;
+
+  beforeEach(() => {
+    syncJob = { destinationIndexes: new Map() };
+  });
+
+  test('indexes a destination folder once with a single header fetch', async () => {
+    const imap = makeDestination([
+      { header: 'Message-ID: <a@example.com>\r\nSubject: Hello\r\n\r\n', size: 100 },
+      { header: 'Message-ID: <b@example.com>\r\nSubject: Again\r\n\r\n', size: 200 }
+    ]);
+
+    const first = await emailSyncService.emailExists(syncJob, imap, 'INBOX', { headers: { 'message-id': '<a@example.com>' } });
+    const second = await emailSyncService.emailExists(syncJob, imap, 'INBOX', { headers: { 'message-id': '<c@example.com>' } });
+
+    expect(first).toBe(true);
+    expect(second).toBe(false);
+    expect(imap.seq.fetch).toHaveBeenCalledTimes(1);
+    expect(imap.search).not.toHaveBeenCalled();
+  });
+
+  test('matches messages without a Message-ID by Date, From, Subject and size', async () => {
+    const header = 'Date: Mon, 1 Jan 2024 10:00:00 +0000\r\nFrom: a@example.com\r\nSubject: Folded\r\n  subject\r\n\r\n';
+    const imap = makeDestination([{ header, size: 512 }]);
+    const email = {
+      headers: { date: 'Mon, 1 Jan 2024 10:00:00 +0000', from: 'a@example.com', subject: 'Folded subject' },
+      size: 512
+    };
+
+    expect(await emailSyncService.emailExists(syncJob, imap, 'INBOX', email)).toBe(true);
+    expect(await emailSyncService.emailExists(syncJob, imap, 'INBOX', { ...email, size: 513 })).toBe(false);
+  });
+
+  test('skips the fetch for an empty folder and remembers appended messages', async () => {
+    const imap = makeDestination([]);
+    const email = { headers: { 'message-id': '<new@example.com>' } };
+
+    expect(await emailSyncService.emailExists(syncJob, imap, 'Archive', email)).toBe(false);
+    emailSyncService.addToDestinationIndex(syncJob, 'Archive', email);
+
+    expect(await emailSyncService.emailExists(syncJob, imap, 'Archive', email)).toBe(true);
+    expect(imap.seq.fetch).not.toHaveBeenCalled();
+  });
+
+  test('never treats messages without any dedupe headers as duplicates', () => {
+    expect(emailSyncService.getDedupeKeys({ headers: {}, size: 10 })).toEqual({ messageId: null, hash: null });
+  });
+});
+
+describe('emailSyncService message transfer', () => {
+  let dir;
+  let saved;
+  let syncJob;
+  let sourceImap;
+
+  /**
+   * Fake source connection whose FETCH streams the raw message of a UID
+   * @param {Object} raws - Raw message per UID
+   */
+  const makeSource = raws => ({
+    fetch: jest.fn((uid) => {
+      const fetch = new EventEmitter();
+      process.nextTick(() => {
+        const msg = new EventEmitter();
+        fetch.emit('message', msg);
+        const stream = new PassThrough();
+        msg.emit('body', stream);
+        stream.end(raws[uid]);
+        stream.on('end', () => fetch.emit('end'));
+      });
+      return fetch;
+    })
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-spool-'));
+    saved = {
+      spoolDir: emailSyncService.spoolDir,
+      largeMessageSize: emailSyncService.largeMessageSize,
+      maxMessageSize: emailSyncService.maxMessageSize
+    };
+    Object.assign(emailSyncService, { spoolDir: dir, largeMessageSize: 100, maxMessageSize: 1000 });
+    syncJob = {
+      id: 'job-1',
+      destinationConfig: { host: 'imap.example.com' },
+      options: { preserveFlags: true, preserveDates: true },
+      progress: { errors: 0 },
+      stats: { emailsSynced: 0, emailsSkipped: 0, emailsFailed: 0, emailsOutOfBand: 0 },
+      outOfBand: [],
+      destinationIndexes: new Map()
+    };
+    jest.spyOn(emailSyncService, 'emailExists').mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    Object.assign(emailSyncService, saved);
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  const info = (uid, size) => ({ uid, size, flags: ['\\Seen', '\\Recent'], date: new Date('2024-03-05T09:30:00Z'), headers: {} });
+
+  test('fetches one body at a time and streams large messages from the spool', async () => {
+    const large = Buffer.alloc(500, 'x');
+    sourceImap = makeSource({ 1: Buffer.from('Subject: Small\r\n\r\n'), 2: large });
+    jest.spyOn(emailSyncService, 'fetchMessageInfo').mockResolvedValue([info(1, 20), info(2, large.length)]);
+    const appendEmail = jest.spyOn(emailSyncService, 'appendEmail').mockResolvedValue();
+    let streamed = null;
+    const appendFile = jest.spyOn(imapAppendService, 'appendFile').mockImplementation(async (config, mailbox, filePath) => {
+      streamed = fs.readFileSync(filePath);
+    });
+
+    await emailSyncService.processEmailBatch(syncJob, sourceImap, {}, { path: 'INBOX' }, [1, 2]);
+
+    expect(sourceImap.fetch.mock.calls.map(call => call[0])).toEqual([1, 2]);
+    expect(appendEmail.mock.calls[0][2].body.toString()).toBe('Subject: Small\r\n\r\n');
+    expect(appendFile).toHaveBeenCalledWith(
+      syncJob.destinationConfig,
+      'INBOX',
+      path.join(dir, 'job-1', 'INBOX_2.eml'),
+      { flags: ['\\Seen'], date: new Date('2024-03-05T09:30:00Z') }
+    );
+    expect(streamed.equals(large)).toBe(true);
+    expect(fs.readdirSync(path.join(dir, 'job-1'))).toEqual([]);
+    expect(syncJob.stats.emailsSynced).toBe(2);
+  });
+
+  test('keeps messages above the maximum size in the spool and records them on the report once', async () => {
+    sourceImap = makeSource({ 7: Buffer.alloc(2000, 'x') });
+    const appendFile = jest.spyOn(imapAppendService, 'appendFile');
+    const job = new SyncJob({ syncType: 'migration' });
+
+    await emailSyncService.transferLargeMessage(syncJob, sourceImap, {}, { path: 'Archive/2024' }, info(7, 2000));
+    emailSyncService.recordOutOfBand(job, syncJob.outOfBand);
+    emailSyncService.recordOutOfBand(job, syncJob.outOfBand);
+
+    const spoolPath = path.join(dir, 'job-1', 'Archive_2024_7.eml');
+    expect(appendFile).not.toHaveBeenCalled();
+    expect(fs.statSync(spoolPath).size).toBe(2000);
+    expect(job.migration.report.outOfBandMessages.map(message => message.toObject())).toEqual([
+      { folder: 'Archive/2024', uid: 7, size: 2000, path: spoolPath }
+    ]);
+  });
+});
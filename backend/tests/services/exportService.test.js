@@ -0,0 +1,103 @@
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const exportService = require('../../src/services/exportService');
+
+/**
+ * Build a lean stored email
+ */
+function makeEmail(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    folder: 'INBOX',
+    messageId: '<stored@example.com>',
+    headers: {
+      from: 'Alice <alice@example.com>',
+      to: 'bob@example.com',
+      subject: 'Quarterly report',
+      date: new Date('2024-01-04T10:00:00Z'),
+      messageId: '<stored@example.com>'
+    },
+    content: { text: 'Hello\nFrom the team\n', attachments: [] },
+    flags: { seen: true, flagged: true },
+    timing: { receivedAt: new Date('2024-01-04T10:00:05Z') },
+    ...overrides
+  };
+}
+
+/**
+ * Run an export into memory
+ */
+async function collect(write) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const count = await write(output);
+  output.end();
+  return { count, data: Buffer.concat(chunks) };
+}
+
+describe('exportService', () => {
+  test('writes mbox with separator lines, escaped From lines and flag headers', async () => {
+    const emails = [makeEmail(), makeEmail({ headers: { ...makeEmail().headers, subject: 'Second' } })];
+
+    const { count, data } = await collect(output => exportService.writeMbox(emails, output));
+    const mbox = data.toString('latin1');
+
+    expect(count).toBe(2);
+    expect(mbox.startsWith('From alice@example.com Thu Jan  4 10:00:05 2024\n')).toBe(true);
+    expect(mbox.match(/^From /gm)).toHaveLength(2);
+    expect(mbox).toContain('\n>From the team');
+    expect(mbox).toContain('Status: RO');
+    expect(mbox).toContain('X-Status: F');
+    expect(mbox).toContain('Message-ID: <stored@example.com>');
+    expect(mbox).not.toContain('\r\n');
+  });
+
+  test('writes a zip whose entries inflate back to the messages', async () => {
+    const attachment = { filename: 'notes.txt', contentType: 'text/plain', data: Buffer.from('attached notes') };
+    const emails = [makeEmail(), makeEmail({ content: { text: 'With file', attachments: [attachment] } })];
+    const names = emails.map(email => exportService.getEntryName(email, 'alice@example.com'));
+
+    const { count, data } = await collect(output =>
+      exportService.writeZip(emails, output, email => exportService.getEntryName(email, 'alice@example.com'))
+    );
+
+    expect(count).toBe(2);
+
+    // End of central directory record
+    const end = data.length - 22;
+    expect(data.readUInt32LE(end)).toBe(0x06054b50);
+    expect(data.readUInt16LE(end + 10)).toBe(2);
+
+    let offset = 0;
+    for (const name of names) {
+      expect(data.readUInt32LE(offset)).toBe(0x04034b50);
+      const compressedSize = data.readUInt32LE(offset + 18);
+      const size = data.readUInt32LE(offset + 22);
+      const nameLength = data.readUInt16LE(offset + 26);
+      expect(data.toString('utf8', offset + 30, offset + 30 + nameLength)).toBe(name);
+
+      const start = offset + 30 + nameLength;
+      const message = zlib.inflateRawSync(data.subarray(start, start + compressedSize));
+      expect(message.length).toBe(size);
+      expect(data.readInt32LE(offset + 14)).toBe(exportService.crc32(message));
+      expect(message.toString()).toContain('Subject: Quarterly report');
+
+      offset = start + compressedSize;
+    }
+
+    expect(data.readUInt32LE(offset)).toBe(0x02014b50);
+  });
+
+  test('builds safe, unique entry paths', () => {
+    const email = makeEmail({ folder: 'Work/../Reports', headers: { ...makeEmail().headers, subject: 'Q1: "final"/v2' } });
+
+    expect(exportService.getEntryName(email, 'alice@example.com'))
+      .toBe(`alice@example.com/Work/_/Reports/20240104-100000_Q1_ _final__v2_${email._id}.eml`);
+  });
+
+  test('matches the standard CRC-32', () => {
+    expect(exportService.crc32(Buffer.from('123456789')) >>> 0).toBe(0xcbf43926);
+  });
+});
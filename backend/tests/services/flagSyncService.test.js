@@ -0,0 +1,109 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Email = require('../../src/models/Email');
+const flagSyncService = require('../../src/services/flagSyncService');
+
+/**
+ * Fake node-imap connection
+ * fetch() records its command and replays the given messages
+ * @param {Object} options - capabilities, fetched ({ uid, flags })
+ * @returns {Object} Connection
+ */
+const fakeImap = ({ capabilities = ['CONDSTORE'], fetched = [] } = {}) => {
+  const imap = new EventEmitter();
+  imap.commands = [];
+  imap.serverSupports = capability => capabilities.includes(capability);
+  imap.fetch = (uids, options) => {
+    const changedSince = options.modifiers ? ` (CHANGEDSINCE ${options.modifiers.changedsince})` : '';
+    imap.commands.push(`UID FETCH ${uids} (UID FLAGS)${changedSince}`);
+
+    const fetch = new EventEmitter();
+    setImmediate(() => {
+      for (const { uid, flags } of fetched) {
+        const msg = new EventEmitter();
+        fetch.emit('message', msg);
+        msg.emit('attributes', { uid, flags });
+      }
+      fetch.emit('end');
+    });
+    return fetch;
+  };
+  return imap;
+};
+
+describe('flagSyncService.pullFlagChanges', () => {
+  const account = { _id: new mongoose.Types.ObjectId() };
+  const box = { messages: { total: 3 }, highestmodseq: '20', uidnext: 10 };
+  let bulkWrite;
+
+  beforeEach(() => {
+    bulkWrite = jest.spyOn(Email, 'bulkWrite').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only fetches flags changed since the last sync with CONDSTORE', async () => {
+    const imap = fakeImap({ fetched: [{ uid: 8, flags: ['\\Seen'] }] });
+
+    await expect(flagSyncService.pullFlagChanges(account, imap, 'INBOX', '10', box)).resolves.toBe(1);
+
+    expect(imap.commands).toEqual(['UID FETCH 1:* (UID FLAGS) (CHANGEDSINCE 10)']);
+    expect(bulkWrite.mock.calls[0][0]).toEqual([expect.objectContaining({
+      updateOne: expect.objectContaining({ update: { $set: { flags: expect.objectContaining({ seen: true }) } } })
+    })]);
+  });
+
+  test('fetches every flag without CONDSTORE', async () => {
+    const imap = fakeImap({ capabilities: [], fetched: [{ uid: 8, flags: [] }] });
+
+    await flagSyncService.pullFlagChanges(account, imap, 'INBOX', '10', box);
+
+    expect(imap.commands).toEqual(['UID FETCH 1:* (UID FLAGS)']);
+  });
+
+  test('skips the fetch when nothing changed since the last sync', async () => {
+    const imap = fakeImap();
+
+    await expect(flagSyncService.pullFlagChanges(account, imap, 'INBOX', '20', box)).resolves.toBe(0);
+
+    expect(imap.commands).toEqual([]);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('flagSyncService.recordFailure', () => {
+  let bulkWrite;
+
+  beforeEach(() => {
+    bulkWrite = jest.spyOn(Email, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries with backoff until the attempts run out, then drops the change', async () => {
+    const retried = { _id: new mongoose.Types.ObjectId(), flagSync: { attempts: 1, version: 2 } };
+    const exhausted = { _id: new mongoose.Types.ObjectId(), flagSync: { attempts: flagSyncService.maxAttempts - 1, version: 4 } };
+
+    await flagSyncService.recordFailure([retried, exhausted], new Error('NO [CANNOT] Flag rejected'));
+
+    const [retry, drop] = bulkWrite.mock.calls[0][0].map(operation => operation.updateOne);
+    expect(retry.filter).toEqual({ _id: retried._id });
+    expect(retry.update.$set).toMatchObject({ 'flagSync.attempts': 2, 'flagSync.lastError': 'NO [CANNOT] Flag rejected' });
+    expect(retry.update.$set['flagSync.nextAttemptAt'].getTime()).toBeGreaterThan(Date.now() + flagSyncService.retryDelay);
+
+    // A change queued again in the meantime (newer version) is kept
+    expect(drop.filter).toEqual({ _id: exhausted._id, 'flagSync.version': 4 });
+    expect(drop.update).toEqual({
+      $set: {
+        'flagSync.dirty': false,
+        'flagSync.attempts': flagSyncService.maxAttempts,
+        'flagSync.lastError': 'NO [CANNOT] Flag rejected'
+      },
+      $unset: { 'flagSync.pending': 1 }
+    });
+  });
+});
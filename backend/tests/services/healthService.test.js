@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const EmailAccount = require('../../src/models/EmailAccount');
+const healthService = require('../../src/services/healthService');
+
+/**
+ * Resolve a chained query such as findById().select().lean()
+ */
+function chain(result) {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+}
+
+describe('healthService circuit breaker', () => {
+  let accountId;
+  let health;
+  let updateOne;
+
+  beforeEach(() => {
+    accountId = new mongoose.Types.ObjectId();
+    health = { circuitState: 'closed', consecutiveFailures: 0, openCount: 0, retryAt: null };
+    updateOne = jest.spyOn(EmailAccount, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(EmailAccount, 'findOneAndUpdate').mockImplementation(() => {
+      health.consecutiveFailures++;
+      return chain({ _id: accountId, email: 'user@example.com', syncConfig: { enabled: true }, health });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the circuit closed below the failure threshold', async () => {
+    const error = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+    for (let i = 1; i < healthService.failureThreshold; i++) {
+      expect(await healthService.recordFailure(accountId, error)).toBe('network');
+    }
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('opens the circuit with a growing cooldown once the threshold is reached', async () => {
+    health.consecutiveFailures = healthService.failureThreshold - 1;
+    health.openCount = 1;
+    const opened = jest.fn();
+    healthService.once('circuitOpened', opened);
+    const before = Date.now();
+
+    await healthService.recordFailure(accountId, new Error('Timed out while connecting'));
+
+    const update = updateOne.mock.calls[0][1];
+    expect(update.$set).toMatchObject({ 'health.circuitState': 'open', 'health.openCount': 2 });
+    expect(update.$set['health.retryAt'].getTime()).toBeGreaterThanOrEqual(before + healthService.cooldown * 2);
+    expect(update.$set['syncConfig.enabled']).toBeUndefined();
+    expect(opened).toHaveBeenCalledWith(expect.objectContaining({ category: 'timeout' }));
+  });
+
+  test('disables sync after repeated authentication failures', async () => {
+    health.consecutiveFailures = healthService.authFailureThreshold - 1;
+    const error = Object.assign(new Error('Invalid credentials'), { textCode: 'AUTHENTICATIONFAILED' });
+
+    await healthService.recordFailure(accountId, error);
+
+    const update = updateOne.mock.calls[0][1];
+    expect(update.$set['syncConfig.enabled']).toBe(false);
+    expect(update.$set['health.disabledReason']).toMatch(/authentication failed/);
+  });
+
+  test('reopens the circuit when the half-open trial fails', async () => {
+    health.circuitState = 'half-open';
+
+    await healthService.recordFailure(accountId, new Error('BAD command'));
+
+    expect(updateOne.mock.calls[0][1].$set['health.circuitState']).toBe('open');
+  });
+
+  test('refuses connections while the circuit is open', async () => {
+    jest.spyOn(EmailAccount, 'findById').mockReturnValue(chain({
+      email: 'user@example.com',
+      health: { circuitState: 'open', retryAt: new Date(Date.now() + 60000) }
+    }));
+
+    await expect(healthService.assertAvailable(accountId)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', retryable: false });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  test('lets one caller through as the half-open trial after the cooldown', async () => {
+    const retryAt = new Date(Date.now() - 1000);
+    jest.spyOn(EmailAccount, 'findById').mockReturnValue(chain({
+      email: 'user@example.com',
+      health: { circuitState: 'open', retryAt }
+    }));
+
+    await expect(healthService.assertAvailable(accountId)).resolves.toBeUndefined();
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: accountId, 'health.circuitState': 'open', 'health.retryAt': retryAt });
+    expect(updateOne.mock.calls[0][1].$set['health.circuitState']).toBe('half-open');
+
+    // A concurrent caller loses the race and is refused
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+    await expect(healthService.assertAvailable(accountId)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+  });
+
+  test('closes the circuit and re-enables sync after a successful manual test', async () => {
+    jest.spyOn(EmailAccount, 'findById').mockReturnValue(chain({
+      email: 'user@example.com',
+      syncConfig: { enabled: false },
+      health: { circuitState: 'open', consecutiveFailures: 2, disabledReason: 'Sync disabled: authentication failed' }
+    }));
+
+    await healthService.recordSuccess(accountId, { manual: true });
+
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({
+      'health.circuitState': 'closed',
+      'health.consecutiveFailures': 0,
+      'syncConfig.enabled': true,
+      'health.disabledReason': null,
+      status: 'active'
+    });
+  });
+});
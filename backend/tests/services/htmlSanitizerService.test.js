@@ -0,0 +1,32 @@
+const htmlSanitizerService = require('../../src/services/htmlSanitizerService');
+
+describe('htmlSanitizerService remote images in styles', () => {
+  test.each([
+    ['url()', 'background: url(https://tracker.example/p.gif)'],
+    ['image-set()', 'background-image: image-set("https://tracker.example/p.gif" 1x)'],
+    ['-webkit-image-set()', 'background-image: -webkit-image-set("//tracker.example/p.gif" 1x)'],
+    ['a quoted remote string', 'list-style-image: "https://tracker.example/p.gif"']
+  ])('blocks remote images loaded with %s', (name, style) => {
+    const { html, blockedImages } = htmlSanitizerService.sanitize(`<div style='color: red; ${style}'>Hi</div>`);
+
+    expect(html).toBe('<div style="color:red">Hi</div>');
+    expect(blockedImages).toBe(1);
+  });
+
+  test('drops image-set() without remote images uncounted', () => {
+    const { html, blockedImages } = htmlSanitizerService.sanitize('<div style="background-image: image-set(\'data:image/png;base64,AAAA\' 1x)">Hi</div>');
+
+    expect(html).toBe('<div>Hi</div>');
+    expect(blockedImages).toBe(0);
+  });
+
+  test('keeps image-set() when remote images are loaded', () => {
+    const { html, blockedImages } = htmlSanitizerService.sanitize(
+      '<div style=\'background-image: image-set("https://cdn.example/a.png" 1x)\'>Hi</div>',
+      { loadRemoteImages: true }
+    );
+
+    expect(html).toContain('image-set');
+    expect(blockedImages).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const imapAppendService = require('../../src/services/imapAppendService');
+
+/**
+ * Minimal IMAP server for tests
+ * Accepts LOGIN, reads APPEND literals and records commands and literals
+ * @param {Object} options - appendResponse: tagged response text for APPEND
+ * @returns {Promise<Object>} { port, commands, literals, close }
+ */
+const startImapServer = async ({ appendResponse = 'OK APPEND completed' } = {}) => {
+  const commands = [];
+  const literals = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    let literal = null; // { tag, size }
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      for (;;) {
+        if (literal) {
+          // The literal is followed by the CRLF ending the command
+          if (buffer.length < literal.size + 2) return;
+          literals.push(buffer.subarray(0, literal.size));
+          buffer = buffer.subarray(literal.size + 2);
+          socket.write(`${literal.tag} ${appendResponse}\r\n`);
+          literal = null;
+          continue;
+        }
+
+        const end = buffer.indexOf('\r\n');
+        if (end === -1) return;
+        const line = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 2);
+        commands.push(line);
+
+        const [tag, command] = line.split(' ');
+        const size = /\{(\d+)\}$/.exec(line);
+        if (command === 'APPEND' && size) {
+          literal = { tag, size: parseInt(size[1]) };
+          socket.write('+ Ready for literal data\r\n');
+        } else if (command === 'LOGOUT') {
+          socket.end(`* BYE\r\n${tag} OK LOGOUT completed\r\n`);
+        } else {
+          socket.write(`${tag} OK ${command} completed\r\n`);
+        }
+      }
+    });
+    socket.on('close', () => sockets.delete(socket));
+    socket.write('* OK IMAP4rev1 ready\r\n');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    commands,
+    literals,
+    close: () => {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+describe('imapAppendService.appendFile', () => {
+  let dir;
+  let server;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'imap-append-'));
+  });
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const config = port => ({ host: '127.0.0.1', port, secure: false, username: 'user@example.com', password: 'p"ss', authMethod: 'LOGIN' });
+
+  test('streams the file as the APPEND literal', async () => {
+    server = await startImapServer();
+    const raw = Buffer.concat([Buffer.from('Subject: Large\r\n\r\n'), Buffer.alloc(256 * 1024, 0xe9)]);
+    const filePath = path.join(dir, 'message.eml');
+    fs.writeFileSync(filePath, raw);
+
+    await imapAppendService.appendFile(config(server.port), 'Entwürfe & Co', filePath, {
+      flags: ['\\Seen', '$Forwarded'],
+      date: new Date('2024-03-05T09:30:00Z')
+    });
+
+    expect(server.commands).toEqual([
+      'A1 LOGIN "user@example.com" "p\\"ss"',
+      `A2 APPEND "Entw&APw-rfe &- Co" (\\Seen $Forwarded) "05-Mar-2024 09:30:00 +0000" {${raw.length}}`,
+      'A3 LOGOUT'
+    ]);
+    expect(server.literals[0].equals(raw)).toBe(true);
+  });
+
+  test('rejects when the server refuses the message', async () => {
+    server = await startImapServer({ appendResponse: 'NO [LIMIT] Message too large' });
+    const filePath = path.join(dir, 'message.eml');
+    fs.writeFileSync(filePath, 'Subject: Large\r\n\r\nBody\r\n');
+
+    await expect(imapAppendService.appendFile(config(server.port), 'INBOX', filePath))
+      .rejects.toMatchObject({ code: 'IMAP_COMMAND_FAILED', message: '[LIMIT] Message too large' });
+    expect(server.commands[server.commands.length - 1]).toBe('A3 LOGOUT');
+  });
+});
@@ -0,0 +1,144 @@
+const { EventEmitter } = require('events');
+const imapService = require('../../src/services/imapService');
+
+/**
+ * Fake node-imap client that answers NOOP and CLOSE
+ */
+class FakeImap extends EventEmitter {
+  constructor() {
+    super();
+    this.state = 'authenticated';
+    this.end = jest.fn(() => {
+      this.state = 'disconnected';
+      this.emit('close');
+    });
+  }
+
+  closeBox(expunge, callback) {
+    callback();
+  }
+
+  _enqueue(command, callback) {
+    callback(this.state === 'authenticated' ? null : new Error('Not connected'));
+  }
+}
+
+/**
+ * IMAP configuration of a login
+ */
+function makeConfig(username, overrides = {}) {
+  return { host: 'imap.example.com', port: 993, username, ...overrides };
+}
+
+describe('imapService connection pool', () => {
+  let createConnection;
+  let saved;
+
+  beforeEach(() => {
+    saved = {
+      maxConnectionsPerHost: imapService.maxConnectionsPerHost,
+      acquireTimeout: imapService.acquireTimeout,
+      maxPoolSize: imapService.maxPoolSize
+    };
+    // Registers the connection like openConnection does
+    createConnection = jest.spyOn(imapService, 'createConnection').mockImplementation(async (id) => {
+      const connection = { id, imap: new FakeImap(), status: 'connected', lastActivity: new Date() };
+      imapService.connections.set(id, connection);
+      return connection;
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(imapService, saved);
+    imapService.connections.clear();
+    imapService.connectionPool.clear();
+    imapService.hostPools.clear();
+    imapService.loginPools.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('reuses a returned connection after checking it with NOOP', async () => {
+    const first = await imapService.getConnection('job-1', makeConfig('alice'));
+    await imapService.returnConnectionToPool('job-1');
+    const noop = jest.spyOn(first.imap, '_enqueue');
+
+    const second = await imapService.getConnection('job-2', makeConfig('alice'));
+
+    expect(second).toBe(first);
+    expect(second.id).toBe('job-2');
+    expect(noop).toHaveBeenCalledWith('NOOP', expect.any(Function));
+    expect(createConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('discards a pooled connection the server dropped', async () => {
+    const first = await imapService.getConnection('job-1', makeConfig('alice'));
+    await imapService.returnConnectionToPool('job-1');
+    first.imap.state = 'disconnected';
+
+    const second = await imapService.getConnection('job-2', makeConfig('alice'));
+
+    expect(second).not.toBe(first);
+    expect(first.imap.end).toHaveBeenCalled();
+    expect(imapService.loginPools.get('imap.example.com:993:alice').open).toBe(1);
+  });
+
+  test('queues callers at the host limit and evicts another login\'s idle connection for them', async () => {
+    imapService.maxConnectionsPerHost = 1;
+    const alice = await imapService.getConnection('alice-1', makeConfig('alice'));
+
+    let bob = null;
+    const waiting = imapService.getConnection('bob-1', makeConfig('bob')).then((connection) => { bob = connection; });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(bob).toBeNull();
+
+    await imapService.returnConnectionToPool('alice-1');
+    await waiting;
+
+    expect(alice.imap.end).toHaveBeenCalled();
+    expect(bob).not.toBe(alice);
+    expect(imapService.hostPools.get('imap.example.com').open).toBe(1);
+  });
+
+  test('times out when the provider limit of a login stays saturated', async () => {
+    imapService.acquireTimeout = 20;
+    const config = makeConfig('alice', { maxConnections: 1 });
+    await imapService.getConnection('alice-1', config);
+
+    await expect(imapService.getConnection('alice-2', config)).rejects.toMatchObject({ code: 'POOL_TIMEOUT' });
+    expect(createConnection).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not count IDLE connections against the host limit', async () => {
+    imapService.maxConnectionsPerHost = 1;
+    await imapService.getConnection('idle-alice', makeConfig('alice', { idle: true }));
+
+    await imapService.getConnection('sync-bob', makeConfig('bob'));
+
+    expect(createConnection).toHaveBeenCalledTimes(2);
+    expect(imapService.hostPools.get('imap.example.com').open).toBe(1);
+  });
+
+  test('closes pooled connections idle longer than the idle timeout', async () => {
+    const first = await imapService.getConnection('job-1', makeConfig('alice'));
+    await imapService.returnConnectionToPool('job-1');
+    first.idleSince = Date.now() - imapService.idleTimeout - 1;
+
+    imapService.evictIdleConnections();
+
+    expect(first.imap.end).toHaveBeenCalled();
+    expect(imapService.connectionPool.size).toBe(0);
+    expect(imapService.hostPools.get('imap.example.com').open).toBe(0);
+  });
+
+  test('keeps the number of idle connections under the pool size', async () => {
+    imapService.maxPoolSize = 1;
+    const first = await imapService.getConnection('alice-1', makeConfig('alice'));
+    await imapService.getConnection('bob-1', makeConfig('bob'));
+
+    await imapService.returnConnectionToPool('alice-1');
+    await imapService.returnConnectionToPool('bob-1');
+
+    expect(first.imap.end).toHaveBeenCalled();
+    expect([...imapService.connectionPool.values()].flat()).toHaveLength(1);
+  });
+});
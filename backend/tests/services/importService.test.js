@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const cron = require('node-cron');
+const SyncJob = require('../../src/models/SyncJob');
+const importService = require('../../src/services/importService');
+
+/**
+ * Build a zip archive
+ * @param {Array<Object>} entries - { name, data, method (0 or 8), declaredSize }
+ * @returns {Buffer} Zip file
+ */
+const buildZip = (entries) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data, method = 8, declaredSize } of entries) {
+    const content = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name);
+    const size = declaredSize === undefined ? data.length : declaredSize;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(content.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, content);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(method, 10);
+    entry.writeUInt32LE(content.length, 20);
+    entry.writeUInt32LE(size, 24);
+    entry.writeUInt16LE(nameBuffer.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBuffer);
+
+    offset += local.length + nameBuffer.length + content.length;
+  }
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directoryBuffer, end]);
+};
+
+/**
+ * Read every message of an archive
+ * @param {string} filePath - Archive file
+ * @param {string} format - Archive format
+ * @returns {Promise<Array<Object>>} Messages
+ */
+const readAll = async (filePath, format) => {
+  const messages = [];
+  for await (const message of importService.readMessages({ filePath, format })) {
+    messages.push(message);
+  }
+  return messages;
+};
+
+describe('importService archive readers', () => {
+  let dir;
+  let maxMessageSize;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+    maxMessageSize = importService.maxMessageSize;
+    importService.maxMessageSize = 1024;
+  });
+
+  afterEach(() => {
+    importService.maxMessageSize = maxMessageSize;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a test file
+   * @param {string} name - File name
+   * @param {Buffer|string} data - Content
+   * @returns {string} File path
+   */
+  const write = (name, data) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, data);
+    return filePath;
+  };
+
+  describe('mbox', () => {
+    test('splits messages on From lines and unescapes >From', async () => {
+      const filePath = write('mail.mbox', [
+        'From alice@example.com Mon Jan  1 10:00:00 2024',
+        'Subject: One',
+        '',
+        '>From the start',
+        'From inside a paragraph is not a separator',
+        '',
+        'From bob@example.com Tue Jan  2 10:00:00 2024',
+        'Subject: Two',
+        '',
+        'Second',
+        ''
+      ].join('\n'));
+
+      const messages = await readAll(filePath, 'mbox');
+
+      expect(messages.map(message => message.raw.toString())).toEqual([
+        'Subject: One\n\nFrom the start\nFrom inside a paragraph is not a separator\n',
+        'Subject: Two\n\nSecond\n'
+      ]);
+      expect(messages[0].internalDate.getUTCDate()).toBe(1);
+    });
+
+    test('reports oversized messages and keeps reading', async () => {
+      const filePath = write('mail.mbox', [
+        'From alice@example.com Mon Jan  1 10:00:00 2024',
+        'Subject: Big',
+        '',
+        ...Array(100).fill('x'.repeat(40)),
+        '',
+        'From bob@example.com Tue Jan  2 10:00:00 2024',
+        'Subject: Small',
+        ''
+      ].join('\n'));
+
+      const messages = await readAll(filePath, 'mbox');
+
+      expect(messages).toHaveLength(2);
+      expect(messages[0].error.code).toBe('IMPORT_MESSAGE_TOO_LARGE');
+      expect(messages[0].raw).toBeUndefined();
+      expect(messages[1].raw.toString()).toBe('Subject: Small\n');
+    });
+
+    test('does not buffer a single line longer than the limit', async () => {
+      const filePath = write('mail.mbox', `From alice@example.com Mon Jan  1 10:00:00 2024\nSubject: Long\n\n${'y'.repeat(5000)}`);
+
+      const messages = await readAll(filePath, 'mbox');
+
+      expect(messages).toHaveLength(1);
+      expect(messages[0].error.code).toBe('IMPORT_MESSAGE_TOO_LARGE');
+    });
+  });
+
+  describe('zip', () => {
+    test('reads stored and deflated .eml entries', async () => {
+      const filePath = write('mail.zip', buildZip([
+        { name: 'one.eml', data: Buffer.from('Subject: One\r\n\r\nBody\r\n'), method: 0 },
+        { name: 'folder/two.eml', data: Buffer.from('Subject: Two\r\n\r\nBody\r\n') },
+        { name: 'notes.txt', data: Buffer.from('not a message') },
+        { name: '__MACOSX/._one.eml', data: Buffer.from('resource fork') }
+      ]));
+
+      const messages = await readAll(filePath, 'zip');
+
+      expect(messages.map(message => [message.name, message.raw.toString()])).toEqual([
+        ['one.eml', 'Subject: One\r\n\r\nBody\r\n'],
+        ['folder/two.eml', 'Subject: Two\r\n\r\nBody\r\n']
+      ]);
+    });
+
+    test('rejects entries whose declared size exceeds the limit', async () => {
+      const filePath = write('mail.zip', buildZip([
+        { name: 'big.eml', data: Buffer.alloc(2048, 'a') },
+        { name: 'small.eml', data: Buffer.from('Subject: Small\r\n\r\n') }
+      ]));
+
+      const messages = await readAll(filePath, 'zip');
+
+      expect(messages[0].error.code).toBe('IMPORT_MESSAGE_TOO_LARGE');
+      expect(messages[1].raw.toString()).toBe('Subject: Small\r\n\r\n');
+    });
+
+    test('stops inflating entries that lie about their size', async () => {
+      const filePath = write('mail.zip', buildZip([
+        { name: 'bomb.eml', data: Buffer.alloc(1024 * 1024, 'a'), declaredSize: 100 }
+      ]));
+
+      const messages = await readAll(filePath, 'zip');
+
+      expect(messages[0].error.code).toBe('IMPORT_MESSAGE_TOO_LARGE');
+    });
+
+    test('rejects a central directory that points outside the file', async () => {
+      const zip = buildZip([{ name: 'one.eml', data: Buffer.from('Subject: One\r\n\r\n') }]);
+      zip.writeUInt32LE(0x7fffffff, zip.length - 6);
+      const filePath = write('mail.zip', zip);
+
+      await expect(readAll(filePath, 'zip')).rejects.toMatchObject({ code: 'IMPORT_INVALID_ARCHIVE' });
+    });
+
+    test('counts entries without reading them', async () => {
+      const filePath = write('mail.zip', buildZip([
+        { name: 'big.eml', data: Buffer.alloc(2048, 'a') },
+        { name: 'small.eml', data: Buffer.from('Subject: Small\r\n\r\n') }
+      ]));
+
+      await expect(importService.countMessages({ filePath, format: 'zip' })).resolves.toBe(2);
+    });
+  });
+});
+
+describe('importService upload cleanup', () => {
+  let dir;
+  let uploadDir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-uploads-'));
+    uploadDir = importService.uploadDir;
+    importService.uploadDir = dir;
+  });
+
+  afterEach(() => {
+    importService.stop();
+    importService.uploadDir = uploadDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('runs on its own cron task', async () => {
+    const schedule = jest.spyOn(cron, 'schedule').mockImplementation(() => ({ stop: jest.fn() }));
+    const removeOrphanedUploads = jest.spyOn(importService, 'removeOrphanedUploads').mockResolvedValue(0);
+
+    importService.start();
+    importService.start();
+
+    expect(schedule).toHaveBeenCalledTimes(1);
+    expect(schedule.mock.calls[0][0]).toBe(importService.cleanupExpression);
+    await schedule.mock.calls[0][1]();
+    expect(removeOrphanedUploads).toHaveBeenCalled();
+  });
+
+  test('removes day-old uploads no unfinished job refers to', async () => {
+    const old = (Date.now() - importService.orphanAge - 60000) / 1000;
+    for (const name of ['orphan.mbox', 'active.mbox', 'fresh.mbox']) {
+      fs.writeFileSync(path.join(dir, name), 'From a@example.com\n');
+    }
+    fs.utimesSync(path.join(dir, 'orphan.mbox'), old, old);
+    fs.utimesSync(path.join(dir, 'active.mbox'), old, old);
+    const query = { select: () => query, lean: () => Promise.resolve([{ import: { filePath: path.join(dir, 'active.mbox') } }]) };
+    jest.spyOn(SyncJob, 'find').mockReturnValue(query);
+
+    await expect(importService.removeOrphanedUploads()).resolves.toBe(1);
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['active.mbox', 'fresh.mbox']);
+  });
+});
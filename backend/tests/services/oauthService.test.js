@@ -0,0 +1,180 @@
+const http = require('http');
+const EmailAccount = require('../../src/models/EmailAccount');
+const oauthService = require('../../src/services/oauthService');
+const imapService = require('../../src/services/imapService');
+
+/**
+ * Start a token endpoint that answers with the next queued response
+ * @returns {Promise<Object>} { url, requests, respond, close }
+ */
+const startTokenServer = async () => {
+  const requests = [];
+  const responses = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(Object.fromEntries(new URLSearchParams(body)));
+      const { status, data } = responses.shift() || { status: 500, data: {} };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/token`,
+    requests,
+    respond: (status, data) => responses.push({ status, data }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * Build an OAuth account whose lookups and saves stay in memory
+ * @param {Object} oauth2Config - Token state
+ * @returns {Object} EmailAccount document
+ */
+const mockAccount = (oauth2Config) => {
+  const account = new EmailAccount({
+    userId: '507f1f77bcf86cd799439011',
+    name: 'Test',
+    email: 'user@gmail.com',
+    imapConfig: { host: 'imap.gmail.com', port: 993, secure: true },
+    authConfig: {
+      method: 'OAUTH2',
+      username: 'user@gmail.com',
+      oauth2Config: { provider: 'gmail', refreshToken: 'refresh-1', ...oauth2Config }
+    }
+  });
+  account.save = jest.fn().mockResolvedValue(account);
+  jest.spyOn(EmailAccount, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+  return account;
+};
+
+describe('oauthService token refresh', () => {
+  let tokenServer;
+  let originalProvider;
+
+  beforeAll(async () => {
+    tokenServer = await startTokenServer();
+    originalProvider = oauthService.providers.gmail;
+    oauthService.providers.gmail = {
+      ...originalProvider,
+      tokenUrl: tokenServer.url,
+      clientId: 'client-id',
+      clientSecret: 'client-secret'
+    };
+  });
+
+  afterAll(async () => {
+    oauthService.providers.gmail = originalProvider;
+    await tokenServer.close();
+  });
+
+  afterEach(() => {
+    tokenServer.requests.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  test('reuses an access token that is not about to expire', async () => {
+    mockAccount({ accessToken: 'current', tokenExpiry: new Date(Date.now() + 60 * 60000) });
+
+    await expect(oauthService.getAccessToken('account-1')).resolves.toBe('current');
+    expect(tokenServer.requests).toHaveLength(0);
+  });
+
+  test('refreshes an expiring token and keeps the rotated refresh token', async () => {
+    const account = mockAccount({ accessToken: 'old', tokenExpiry: new Date(Date.now() + 60000) });
+    tokenServer.respond(200, { access_token: 'new', expires_in: 3600, refresh_token: 'refresh-2' });
+
+    await expect(oauthService.getAccessToken('account-1')).resolves.toBe('new');
+
+    expect(tokenServer.requests).toEqual([{
+      client_id: 'client-id',
+      client_secret: 'client-secret',
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-1'
+    }]);
+    expect(account.authConfig.oauth2Config.accessToken).toBe('new');
+    expect(account.authConfig.oauth2Config.refreshToken).toBe('refresh-2');
+    expect(account.authConfig.oauth2Config.tokenExpiry.getTime()).toBeGreaterThan(Date.now() + 50 * 60000);
+    expect(account.save).toHaveBeenCalled();
+  });
+
+  test('shares one refresh between concurrent callers', async () => {
+    mockAccount({ accessToken: 'old', tokenExpiry: new Date(0) });
+    tokenServer.respond(200, { access_token: 'shared', expires_in: 3600 });
+
+    const tokens = await Promise.all([
+      oauthService.getAccessToken('account-1'),
+      oauthService.getAccessToken('account-1')
+    ]);
+
+    expect(tokens).toEqual(['shared', 'shared']);
+    expect(tokenServer.requests).toHaveLength(1);
+  });
+
+  test('marks the account as errored when the refresh token was revoked', async () => {
+    const account = mockAccount({ accessToken: 'old', tokenExpiry: new Date(0) });
+    tokenServer.respond(400, { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+
+    await expect(oauthService.getAccessToken('account-1')).rejects.toMatchObject({
+      code: 'OAUTH_TOKEN_REVOKED',
+      retryable: false
+    });
+    expect(account.status).toBe('error');
+    expect(account.connectionInfo.lastError.code).toBe('OAUTH_TOKEN_REVOKED');
+  });
+
+  test('reports other token endpoint failures without touching the account', async () => {
+    const account = mockAccount({ accessToken: 'old', tokenExpiry: new Date(0) });
+    tokenServer.respond(503, {});
+
+    await expect(oauthService.getAccessToken('account-1')).rejects.toMatchObject({
+      code: 'OAUTH_TOKEN_REQUEST_FAILED'
+    });
+    expect(account.status).not.toBe('error');
+  });
+});
+
+describe('XOAUTH2 authentication', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds the SASL initial response', () => {
+    const token = imapService.buildXOAuth2Token('user@gmail.com', 'token-1');
+
+    expect(Buffer.from(token, 'base64').toString()).toBe('user=user@gmail.com\x01auth=Bearer token-1\x01\x01');
+  });
+
+  test('logs OAuth accounts in with a fresh access token', async () => {
+    jest.spyOn(oauthService, 'getAccessToken').mockResolvedValue('token-2');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const config = await imapService.resolveAuth({
+      host: 'imap.gmail.com',
+      port: 993,
+      secure: true,
+      username: 'user@gmail.com',
+      authMethod: 'OAUTH2',
+      accountId: 'account-1'
+    });
+    const imapConfig = imapService.createImapConfig(config);
+
+    expect(oauthService.getAccessToken).toHaveBeenCalledWith('account-1');
+    expect(imapConfig.xoauth2).toBe(imapService.buildXOAuth2Token('user@gmail.com', 'token-2'));
+    expect(imapConfig.password).toBeUndefined();
+  });
+
+  test('leaves password accounts alone', async () => {
+    jest.spyOn(oauthService, 'getAccessToken');
+    const config = { host: 'mail.example.com', username: 'user', password: 'secret', authMethod: 'PLAIN', accountId: 'account-1' };
+
+    await expect(imapService.resolveAuth(config)).resolves.toBe(config);
+    expect(oauthService.getAccessToken).not.toHaveBeenCalled();
+  });
+});
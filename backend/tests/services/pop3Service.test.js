@@ -0,0 +1,94 @@
+const pop3Service = require('../../src/services/pop3Service');
+const { startPop3Server } = require('../helpers/pop3Server');
+
+const MESSAGE = [
+  'From: sender@example.com',
+  'Subject: Dots',
+  '',
+  '.leading dot',
+  '..two leading dots',
+  '.',
+  'middle.dot and trailing.',
+  ''
+].join('\r\n');
+
+describe('pop3Service', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  /**
+   * Open a session against the test server
+   * @param {Object} config - Extra POP3 configuration
+   * @returns {Promise<Object>} Connection
+   */
+  const connect = (config = {}) => pop3Service.connect({
+    host: '127.0.0.1',
+    port: server.port,
+    security: 'none',
+    username: 'user',
+    password: 'secret',
+    authMethod: 'PLAIN',
+    ...config
+  });
+
+  test('removes dot-stuffing from retrieved messages', async () => {
+    server = await startPop3Server({ messages: [{ uidl: 'a', raw: MESSAGE }] });
+    const connection = await connect();
+
+    const raw = await connection.retr(1);
+    await connection.quit();
+
+    expect(raw.toString()).toBe(MESSAGE);
+  });
+
+  test('finds the terminator when it is split across packets', async () => {
+    server = await startPop3Server({ messages: [{ uidl: 'a', raw: MESSAGE }], chunkSize: 3 });
+    const connection = await connect();
+
+    const [listing, raw] = await Promise.all([connection.uidl(), connection.retr(1)]);
+    await connection.quit();
+
+    expect(listing).toEqual([{ number: 1, uidl: 'a' }]);
+    expect(raw.toString()).toBe(MESSAGE);
+  });
+
+  test('keeps binary bytes intact', async () => {
+    const binary = Buffer.concat([Buffer.from('Subject: 8bit\r\n\r\n'), Buffer.from([0xc3, 0xa9, 0xff, 0x80]), Buffer.from('\r\n')]);
+    server = await startPop3Server({ messages: [{ uidl: 'a', raw: binary }] });
+    const connection = await connect();
+
+    const raw = await connection.retr(1);
+    await connection.quit();
+
+    expect(raw.equals(binary)).toBe(true);
+  });
+
+  test('lists an empty mailbox', async () => {
+    server = await startPop3Server();
+    const connection = await connect();
+
+    await expect(connection.uidl()).resolves.toEqual([]);
+    await connection.quit();
+  });
+
+  test('logs in with USER/PASS or XOAUTH2', async () => {
+    server = await startPop3Server();
+    await (await connect()).quit();
+    await (await connect({ authMethod: 'OAUTH2', accessToken: 'token-1' })).quit();
+
+    const xoauth2 = Buffer.from('user=user\x01auth=Bearer token-1\x01\x01').toString('base64');
+    expect(server.commands).toEqual(['USER user', 'PASS secret', 'QUIT', `AUTH XOAUTH2 ${xoauth2}`, 'QUIT']);
+  });
+
+  test('rejects server errors', async () => {
+    server = await startPop3Server();
+    const connection = await connect();
+
+    await expect(connection.retr(5)).rejects.toMatchObject({ code: 'POP3_ERR', source: 'protocol' });
+    await connection.quit();
+  });
+});
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const rawMessageService = require('../../src/services/rawMessageService');
+const { MemoryCollection } = require('../helpers/memoryCollection');
+
+const RAW = Buffer.from('From: sender@example.com\r\nSubject: Hello\r\n\r\nBody\r\n');
+const SHA256 = crypto.createHash('sha256').update(RAW).digest('hex');
+
+/**
+ * In-memory blob driver
+ * delete() can be held open to run other calls while a deletion is in flight
+ */
+class MemoryBlobDriver {
+  constructor() {
+    this.name = 'memory';
+    this.blobs = new Map();
+    this.deleteGate = null;
+  }
+
+  async put(key, data) {
+    if (!this.blobs.has(key)) this.blobs.set(key, data);
+  }
+
+  async open() {
+    return null;
+  }
+
+  async delete(key) {
+    if (this.deleteGate) await this.deleteGate;
+    this.blobs.delete(key);
+  }
+}
+
+describe('rawMessageService reference counting', () => {
+  let refs;
+  let driver;
+  let originalDriver;
+  let storeRetryDelay;
+
+  beforeEach(() => {
+    refs = new MemoryCollection();
+    driver = new MemoryBlobDriver();
+    originalDriver = rawMessageService.driver;
+    storeRetryDelay = rawMessageService.storeRetryDelay;
+    rawMessageService.driver = driver;
+    rawMessageService.storeRetryDelay = 1;
+    jest.spyOn(rawMessageService, 'getRefs').mockReturnValue(refs);
+  });
+
+  afterEach(() => {
+    rawMessageService.driver = originalDriver;
+    rawMessageService.storeRetryDelay = storeRetryDelay;
+    jest.restoreAllMocks();
+  });
+
+  test('stores identical messages once and counts the references', async () => {
+    await rawMessageService.store(RAW);
+    const result = await rawMessageService.store(RAW);
+
+    expect(result).toEqual({ sha256: SHA256, size: RAW.length });
+    expect(driver.blobs.size).toBe(1);
+    expect(refs.documents).toEqual([expect.objectContaining({ _id: SHA256, refCount: 2 })]);
+  });
+
+  test('counts concurrent stores of the same message', async () => {
+    await Promise.all([rawMessageService.store(RAW), rawMessageService.store(RAW), rawMessageService.store(RAW)]);
+
+    expect(refs.documents).toEqual([expect.objectContaining({ refCount: 3 })]);
+  });
+
+  test('deletes the blob and its reference when the last reference goes', async () => {
+    await rawMessageService.store(RAW);
+    await rawMessageService.retain([SHA256]);
+
+    await expect(rawMessageService.release([SHA256])).resolves.toBe(0);
+    expect(driver.blobs.has(SHA256)).toBe(true);
+
+    await expect(rawMessageService.release([SHA256])).resolves.toBe(1);
+    expect(driver.blobs.has(SHA256)).toBe(false);
+    expect(refs.documents).toEqual([]);
+  });
+
+  test('keeps the reference until the blob is gone', async () => {
+    await rawMessageService.store(RAW);
+    const refsDuringDelete = [];
+    jest.spyOn(driver, 'delete').mockImplementation(async (key) => {
+      refsDuringDelete.push(...refs.find({ _id: key }));
+      driver.blobs.delete(key);
+    });
+
+    await rawMessageService.release([SHA256]);
+
+    expect(refsDuringDelete).toEqual([expect.objectContaining({ refCount: 0, deleting: true })]);
+    expect(refs.documents).toEqual([]);
+  });
+
+  test('waits for a running deletion before storing the message again', async () => {
+    await rawMessageService.store(RAW);
+    let deleteBlob;
+    driver.deleteGate = new Promise((resolve) => { deleteBlob = resolve; });
+
+    const release = rawMessageService.release([SHA256]);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    // Neither may count on the blob being deleted
+    await rawMessageService.retain([SHA256]);
+    const store = rawMessageService.store(RAW);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(refs.documents).toEqual([expect.objectContaining({ refCount: 0, deleting: true })]);
+
+    deleteBlob();
+    await Promise.all([release, store]);
+
+    expect(driver.blobs.has(SHA256)).toBe(true);
+    expect(refs.documents).toEqual([expect.objectContaining({ _id: SHA256, refCount: 1 })]);
+    expect(refs.documents[0].deleting).toBeUndefined();
+  });
+
+  test('takes over a deletion that was abandoned', async () => {
+    refs.documents.push({ _id: SHA256, refCount: 0, deleting: true, deletingAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    await rawMessageService.store(RAW);
+
+    expect(driver.blobs.has(SHA256)).toBe(true);
+    expect(refs.documents).toEqual([{ _id: SHA256, refCount: 1 }]);
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const EmailAccount = require('../../src/models/EmailAccount');
+const SyncJob = require('../../src/models/SyncJob');
+const schedulerService = require('../../src/services/schedulerService');
+const syncQueueService = require('../../src/services/syncQueueService');
+
+/**
+ * Minimal stand-in for an EmailAccount document
+ */
+function makeAccount(overrides = {}) {
+  const dueAt = new Date(Date.now() - 1000);
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    email: 'user@example.com',
+    provider: { name: 'gmail', limits: { maxConnections: 1 } },
+    imapConfig: { host: 'imap.gmail.com' },
+    syncConfig: { nextSyncAt: dueAt, batchSize: 50 },
+    calculateNextSyncTime() {
+      this.syncConfig.nextSyncAt = new Date(Date.now() + 60000);
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Resolve a chained Mongoose query such as find().sort().limit()
+ */
+function chain(result) {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+}
+
+describe('schedulerService.scheduleDueAccounts', () => {
+  let dueAccounts;
+  let activeJobs;
+  let updateOne;
+  let poll;
+
+  beforeEach(() => {
+    dueAccounts = [];
+    activeJobs = [];
+
+    jest.spyOn(EmailAccount, 'findAccountsNeedingSync').mockImplementation(() => chain(dueAccounts));
+    jest.spyOn(EmailAccount, 'find').mockImplementation(() => chain([]));
+    jest.spyOn(SyncJob, 'find').mockImplementation(() => chain(activeJobs));
+    jest.spyOn(SyncJob.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+    updateOne = jest.spyOn(EmailAccount, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    poll = jest.spyOn(syncQueueService, 'poll').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('claims a due account and queues an incremental job', async () => {
+    const account = makeAccount();
+    const dueAt = account.syncConfig.nextSyncAt;
+    dueAccounts = [account];
+
+    const started = await schedulerService.scheduleDueAccounts();
+
+    expect(started).toBe(1);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: account._id, 'syncConfig.nextSyncAt': dueAt },
+      { $set: { 'syncConfig.nextSyncAt': account.syncConfig.nextSyncAt } }
+    );
+    expect(account.syncConfig.nextSyncAt.getTime()).toBeGreaterThan(Date.now());
+    expect(poll).toHaveBeenCalledTimes(1);
+  });
+
+  test('skips an account another scheduler instance already claimed', async () => {
+    dueAccounts = [makeAccount()];
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const started = await schedulerService.scheduleDueAccounts();
+
+    expect(started).toBe(0);
+    expect(SyncJob.prototype.save).not.toHaveBeenCalled();
+    expect(poll).not.toHaveBeenCalled();
+  });
+
+  test('pushes back an account that already has an active job', async () => {
+    const account = makeAccount();
+    dueAccounts = [account];
+    activeJobs = [{ accountId: account._id, status: 'running' }];
+
+    const started = await schedulerService.scheduleDueAccounts();
+
+    expect(started).toBe(0);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(poll).not.toHaveBeenCalled();
+  });
+
+  test('leaves accounts due once the provider connection limit is reached', async () => {
+    const first = makeAccount();
+    const second = makeAccount({ email: 'other@example.com' });
+    dueAccounts = [first, second];
+
+    const started = await schedulerService.scheduleDueAccounts();
+
+    expect(started).toBe(1);
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne.mock.calls[0][0]._id).toBe(first._id);
+  });
+});
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const SyncJob = require('../../src/models/SyncJob');
+const emailIngestionService = require('../../src/services/emailIngestionService');
+const syncQueueService = require('../../src/services/syncQueueService');
+
+/**
+ * Build a SyncJob document whose save resolves without a database
+ */
+function makeJob(fields = {}) {
+  const job = new SyncJob({
+    userId: new mongoose.Types.ObjectId(),
+    accountId: new mongoose.Types.ObjectId(),
+    jobId: `job_${Math.random().toString(36).substr(2, 9)}`,
+    name: 'test sync',
+    syncType: 'incremental',
+    ...fields
+  });
+  job.save = jest.fn().mockResolvedValue(job);
+  return job;
+}
+
+describe('SyncJob.failOrRetry', () => {
+  test('requeues with exponential backoff while attempts remain', async () => {
+    const job = makeJob({ status: 'running', options: { retryAttempts: 3, retryDelay: 1000 } });
+    job.lease = { owner: 'host:1', expiresAt: new Date(), heartbeatAt: new Date() };
+    job.error = { message: 'earlier', retryCount: 1 };
+    const before = Date.now();
+
+    const retrying = await job.failOrRetry(new Error('timeout'));
+
+    expect(retrying).toBe(true);
+    expect(job.status).toBe('pending');
+    expect(job.error.retryCount).toBe(2);
+    expect(job.timing.nextRunTime.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    expect(job.lease.owner).toBeNull();
+  });
+
+  test('fails the job once retryAttempts is exhausted', async () => {
+    const job = makeJob({ status: 'running', options: { retryAttempts: 2 } });
+    job.error = { message: 'earlier', retryCount: 2 };
+
+    const retrying = await job.failOrRetry(new Error('timeout'));
+
+    expect(retrying).toBe(false);
+    expect(job.status).toBe('failed');
+    expect(job.error.retryCount).toBe(2);
+  });
+
+  test('fails immediately on non-retryable errors', async () => {
+    const job = makeJob({ status: 'running' });
+    const error = new Error('authentication failed');
+    error.retryable = false;
+
+    expect(await job.failOrRetry(error)).toBe(false);
+    expect(job.status).toBe('failed');
+  });
+});
+
+describe('syncQueueService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    syncQueueService.running.clear();
+  });
+
+  afterEach(() => {
+    for (const entry of syncQueueService.running.values()) {
+      clearInterval(entry.heartbeat);
+    }
+    syncQueueService.running.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('claims pending jobs up to the concurrency limit', async () => {
+    const jobs = [makeJob(), makeJob(), makeJob()];
+    const claimNext = jest.spyOn(SyncJob, 'claimNext').mockImplementation(async () => jobs.shift() || null);
+    jest.spyOn(emailIngestionService, 'runSyncJob').mockReturnValue(new Promise(() => {}));
+
+    await syncQueueService.poll();
+
+    expect(syncQueueService.running.size).toBe(syncQueueService.concurrency);
+    expect(claimNext).toHaveBeenCalledTimes(syncQueueService.concurrency);
+    expect(claimNext).toHaveBeenCalledWith(syncQueueService.owner, syncQueueService.leaseDuration);
+  });
+
+  test('renews the lease while a job runs', async () => {
+    const job = makeJob();
+    job.heartbeat = jest.fn().mockResolvedValue(true);
+    jest.spyOn(SyncJob, 'claimNext').mockResolvedValueOnce(job).mockResolvedValue(null);
+    jest.spyOn(emailIngestionService, 'runSyncJob').mockReturnValue(new Promise(() => {}));
+
+    await syncQueueService.poll();
+    jest.advanceTimersByTime(syncQueueService.heartbeatInterval * 2);
+
+    expect(job.heartbeat).toHaveBeenCalledTimes(2);
+    expect(job.heartbeat).toHaveBeenCalledWith(syncQueueService.owner, syncQueueService.leaseDuration);
+  });
+
+  test('requeues a job whose lease expired in another process', async () => {
+    const expiresAt = new Date(Date.now() - 1000);
+    const job = makeJob({ status: 'running' });
+    job.lease = { owner: 'crashed:42', expiresAt };
+    const claimed = makeJob({ status: 'running' });
+    jest.spyOn(SyncJob, 'findAbandonedJobs').mockResolvedValue([job]);
+    const findOneAndUpdate = jest.spyOn(SyncJob, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+    const recovered = await syncQueueService.recoverAbandoned();
+
+    expect(recovered).toBe(1);
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: job._id, status: 'running', 'lease.expiresAt': expiresAt });
+    expect(claimed.status).toBe('pending');
+    expect(claimed.error).toMatchObject({ code: 'JOB_ABANDONED', retryCount: 1 });
+  });
+
+  test('leaves an abandoned job alone when another process recovered it first', async () => {
+    const job = makeJob({ status: 'running' });
+    job.lease = { owner: 'crashed:42', expiresAt: new Date(Date.now() - 1000) };
+    jest.spyOn(SyncJob, 'findAbandonedJobs').mockResolvedValue([job]);
+    jest.spyOn(SyncJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await syncQueueService.recoverAbandoned()).toBe(0);
+  });
+});
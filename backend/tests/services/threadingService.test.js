@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const Email = require('../../src/models/Email');
+const threadingService = require('../../src/services/threadingService');
+
+/**
+ * Resolve a chained query such as find().select().sort().limit().lean()
+ */
+function chain(result) {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    populate: () => query,
+    lean: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+}
+
+/**
+ * Email document fields as passed to assignThread
+ */
+function makeDocument(messageId, headers = {}) {
+  return {
+    userId: new mongoose.Types.ObjectId(),
+    messageId,
+    headers: { subject: 'Project plan', date: new Date('2024-03-01T10:00:00Z'), references: [], ...headers }
+  };
+}
+
+describe('threadingService', () => {
+  let find;
+
+  beforeEach(() => {
+    find = jest.spyOn(Email, 'find').mockImplementation(() => chain([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('normalizes reply prefixes, list tags and whitespace in subjects', () => {
+    expect(threadingService.normalizeSubject('Re: Fwd[2]: [team]  AW: Project   Plan')).toBe('project plan');
+    expect(threadingService.normalizeSubject('RE: (no subject)')).toBeNull();
+    expect(threadingService.isReplySubject('[team] Re: Project plan')).toBe(true);
+    expect(threadingService.isReplySubject('Project plan')).toBe(false);
+  });
+
+  test('joins the thread of a stored parent named in References', async () => {
+    const document = makeDocument('<reply@example.com>', {
+      subject: 'Re: Project plan',
+      inReplyTo: '<parent@example.com>',
+      references: ['<root@example.com> <parent@example.com>']
+    });
+    find.mockImplementationOnce(() => chain([{ headers: { threadId: 'thread-1' } }]));
+
+    expect(await threadingService.assignThread(document)).toBe('thread-1');
+
+    const query = find.mock.calls[0][0];
+    expect(query.$or[0].messageId.$in).toEqual(['<root@example.com>', '<parent@example.com>', '<reply@example.com>']);
+    expect(document.headers).toMatchObject({ threadId: 'thread-1', threadSubject: 'project plan' });
+  });
+
+  test('merges the threads of replies when their parent arrives later', async () => {
+    const document = makeDocument('<parent@example.com>');
+    find.mockImplementationOnce(() => chain([
+      { headers: { threadId: 'thread-a' } },
+      { headers: { threadId: 'thread-b' } }
+    ]));
+    jest.spyOn(Email, 'findOne').mockReturnValue(chain({ headers: { threadId: 'thread-b' } }));
+    const updateMany = jest.spyOn(Email, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    expect(await threadingService.assignThread(document)).toBe('thread-b');
+    expect(updateMany).toHaveBeenCalledWith(
+      { userId: document.userId, 'headers.threadId': { $in: ['thread-a'] } },
+      { $set: { 'headers.threadId': 'thread-b' } }
+    );
+  });
+
+  test('falls back to the subject only for replies', async () => {
+    const candidate = { headers: { subject: 'Project plan', date: new Date('2024-02-28T10:00:00Z'), threadId: 'thread-s' } };
+    // Only the subject lookup finds anything
+    find.mockImplementation(query => chain(query['headers.threadSubject'] ? [candidate] : []));
+
+    // A new message with the same subject as an unanswered original starts its own thread
+    const original = makeDocument('<again@example.com>');
+    const originalThread = await threadingService.assignThread(original);
+    expect(originalThread).not.toBe('thread-s');
+
+    // A reply without usable references joins by subject
+    const reply = makeDocument('<reply@example.com>', { subject: 'RE: project plan' });
+    expect(await threadingService.assignThread(reply)).toBe('thread-s');
+  });
+
+  test('threads pending emails on its own cron task', async () => {
+    const schedule = jest.spyOn(cron, 'schedule').mockImplementation(() => ({ stop: jest.fn() }));
+    const pending = makeDocument('<old@example.com>');
+    pending._id = new mongoose.Types.ObjectId();
+    find.mockImplementationOnce(() => chain([pending]));
+    const updateOne = jest.spyOn(Email, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    threadingService.start();
+    expect(schedule.mock.calls[0][0]).toBe(threadingService.expression);
+    await schedule.mock.calls[0][1]();
+    threadingService.stop();
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: pending._id },
+      { $set: { 'headers.threadId': expect.any(String), 'headers.threadSubject': 'project plan' } }
+    );
+  });
+
+  test('links each message to its parent within a thread', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    find.mockImplementationOnce(() => chain([
+      { messageId: '<root@example.com>', folder: 'INBOX', flags: { seen: true }, headers: { subject: 'Plan', from: 'Alice <a@example.com>', date: new Date(1), references: [] } },
+      { messageId: '<reply@example.com>', folder: 'Sent', flags: { seen: false }, headers: { subject: 'Re: Plan', from: 'b@example.com', to: ['"Alice" <A@example.com>'], date: new Date(2), inReplyTo: '<missing@example.com>', references: ['<root@example.com>', '<missing@example.com>'] } }
+    ]));
+
+    const thread = await threadingService.getThread(userId, 'thread-1');
+
+    expect(thread.messages.map(message => message.parentMessageId)).toEqual([null, '<root@example.com>']);
+    expect(thread).toMatchObject({ messageCount: 2, unreadCount: 1, folders: ['INBOX', 'Sent'] });
+    expect(thread.participants).toEqual([
+      { name: 'Alice', email: 'a@example.com' },
+      { name: null, email: 'b@example.com' }
+    ]);
+  });
+});
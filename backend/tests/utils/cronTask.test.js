@@ -0,0 +1,43 @@
+const cron = require('node-cron');
+const logger = require('../../src/utils/logger');
+const { scheduleTask } = require('../../src/utils/cronTask');
+
+describe('cronTask.scheduleTask', () => {
+  let schedule;
+
+  beforeEach(() => {
+    schedule = jest.spyOn(cron, 'schedule').mockImplementation(() => ({ stop: jest.fn() }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs the handler on its own task without overlapping runs', async () => {
+    const handler = jest.fn().mockResolvedValue();
+
+    scheduleTask('Email threading', '*/5 * * * *', handler);
+
+    const [expression, run, options] = schedule.mock.calls[0];
+    expect(expression).toBe('*/5 * * * *');
+    expect(options).toEqual({ name: 'Email threading', noOverlap: true });
+
+    await run();
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('logs failures of a run', async () => {
+    const error = new Error('database unavailable');
+    const logged = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    scheduleTask('Email threading', '* * * * *', () => Promise.reject(error));
+    await expect(schedule.mock.calls[0][1]()).resolves.toBeUndefined();
+
+    expect(logged).toHaveBeenCalledWith('Email threading failed:', error);
+  });
+
+  test('rejects an invalid expression', () => {
+    expect(() => scheduleTask('Email threading', 'every minute', jest.fn())).toThrow('Invalid cron expression for Email threading: every minute');
+    expect(schedule).not.toHaveBeenCalled();
+  });
+});
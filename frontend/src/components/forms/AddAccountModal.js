@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import { Modal, Form, Input, Select, Switch, Button, message, Divider } from 'antd';
-import { MailOutlined, LockOutlined, CloudServerOutlined } from '@ant-design/icons';
+import { MailOutlined, LockOutlined, CloudServerOutlined, SearchOutlined } from '@ant-design/icons';
 import { useEmail } from '../../contexts/email/EmailContext';
+import emailAccountService from '../../services/email/emailAccountService';
+import { EMAIL_ACCOUNT_TYPES } from '../../constants';
 
 const { Option } = Select;
 
@@ -9,20 +11,76 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
   const [form] = Form.useForm();
   const [loading, setLoading] = useState(false);
   const [authMethod, setAuthMethod] = useState('PLAIN');
+  const [discovering, setDiscovering] = useState(false);
+  const [protocol, setProtocol] = useState(EMAIL_ACCOUNT_TYPES.IMAP);
   const { createEmailAccount } = useEmail();
 
+  const handleProtocolChange = (value) => {
+    setProtocol(value);
+    // Switch to the protocol's default TLS port
+    form.setFieldsValue({ port: value === EMAIL_ACCOUNT_TYPES.POP3 ? 995 : 993 });
+  };
+
+  // Prefill server settings detected for the email address
+  const handleDiscover = async () => {
+    const email = form.getFieldValue('email');
+    if (!email) return;
+
+    try {
+      await form.validateFields(['email']);
+    } catch (error) {
+      return;
+    }
+
+    setDiscovering(true);
+    try {
+      const result = await emailAccountService.discoverSettings(email);
+      const { settings } = result.data;
+      if (!settings) {
+        message.info(result.message);
+        return;
+      }
+
+      const method = settings.authMethods.includes('PLAIN') ? 'PLAIN' : settings.authMethods[0];
+
+      setProtocol(EMAIL_ACCOUNT_TYPES.IMAP);
+      form.setFieldsValue({
+        protocol: EMAIL_ACCOUNT_TYPES.IMAP,
+        host: settings.imap.host,
+        port: settings.imap.port,
+        secure: settings.imap.secure,
+        username: settings.username,
+        authMethod: method
+      });
+      setAuthMethod(method);
+      message.success(`Server settings detected${settings.provider.displayName ? ` for ${settings.provider.displayName}` : ''}`);
+    } catch (error) {
+      // apiClient already reports request failures
+    } finally {
+      setDiscovering(false);
+    }
+  };
+
   const handleSubmit = async (values) => {
     setLoading(true);
     try {
       // Transform form data to match backend API structure
+      const isPop3 = protocol === EMAIL_ACCOUNT_TYPES.POP3;
       const accountData = {
         name: values.name,
         email: values.email,
-        imapConfig: {
+        protocol,
+        imapConfig: isPop3 ? undefined : {
           host: values.host,
           port: parseInt(values.port),
           secure: values.secure
         },
+        pop3Config: isPop3 ? {
+          host: values.host,
+          port: parseInt(values.port),
+          security: values.pop3Security,
+          leaveOnServer: values.leaveOnServer
+        } : undefined,
         authConfig: {
           method: values.authMethod,
           username: values.username,
@@ -45,6 +103,7 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
       if (result.success) {
         message.success('Email account added successfully!');
         form.resetFields();
+        setProtocol(EMAIL_ACCOUNT_TYPES.IMAP);
         onSuccess(result.account);
         onCancel();
       } else {
@@ -60,6 +119,7 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
   const handleCancel = () => {
     form.resetFields();
     setAuthMethod('PLAIN');
+    setProtocol(EMAIL_ACCOUNT_TYPES.IMAP);
     onCancel();
   };
 
@@ -82,8 +142,11 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
         layout="vertical"
         onFinish={handleSubmit}
         initialValues={{
+          protocol: EMAIL_ACCOUNT_TYPES.IMAP,
           port: 993,
           secure: true,
+          pop3Security: 'tls',
+          leaveOnServer: true,
           authMethod: 'PLAIN',
           syncEnabled: true,
           syncFrequency: '15min',
@@ -112,23 +175,39 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
               { type: 'email', message: 'Please enter a valid email address' }
             ]}
           >
-            <Input placeholder="your.email@example.com" />
+            <Input
+              placeholder="your.email@example.com"
+              onBlur={() => {
+                if (!form.getFieldValue('host') && protocol !== EMAIL_ACCOUNT_TYPES.POP3) handleDiscover();
+              }}
+            />
           </Form.Item>
+
+          <Button icon={<SearchOutlined />} loading={discovering} onClick={handleDiscover}>
+            Detect Server Settings
+          </Button>
         </div>
 
         <Divider />
 
-        {/* IMAP Configuration */}
+        {/* Server Configuration */}
         <div style={{ marginBottom: '24px' }}>
           <h4 style={{ marginBottom: '16px', color: '#262626' }}>
             <CloudServerOutlined style={{ marginRight: '8px' }} />
-            IMAP Configuration
+            {protocol === EMAIL_ACCOUNT_TYPES.POP3 ? 'POP3' : 'IMAP'} Configuration
           </h4>
+
+          <Form.Item label="Protocol" name="protocol">
+            <Select onChange={handleProtocolChange}>
+              <Option value={EMAIL_ACCOUNT_TYPES.IMAP}>IMAP</Option>
+              <Option value={EMAIL_ACCOUNT_TYPES.POP3}>POP3</Option>
+            </Select>
+          </Form.Item>
           
           <Form.Item
-            label="IMAP Server"
+            label={protocol === EMAIL_ACCOUNT_TYPES.POP3 ? 'POP3 Server' : 'IMAP Server'}
             name="host"
-            rules={[{ required: true, message: 'Please enter IMAP server' }]}
+            rules={[{ required: true, message: 'Please enter the mail server' }]}
           >
             <Input 
               placeholder="imap.gmail.com" 
@@ -152,18 +231,43 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
               rules={[{ required: true, message: 'Please enter port' }]}
               style={{ flex: 1 }}
             >
-              <Input type="number" placeholder="993" />
+              <Input type="number" placeholder={protocol === EMAIL_ACCOUNT_TYPES.POP3 ? '995' : '993'} />
             </Form.Item>
 
+            {protocol === EMAIL_ACCOUNT_TYPES.POP3 ? (
+              <Form.Item
+                label="Security"
+                name="pop3Security"
+                style={{ flex: 1 }}
+              >
+                <Select>
+                  <Option value="tls">SSL/TLS</Option>
+                  <Option value="starttls">STARTTLS</Option>
+                  <Option value="none">None</Option>
+                </Select>
+              </Form.Item>
+            ) : (
+              <Form.Item
+                label="Use SSL/TLS"
+                name="secure"
+                valuePropName="checked"
+                style={{ flex: 1, marginTop: '30px' }}
+              >
+                <Switch />
+              </Form.Item>
+            )}
+          </div>
+
+          {protocol === EMAIL_ACCOUNT_TYPES.POP3 && (
             <Form.Item
-              label="Use SSL/TLS"
-              name="secure"
+              label="Leave messages on server"
+              name="leaveOnServer"
               valuePropName="checked"
-              style={{ flex: 1, marginTop: '30px' }}
+              extra="When off, messages are deleted from the server once they are stored"
             >
               <Switch />
             </Form.Item>
-          </div>
+          )}
         </div>
 
         <Divider />
@@ -253,6 +357,7 @@ const AddAccountModal = ({ visible, onCancel, onSuccess }) => {
               style={{ flex: 1 }}
             >
               <Select>
+                <Option value="realtime">Real-time</Option>
                 <Option value="5min">Every 5 minutes</Option>
                 <Option value="15min">Every 15 minutes</Option>
                 <Option value="30min">Every 30 minutes</Option>
@@ -284,6 +284,7 @@ const EditAccountModal = ({ visible, onCancel, onSuccess, account }) => {
               style={{ flex: 1 }}
             >
               <Select>
+                <Option value="realtime">Real-time</Option>
                 <Option value="5min">Every 5 minutes</Option>
                 <Option value="15min">Every 15 minutes</Option>
                 <Option value="30min">Every 30 minutes</Option>
@@ -1,10 +1,12 @@
-import React, { useState } from 'react';
-import { Card, Typography, Button, List, Tag, Space, Popconfirm } from 'antd';
-import { PlusOutlined, MailOutlined, EditOutlined, DeleteOutlined, SyncOutlined, CheckCircleOutlined, ExclamationCircleOutlined } from '@ant-design/icons';
+import React, { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Card, Typography, Button, List, Tag, Space, Popconfirm, message } from 'antd';
+import { PlusOutlined, MailOutlined, EditOutlined, DeleteOutlined, SyncOutlined, CheckCircleOutlined, ExclamationCircleOutlined, LoginOutlined } from '@ant-design/icons';
 import PageHeader from '../../components/common/PageHeader';
 import AddAccountModal from '../../components/forms/AddAccountModal';
 import EditAccountModal from '../../components/forms/EditAccountModal';
 import { useEmail } from '../../contexts/email/EmailContext';
+import emailAccountService from '../../services/email/emailAccountService';
 import styles from './EmailAccounts.module.css';
 
 const { Title, Text } = Typography;
@@ -13,9 +15,13 @@ const EmailAccounts = () => {
   const [isAddModalVisible, setIsAddModalVisible] = useState(false);
   const [isEditModalVisible, setIsEditModalVisible] = useState(false);
   const [selectedAccount, setSelectedAccount] = useState(null);
+  const [oauthProviders, setOAuthProviders] = useState([]);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const completedOAuthState = useRef(null);
   const { 
     emailAccounts, 
     isLoading, 
+    loadEmailAccounts,
     deleteEmailAccount, 
     testConnection, 
     testingConnections, 
@@ -23,6 +29,45 @@ const EmailAccounts = () => {
     clearConnectionTestResult 
   } = useEmail();
 
+  useEffect(() => {
+    emailAccountService.getOAuthProviders()
+      .then((result) => setOAuthProviders(result.data?.providers || []))
+      .catch((error) => console.error('Failed to load OAuth providers:', error));
+  }, []);
+
+  // The OAuth callback redirects back here with the code to confirm, or an error
+  useEffect(() => {
+    const outcome = searchParams.get('oauth');
+    if (!outcome) return;
+
+    if (outcome === 'confirm') {
+      // An authorization code can only be redeemed once
+      const state = searchParams.get('state');
+      if (completedOAuthState.current === state) return;
+      completedOAuthState.current = state;
+
+      emailAccountService.completeOAuth(searchParams.get('provider'), searchParams.get('code'), state)
+        .then(() => {
+          message.success('Email account connected successfully!');
+          loadEmailAccounts();
+        })
+        .catch((error) => message.error(error.response?.data?.message || error.message || 'Failed to connect email account'));
+    } else {
+      message.error(searchParams.get('message') || 'Failed to connect email account');
+    }
+    setSearchParams({}, { replace: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchParams]);
+
+  const handleConnectOAuth = async (provider, accountId) => {
+    try {
+      const result = await emailAccountService.startOAuth(provider, accountId ? { accountId } : {});
+      window.location.href = result.data.authorizationUrl;
+    } catch (error) {
+      message.error(error.message || 'Failed to start authorization');
+    }
+  };
+
   const handleAddAccount = () => {
     setIsAddModalVisible(true);
   };
@@ -106,6 +151,15 @@ const EmailAccounts = () => {
         title="Email Accounts"
         subtitle="Manage your email account connections"
         extra={[
+          ...oauthProviders.map((provider) => (
+            <Button
+              key={provider.key}
+              icon={<LoginOutlined />}
+              onClick={() => handleConnectOAuth(provider.key)}
+            >
+              Connect {provider.displayName}
+            </Button>
+          )),
           <Button 
             key="add" 
             type="primary" 
@@ -125,6 +179,16 @@ const EmailAccounts = () => {
             renderItem={(account) => (
               <List.Item
                 actions={[
+                  ...(account.status === 'error' && account.authConfig?.provider ? [
+                    <Button
+                      key="reconnect"
+                      type="link"
+                      icon={<LoginOutlined />}
+                      onClick={() => handleConnectOAuth(account.authConfig.provider, account._id || account.id)}
+                    >
+                      Reconnect
+                    </Button>
+                  ] : []),
                   <Button
                     key="test"
                     type="link"
@@ -186,9 +250,23 @@ const EmailAccounts = () => {
                     <div>
                       <div>{account.email}</div>
                       <div style={{ fontSize: '12px', color: '#666' }}>
-                        {account.imapConfig?.host}:{account.imapConfig?.port} 
-                        {account.imapConfig?.secure ? ' (SSL)' : ' (No SSL)'}
+                        {account.protocol === 'pop3' ? (
+                          <>
+                            POP3 {account.pop3Config?.host}:{account.pop3Config?.port}
+                            {account.pop3Config?.security === 'none' ? ' (No SSL)' : ` (${account.pop3Config?.security === 'starttls' ? 'STARTTLS' : 'SSL'})`}
+                          </>
+                        ) : (
+                          <>
+                            {account.imapConfig?.host}:{account.imapConfig?.port} 
+                            {account.imapConfig?.secure ? ' (SSL)' : ' (No SSL)'}
+                          </>
+                        )}
                       </div>
+                      {account.status === 'error' && account.lastError && (
+                        <div style={{ fontSize: '12px', color: '#ff4d4f' }}>
+                          {account.lastError}
+                        </div>
+                      )}
                       {account.lastConnectionTest && (
                         <div style={{ fontSize: '12px', color: '#666' }}>
                           Last tested: {new Date(account.lastConnectionTest).toLocaleString()}
@@ -18,6 +18,7 @@ export const API_ENDPOINTS = {
     UPDATE: (id) => `/email-accounts/${id}`,
     DELETE: (id) => `/email-accounts/${id}`,
     TEST_CONNECTION: (id) => `/email-accounts/${id}/test-connection`,
+    IMPORT: (id) => `/email-accounts/${id}/import`,
   },
 
   // Emails
@@ -27,12 +28,24 @@ export const API_ENDPOINTS = {
     GET_BY_ID: (id) => `/emails/${id}`,
     GET_BY_ACCOUNT: (accountId) => `/emails/account/${accountId}`,
     SEARCH: '/emails/search',
+    EXPORT: '/emails/export',
+    ATTACHMENT: (id, attachmentId) => `/emails/${id}/attachments/${attachmentId}`,
+    RENDER: (id) => `/emails/${id}/render`,
+    RAW: (id) => `/emails/${id}/raw`,
+    IMAGE_SENDERS: '/emails/image-senders',
+    IMAGE_SENDER: (sender) => `/emails/image-senders/${encodeURIComponent(sender)}`,
     SYNC: '/emails/sync',
     MARK_READ: (id) => `/emails/${id}/mark-read`,
     MARK_UNREAD: (id) => `/emails/${id}/mark-unread`,
     DELETE: (id) => `/emails/${id}`,
   },
 
+  // Threads
+  THREADS: {
+    GET_ALL: '/threads',
+    GET_BY_ID: (id) => `/threads/${id}`,
+  },
+
   // Analytics
   ANALYTICS: {
     BASE: '/analytics',
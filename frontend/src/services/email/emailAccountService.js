@@ -32,6 +32,16 @@ class EmailAccountService {
     }
   }
 
+  // Discover server settings for an email address
+  async discoverSettings(email) {
+    try {
+      const response = await apiClient.post('/email-accounts/discover', { email });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Update email account
   async updateEmailAccount(id, accountData) {
     try {
@@ -62,6 +72,39 @@ class EmailAccountService {
     }
   }
 
+  // Upload an mbox, EML, zip or Maildir archive to import into the account
+  async importArchive(accountId, file, { folder, onUploadProgress } = {}) {
+    try {
+      const formData = new FormData();
+      if (folder) {
+        formData.append('folder', folder);
+      }
+      formData.append('file', file);
+
+      const response = await apiClient.post(`/email-accounts/${accountId}/import`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        // Large archives take longer than the default request timeout to upload
+        timeout: 0,
+        onUploadProgress,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get account folder tree
+  async getAccountFolders(accountId, refresh = false) {
+    try {
+      const response = await apiClient.get(`/email-accounts/${accountId}/folders`, {
+        params: refresh ? { refresh: true } : {},
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get account sync status
   async getSyncStatus(accountId) {
     try {
@@ -111,6 +154,36 @@ class EmailAccountService {
       throw error;
     }
   }
+
+  // Get OAuth providers configured on the server
+  async getOAuthProviders() {
+    try {
+      const response = await apiClient.get('/email-accounts/oauth/providers');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the provider authorization URL to connect (or reconnect) an OAuth account
+  async startOAuth(provider, params = {}) {
+    try {
+      const response = await apiClient.get(`/email-accounts/oauth/${provider}/start`, { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Finish an OAuth authorization for the signed-in user after the provider redirected back
+  async completeOAuth(provider, code, state) {
+    try {
+      const response = await apiClient.post(`/email-accounts/oauth/${provider}/complete`, { code, state });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 const emailAccountService = new EmailAccountService();
@@ -108,7 +108,7 @@ class EmailService {
   async downloadAttachment(emailId, attachmentId) {
     try {
       const response = await apiClient.get(
-        `/emails/${emailId}/attachments/${attachmentId}/download`,
+        API_ENDPOINTS.EMAILS.ATTACHMENT(emailId, attachmentId),
         { responseType: 'blob' }
       );
       return response.data;
@@ -116,6 +116,92 @@ class EmailService {
       throw error;
     }
   }
+
+  // Get the sanitized HTML body (images: 'load' or 'block' overrides the sender allowlist)
+  async renderEmail(id, images) {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.EMAILS.RENDER(id), {
+        params: images ? { images } : {}
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get the original message source (RFC 822) as text
+  async getRawEmail(id) {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.EMAILS.RAW(id), { responseType: 'text' });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get senders whose remote images load automatically
+  async getImageSenders() {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.EMAILS.IMAGE_SENDERS);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Always load remote images from a sender (address or domain)
+  async addImageSender(sender) {
+    try {
+      const response = await apiClient.post(API_ENDPOINTS.EMAILS.IMAGE_SENDERS, { sender });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Stop loading remote images from a sender
+  async removeImageSender(sender) {
+    try {
+      const response = await apiClient.delete(API_ENDPOINTS.EMAILS.IMAGE_SENDER(sender));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get conversations
+  async getThreads(params = {}) {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.THREADS.GET_ALL, { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Get a conversation with its messages
+  async getThread(id) {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.THREADS.GET_BY_ID(id));
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Export emails (format: json, csv, mbox or eml) with the same filters as getEmails
+  async exportEmails(format = 'mbox', params = {}) {
+    try {
+      const response = await apiClient.get(API_ENDPOINTS.EMAILS.EXPORT, {
+        params: { ...params, format },
+        responseType: 'blob',
+        timeout: 0
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 const emailService = new EmailService();